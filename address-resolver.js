@@ -0,0 +1,221 @@
+// address-resolver.js - Parsing listing addresses and resolving them (Minecraft SRV records, A/AAAA) with a cache
+import dns from 'dns';
+import net from 'net';
+import { DEFAULT_JAVA_PORT, DEFAULT_BEDROCK_PORT } from './server-status.js';
+
+export const RESOLVER_CONFIG = {
+  cacheTtl: parseInt(process.env.DNS_CACHE_TTL_MS, 10) || 5 * 60 * 1000,         // 5 minutes
+  failureTtl: parseInt(process.env.DNS_FAILURE_CACHE_TTL_MS, 10) || 60 * 1000,   // 1 minute
+  timeout: parseInt(process.env.DNS_TIMEOUT_MS, 10) || 5000,
+  maxCacheEntries: 1000,
+  // Let listings point at loopback and private networks (local development only)
+  allowPrivateAddresses: process.env.ALLOW_PRIVATE_SERVER_ADDRESSES === 'true'
+};
+
+// Java Edition clients look up this SRV record when no port is given
+const SRV_PREFIX = '_minecraft._tcp.';
+
+const HOSTNAME_LABEL = /^(?!-)[a-z0-9-]{1,63}(?<!-)$/i;
+
+// Loopback, private (RFC 1918, unique local), link-local, carrier-grade NAT,
+// multicast and reserved ranges. The site pings listings from inside its own
+// network, so listings must not point there.
+const NON_PUBLIC_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => NON_PUBLIC_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => NON_PUBLIC_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// Whether an IP address is reachable on the public internet
+export function isPublicIp(ip) {
+  // IPv4-mapped IPv6 addresses count as the IPv4 address they carry
+  const mapped = String(ip).match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/i);
+  if (mapped) {
+    if (mapped[1]) return isPublicIp(mapped[1]);
+    const high = parseInt(mapped[2], 16);
+    const low = parseInt(mapped[3], 16);
+    return isPublicIp([high >> 8, high & 0xff, low >> 8, low & 0xff].join('.'));
+  }
+
+  const family = net.isIP(ip);
+  if (!family) return false;
+  return !NON_PUBLIC_RANGES.check(ip, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function isAllowedIp(ip) {
+  return RESOLVER_CONFIG.allowPrivateAddresses || isPublicIp(ip);
+}
+
+// Split a listing address ("play.example.com", "1.2.3.4:25566", "[::1]:25565")
+// into host and port. `explicitPort` tells whether the address named a port.
+export function parseServerAddress(address, defaultPort = DEFAULT_JAVA_PORT) {
+  const value = String(address || '').trim();
+
+  // Bracketed IPv6 with optional port
+  const v6Match = value.match(/^\[([^\]]+)\](?::(\d+))?$/);
+  if (v6Match) {
+    return { host: v6Match[1], port: v6Match[2] ? parseInt(v6Match[2], 10) : defaultPort, explicitPort: Boolean(v6Match[2]) };
+  }
+
+  // Bare IPv6 (more than one colon) has no port
+  if ((value.match(/:/g) || []).length > 1) {
+    return { host: value, port: defaultPort, explicitPort: false };
+  }
+
+  const [host, port] = value.split(':');
+  return { host, port: port ? parseInt(port, 10) : defaultPort, explicitPort: port !== undefined };
+}
+
+// Check that an address names a public IP or host name and a valid port.
+// Resolves nothing. Returns { host, port, explicitPort } or { error }.
+export function validateServerAddress(address, defaultPort = DEFAULT_JAVA_PORT) {
+  const value = String(address || '').trim();
+  if (!value) return { error: 'Server address is required' };
+  if (value.length > 260) return { error: 'Server address is too long' };
+
+  const parsed = parseServerAddress(value, defaultPort);
+  if (!Number.isInteger(parsed.port) || parsed.port < 1 || parsed.port > 65535 || (parsed.explicitPort && !/:\d+$/.test(value))) {
+    return { error: 'Server port must be a number between 1 and 65535' };
+  }
+
+  const host = parsed.host.replace(/\.$/, '');
+  if (net.isIP(host)) {
+    if (!isAllowedIp(host)) return { error: `${host} is a loopback, private or otherwise non-public address` };
+    return { ...parsed, host };
+  }
+
+  const labels = host.split('.');
+  if (host.length > 253 || labels.length < 2 || !labels.every(label => HOSTNAME_LABEL.test(label)) || /^\d+$/.test(labels[labels.length - 1])) {
+    return { error: `"${parsed.host}" is not a valid host name or IP address` };
+  }
+  return { ...parsed, host: host.toLowerCase() };
+}
+
+// --- Resolvers ---
+
+// Node's DNS with a timeout. Resolvers implement resolveSrv, resolve4 and
+// resolve6 like dns.promises and reject with an error whose `code` is ENOTFOUND
+// or ENODATA when there is no such record.
+export function createSystemResolver(options = {}) {
+  const resolver = new dns.promises.Resolver({ timeout: options.timeout || RESOLVER_CONFIG.timeout, tries: 2 });
+  return {
+    resolveSrv: (name) => resolver.resolveSrv(name),
+    resolve4: (host) => resolver.resolve4(host),
+    resolve6: (host) => resolver.resolve6(host)
+  };
+}
+
+// A resolver answering from a fixed map, for tests and local development:
+// { "play.example.net": { "A": ["203.0.113.5"], "AAAA": [...] },
+//   "_minecraft._tcp.example.net": { "SRV": [{ "name": "mc1.example.net", "port": 25570, "priority": 0, "weight": 5 }] } }
+export function createStubResolver(records) {
+  const answer = (name, type) => {
+    const values = records[String(name).toLowerCase()]?.[type];
+    if (values && values.length) return Promise.resolve(values);
+    const error = new Error(`${type} ${name} not found`);
+    error.code = records[String(name).toLowerCase()] ? 'ENODATA' : 'ENOTFOUND';
+    return Promise.reject(error);
+  };
+  return {
+    resolveSrv: (name) => answer(name, 'SRV'),
+    resolve4: (host) => answer(host, 'A'),
+    resolve6: (host) => answer(host, 'AAAA')
+  };
+}
+
+let activeResolver = createSystemResolver();
+const cache = new Map();
+
+// Replace the resolver used by resolveServerAddress (and clear the cache)
+export function setResolver(resolver) {
+  activeResolver = resolver;
+  cache.clear();
+}
+
+export function clearResolverCache() {
+  cache.clear();
+}
+
+function isMissing(error) {
+  return error && (error.code === 'ENOTFOUND' || error.code === 'ENODATA');
+}
+
+// Lowest priority first, then highest weight (no random weighting, so a
+// listing always resolves to the same target)
+function pickSrvRecord(records) {
+  return [...records].sort((a, b) => a.priority - b.priority || b.weight - a.weight)[0];
+}
+
+async function resolveIp(resolver, host) {
+  if (net.isIP(host)) return host;
+  try {
+    return (await resolver.resolve4(host))[0];
+  } catch (error) {
+    if (!isMissing(error)) throw error;
+  }
+  return (await resolver.resolve6(host))[0];
+}
+
+async function lookup(resolver, parsed, edition) {
+  let target = { host: parsed.host, port: parsed.port };
+  let srv = false;
+
+  // Java addresses without a port may point elsewhere through SRV
+  if (edition !== 'bedrock' && !parsed.explicitPort && !net.isIP(parsed.host)) {
+    try {
+      const record = pickSrvRecord(await resolver.resolveSrv(SRV_PREFIX + parsed.host));
+      if (record) {
+        target = { host: record.name.replace(/\.$/, '').toLowerCase(), port: record.port };
+        srv = true;
+      }
+    } catch (error) {
+      if (!isMissing(error)) throw error;
+    }
+  }
+
+  try {
+    const ip = await resolveIp(resolver, target.host);
+    if (!isAllowedIp(ip)) {
+      return { error: `${target.host} resolves to ${ip}, a loopback, private or otherwise non-public address` };
+    }
+    return { host: parsed.host, port: parsed.port, srv, target: { ...target, ip } };
+  } catch (error) {
+    if (!isMissing(error)) throw error;
+    return { error: srv ? `${target.host} (the SRV target of ${parsed.host}) has no A or AAAA records` : `${parsed.host} has no SRV, A or AAAA records` };
+  }
+}
+
+function remember(key, value, ttl) {
+  if (cache.size >= RESOLVER_CONFIG.maxCacheEntries) {
+    const now = Date.now();
+    cache.forEach((entry, entryKey) => {
+      if (entry.expires <= now) cache.delete(entryKey);
+    });
+    if (cache.size >= RESOLVER_CONFIG.maxCacheEntries) cache.delete(cache.keys().next().value);
+  }
+  cache.set(key, { value, expires: Date.now() + ttl });
+}
+
+// Resolve a listing address the way a client of `edition` would: Java
+// addresses without a port follow `_minecraft._tcp` SRV records, then the
+// target host is resolved to an IPv4 (or else IPv6) address. Results are
+// cached, failures for a shorter time. Resolves with
+// { host, port, srv, target: { host, port, ip } } or { error } for invalid
+// or unresolvable addresses and ones that resolve to non-public IPs; DNS
+// errors other than missing records reject.
+export async function resolveServerAddress(address, options = {}) {
+  const edition = options.edition || 'java';
+  const parsed = validateServerAddress(address, edition === 'bedrock' ? DEFAULT_BEDROCK_PORT : DEFAULT_JAVA_PORT);
+  if (parsed.error) return { error: parsed.error };
+
+  const key = `${edition === 'bedrock' ? 'bedrock' : 'java'} ${parsed.host} ${parsed.explicitPort ? parsed.port : ''}`;
+  const cached = cache.get(key);
+  if (cached && cached.expires > Date.now()) return cached.value;
+
+  const result = await lookup(options.resolver || activeResolver, parsed, edition);
+  remember(key, result, result.error ? RESOLVER_CONFIG.failureTtl : RESOLVER_CONFIG.cacheTtl);
+  return result;
+}
@@ -0,0 +1,72 @@
+// database.js - Promise helpers for the shared sqlite3 connection
+
+export function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) reject(err);
+      else resolve(this);
+    });
+  });
+}
+
+export function get(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+}
+
+export function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+}
+
+// Transactions waiting for the one before them, per connection
+const transactionQueues = new WeakMap();
+
+function executeTransaction(db, statements) {
+  return new Promise((resolve, reject) => {
+    let failure = null;
+    const track = (err) => {
+      if (err && !failure) failure = err;
+    };
+    const end = () => {
+      db.run(failure ? 'ROLLBACK' : 'COMMIT', (endErr) => {
+        track(endErr);
+        if (failure) reject(failure);
+        else resolve();
+      });
+    };
+
+    db.serialize(() => {
+      db.run('BEGIN TRANSACTION', track);
+      if (!statements.length) return end();
+      statements.forEach((statement, index) => {
+        const [sql, params = []] = Array.isArray(statement) ? statement : [statement];
+        db.run(sql, params, (err) => {
+          track(err);
+          // Statements run in order, so the last callback sees every earlier result
+          if (index === statements.length - 1) end();
+        });
+      });
+    });
+  });
+}
+
+// Run statements ([sql, params] pairs or plain SQL) in one transaction,
+// rolling back on the first error. A connection has only one transaction at a
+// time, so transactions on the same connection are queued: an overlapping
+// BEGIN would fail and its statements would run (and roll back) inside the
+// other caller's transaction.
+export function runInTransaction(db, statements) {
+  const previous = transactionQueues.get(db) || Promise.resolve();
+  const transaction = previous.then(() => executeTransaction(db, statements));
+  transactionQueues.set(db, transaction.catch(() => {}));
+  return transaction;
+}
@@ -0,0 +1,219 @@
+// descriptions.js - Listing descriptions: a safe Markdown subset with Minecraft § formatting codes, rendered to HTML on the server, and length limits per plan
+import { escapeHtml } from './public/format.js';
+import { run, all } from './database.js';
+
+// Longest description (in characters of Markdown) per listing plan; the
+// servers.plan CHECK constraint allows only 'free' and 'paid'
+export const DESCRIPTION_LIMITS = {
+  free: 1000,
+  paid: 2500
+};
+
+const PLAN_LABELS = { free: 'Free', paid: 'Featured' };
+
+export function descriptionLimit(plan) {
+  return DESCRIPTION_LIMITS[plan] || DESCRIPTION_LIMITS.free;
+}
+
+// Check a submitted description against the limit of the listing's plan.
+// Returns { description } or { error }.
+export function checkDescription(description, plan) {
+  if (description === undefined || description === null) return { description: '' };
+  if (typeof description !== 'string') return { error: 'Description must be text' };
+
+  const limit = descriptionLimit(plan);
+  if (description.length > limit) {
+    return { error: `Descriptions on the ${PLAN_LABELS[plan] || PLAN_LABELS.free} plan can be at most ${limit} characters (this one has ${description.length})` };
+  }
+  return { description };
+}
+
+// --- Rendering ---
+//
+// Supported: "# " to "### " headings, "- " / "* " and "1. " lists, **bold**,
+// *italic*, [links](https://...) and § codes (§0-§9 and §a-§f colors, §l bold,
+// §o italic, §n underline, §m strikethrough, §k obfuscated, §r reset).
+// Everything else is text. The output is only ever built from escaped text and
+// the tags above, so it is safe to insert as HTML without further sanitizing.
+
+// Control characters other than tab and newline
+const CONTROL_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g;
+
+const HEADING = /^(#{1,3})\s+(.+?)\s*#*\s*$/;
+const UNORDERED_ITEM = /^\s*[-*+]\s+(.*)$/;
+const ORDERED_ITEM = /^\s*\d{1,9}[.)]\s+(.*)$/;
+
+// Inline Markdown, first match wins: [text](url), **bold**, __bold__, *italic*, _italic_
+const INLINE = /\[([^\]\n]+)\]\(([^)\s]+)\)|\*\*(.+?)\*\*|__(.+?)__|\*(?!\s)(.+?)(?<!\s)\*|(?<![a-z0-9])_(?!\s)(.+?)(?<!\s)_(?![a-z0-9])/i;
+
+const FORMAT_CODE = /§([0-9a-fk-or])/i;
+const STYLE_CODES = { k: 'obfuscated', l: 'bold', m: 'strikethrough', n: 'underline', o: 'italic' };
+
+// Headings start below the listing name (h1) and the page sections (h2)
+const HEADING_TAGS = ['h3', 'h4', 'h5'];
+
+// Only absolute http(s) links, normalized
+function safeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return ['http:', 'https:'].includes(parsed.protocol) ? parsed.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function newFormatState() {
+  return { color: null, obfuscated: false, bold: false, strikethrough: false, underline: false, italic: false };
+}
+
+// Like the game: a color code also clears the styles before it
+function applyFormatCode(state, code) {
+  if (code === 'r') {
+    Object.assign(state, newFormatState());
+  } else if (STYLE_CODES[code]) {
+    state[STYLE_CODES[code]] = true;
+  } else {
+    Object.assign(state, newFormatState(), { color: code });
+  }
+}
+
+function formatClasses(state) {
+  const classes = state.color ? [`mc-${state.color}`] : [];
+  Object.entries(STYLE_CODES).forEach(([code, style]) => {
+    if (state[style]) classes.push(`mc-${code}`);
+  });
+  return classes.join(' ');
+}
+
+// Plain text with § codes. Each run of text gets its own span, so the
+// formatting never has to cross the Markdown tags around it.
+function renderText(text, state) {
+  return text.split(new RegExp(FORMAT_CODE.source, 'gi')).map((part, index) => {
+    if (index % 2 === 1) {
+      applyFormatCode(state, part.toLowerCase());
+      return '';
+    }
+    if (!part) return '';
+    const classes = formatClasses(state);
+    return classes ? `<span class="${classes}">${escapeHtml(part)}</span>` : escapeHtml(part);
+  }).join('');
+}
+
+function renderInline(text, state) {
+  let html = '';
+  let rest = text;
+
+  while (rest) {
+    const match = rest.match(INLINE);
+    if (!match) {
+      html += renderText(rest, state);
+      break;
+    }
+
+    html += renderText(rest.slice(0, match.index), state);
+    const [whole, linkText, linkUrl, strong, strongAlt, em, emAlt] = match;
+    if (linkText !== undefined) {
+      const href = safeUrl(linkUrl);
+      html += href
+        ? `<a href="${escapeHtml(href)}" target="_blank" rel="nofollow ugc noopener noreferrer">${renderInline(linkText, state)}</a>`
+        : renderText(whole, state);
+    } else if (strong !== undefined || strongAlt !== undefined) {
+      html += `<strong>${renderInline(strong ?? strongAlt, state)}</strong>`;
+    } else {
+      html += `<em>${renderInline(em ?? emAlt, state)}</em>`;
+    }
+    rest = rest.slice(match.index + whole.length);
+  }
+
+  return html;
+}
+
+// § formatting carries on until the end of the paragraph, heading or list
+// item it was used in
+function renderBlockText(text) {
+  return renderInline(text, newFormatState());
+}
+
+// Render a description to HTML ('' for an empty description)
+export function renderDescription(markdown) {
+  const lines = String(markdown || '').replace(/\r\n?/g, '\n').replace(CONTROL_CHARS, '').split('\n');
+  const blocks = [];
+  let paragraph = [];
+  let list = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length) blocks.push(`<p>${paragraph.map(renderBlockText).join('<br>')}</p>`);
+    paragraph = [];
+  };
+  const flushList = () => {
+    if (list) blocks.push(`<${list.tag}>${list.items.map(item => `<li>${renderBlockText(item)}</li>`).join('')}</${list.tag}>`);
+    list = null;
+  };
+
+  lines.forEach(line => {
+    const heading = line.match(HEADING);
+    const unordered = line.match(UNORDERED_ITEM);
+    const ordered = !unordered && line.match(ORDERED_ITEM);
+
+    if (!line.trim()) {
+      flushParagraph();
+      flushList();
+    } else if (heading) {
+      flushParagraph();
+      flushList();
+      const tag = HEADING_TAGS[heading[1].length - 1];
+      blocks.push(`<${tag}>${renderBlockText(heading[2])}</${tag}>`);
+    } else if (unordered || ordered) {
+      const tag = unordered ? 'ul' : 'ol';
+      flushParagraph();
+      if (list && list.tag !== tag) flushList();
+      if (!list) list = { tag, items: [] };
+      list.items.push((unordered || ordered)[1]);
+    } else if (list && /^\s+\S/.test(line)) {
+      // Indented lines continue the list item above
+      list.items[list.items.length - 1] += ` ${line.trim()}`;
+    } else {
+      flushList();
+      paragraph.push(line.trim());
+    }
+  });
+  flushParagraph();
+  flushList();
+
+  return blocks.join('\n');
+}
+
+const HTML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+// Text of a rendered description, without markup or formatting codes, for the
+// search index and meta tags
+export function descriptionToText(html) {
+  return String(html || '')
+    .replace(/<br>|<\/(p|h\d|li)>/g, ' ')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(amp|lt|gt|quot|#39);/g, entity => HTML_ENTITIES[entity])
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// What listings store of a description besides the Markdown: the HTML shown
+// on the site (description_html) and its plain text (description_text), which
+// is what search indexes and takes snippets from
+export function renderDescriptionColumns(markdown) {
+  const html = renderDescription(markdown);
+  return { html, text: descriptionToText(html) };
+}
+
+// --- Stored HTML ---
+
+// Render the stored HTML and text of listings that don't have them yet
+// (listings from before descriptions were Markdown or searched as plain text).
+// Resolves with the number rendered.
+export async function renderMissingDescriptions(db) {
+  const rows = await all(db, 'SELECT id, description FROM servers WHERE description_html IS NULL OR description_text IS NULL');
+  for (const row of rows) {
+    const rendered = renderDescriptionColumns(row.description);
+    await run(db, 'UPDATE servers SET description_html = ?, description_text = ? WHERE id = ?', [rendered.html, rendered.text, row.id]);
+  }
+  return rows.length;
+}
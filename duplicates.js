@@ -0,0 +1,221 @@
+// duplicates.js - Detection of listings registered more than once (same host, same resolved address, similar name) and merging them
+import net from 'net';
+import { parseServerAddress } from './address-resolver.js';
+import { all, runInTransaction } from './database.js';
+
+export const DUPLICATE_POLICIES = ['off', 'warn', 'block'];
+
+// Site setting defaults for duplicate detection
+export const DUPLICATE_SETTING_DEFAULTS = {
+  duplicate_policy: 'warn'  // off, warn (create and report the matches) or block (409 for the same address)
+};
+
+// Reasons a listing counts as a duplicate of another. Matching addresses are
+// conclusive; similar names alone only ever warn.
+export const ADDRESS_REASONS = ['hostname', 'address'];
+
+// Names at least this similar (1 = identical after normalizing) are reported
+const NAME_SIMILARITY_THRESHOLD = 0.85;
+
+// Subdomains that commonly point at the same server as the bare domain
+const HOST_PREFIX_PATTERN = /^(www|play|mc|join|server)\./;
+
+// Words that say nothing about which server a name refers to
+const NAME_FILLER_PATTERN = /\b(minecraft|mc|server|network|official)\b/g;
+
+// "Play.Example.com.:25565" and "example.com" both become "example.com:25565"
+export function normalizeHost(address) {
+  const { host, port } = parseServerAddress(address);
+  let normalized = String(host || '').toLowerCase().replace(/\.$/, '');
+  if (!net.isIP(normalized) && normalized.split('.').length > 2) {
+    normalized = normalized.replace(HOST_PREFIX_PATTERN, '');
+  }
+  return normalized ? `${normalized}:${port}` : null;
+}
+
+// The IP and port a listing resolved to (after SRV records), or null before
+// it was resolved
+export function addressKey(resolvedIp, resolvedPort) {
+  if (!resolvedIp) return null;
+  return net.isIP(resolvedIp) === 6 ? `[${resolvedIp}]:${resolvedPort}` : `${resolvedIp}:${resolvedPort}`;
+}
+
+// "The Skyblock Network™" -> "theskyblock"
+export function normalizeName(name) {
+  // Symbols go first: NFKD would turn "™" into letters glued to the word before it
+  const lower = String(name || '').replace(/\p{S}/gu, ' ').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+  const stripped = lower.replace(NAME_FILLER_PATTERN, '').replace(/[^a-z0-9]/g, '');
+  return stripped || lower.replace(/[^a-z0-9]/g, '');
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// 1 for identical normalized names, 0 for nothing in common
+export function nameSimilarity(a, b) {
+  if (!a || !b) return 0;
+  const longest = Math.max(a.length, b.length);
+  // The edit distance is at least the difference in length
+  if (1 - Math.abs(a.length - b.length) / longest < NAME_SIMILARITY_THRESHOLD) return 0;
+  return 1 - levenshtein(a, b) / longest;
+}
+
+// Precompute the comparison keys of a listing ({ name, ip, resolved_ip, resolved_port })
+function fingerprint(listing) {
+  return {
+    host: normalizeHost(listing.ip),
+    address: addressKey(listing.resolved_ip, listing.resolved_port),
+    name: normalizeName(listing.name)
+  };
+}
+
+// Why `a` and `b` look like the same server: any of 'hostname', 'address', 'name'
+function matchReasons(a, b) {
+  const reasons = [];
+  if (a.host && a.host === b.host) reasons.push('hostname');
+  if (a.address && a.address === b.address) reasons.push('address');
+  if (nameSimilarity(a.name, b.name) >= NAME_SIMILARITY_THRESHOLD) reasons.push('name');
+  return reasons;
+}
+
+export function isAddressMatch(duplicate) {
+  return duplicate.reasons.some(reason => ADDRESS_REASONS.includes(reason));
+}
+
+// Listings that aren't in the trash, with what the duplicate views show of them
+function getCandidates(db) {
+  return all(
+    db,
+    `SELECT s.id, s.slug, s.name, s.ip, s.resolved_ip, s.resolved_port, s.votes, s.plan, s.moderation_status, s.created_at,
+            s.owner_id, u.username as owner_username
+     FROM servers s
+     LEFT JOIN users u ON u.id = s.owner_id
+     WHERE s.deleted_at IS NULL
+     ORDER BY s.id`
+  );
+}
+
+// A candidate as shown to admins, without the fields only used for matching
+function describeCandidate({ resolved_ip: resolvedIp, resolved_port: resolvedPort, owner_id: ownerId, ...listing }) {
+  return listing;
+}
+
+function matchCandidates(candidates, listing) {
+  const keys = fingerprint(listing);
+  return candidates
+    .filter(({ candidate }) => candidate.id !== listing.id)
+    .map(({ candidate, keys: other }) => ({ ...describeCandidate(candidate), reasons: matchReasons(keys, other) }))
+    .filter(match => match.reasons.length);
+}
+
+async function getFingerprintedCandidates(db) {
+  return (await getCandidates(db)).map(candidate => ({ candidate, keys: fingerprint(candidate) }));
+}
+
+// Existing listings that look like `listing` ({ id?, name, ip, resolved_ip, resolved_port }),
+// oldest first, each with the `reasons` it matched on
+export async function findDuplicates(db, listing) {
+  return matchCandidates(await getFingerprintedCandidates(db), listing);
+}
+
+// Duplicates of several listings at once, keyed by listing id
+export async function findDuplicatesFor(db, listings) {
+  const candidates = await getFingerprintedCandidates(db);
+  const result = {};
+  listings.forEach(listing => {
+    result[listing.id] = matchCandidates(candidates, listing);
+  });
+  return result;
+}
+
+// Groups of listings that look like the same server. Two listings end up in
+// one cluster when they match directly or through other listings. Largest
+// clusters first; each has the union of `reasons` its members matched on.
+export async function getDuplicateClusters(db) {
+  const candidates = await getCandidates(db);
+  const keys = candidates.map(fingerprint);
+
+  // Union-find over listing positions
+  const parent = candidates.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const reasonsByRoot = new Map();
+  const pairReasons = [];
+
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) {
+      const reasons = matchReasons(keys[i], keys[j]);
+      if (!reasons.length) continue;
+      parent[find(i)] = find(j);
+      pairReasons.push([i, reasons]);
+    }
+  }
+  pairReasons.forEach(([i, reasons]) => {
+    const root = find(i);
+    const merged = reasonsByRoot.get(root) || new Set();
+    reasons.forEach(reason => merged.add(reason));
+    reasonsByRoot.set(root, merged);
+  });
+
+  const members = new Map();
+  candidates.forEach((candidate, i) => {
+    const root = find(i);
+    if (!reasonsByRoot.has(root)) return;
+    if (!members.has(root)) members.set(root, []);
+    members.get(root).push(describeCandidate(candidate));
+  });
+
+  return [...members.entries()]
+    .map(([root, servers]) => ({ reasons: [...reasonsByRoot.get(root)], servers }))
+    .sort((a, b) => b.servers.length - a.servers.length || a.servers[0].id - b.servers[0].id);
+}
+
+// Merge duplicate listings into `targetId`: their vote counts are added to
+// the target, their vote history and favorites move over, and they go to the
+// trash with no votes left (so restoring one can't count votes twice). The
+// merge is logged as a moderation note on the target. Resolves with
+// { merged, votes } or { error } when a listing is missing or in the trash.
+export async function mergeServers(db, { targetId, sourceIds, adminId }) {
+  const ids = [...new Set(sourceIds.map(id => parseInt(id, 10)))].filter(id => id !== targetId);
+  if (!ids.length) return { error: 'Pick at least one other listing to merge' };
+
+  const rows = await all(
+    db,
+    `SELECT id, votes FROM servers WHERE id IN (${[targetId, ...ids].map(() => '?').join(', ')}) AND deleted_at IS NULL`,
+    [targetId, ...ids]
+  );
+  if (rows.length !== ids.length + 1) return { error: 'Server not found' };
+
+  const placeholders = ids.map(() => '?').join(', ');
+  const votes = rows.filter(row => row.id !== targetId).reduce((sum, row) => sum + row.votes, 0);
+
+  await runInTransaction(db, [
+    // Votes from the same device on the same day as one for the target stay behind
+    [`UPDATE OR IGNORE votes SET server_id = ? WHERE server_id IN (${placeholders})`, [targetId, ...ids]],
+    [`UPDATE servers SET votes = votes + ? WHERE id = ?`, [votes, targetId]],
+    [`INSERT OR IGNORE INTO user_favorites (user_id, server_id, created_at)
+      SELECT user_id, ?, created_at FROM user_favorites WHERE server_id IN (${placeholders})`, [targetId, ...ids]],
+    [`UPDATE servers SET votes = 0, deleted_at = CURRENT_TIMESTAMP, deleted_by = ? WHERE id IN (${placeholders})`, [adminId, ...ids]],
+    [`INSERT INTO server_moderation_notes (server_id, author_id, note) VALUES (?, ?, ?)`,
+      [targetId, adminId, `Merged duplicate listing${ids.length === 1 ? '' : 's'} ${ids.map(id => `#${id}`).join(', ')} (${votes} votes)`]]
+  ]);
+
+  return { merged: ids, votes };
+}
+
+// What the duplicate_policy setting asks for, falling back to warn
+export function resolveDuplicatePolicy(settings) {
+  return DUPLICATE_POLICIES.includes(settings.duplicate_policy) ? settings.duplicate_policy : DUPLICATE_SETTING_DEFAULTS.duplicate_policy;
+}
@@ -0,0 +1,161 @@
+// embed.js - Embeddable SVG badges and iframe widgets that owners put on their own sites
+import crypto from 'crypto';
+import { serverPagePath, DEFAULT_SITE_TITLE } from './server-pages.js';
+import { escapeHtml } from './public/format.js';
+
+const BADGE_HEIGHT = 20;
+const BADGE_PADDING = 8;
+const MAX_NAME_LENGTH = 28;
+
+export const EMBED_THEMES = {
+  dark: { background: '#0f172a', label: '#1e293b', text: '#e2e8f0', muted: '#94a3b8', online: '#22c55e', offline: '#ef4444', border: '#334155' },
+  light: { background: '#ffffff', label: '#f1f5f9', text: '#0f172a', muted: '#64748b', online: '#16a34a', offline: '#dc2626', border: '#cbd5e1' },
+  grass: { background: '#3b2a1a', label: '#4d7c2a', text: '#ffffff', muted: '#d6c7a1', online: '#7ed957', offline: '#f87171', border: '#2a1d12' }
+};
+
+export function resolveTheme(theme) {
+  return EMBED_THEMES[theme] ? theme : 'dark';
+}
+
+const numberFormat = new Intl.NumberFormat('en-US');
+
+function truncate(text, length) {
+  const value = String(text || '');
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+}
+
+// Rough text width in pixels for 11px Verdana-like fonts, good enough to size
+// the badge segments without measuring glyphs
+function textWidth(text) {
+  let width = 0;
+  for (const char of text) {
+    if ('iljtf.,:;!|\'· '.includes(char)) width += 4;
+    else if (/[A-Z#mwMW0-9]/.test(char)) width += 7.5;
+    else width += 6.5;
+  }
+  return Math.ceil(width);
+}
+
+// "Online 87/200", "Offline" or "Status unknown"
+function statusLabel(server) {
+  if (!server.status_checked_at) return 'Status unknown';
+  if (!server.online) return 'Offline';
+  return `Online ${server.players_online ?? 0}/${server.players_max ?? 0}`;
+}
+
+function statusColor(server, colors) {
+  if (!server.status_checked_at) return colors.muted;
+  return server.online ? colors.online : colors.offline;
+}
+
+// "Rank #4 · 1,203 votes · Online 87/200"
+export function badgeSummary(server) {
+  return [
+    `Rank #${server.rank_position}`,
+    `${numberFormat.format(server.votes)} vote${server.votes === 1 ? '' : 's'}`,
+    statusLabel(server)
+  ].join(' · ');
+}
+
+function renderBadgeSvg({ label, value, dotColor, colors }) {
+  const labelWidth = textWidth(label) + BADGE_PADDING * 2;
+  const dotSpace = dotColor ? 12 : 0;
+  const valueWidth = textWidth(value) + BADGE_PADDING * 2 + dotSpace;
+  const width = labelWidth + valueWidth;
+  const title = `${label}: ${value}`;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${BADGE_HEIGHT}" role="img" aria-label="${escapeHtml(title)}">
+  <title>${escapeHtml(title)}</title>
+  <clipPath id="r"><rect width="${width}" height="${BADGE_HEIGHT}" rx="3"/></clipPath>
+  <g clip-path="url(#r)">
+    <rect width="${labelWidth}" height="${BADGE_HEIGHT}" fill="${colors.label}"/>
+    <rect x="${labelWidth}" width="${valueWidth}" height="${BADGE_HEIGHT}" fill="${colors.background}"/>
+    <rect width="${width}" height="${BADGE_HEIGHT}" fill="none" stroke="${colors.border}" rx="3"/>
+  </g>
+  <g font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11" fill="${colors.text}">
+    <text x="${BADGE_PADDING}" y="14">${escapeHtml(label)}</text>
+    ${dotColor ? `<circle cx="${labelWidth + BADGE_PADDING + 4}" cy="10" r="4" fill="${dotColor}"/>` : ''}
+    <text x="${labelWidth + BADGE_PADDING + dotSpace}" y="14">${escapeHtml(value)}</text>
+  </g>
+</svg>`;
+}
+
+// Badge for a listing from getListing()
+export function renderBadge(server, theme = 'dark') {
+  const colors = EMBED_THEMES[resolveTheme(theme)];
+  return renderBadgeSvg({
+    label: truncate(server.name, MAX_NAME_LENGTH),
+    value: badgeSummary(server),
+    dotColor: statusColor(server, colors),
+    colors
+  });
+}
+
+// Shown instead of a badge when the listing was deleted or isn't public
+export function renderFallbackBadge(theme = 'dark', siteTitle = DEFAULT_SITE_TITLE) {
+  const colors = EMBED_THEMES[resolveTheme(theme)];
+  return renderBadgeSvg({ label: truncate(siteTitle, MAX_NAME_LENGTH), value: 'Listing unavailable', dotColor: null, colors });
+}
+
+function renderWidgetDocument({ title, colors, body }) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <meta name="robots" content="noindex" />
+  <title>${escapeHtml(title)}</title>
+  <style>
+    html,body{margin:0;padding:0;background:transparent}
+    body{font:14px/1.4 system-ui,-apple-system,"Segoe UI",Roboto,sans-serif;color:${colors.text}}
+    .widget{box-sizing:border-box;max-width:360px;padding:12px 14px;border:1px solid ${colors.border};border-radius:10px;background:${colors.background}}
+    .name{margin:0 0 2px;font-size:16px;font-weight:600;white-space:nowrap;overflow:hidden;text-overflow:ellipsis}
+    .name a{color:inherit;text-decoration:none}
+    .ip{margin:0 0 8px;color:${colors.muted};font-family:ui-monospace,Menlo,Consolas,monospace;font-size:13px}
+    .stats{display:flex;gap:12px;flex-wrap:wrap;margin:0 0 10px}
+    .dot{display:inline-block;width:8px;height:8px;border-radius:50%;margin-right:5px;vertical-align:middle}
+    .vote{display:inline-block;padding:6px 12px;border-radius:6px;background:${colors.label};color:${colors.text};text-decoration:none;font-weight:600}
+    .muted{color:${colors.muted};margin:0}
+  </style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+// Iframe widget for a listing from getListing(). Links open the listing page
+// on `baseUrl` in a new tab.
+export function renderWidget(server, { theme = 'dark', baseUrl = '', siteTitle = DEFAULT_SITE_TITLE } = {}) {
+  const colors = EMBED_THEMES[resolveTheme(theme)];
+  const pageUrl = `${baseUrl}${serverPagePath(server)}`;
+
+  const body = `  <div class="widget">
+    <p class="name"><a href="${escapeHtml(pageUrl)}" target="_blank" rel="noopener">${escapeHtml(server.name)}</a></p>
+    <p class="ip">${escapeHtml(server.ip)}</p>
+    <p class="stats">
+      <span><span class="dot" style="background:${statusColor(server, colors)}"></span>${escapeHtml(statusLabel(server))}</span>
+      <span>Rank #${server.rank_position}</span>
+      <span>${numberFormat.format(server.votes)} vote${server.votes === 1 ? '' : 's'}</span>
+      ${server.version_range ? `<span>${escapeHtml(server.version_range)}</span>` : ''}
+    </p>
+    <a class="vote" href="${escapeHtml(pageUrl)}" target="_blank" rel="noopener">Vote on ${escapeHtml(siteTitle)}</a>
+  </div>`;
+
+  return renderWidgetDocument({ title: `${server.name} - ${siteTitle}`, colors, body });
+}
+
+export function renderFallbackWidget({ theme = 'dark', baseUrl = '', siteTitle = DEFAULT_SITE_TITLE } = {}) {
+  const colors = EMBED_THEMES[resolveTheme(theme)];
+  const body = `  <div class="widget">
+    <p class="name">Listing unavailable</p>
+    <p class="muted">This server is no longer listed on <a href="${escapeHtml(baseUrl)}/" target="_blank" rel="noopener" style="color:inherit">${escapeHtml(siteTitle)}</a>.</p>
+  </div>`;
+
+  return renderWidgetDocument({ title: siteTitle, colors, body });
+}
+
+// Weak ETag over a rendered embed, so unchanged badges are answered with 304
+export function embedEtag(body) {
+  return `W/"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+}
@@ -0,0 +1,63 @@
+// favorites.js - Listings bookmarked by players, and notifying them when those listings change
+import { notifyUsers } from './notifications.js';
+import { run, all } from './database.js';
+
+export function initializeFavoriteTables(db) {
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      db.run(`CREATE TABLE IF NOT EXISTS user_favorites (
+        user_id INTEGER NOT NULL,
+        server_id INTEGER NOT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY(user_id, server_id),
+        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY(server_id) REFERENCES servers(id) ON DELETE CASCADE
+      )`);
+
+      db.run(`CREATE INDEX IF NOT EXISTS idx_user_favorites_server ON user_favorites(server_id)`, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  });
+}
+
+// Resolves with true when the listing wasn't a favorite yet
+export async function addFavorite(db, userId, serverId) {
+  const result = await run(db, 'INSERT OR IGNORE INTO user_favorites (user_id, server_id) VALUES (?, ?)', [userId, serverId]);
+  return result.changes > 0;
+}
+
+export async function removeFavorite(db, userId, serverId) {
+  const result = await run(db, 'DELETE FROM user_favorites WHERE user_id = ? AND server_id = ?', [userId, serverId]);
+  return result.changes > 0;
+}
+
+// Ids of the listings a user favorited, for marking hearts in the directory
+export async function getFavoriteIds(db, userId) {
+  const rows = await all(db, 'SELECT server_id FROM user_favorites WHERE user_id = ? ORDER BY created_at DESC', [userId]);
+  return rows.map(row => row.server_id);
+}
+
+// Tell everyone who favorited a listing that it went offline. Players who
+// haven't read the previous offline notice yet don't get another one.
+export function notifyServerOffline(db, server) {
+  return notifyUsers(db, {
+    recipientsSql: 'SELECT user_id FROM user_favorites WHERE server_id = ?',
+    recipientParams: [server.id],
+    serverId: server.id,
+    type: 'server_offline',
+    message: `${server.name} went offline`,
+    skipIfUnread: true
+  });
+}
+
+export function notifyServerAddressChanged(db, server, previousIp) {
+  return notifyUsers(db, {
+    recipientsSql: 'SELECT user_id FROM user_favorites WHERE server_id = ?',
+    recipientParams: [server.id],
+    serverId: server.id,
+    type: 'server_ip_changed',
+    message: `${server.name} moved from ${previousIp} to ${server.ip}`
+  });
+}
@@ -0,0 +1,75 @@
+// feeds.js - Atom feeds of public listings (newest, top voted, per tag) for bots and community sites
+import { serverPagePath, DEFAULT_SITE_TITLE } from './server-pages.js';
+import { escapeHtml } from './public/format.js';
+
+// Listings per feed
+export const FEED_SIZE = 50;
+
+// Characters XML 1.0 doesn't allow at all, even escaped
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+export function escapeXml(value) {
+  return escapeHtml(String(value ?? '').replace(INVALID_XML_CHARS, ''));
+}
+
+// SQLite's "2024-05-01 12:00:00" (UTC) as RFC 3339
+export function toAtomDate(value) {
+  const date = value ? new Date(`${String(value).replace(' ', 'T')}Z`) : new Date();
+  return Number.isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+// Entry ids use the numeric listing id, not the slug, so they stay the same
+// when an owner renames the listing
+function entryId(server, baseUrl) {
+  return `${baseUrl}/server/${server.id}`;
+}
+
+// The rendered description (see descriptions.js), escaped once more as Atom
+// requires for type="html"; plain text for listings not rendered yet
+function renderContent(server) {
+  if (server.description_html) return `\n    <content type="html">${escapeXml(server.description_html)}</content>`;
+  if (server.description) return `\n    <content type="text">${escapeXml(server.description)}</content>`;
+  return '';
+}
+
+function renderEntry(server, baseUrl) {
+  const pageUrl = `${baseUrl}${serverPagePath(server)}`;
+  const categories = (server.tags || [])
+    .map(tag => `\n    <category term="${escapeXml(tag.slug)}" label="${escapeXml(tag.name)}"/>`)
+    .join('');
+  const summary = [server.ip, server.version_range && `Versions ${server.version_range}`, `${server.votes} vote${server.votes === 1 ? '' : 's'}`]
+    .filter(Boolean)
+    .join(' · ');
+
+  return `  <entry>
+    <id>${escapeXml(entryId(server, baseUrl))}</id>
+    <title type="text">${escapeXml(server.name)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(pageUrl)}"/>
+    <published>${toAtomDate(server.created_at)}</published>
+    <updated>${toAtomDate(server.updated_at || server.created_at)}</updated>
+    <author><name>${escapeXml(server.owner_username || 'Unknown')}</name></author>
+    <summary type="text">${escapeXml(summary)}</summary>${renderContent(server)}${categories}
+  </entry>`;
+}
+
+// Atom document for `servers` (rows from listServers()). `selfPath` is the
+// feed's own path, which also serves as its id; the feed is as recent as its
+// most recently updated entry.
+export function renderAtomFeed({ title, subtitle, selfPath, servers, baseUrl }) {
+  const updated = servers.length
+    ? servers.map(server => toAtomDate(server.updated_at || server.created_at)).sort().pop()
+    : toAtomDate();
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(`${baseUrl}${selfPath}`)}</id>
+  <title type="text">${escapeXml(title)}</title>${subtitle ? `
+  <subtitle type="text">${escapeXml(subtitle)}</subtitle>` : ''}
+  <link rel="self" type="application/atom+xml" href="${escapeXml(`${baseUrl}${selfPath}`)}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(`${baseUrl}/`)}"/>
+  <updated>${updated}</updated>
+  <generator>${escapeXml(DEFAULT_SITE_TITLE)}</generator>
+${servers.map(server => renderEntry(server, baseUrl)).join('\n')}
+</feed>
+`;
+}
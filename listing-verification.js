@@ -0,0 +1,61 @@
+// listing-verification.js - Proving ownership of a listing by putting a token in the server's MOTD
+import crypto from 'crypto';
+import { pollServer } from './status-poller.js';
+import { run } from './database.js';
+
+const TOKEN_PREFIX = 'mcsp-';
+
+// Short enough to fit in a MOTD line next to the usual text
+export function generateVerificationToken() {
+  return TOKEN_PREFIX + crypto.randomBytes(6).toString('hex');
+}
+
+// MOTDs come back without formatting codes; ignore case and whitespace so
+// a token split over two lines or recolored by a plugin still counts
+export function motdContainsToken(motd, token) {
+  if (!motd || !token) return false;
+  const normalize = text => String(text).toLowerCase().replace(/\s+/g, '');
+  return normalize(motd).includes(normalize(token));
+}
+
+// Hand out the pending token of a listing, creating one when needed
+export async function getOrCreateVerificationToken(db, server) {
+  if (server.verification_token) return server.verification_token;
+
+  const token = generateVerificationToken();
+  await run(db, 'UPDATE servers SET verification_token = ? WHERE id = ?', [token, server.id]);
+  return token;
+}
+
+// Ping the listing and mark it verified when its MOTD shows the pending
+// token. Resolves with { verified, error?, motd? }; the ping is stored like
+// a regular status poll. `options` is passed on to pollServer().
+export async function verifyListing(db, server, options = {}) {
+  if (!server.verification_token) {
+    return { verified: false, error: 'Request a verification token first' };
+  }
+
+  const result = await pollServer(db, server, options);
+  if (!result.online) {
+    return { verified: false, error: 'Server did not respond to the status ping' };
+  }
+  if (!motdContainsToken(result.motd, server.verification_token)) {
+    return { verified: false, error: 'Verification token not found in the server MOTD', motd: result.motd || '' };
+  }
+
+  await run(
+    db,
+    `UPDATE servers SET verified = 1, verified_at = CURRENT_TIMESTAMP, verification_token = NULL WHERE id = ?`,
+    [server.id]
+  );
+  return { verified: true };
+}
+
+// Verification is tied to the address that was checked
+export function resetVerification(db, serverId) {
+  return run(
+    db,
+    'UPDATE servers SET verified = 0, verified_at = NULL, verification_token = NULL WHERE id = ?',
+    [serverId]
+  );
+}
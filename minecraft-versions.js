@@ -0,0 +1,102 @@
+// minecraft-versions.js - Java Edition version/protocol table and the supported version ranges of listings
+
+// Release versions and the protocol number their Server List Ping reports,
+// oldest first. Add new releases here; versions sharing a protocol are listed
+// one by one so a protocol maps back to every version that speaks it.
+export const JAVA_PROTOCOLS = [
+  ['1.7.2', 4], ['1.7.4', 4], ['1.7.5', 4],
+  ['1.7.6', 5], ['1.7.7', 5], ['1.7.8', 5], ['1.7.9', 5], ['1.7.10', 5],
+  ['1.8', 47], ['1.8.1', 47], ['1.8.2', 47], ['1.8.3', 47], ['1.8.4', 47],
+  ['1.8.5', 47], ['1.8.6', 47], ['1.8.7', 47], ['1.8.8', 47], ['1.8.9', 47],
+  ['1.9', 107], ['1.9.1', 108], ['1.9.2', 109], ['1.9.3', 110], ['1.9.4', 110],
+  ['1.10', 210], ['1.10.1', 210], ['1.10.2', 210],
+  ['1.11', 315], ['1.11.1', 316], ['1.11.2', 316],
+  ['1.12', 335], ['1.12.1', 338], ['1.12.2', 340],
+  ['1.13', 393], ['1.13.1', 401], ['1.13.2', 404],
+  ['1.14', 477], ['1.14.1', 480], ['1.14.2', 485], ['1.14.3', 490], ['1.14.4', 498],
+  ['1.15', 573], ['1.15.1', 575], ['1.15.2', 578],
+  ['1.16', 735], ['1.16.1', 736], ['1.16.2', 751], ['1.16.3', 753], ['1.16.4', 754], ['1.16.5', 754],
+  ['1.17', 755], ['1.17.1', 756],
+  ['1.18', 757], ['1.18.1', 757], ['1.18.2', 758],
+  ['1.19', 759], ['1.19.1', 760], ['1.19.2', 760], ['1.19.3', 761], ['1.19.4', 762],
+  ['1.20', 763], ['1.20.1', 763], ['1.20.2', 764], ['1.20.3', 765], ['1.20.4', 765], ['1.20.5', 766], ['1.20.6', 766],
+  ['1.21', 767], ['1.21.1', 767], ['1.21.2', 768], ['1.21.3', 768], ['1.21.4', 769], ['1.21.5', 770],
+  ['1.21.6', 771], ['1.21.7', 772], ['1.21.8', 772]
+];
+
+// "1.20.4", "1.20" or, as the upper end of a range, "1.21.x" for every patch release
+const VERSION_PATTERN = /^(\d{1,2})\.(\d{1,2})(?:\.(\d{1,3}|x))?$/i;
+const ANY_PATCH = 999;
+
+// Turn a version into a number that sorts like the version
+// (major * 1000000 + minor * 1000 + patch), or null when it isn't one.
+// A ".x" patch counts as the highest patch of that minor version.
+export function versionKey(version) {
+  const match = VERSION_PATTERN.exec(String(version || '').trim());
+  if (!match) return null;
+  const [, major, minor, patch] = match;
+  const patchNumber = patch === undefined ? 0 : patch.toLowerCase() === 'x' ? ANY_PATCH : parseInt(patch, 10);
+  if (patchNumber > ANY_PATCH) return null;
+  return parseInt(major, 10) * 1000000 + parseInt(minor, 10) * 1000 + patchNumber;
+}
+
+// Parse a supported version range such as "1.8-1.21.x", "1.8 – 1.21" or a
+// single "1.20.4" or "1.21.x". An upper end without a patch number ("1.21")
+// includes all of its patch releases. An empty value clears the range. Returns
+// { min, max, minKey, maxKey } (all null when cleared) or { error }.
+export function parseVersionRange(value) {
+  const text = String(value ?? '').trim();
+  if (!text) return { min: null, max: null, minKey: null, maxKey: null };
+
+  const parts = text.split(/\s*[-–—]\s*/);
+  if (parts.length > 2) return { error: 'version_range must look like 1.8-1.21.x' };
+
+  const min = parts[0].toLowerCase();
+  const max = (parts[1] ?? parts[0]).toLowerCase();
+
+  // The lower end starts at the first release of "1.21.x"
+  const minKey = versionKey(min.replace(/\.x$/, ''));
+  const maxKey = versionKey(/^\d+\.\d+$/.test(max) ? `${max}.x` : max);
+  if (minKey === null || maxKey === null) return { error: 'version_range must look like 1.8-1.21.x' };
+  if (minKey > maxKey) return { error: 'The lowest supported version must come before the highest' };
+
+  return { min, max, minKey, maxKey };
+}
+
+// "1.8–1.21.x", or the single version when both ends are the same
+export function formatVersionRange(min, max) {
+  if (!min) return null;
+  return min === max ? min : `${min}–${max}`;
+}
+
+// Versions that report `protocol` in their status ping
+export function versionsForProtocol(protocol) {
+  return JAVA_PROTOCOLS.filter(([, number]) => number === protocol).map(([version]) => version);
+}
+
+// Cross-check a listing's range against its last Java status ping. Returns
+// true when none of the versions speaking the pinged protocol fall inside the
+// range, false when one does, and null when there is nothing to compare (no
+// range, no Java ping, or a protocol missing from JAVA_PROTOCOLS).
+export function checkVersionMismatch({ version_min_key: minKey, version_max_key: maxKey, protocol, status_source: source }) {
+  if (minKey === null || minKey === undefined || source !== 'java' || !Number.isInteger(protocol)) return null;
+
+  const versions = versionsForProtocol(protocol);
+  if (!versions.length) return null;
+  return !versions.some(version => {
+    const key = versionKey(version);
+    return key >= minKey && key <= maxKey;
+  });
+}
+
+// Add `version_range` and `version_mismatch` to a listing row selected with
+// the version_* columns and its status as `protocol` and `status_source`,
+// dropping the sort keys and status source used to work them out
+export function addVersionInfo(server) {
+  server.version_range = formatVersionRange(server.version_min, server.version_max);
+  server.version_mismatch = checkVersionMismatch(server);
+  delete server.version_min_key;
+  delete server.version_max_key;
+  delete server.status_source;
+  return server;
+}
@@ -0,0 +1,98 @@
+// moderation.js - Review lifecycle for listings (pending, approved, rejected, suspended) with reviewer notes
+import { run, get, all } from './database.js';
+
+export const MODERATION_STATUSES = ['pending', 'approved', 'rejected', 'suspended'];
+
+// Edits to these fields can send an approved listing back to review (site setting requeue_on_edit)
+export const MODERATED_FIELDS = ['name', 'ip', 'description', 'website_url', 'banner_url'];
+
+// Expects the servers.moderation_* columns to exist (see serverColumnMigrations in server.js)
+export function initializeModerationTables(db) {
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      // Reviewer notes and status changes, newest last. Entries for edits that
+      // sent a listing back to review are authored by the editing member.
+      db.run(`CREATE TABLE IF NOT EXISTS server_moderation_notes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        server_id INTEGER NOT NULL,
+        author_id INTEGER,
+        status_from TEXT,
+        status_to TEXT,
+        note TEXT,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(server_id) REFERENCES servers(id) ON DELETE CASCADE,
+        FOREIGN KEY(author_id) REFERENCES users(id) ON DELETE SET NULL
+      )`);
+
+      db.run(`CREATE INDEX IF NOT EXISTS idx_moderation_notes_server ON server_moderation_notes(server_id)`);
+
+      db.run(`CREATE INDEX IF NOT EXISTS idx_servers_moderation_status ON servers(moderation_status)`, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  });
+}
+
+// Fields from MODERATED_FIELDS whose value differs between `before` and `after`
+export function changedModeratedFields(before, after) {
+  return MODERATED_FIELDS.filter(field => (before[field] || '') !== (after[field] || ''));
+}
+
+// Change the review status of a listing and log it. `reason` is shown to the
+// listing's team for rejected and suspended listings; `note` stays internal
+// and is logged as written by `authorId` (the reviewer unless given).
+// Resolves with { from, to } or null when the listing doesn't exist.
+export async function setModerationStatus(db, { serverId, status, reviewerId = null, authorId = reviewerId, note = null, reason = null }) {
+  const server = await get(db, 'SELECT moderation_status FROM servers WHERE id = ?', [serverId]);
+  if (!server) return null;
+
+  await run(
+    db,
+    `UPDATE servers SET moderation_status = ?, moderation_reason = ?, moderated_at = CURRENT_TIMESTAMP, moderated_by = ?
+     WHERE id = ?`,
+    [status, status === 'rejected' || status === 'suspended' ? reason : null, reviewerId, serverId]
+  );
+  await run(
+    db,
+    'INSERT INTO server_moderation_notes (server_id, author_id, status_from, status_to, note) VALUES (?, ?, ?, ?, ?)',
+    [serverId, authorId, server.moderation_status, status, [reason, note].filter(Boolean).join(' — ') || null]
+  );
+  return { from: server.moderation_status, to: status };
+}
+
+export function addModerationNote(db, serverId, authorId, note) {
+  return run(
+    db,
+    'INSERT INTO server_moderation_notes (server_id, author_id, note) VALUES (?, ?, ?)',
+    [serverId, authorId, note]
+  );
+}
+
+export function getModerationNotes(db, serverId) {
+  return all(
+    db,
+    `SELECT n.id, n.status_from, n.status_to, n.note, n.created_at, u.username as author
+     FROM server_moderation_notes n
+     LEFT JOIN users u ON u.id = n.author_id
+     WHERE n.server_id = ?
+     ORDER BY n.id`,
+    [serverId]
+  );
+}
+
+// Listings in a review status, oldest first so nothing waits forever
+export function getModerationQueue(db, status = 'pending') {
+  return all(
+    db,
+    `SELECT s.id, s.slug, s.name, s.ip, s.resolved_host, s.resolved_port, s.resolved_ip, s.edition, s.description, s.description_html, s.website_url, s.banner_url, s.plan,
+            s.verified, s.created_at, s.moderation_status, s.moderation_reason, s.moderated_at,
+            u.username as owner_username, u.email as owner_email,
+            (SELECT COUNT(*) FROM server_moderation_notes n WHERE n.server_id = s.id) as note_count
+     FROM servers s
+     LEFT JOIN users u ON u.id = s.owner_id
+     WHERE s.moderation_status = ? AND s.deleted_at IS NULL
+     ORDER BY COALESCE(s.moderated_at, s.created_at), s.id`,
+    [status]
+  );
+}
@@ -0,0 +1,91 @@
+// notifications.js - In-app notifications for users (e.g. about listings they favorited)
+import { run, get, all } from './database.js';
+
+export const NOTIFICATION_TYPES = ['server_offline', 'server_ip_changed'];
+
+// Read notifications are dropped after this many days
+export const READ_NOTIFICATION_RETENTION_DAYS = 30;
+
+export function initializeNotificationTables(db) {
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      db.run(`CREATE TABLE IF NOT EXISTS user_notifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        server_id INTEGER,
+        type TEXT NOT NULL,
+        message TEXT NOT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        read_at DATETIME,
+        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY(server_id) REFERENCES servers(id) ON DELETE SET NULL
+      )`);
+
+      db.run(`CREATE INDEX IF NOT EXISTS idx_user_notifications_user ON user_notifications(user_id, read_at)`, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  });
+}
+
+// Notify every user picked by `recipientsSql` (a SELECT of `user_id`s taking
+// `recipientParams`). With `skipIfUnread`, users who still have an unread
+// notification of the same type about the same listing aren't notified again,
+// so e.g. a flapping server doesn't flood them. Resolves with the number of
+// notifications created.
+export async function notifyUsers(db, { recipientsSql, recipientParams = [], serverId = null, type, message, skipIfUnread = false }) {
+  const unreadFilter = skipIfUnread
+    ? `WHERE NOT EXISTS (
+         SELECT 1 FROM user_notifications n
+         WHERE n.user_id = r.user_id AND n.server_id IS ? AND n.type = ? AND n.read_at IS NULL
+       )`
+    : '';
+  const result = await run(
+    db,
+    `INSERT INTO user_notifications (user_id, server_id, type, message)
+     SELECT r.user_id, ?, ?, ? FROM (${recipientsSql}) r
+     ${unreadFilter}`,
+    [serverId, type, message, ...recipientParams, ...(skipIfUnread ? [serverId, type] : [])]
+  );
+
+  if (result.changes) {
+    await run(
+      db,
+      `DELETE FROM user_notifications WHERE read_at IS NOT NULL AND read_at < datetime('now', ?)`,
+      [`-${READ_NOTIFICATION_RETENTION_DAYS} days`]
+    );
+  }
+  return result.changes;
+}
+
+// Latest notifications of a user, newest first, with the listing they're about
+export function getNotifications(db, userId, { unreadOnly = false, limit = 50 } = {}) {
+  return all(
+    db,
+    `SELECT n.id, n.type, n.message, n.server_id, s.name as server_name, s.slug as server_slug,
+            n.created_at, n.read_at
+     FROM user_notifications n
+     LEFT JOIN servers s ON s.id = n.server_id
+     WHERE n.user_id = ? ${unreadOnly ? 'AND n.read_at IS NULL' : ''}
+     ORDER BY n.id DESC
+     LIMIT ?`,
+    [userId, limit]
+  );
+}
+
+export async function countUnreadNotifications(db, userId) {
+  const row = await get(db, 'SELECT COUNT(*) as count FROM user_notifications WHERE user_id = ? AND read_at IS NULL', [userId]);
+  return row.count;
+}
+
+// Mark the given notifications (or all of them when `ids` is empty) as read
+export async function markNotificationsRead(db, userId, ids = []) {
+  const idFilter = ids.length ? `AND id IN (${ids.map(() => '?').join(', ')})` : '';
+  const result = await run(
+    db,
+    `UPDATE user_notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = ? AND read_at IS NULL ${idFilter}`,
+    [userId, ...ids]
+  );
+  return result.changes;
+}
@@ -7,6 +7,7 @@ import {
   expireOldSubscriptions,
   PAYMENT_CONFIG 
 } from './payment-system.js';
+import { buildTagCondition, parseTagList } from './tags.js';
 
 // Example integration for your main server file (server.js or app.js)
 export function integratePaymentSystem(app, db) {
@@ -238,7 +239,8 @@ export function getEnhancedServerList(db, options = {}) {
         AND us.expires_at > datetime('now')
     `;
     
-    const conditions = [];
+    // Only listings that passed review and aren't in the trash are public (see moderation.js, trash.js)
+    const conditions = [`s.moderation_status = 'approved'`, `s.deleted_at IS NULL`];
     const params = [];
     
     if (options.search) {
@@ -246,14 +248,15 @@ export function getEnhancedServerList(db, options = {}) {
       params.push(`%${options.search}%`, `%${options.search}%`);
     }
     
-    if (options.gamemode) {
-      conditions.push('s.gamemode = ?');
-      params.push(options.gamemode);
+    // Gamemodes are tags (see tags.js); `gamemode` is kept as an alias for a single tag
+    const tags = parseTagList(options.tags || options.gamemode);
+    if (tags.length) {
+      const tagCondition = buildTagCondition(tags, options.tagMode === 'and' ? 'and' : 'or');
+      conditions.push(tagCondition.sql);
+      params.push(...tagCondition.params);
     }
     
-    if (conditions.length > 0) {
-      sql += ' WHERE ' + conditions.join(' AND ');
-    }
+    sql += ' WHERE ' + conditions.join(' AND ');
     
     // Sort premium servers first, then by other criteria
     sql += ' ORDER BY is_premium DESC, s.votes DESC, s.created_at DESC';
@@ -292,7 +295,8 @@ app.get('/api/servers', async (req, res) => {
   try {
     const options = {
       search: req.query.search,
-      gamemode: req.query.gamemode,
+      tags: req.query.tags || req.query.gamemode,
+      tagMode: req.query.tag_mode,
       limit: req.query.limit
     };
     
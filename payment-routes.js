@@ -86,7 +86,7 @@ router.post('/stripe/payment-intent', validatePayment, async (req, res) => {
     // Verify server ownership
     const server = await new Promise((resolve, reject) => {
       req.db.get(
-        'SELECT id, name FROM servers WHERE id = ? AND owner_id = ?',
+        'SELECT id, name, verified FROM servers WHERE id = ? AND owner_id = ? AND deleted_at IS NULL',
         [server_id, req.session.userId],
         (err, result) => {
           if (err) reject(err);
@@ -99,6 +99,11 @@ router.post('/stripe/payment-intent', validatePayment, async (req, res) => {
       return res.status(403).json({ error: 'Server not found or access denied' });
     }
 
+    // Only listings with proven ownership can be upgraded
+    if (!server.verified) {
+      return res.status(403).json({ error: 'Verify ownership of this server before upgrading it' });
+    }
+
     // Create payment intent
     const paymentIntent = await stripe.paymentIntents.create({
       amount: Math.round(plan.price * 100), // Convert to cents
@@ -168,7 +173,7 @@ router.post('/paypal/create-order', validatePayment, async (req, res) => {
     // Verify server ownership
     const server = await new Promise((resolve, reject) => {
       req.db.get(
-        'SELECT id, name FROM servers WHERE id = ? AND owner_id = ?',
+        'SELECT id, name, verified FROM servers WHERE id = ? AND owner_id = ? AND deleted_at IS NULL',
         [server_id, req.session.userId],
         (err, result) => {
           if (err) reject(err);
@@ -181,6 +186,11 @@ router.post('/paypal/create-order', validatePayment, async (req, res) => {
       return res.status(403).json({ error: 'Server not found or access denied' });
     }
 
+    // Only listings with proven ownership can be upgraded
+    if (!server.verified) {
+      return res.status(403).json({ error: 'Verify ownership of this server before upgrading it' });
+    }
+
     // Create PayPal order (this would typically use PayPal's API)
     // For now, we'll return the configuration for frontend PayPal integration
     const orderData = {
@@ -0,0 +1,85 @@
+// player-stats.js - Player-count time series built from the status history in uptime.js
+import { HOURLY_BOUNDARY_SQL } from './uptime.js';
+import { all } from './database.js';
+
+// Range -> SQLite time modifier and bucket size of the returned points
+export const PLAYER_STATS_RANGES = {
+  '24h': { modifier: '-24 hours', resolution: 'sample' },
+  '7d': { modifier: '-7 days', resolution: 'hour' },
+  '30d': { modifier: '-30 days', resolution: 'hour' },
+  '90d': { modifier: '-90 days', resolution: 'day' }
+};
+
+const HOUR_BUCKET = `strftime('%Y-%m-%d %H:00:00', checked_at)`;
+
+// Raw samples are always newer than hourly buckets and hourly buckets newer
+// than daily ones (apart from days still covered by hourly data), so each
+// query unions the sources and sums them per bucket.
+const QUERIES = {
+  sample: `
+    SELECT checked_at as time, 1 as samples, online as online_samples,
+           players_online as avg_players, players_online as max_players
+    FROM server_status_samples
+    WHERE server_id = ? AND checked_at >= datetime('now', ?)
+    ORDER BY checked_at ASC
+  `,
+  hour: `
+    SELECT time, SUM(samples) as samples, SUM(online_samples) as online_samples,
+           CASE WHEN SUM(online_samples) > 0 THEN ROUND(1.0 * SUM(players_sum) / SUM(online_samples), 1) END as avg_players,
+           MAX(players_max) as max_players
+    FROM (
+      SELECT hour as time, samples, online_samples, players_sum, players_max
+      FROM server_status_hourly
+      WHERE server_id = ? AND hour >= datetime('now', ?)
+      UNION ALL
+      SELECT ${HOUR_BUCKET}, COUNT(*), SUM(online), COALESCE(SUM(players_online), 0), COALESCE(MAX(players_online), 0)
+      FROM server_status_samples
+      WHERE server_id = ? AND checked_at >= datetime('now', ?)
+      GROUP BY ${HOUR_BUCKET}
+    )
+    GROUP BY time
+    ORDER BY time ASC
+  `,
+  day: `
+    SELECT time, SUM(samples) as samples, SUM(online_samples) as online_samples,
+           CASE WHEN SUM(online_samples) > 0 THEN ROUND(1.0 * SUM(players_sum) / SUM(online_samples), 1) END as avg_players,
+           MAX(players_max) as max_players
+    FROM (
+      SELECT day as time, samples, online_samples, players_sum, players_max
+      FROM server_status_daily
+      WHERE server_id = ? AND day >= date('now', ?) AND day < ${HOURLY_BOUNDARY_SQL}
+      UNION ALL
+      SELECT date(hour), samples, online_samples, players_sum, players_max
+      FROM server_status_hourly
+      WHERE server_id = ? AND hour >= date('now', ?)
+      UNION ALL
+      SELECT date(checked_at), 1, online, COALESCE(players_online, 0), COALESCE(players_online, 0)
+      FROM server_status_samples
+      WHERE server_id = ? AND checked_at >= date('now', ?)
+    )
+    GROUP BY time
+    ORDER BY time ASC
+  `
+};
+
+// Player counts for a listing over `range` (a key of PLAYER_STATS_RANGES).
+// Resolves with { range, resolution, points: [{ time, samples, online_samples, avg_players, max_players }] }.
+// avg_players / max_players are null for buckets where the listing was never online.
+export async function getPlayerStats(db, serverId, range) {
+  const config = PLAYER_STATS_RANGES[range];
+  if (!config) {
+    throw new Error(`Unknown range: ${range}`);
+  }
+
+  const sources = config.resolution === 'sample' ? 1 : config.resolution === 'hour' ? 2 : 3;
+  const params = [];
+  for (let i = 0; i < sources; i++) params.push(serverId, config.modifier);
+
+  const rows = await all(db, QUERIES[config.resolution], params);
+  const points = rows.map(row => ({
+    ...row,
+    avg_players: row.online_samples ? row.avg_players : null,
+    max_players: row.online_samples ? row.max_players : null
+  }));
+  return { range, resolution: config.resolution, points };
+}
@@ -17,14 +17,26 @@ import {
   secureApiFetch 
 } from './captcha.js';
 
+// Import text helpers shared with the server-rendered pages
+import { escapeHtml, countryFlag } from './format.js';
+
 // DOM elements
 const elements = {
   // Main view
   serverList: document.getElementById('serverList'),
+  serverListFooter: document.getElementById('serverListFooter'),
   serverForm: document.getElementById('serverForm'),
   formMsg: document.getElementById('formMsg'),
   search: document.getElementById('search'),
   sort: document.getElementById('sort'),
+  editionFilter: document.getElementById('editionFilter'),
+  versionFilter: document.getElementById('versionFilter'),
+  continentFilter: document.getElementById('continentFilter'),
+  countryFilter: document.getElementById('countryFilter'),
+  tagFilter: document.getElementById('tagFilter'),
+  tagMode: document.getElementById('tagMode'),
+  serverTagPicker: document.getElementById('serverTagPicker'),
+  editServerTagPicker: document.getElementById('editServerTagPicker'),
   submitFormAuth: document.getElementById('submitFormAuth'),
   planSection: document.getElementById('planSection'),
   
@@ -37,6 +49,9 @@ const elements = {
   logoutBtn: document.getElementById('logoutBtn'),
   profileBtn: document.getElementById('profileBtn'),
   myServersBtn: document.getElementById('myServersBtn'),
+  favoritesBtn: document.getElementById('favoritesBtn'),
+  notificationsBtn: document.getElementById('notificationsBtn'),
+  notificationCount: document.getElementById('notificationCount'),
   dashboardBtn: document.getElementById('dashboardBtn'),
   adminBtn: document.getElementById('adminBtn'),
   
@@ -44,17 +59,21 @@ const elements = {
   loginModal: document.getElementById('loginModal'),
   registerModal: document.getElementById('registerModal'),
   editServerModal: document.getElementById('editServerModal'),
+  reportModal: document.getElementById('reportModal'),
   loginForm: document.getElementById('loginForm'),
   registerForm: document.getElementById('registerForm'),
   editServerForm: document.getElementById('editServerForm'),
+  reportForm: document.getElementById('reportForm'),
   loginMsg: document.getElementById('loginMsg'),
   registerMsg: document.getElementById('registerMsg'),
   editServerMsg: document.getElementById('editServerMsg'),
+  reportMsg: document.getElementById('reportMsg'),
   
   // Views
   mainView: document.getElementById('mainView'),
   profileView: document.getElementById('profileView'),
   myServersView: document.getElementById('myServersView'),
+  favoritesView: document.getElementById('favoritesView'),
   dashboardView: document.getElementById('dashboardView'),
   dashboardContent: document.getElementById('dashboardContent'),
   adminView: document.getElementById('adminView'),
@@ -68,23 +87,86 @@ const elements = {
   
   // User servers
   myServersList: document.getElementById('myServersList'),
+  myInvitations: document.getElementById('myInvitations'),
   myServersMsg: document.getElementById('myServersMsg'),
   
+  // Favorites
+  favoritesList: document.getElementById('favoritesList'),
+  favoritesMsg: document.getElementById('favoritesMsg'),
+  notificationsPanel: document.getElementById('notificationsPanel'),
+  
   // Admin
   adminStats: document.getElementById('adminStats'),
   statsGrid: document.getElementById('statsGrid'),
   usersList: document.getElementById('usersList'),
   adminServersList: document.getElementById('adminServersList'),
+  moderationStatus: document.getElementById('moderationStatus'),
+  moderationList: document.getElementById('moderationList'),
+  reportStatus: document.getElementById('reportStatus'),
+  reportsList: document.getElementById('reportsList'),
+  reviewVisibility: document.getElementById('reviewVisibility'),
+  adminReviewsList: document.getElementById('adminReviewsList'),
+  tagForm: document.getElementById('tagForm'),
+  adminTagsList: document.getElementById('adminTagsList'),
+  duplicatesList: document.getElementById('duplicatesList'),
+  trashInfo: document.getElementById('trashInfo'),
+  purgeTrashBtn: document.getElementById('purgeTrashBtn'),
+  trashServersList: document.getElementById('trashServersList'),
+  trashUsersList: document.getElementById('trashUsersList'),
+  settingsForm: document.getElementById('settingsForm'),
   adminMsg: document.getElementById('adminMsg')
 };
 
 let currentView = 'main';
 let currentUser = null;
+let allTags = [];
+const favoriteIds = new Set();
+const selectedTags = new Set();
+
+// Server list pagination state
+const listing = {
+  query: '',        // query string of the current filters, without the cursor
+  nextCursor: null,
+  total: 0,
+  shown: 0,
+  loading: false,
+  request: 0        // bumped on every new search so stale pages are dropped
+};
+
+// Markup is only built with the html`` tag, which escapes every value put
+// into it. HTML the server already sanitized (listing descriptions, search
+// highlights) goes in through trustedHtml().
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+  
+  toString() {
+    return this.value;
+  }
+}
+
+// Arrays are joined; null, undefined and false render as nothing
+function toHtml(value) {
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(toHtml).join('');
+  if (value === null || value === undefined || value === false) return '';
+  return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+  return new SafeHtml(strings.reduce((result, string, index) => result + toHtml(values[index - 1]) + string));
+}
+
+function trustedHtml(value) {
+  return new SafeHtml(String(value ?? ''));
+}
 
 // Initialize the app
 async function init() {
   await initAuth();
   setupEventListeners();
+  await loadTags();
   await fetchServers();
 }
 
@@ -97,6 +179,16 @@ function setupEventListeners() {
   elements.serverForm.addEventListener('submit', handleServerSubmit);
   elements.search.addEventListener('input', fetchServers);
   elements.sort.addEventListener('change', fetchServers);
+  elements.editionFilter.addEventListener('change', fetchServers);
+  elements.versionFilter.addEventListener('input', fetchServers);
+  elements.continentFilter.addEventListener('change', fetchServers);
+  elements.countryFilter.addEventListener('change', fetchServers);
+  elements.tagMode.addEventListener('change', fetchServers);
+  
+  // Infinite scroll: load the next page when the list footer comes into view
+  new IntersectionObserver((entries) => {
+    if (entries.some(entry => entry.isIntersecting)) loadMoreServers();
+  }, { rootMargin: '400px' }).observe(elements.serverListFooter);
   
   // Auth buttons
   elements.loginBtn.addEventListener('click', () => showModal('loginModal'));
@@ -106,12 +198,15 @@ function setupEventListeners() {
   // Navigation
   elements.profileBtn.addEventListener('click', () => showView('profile'));
   elements.myServersBtn.addEventListener('click', () => showView('myServers'));
+  elements.favoritesBtn.addEventListener('click', () => showView('favorites'));
+  elements.notificationsBtn.addEventListener('click', () => showView('favorites'));
   elements.dashboardBtn.addEventListener('click', () => showView('dashboard'));
   elements.adminBtn.addEventListener('click', () => showView('admin'));
   
   // Back buttons
   document.getElementById('backToMain').addEventListener('click', () => showView('main'));
   document.getElementById('backToMainFromServers').addEventListener('click', () => showView('main'));
+  document.getElementById('backToMainFromFavorites').addEventListener('click', () => showView('main'));
   document.getElementById('backToMainFromDashboard').addEventListener('click', () => showView('main'));
   document.getElementById('backToMainFromAdmin').addEventListener('click', () => showView('main'));
   
@@ -120,6 +215,23 @@ function setupEventListeners() {
   elements.registerForm.addEventListener('submit', handleRegister);
   elements.editServerForm.addEventListener('submit', handleEditServer);
   
+  // Description syntax and length against the listing's plan
+  const updateServerDescriptionHint = () => updateDescriptionHint(
+    elements.serverForm.elements.description,
+    document.getElementById('serverDescriptionHint'),
+    elements.serverForm.elements.plan.value
+  );
+  elements.serverForm.elements.description.addEventListener('input', updateServerDescriptionHint);
+  elements.serverForm.elements.plan.addEventListener('change', updateServerDescriptionHint);
+  elements.serverForm.addEventListener('reset', () => setTimeout(updateServerDescriptionHint, 0));
+  updateServerDescriptionHint();
+  
+  const editDescription = document.getElementById('editServerDescription');
+  editDescription.addEventListener('input', () => {
+    updateDescriptionHint(editDescription, document.getElementById('editServerDescriptionHint'), editDescription.dataset.plan);
+  });
+  elements.reportForm.addEventListener('submit', handleReportSubmit);
+  
   // Profile forms
   elements.profileForm.addEventListener('submit', handleProfileUpdate);
   elements.passwordForm.addEventListener('submit', handlePasswordChange);
@@ -152,6 +264,14 @@ function setupEventListeners() {
     });
   });
   
+  // Admin tags and settings
+  elements.tagForm.addEventListener('submit', handleTagCreate);
+  elements.settingsForm.addEventListener('submit', handleSettingsSubmit);
+  elements.purgeTrashBtn.addEventListener('click', purgeTrash);
+  elements.moderationStatus.addEventListener('change', loadModerationQueue);
+  elements.reportStatus.addEventListener('change', loadReports);
+  elements.reviewVisibility.addEventListener('change', loadAdminReviews);
+  
   // Click outside modal to close
   window.addEventListener('click', (e) => {
     if (e.target.classList.contains('modal')) {
@@ -185,7 +305,13 @@ function handleAuthStateChange(authState) {
     if (currentView === 'profile') {
       loadProfileData();
     }
+    
+    loadFavoriteIds();
+    loadNotifications();
   } else {
+    favoriteIds.clear();
+    updateFavoriteButtons();
+    
     elements.authButtons.style.display = 'flex';
     elements.userMenu.style.display = 'none';
     
@@ -201,29 +327,229 @@ function handleAuthStateChange(authState) {
 }
 
 // Server listing functions
+
+// Load the first page for the current filters
 async function fetchServers() {
+  const q = encodeURIComponent(elements.search.value || '');
+  const sort = encodeURIComponent(elements.sort.value || 'rank');
+  const edition = encodeURIComponent(elements.editionFilter.value || '');
+  const tags = encodeURIComponent([...selectedTags].join(','));
+  const tagMode = encodeURIComponent(elements.tagMode.value || 'or');
+  // Ignore the version filter while it is still being typed ("1.", "1.2")
+  const versionInput = elements.versionFilter.value.trim();
+  const version = /^\d+\.\d+(\.\d+)?$/.test(versionInput) ? encodeURIComponent(versionInput) : '';
+  const continent = encodeURIComponent(elements.continentFilter.value || '');
+  const country = encodeURIComponent(elements.countryFilter.value || '');
+  
+  listing.query = `q=${q}&sort=${sort}&edition=${edition}&version=${version}&continent=${continent}&country=${country}&tags=${tags}&tag_mode=${tagMode}`;
+  listing.nextCursor = null;
+  listing.loading = false;
+  const request = ++listing.request;
+  
   try {
-    const q = encodeURIComponent(elements.search.value || '');
-    const sort = encodeURIComponent(elements.sort.value || 'rank');
-    const res = await fetch(`/api/servers?q=${q}&sort=${sort}`);
+    const res = await fetch(`/api/servers?${listing.query}`);
     const data = await res.json();
+    if (request !== listing.request) return;
+    
     renderServerList(data);
+    renderTagFilter(data.facets.tags);
+    renderCountryFilter(data.facets.countries);
   } catch (error) {
     console.error('Error fetching servers:', error);
   }
 }
 
-function renderServerList(servers) {
-  elements.serverList.innerHTML = '';
-  if (!servers.length) {
-    elements.serverList.innerHTML = '<p class="muted">No servers yet. Be the first to list yours!</p>';
+// Append the next page, if there is one
+async function loadMoreServers() {
+  if (!listing.nextCursor || listing.loading) return;
+  listing.loading = true;
+  const request = listing.request;
+  
+  try {
+    const res = await fetch(`/api/servers?${listing.query}&cursor=${encodeURIComponent(listing.nextCursor)}`);
+    const data = await res.json();
+    if (request !== listing.request) return;
+    
+    if (res.ok) {
+      renderServerList(data, { append: true });
+    } else {
+      elements.serverListFooter.textContent = data.error || 'Could not load more servers';
+    }
+  } catch (error) {
+    console.error('Error fetching servers:', error);
+  } finally {
+    if (request === listing.request) listing.loading = false;
+  }
+}
+
+// Tag taxonomy used by the filter bar and the tag pickers
+async function loadTags() {
+  try {
+    const res = await fetch('/api/tags');
+    if (!res.ok) return;
+    allTags = await res.json();
+    
+    // Forget filters on tags that were deleted meanwhile
+    const slugs = new Set(allTags.map(tag => tag.slug));
+    [...selectedTags].forEach(slug => {
+      if (!slugs.has(slug)) selectedTags.delete(slug);
+    });
+    
+    renderTagPicker(elements.serverTagPicker, []);
+  } catch (error) {
+    console.error('Error loading tags:', error);
+  }
+}
+
+// Toggleable tag chips with the number of matching listings
+// Countries that have matching listings, keeping the selected one listed
+function renderCountryFilter(facets) {
+  const selected = elements.countryFilter.value;
+  elements.countryFilter.replaceChildren(new Option('All countries', ''));
+  
+  const countries = facets.map(facet => facet.country);
+  if (selected && !countries.includes(selected)) countries.unshift(selected);
+  
+  countries.forEach(country => {
+    const facet = facets.find(f => f.country === country);
+    const option = document.createElement('option');
+    option.value = country;
+    option.textContent = `${countryFlag(country)} ${countryName(country)}${facet ? ` (${facet.count})` : ''}`;
+    elements.countryFilter.appendChild(option);
+  });
+  elements.countryFilter.value = selected;
+}
+
+function renderTagFilter(facets) {
+  elements.tagFilter.replaceChildren();
+  const counts = new Map(facets.map(facet => [facet.slug, facet.count]));
+  
+  allTags.forEach(tag => {
+    const count = counts.get(tag.slug) || 0;
+    const active = selectedTags.has(tag.slug);
+    // Keep selected tags visible even when nothing matches them
+    if (!count && !active) return;
+    
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = active ? 'tag-chip active' : 'tag-chip';
+    chip.textContent = `${tag.name} (${count})`;
+    chip.onclick = () => {
+      if (active) selectedTags.delete(tag.slug);
+      else selectedTags.add(tag.slug);
+      fetchServers();
+    };
+    elements.tagFilter.appendChild(chip);
+  });
+}
+
+// Checkbox list of every tag, grouped by category
+function renderTagPicker(container, selectedSlugs) {
+  container.replaceChildren();
+  const selected = new Set(selectedSlugs);
+  
+  allTags.forEach(tag => {
+    const label = document.createElement('label');
+    label.className = 'tag-option';
+    label.title = tag.category;
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.name = 'tags';
+    checkbox.value = tag.slug;
+    checkbox.checked = selected.has(tag.slug);
+    
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(tag.name));
+    container.appendChild(label);
+  });
+}
+
+function getPickedTags(container) {
+  return Array.from(container.querySelectorAll('input[name="tags"]:checked')).map(input => input.value);
+}
+
+function createTagList(tags) {
+  const list = document.createElement('p');
+  list.className = 'tag-list';
+  tags.forEach(tag => {
+    const chip = document.createElement('span');
+    chip.className = `tag ${tag.category}`;
+    chip.textContent = tag.name;
+    list.appendChild(chip);
+  });
+  return list;
+}
+
+function renderServerList(page, { append = false } = {}) {
+  if (!append) {
+    elements.serverList.replaceChildren();
+    listing.shown = 0;
+  }
+  listing.nextCursor = page.next_cursor;
+  listing.total = page.total;
+  
+  if (!append && !page.servers.length) {
+    elements.serverList.innerHTML = html`<p class="muted">No servers yet. Be the first to list yours!</p>`;
+    elements.serverListFooter.textContent = '';
     return;
   }
   
-  servers.forEach(server => {
+  page.servers.forEach(server => {
     const serverEl = createServerElement(server);
     elements.serverList.appendChild(serverEl);
   });
+  listing.shown += page.servers.length;
+  
+  elements.serverListFooter.textContent = listing.nextCursor
+    ? `Showing ${listing.shown} of ${listing.total} servers • scroll for more`
+    : `Showing all ${listing.total} servers`;
+  
+  // The footer may still be on screen after a short page; keep loading until it isn't
+  if (listing.nextCursor && isInViewport(elements.serverListFooter)) {
+    setTimeout(loadMoreServers, 0);
+  }
+}
+
+function isInViewport(element) {
+  const rect = element.getBoundingClientRect();
+  return rect.top < window.innerHeight + 400 && rect.bottom > 0;
+}
+
+// Longest description per plan, mirroring DESCRIPTION_LIMITS in descriptions.js
+const DESCRIPTION_LIMITS = { free: 1000, paid: 2500 };
+
+function updateDescriptionHint(textarea, hint, plan) {
+  const limit = DESCRIPTION_LIMITS[plan] || DESCRIPTION_LIMITS.free;
+  const length = textarea.value.length;
+  textarea.maxLength = Math.max(limit, length);
+  hint.textContent = `Markdown: # heading, **bold**, *italic*, - list, [link](https://…), §a colors • ${length}/${limit}`;
+  hint.classList.toggle('over-limit', length > limit);
+}
+
+const EDITION_LABELS = {
+  java: 'Java',
+  bedrock: 'Bedrock',
+  both: 'Java + Bedrock'
+};
+
+const countryNames = new Intl.DisplayNames(undefined, { type: 'region' });
+
+function countryName(country) {
+  try {
+    return countryNames.of(country);
+  } catch (error) {
+    return country;
+  }
+}
+
+// Flag with the country (and region, when known) as tooltip
+function createFlagElement(server) {
+  const flag = document.createElement('span');
+  flag.className = 'flag';
+  flag.textContent = countryFlag(server.country);
+  flag.title = server.region ? `${countryName(server.country)} (${server.region})` : countryName(server.country);
+  return flag;
 }
 
 function createServerElement(server) {
@@ -239,25 +565,59 @@ function createServerElement(server) {
   meta.className = 'meta';
   
   const h3 = document.createElement('h3');
-  h3.textContent = server.name;
+  // Search highlights come from the server already HTML-escaped, with matches in <mark>
+  if (server.highlight) {
+    h3.innerHTML = trustedHtml(server.highlight.name);
+  } else {
+    h3.textContent = server.name;
+  }
+  
+  if (server.country) {
+    h3.prepend(createFlagElement(server));
+  }
   
   const badge = document.createElement('span');
   badge.className = server.plan === 'paid' ? 'badge paid' : 'badge';
   badge.textContent = server.plan === 'paid' ? 'Featured' : 'Free';
   h3.appendChild(badge);
   
-  const p = document.createElement('p');
-  p.innerHTML = `<strong>IP:</strong> ${server.ip} &nbsp; • &nbsp; <strong>Votes:</strong> <span class="count">${server.votes}</span>`;
-  if (server.owner_username) {
-    p.innerHTML += ` &nbsp; • &nbsp; <strong>Owner:</strong> ${server.owner_username}`;
+  const editionBadge = document.createElement('span');
+  editionBadge.className = `badge edition ${server.edition || 'java'}`;
+  editionBadge.textContent = EDITION_LABELS[server.edition] || EDITION_LABELS.java;
+  h3.appendChild(editionBadge);
+  
+  if (!server.verified) {
+    h3.appendChild(createUnverifiedBadge());
   }
   
-  const description = document.createElement('p');
-  description.textContent = server.description || '';
+  const p = document.createElement('p');
+  const bedrockPort = server.edition !== 'java' && server.bedrock_port ? ` (Bedrock port ${server.bedrock_port})` : '';
+  p.innerHTML = html`<strong>IP:</strong> ${server.ip}${bedrockPort} &nbsp; • &nbsp; <strong>Votes:</strong> <span class="count">${server.votes}</span>${
+    server.version_range && html` &nbsp; • &nbsp; <strong>Versions:</strong> ${server.version_range}`}${
+    server.owner_username && html` &nbsp; • &nbsp; <strong>Owner:</strong> ${server.owner_username}`}${
+    server.rating_count > 0 && html` &nbsp; • &nbsp; <span class="rating" title="${server.rating_count} review${server.rating_count === 1 ? '' : 's'}">★ ${Number(server.rating_avg).toFixed(1)} (${server.rating_count})</span>`}`;
+  
+  const status = createStatusElement(server);
+  const uptime = createUptimeElement(server);
+  
+  // Search snippets are plain text with matches marked; otherwise the
+  // description as the server rendered it from Markdown
+  const description = document.createElement('div');
+  description.className = 'listing-description';
+  if (server.highlight && server.highlight.description) {
+    description.innerHTML = html`<p>${trustedHtml(server.highlight.description)}</p>`;
+  } else {
+    description.innerHTML = trustedHtml(server.description_html);
+  }
   
   const links = document.createElement('p');
   links.className = 'muted';
+  const details = document.createElement('a');
+  details.href = `/server/${server.slug || server.id}`;
+  details.textContent = 'Details & share';
+  links.appendChild(details);
   if (server.website_url) {
+    links.appendChild(document.createTextNode(' • '));
     const a = document.createElement('a');
     a.href = server.website_url;
     a.target = '_blank';
@@ -268,6 +628,11 @@ function createServerElement(server) {
   
   meta.appendChild(h3);
   meta.appendChild(p);
+  meta.appendChild(status);
+  meta.appendChild(uptime);
+  if (server.tags && server.tags.length) {
+    meta.appendChild(createTagList(server.tags));
+  }
   meta.appendChild(description);
   meta.appendChild(links);
   
@@ -283,8 +648,16 @@ function createServerElement(server) {
   created.className = 'muted';
   created.textContent = new Date(server.created_at).toLocaleString();
   
+  const reportBtn = document.createElement('button');
+  reportBtn.className = 'btn-link report-btn';
+  reportBtn.textContent = 'Report';
+  reportBtn.title = 'Report this listing to the moderators';
+  reportBtn.onclick = () => openReportModal(server);
+  
+  actions.appendChild(createFavoriteButton(server.id));
   actions.appendChild(voteBtn);
   actions.appendChild(created);
+  actions.appendChild(reportBtn);
   
   div.appendChild(banner);
   div.appendChild(meta);
@@ -293,6 +666,115 @@ function createServerElement(server) {
   return div;
 }
 
+// Live status line from the background poller
+function createStatusElement(server) {
+  const status = document.createElement('p');
+  status.className = 'server-status';
+  
+  if (!server.status_checked_at) {
+    status.classList.add('unknown');
+    status.textContent = '⚪ Status unknown';
+  } else if (server.online) {
+    status.classList.add('online');
+    const players = `${server.players_online ?? 0}/${server.players_max ?? 0} players`;
+    const version = server.version_name ? ` • ${server.version_name}` : '';
+    status.textContent = `🟢 Online • ${players}${version}`;
+  } else {
+    status.classList.add('offline');
+    status.textContent = '🔴 Offline';
+  }
+  
+  if (server.uptime_24h !== null && server.uptime_24h !== undefined) {
+    status.textContent += ` • ${server.uptime_24h}% uptime (24h)`;
+  }
+  
+  if (server.status_checked_at) {
+    status.title = `Last checked: ${new Date(server.status_checked_at).toLocaleString()}`;
+  }
+  
+  if (server.online && server.motd) {
+    const motd = document.createElement('span');
+    motd.className = 'motd';
+    motd.textContent = server.motd;
+    status.appendChild(motd);
+  }
+  
+  return status;
+}
+
+// Collapsible uptime history, loaded the first time it is opened
+function createUptimeElement(server) {
+  const details = document.createElement('details');
+  details.className = 'uptime';
+  
+  const summary = document.createElement('summary');
+  summary.textContent = 'Uptime history';
+  details.appendChild(summary);
+  
+  const body = document.createElement('div');
+  body.className = 'muted';
+  body.textContent = 'Loading...';
+  details.appendChild(body);
+  
+  let loaded = false;
+  details.addEventListener('toggle', async () => {
+    if (!details.open || loaded) return;
+    loaded = true;
+    
+    try {
+      const res = await fetch(`/api/servers/${server.id}/uptime`);
+      const data = await res.json();
+      
+      if (!res.ok) {
+        body.textContent = data.error || 'Could not load uptime history';
+        loaded = false;
+        return;
+      }
+      renderUptime(body, data);
+    } catch (error) {
+      body.textContent = 'Network error';
+      loaded = false;
+    }
+  });
+  
+  return details;
+}
+
+function renderUptime(container, data) {
+  container.textContent = '';
+  
+  const percentages = document.createElement('p');
+  percentages.textContent = Object.entries(data.uptime)
+    .map(([window, value]) => `${window}: ${value === null ? 'n/a' : value + '%'}`)
+    .join(' • ');
+  container.appendChild(percentages);
+  
+  if (data.outages.length === 0) {
+    const none = document.createElement('p');
+    none.textContent = 'No outages recorded in the last 30 days.';
+    container.appendChild(none);
+    return;
+  }
+  
+  const list = document.createElement('ul');
+  list.className = 'outages';
+  data.outages.forEach(outage => {
+    const item = document.createElement('li');
+    const started = new Date(outage.started_at).toLocaleString();
+    item.textContent = outage.ongoing
+      ? `Offline since ${started} (${formatDuration(outage.duration_minutes)})`
+      : `${started}: offline for ${formatDuration(outage.duration_minutes)}`;
+    list.appendChild(item);
+  });
+  container.appendChild(list);
+}
+
+function formatDuration(minutes) {
+  if (minutes < 60) return `${minutes}m`;
+  if (minutes < 1440) return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  return `${Math.floor(minutes / 1440)}d ${Math.floor((minutes % 1440) / 60)}h`;
+}
+
 async function voteForServer(serverId) {
   try {
     const res = await fetch(`/api/servers/${serverId}/vote`, { method: 'POST' });
@@ -308,10 +790,50 @@ async function voteForServer(serverId) {
   }
 }
 
+function openReportModal(server) {
+  elements.reportForm.reset();
+  elements.reportMsg.textContent = '';
+  document.getElementById('reportServerId').value = server.id;
+  document.getElementById('reportServerName').textContent = server.name;
+  showModal('reportModal');
+}
+
+async function handleReportSubmit(e) {
+  e.preventDefault();
+  const serverId = document.getElementById('reportServerId').value;
+  const body = {
+    category: document.getElementById('reportCategory').value,
+    details: document.getElementById('reportDetails').value.trim()
+  };
+  
+  const sendReport = async () => {
+    try {
+      const res = await fetch(`/api/servers/${serverId}/report`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const data = await res.json();
+      
+      if (res.ok) {
+        elements.reportForm.reset();
+        elements.reportMsg.textContent = '✅ ' + data.message;
+      } else if (!handleCaptchaResponse(data, sendReport)) {
+        elements.reportMsg.textContent = '❌ ' + (data.error || 'Could not send report');
+      }
+    } catch (error) {
+      elements.reportMsg.textContent = '❌ Network error';
+    }
+  };
+  
+  await sendReport();
+}
+
 async function handleServerSubmit(e) {
   e.preventDefault();
   const formData = new FormData(elements.serverForm);
   const body = Object.fromEntries(formData.entries());
+  body.tags = formData.getAll('tags');
   
   try {
     const res = await fetch('/api/servers', {
@@ -323,8 +845,15 @@ async function handleServerSubmit(e) {
     
     if (res.ok) {
       elements.serverForm.reset();
-      elements.formMsg.textContent = '✅ Listing created!';
+      elements.formMsg.textContent = data.moderation_status === 'pending'
+        ? '✅ Listing submitted! It will show up once a moderator approves it.'
+        : '✅ Listing created!';
+      if (data.duplicates && data.duplicates.length) {
+        elements.formMsg.textContent += ` ⚠️ It looks like ${describeDuplicates(data.duplicates)}, which ${data.duplicates.length === 1 ? 'is' : 'are'} already listed. Moderators may merge or remove duplicates.`;
+      }
       await fetchServers();
+    } else if (data.duplicates) {
+      elements.formMsg.textContent = `❌ ${data.error}: ${describeDuplicates(data.duplicates)}`;
     } else {
       elements.formMsg.textContent = '❌ ' + (data.error || 'Error creating listing');
     }
@@ -333,6 +862,13 @@ async function handleServerSubmit(e) {
   }
 }
 
+const DUPLICATE_REASON_LABELS = { hostname: 'same host', address: 'same IP and port', name: 'similar name' };
+
+// "Skyblock Legends (play.example.com), Skyblock Legend (1.2.3.4)"
+function describeDuplicates(duplicates) {
+  return duplicates.map(duplicate => `${duplicate.name} (${duplicate.ip})`).join(', ');
+}
+
 // Authentication functions
 async function handleLogin(e) {
   e.preventDefault();
@@ -411,6 +947,11 @@ function showView(viewName) {
       elements.myServersView.style.display = 'block';
       loadUserServers();
       break;
+    case 'favorites':
+      elements.favoritesView.style.display = 'block';
+      loadFavorites();
+      loadNotifications();
+      break;
     case 'dashboard':
       elements.dashboardView.style.display = 'block';
       loadDashboardData();
@@ -422,6 +963,168 @@ function showView(viewName) {
   }
 }
 
+// Favorites
+function createFavoriteButton(serverId) {
+  const btn = document.createElement('button');
+  btn.className = 'favorite-btn';
+  btn.dataset.serverId = serverId;
+  setFavoriteButtonState(btn, favoriteIds.has(serverId));
+  btn.onclick = () => toggleFavorite(serverId);
+  return btn;
+}
+
+function setFavoriteButtonState(btn, favorited) {
+  btn.classList.toggle('active', favorited);
+  btn.textContent = favorited ? '♥' : '♡';
+  btn.title = favorited ? 'Remove from favorites' : 'Add to favorites';
+}
+
+function updateFavoriteButtons() {
+  document.querySelectorAll('.favorite-btn').forEach(btn => {
+    setFavoriteButtonState(btn, favoriteIds.has(parseInt(btn.dataset.serverId, 10)));
+  });
+}
+
+async function loadFavoriteIds() {
+  try {
+    const res = await fetch('/api/user/favorites?limit=1');
+    const data = await res.json();
+    if (!res.ok) return;
+    
+    favoriteIds.clear();
+    data.ids.forEach(id => favoriteIds.add(id));
+    updateFavoriteButtons();
+  } catch (error) {
+    console.error('Failed to load favorites:', error);
+  }
+}
+
+async function toggleFavorite(serverId) {
+  if (!currentUser) {
+    showModal('loginModal');
+    return;
+  }
+  
+  const favorited = favoriteIds.has(serverId);
+  try {
+    const res = await fetch(`/api/user/favorites/${serverId}`, { method: favorited ? 'DELETE' : 'POST' });
+    const data = await res.json();
+    
+    if (res.ok || res.status === 404) {
+      if (favorited) favoriteIds.delete(serverId);
+      else favoriteIds.add(serverId);
+      updateFavoriteButtons();
+      if (currentView === 'favorites') loadFavorites();
+    } else {
+      alert(data.error || 'Could not update favorites');
+    }
+  } catch (error) {
+    alert('Network error');
+  }
+}
+
+async function loadFavorites() {
+  try {
+    const res = await fetch('/api/user/favorites?limit=100');
+    const data = await res.json();
+    
+    if (!res.ok) {
+      elements.favoritesMsg.textContent = '❌ ' + (data.error || 'Error loading favorites');
+      return;
+    }
+    
+    favoriteIds.clear();
+    data.ids.forEach(id => favoriteIds.add(id));
+    
+    elements.favoritesList.replaceChildren();
+    elements.favoritesMsg.textContent = '';
+    if (!data.servers.length) {
+      elements.favoritesList.innerHTML = html`<p class="muted">No favorites yet. Tap ♡ on a server to keep it here.</p>`;
+      return;
+    }
+    data.servers.forEach(server => elements.favoritesList.appendChild(createServerElement(server)));
+    if (data.next_cursor) {
+      elements.favoritesMsg.textContent = `Showing ${data.servers.length} of ${data.total} favorites`;
+    }
+  } catch (error) {
+    elements.favoritesMsg.textContent = '❌ Network error';
+  }
+}
+
+// Notifications about favorited servers
+async function loadNotifications() {
+  try {
+    const res = await fetch('/api/user/notifications');
+    const data = await res.json();
+    if (!res.ok) return;
+    
+    elements.notificationCount.textContent = data.unread;
+    elements.notificationCount.hidden = data.unread === 0;
+    renderNotifications(data.notifications.filter(notification => !notification.read_at));
+  } catch (error) {
+    console.error('Failed to load notifications:', error);
+  }
+}
+
+function renderNotifications(notifications) {
+  const panel = elements.notificationsPanel;
+  panel.replaceChildren();
+  panel.hidden = notifications.length === 0;
+  if (!notifications.length) return;
+  
+  const header = document.createElement('div');
+  header.className = 'notifications-header';
+  const title = document.createElement('h3');
+  title.textContent = '🔔 Notifications';
+  const readAll = document.createElement('button');
+  readAll.className = 'btn-secondary';
+  readAll.textContent = 'Mark all as read';
+  readAll.onclick = () => markNotificationsRead([]);
+  header.append(title, readAll);
+  panel.appendChild(header);
+  
+  notifications.forEach(notification => {
+    const row = document.createElement('div');
+    row.className = `notification ${notification.type}`;
+    
+    const text = document.createElement('span');
+    if (notification.server_id && notification.server_name) {
+      const link = document.createElement('a');
+      link.href = `/server/${notification.server_slug || notification.server_id}`;
+      link.textContent = notification.message;
+      text.appendChild(link);
+    } else {
+      text.textContent = notification.message;
+    }
+    
+    const time = document.createElement('span');
+    time.className = 'muted';
+    time.textContent = new Date(notification.created_at).toLocaleString();
+    
+    const dismiss = document.createElement('button');
+    dismiss.className = 'btn-secondary';
+    dismiss.textContent = '✓';
+    dismiss.title = 'Mark as read';
+    dismiss.onclick = () => markNotificationsRead([notification.id]);
+    
+    row.append(text, time, dismiss);
+    panel.appendChild(row);
+  });
+}
+
+async function markNotificationsRead(ids) {
+  try {
+    const res = await fetch('/api/user/notifications/read', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ids })
+    });
+    if (res.ok) await loadNotifications();
+  } catch (error) {
+    console.error('Failed to update notifications:', error);
+  }
+}
+
 // Modal management
 function showModal(modalId) {
   const modal = document.getElementById(modalId);
@@ -473,6 +1176,8 @@ async function handlePasswordChange(e) {
 
 // User servers management
 async function loadUserServers() {
+  loadInvitations();
+  
   try {
     const res = await fetch('/api/user/servers');
     const servers = await res.json();
@@ -487,11 +1192,64 @@ async function loadUserServers() {
   }
 }
 
+// Pending invitations to join other listings' teams
+async function loadInvitations() {
+  try {
+    const res = await fetch('/api/user/invitations');
+    const invitations = await res.json();
+    if (res.ok) renderInvitations(invitations);
+  } catch (error) {
+    console.error('Failed to load invitations:', error);
+  }
+}
+
+function renderInvitations(invitations) {
+  const container = elements.myInvitations;
+  container.replaceChildren();
+  container.hidden = invitations.length === 0;
+  if (!invitations.length) return;
+  
+  const title = document.createElement('h3');
+  title.textContent = 'Invitations';
+  container.appendChild(title);
+  
+  invitations.forEach(invitation => {
+    const row = document.createElement('div');
+    row.className = 'invitation';
+    
+    const text = document.createElement('span');
+    text.textContent = `${invitation.invited_by || 'Someone'} invited you to ${invitation.server_name} as ${invitation.role}`;
+    row.appendChild(text);
+    
+    ['accept', 'decline'].forEach(action => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = action === 'accept' ? '' : 'btn-secondary';
+      btn.textContent = action === 'accept' ? 'Accept' : 'Decline';
+      btn.addEventListener('click', () => respondToInvitation(invitation.id, action));
+      row.appendChild(btn);
+    });
+    
+    container.appendChild(row);
+  });
+}
+
+async function respondToInvitation(invitationId, action) {
+  try {
+    const res = await fetch(`/api/user/invitations/${invitationId}/${action}`, { method: 'POST' });
+    const data = await res.json();
+    elements.myServersMsg.textContent = res.ok ? '✅ ' + data.message : '❌ ' + (data.error || 'Error');
+    await loadUserServers();
+  } catch (error) {
+    elements.myServersMsg.textContent = '❌ Network error';
+  }
+}
+
 function renderUserServers(servers) {
-  elements.myServersList.innerHTML = '';
+  elements.myServersList.replaceChildren();
   
   if (!servers.length) {
-    elements.myServersList.innerHTML = '<p class="muted">You haven\'t submitted any servers yet.</p>';
+    elements.myServersList.innerHTML = html`<p class="muted">You haven't submitted any servers yet.</p>`;
     return;
   }
   
@@ -501,29 +1259,613 @@ function renderUserServers(servers) {
   });
 }
 
+const MODERATION_LABELS = {
+  pending: 'Pending review',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  suspended: 'Suspended'
+};
+
+function createUnverifiedBadge() {
+  const badge = document.createElement('span');
+  badge.className = 'badge unverified';
+  badge.textContent = 'Unverified';
+  badge.title = 'The owner has not proven they run this server yet';
+  return badge;
+}
+
+// Where a listing address points after SRV and A/AAAA lookups
+function formatResolvedTarget(server) {
+  const target = `${server.resolved_host}:${server.resolved_port}`;
+  return server.resolved_ip && server.resolved_ip !== server.resolved_host ? `${target} (${server.resolved_ip})` : target;
+}
+
+// Shown to owners and admins when the last status ping reported a protocol
+// outside the listing's supported version range
+function versionMismatchWarning(server) {
+  if (server.version_mismatch !== true) return '';
+  return html`<p class="version-mismatch">⚠️ The server reports ${server.version_name || `protocol ${server.protocol}`}, which is outside its listed versions (${server.version_range})</p>`;
+}
+
 function createUserServerElement(server) {
   const div = document.createElement('div');
   div.className = 'my-server-item';
   
-  div.innerHTML = `
+  const role = server.member_role || 'owner';
+  
+  div.innerHTML = html`
     <div class="header">
-      <h4>${server.name} <span class="badge ${server.plan === 'paid' ? 'paid' : ''}">${server.plan === 'paid' ? 'Featured' : 'Free'}</span></h4>
+      <h4>${server.name} <span class="badge ${server.plan === 'paid' ? 'paid' : ''}">${server.plan === 'paid' ? 'Featured' : 'Free'}</span>${server.verified ? html` <span class="badge verified">Verified</span>` : html` <span class="badge unverified">Unverified</span>`}${role !== 'owner' && html` <span class="badge role">${role}</span>`}${server.moderation_status && server.moderation_status !== 'approved' && html` <span class="badge moderation ${server.moderation_status}">${MODERATION_LABELS[server.moderation_status]}</span>`}</h4>
     </div>
     <div class="meta">
       <p><strong>IP:</strong> ${server.ip}</p>
+      ${server.resolved_host && html`<p><strong>Resolves to:</strong> ${formatResolvedTarget(server)}</p>`}
+      ${server.country && html`<p><strong>Location:</strong> ${countryFlag(server.country)} ${countryName(server.country)}${server.region ? ` (${server.region})` : ''}</p>`}
+      ${server.version_range && html`<p><strong>Versions:</strong> ${server.version_range}</p>`}
+      ${versionMismatchWarning(server)}
       <p><strong>Votes:</strong> ${server.votes}</p>
+      <p><strong>Page:</strong> <a href="/server/${server.slug || server.id}">/server/${server.slug || server.id}</a></p>
       <p><strong>Created:</strong> ${new Date(server.created_at).toLocaleDateString()}</p>
-      ${server.description ? `<p><strong>Description:</strong> ${server.description}</p>` : ''}
+      ${server.description && html`<div><strong>Description:</strong><div class="listing-description">${trustedHtml(server.description_html)}</div></div>`}
     </div>
     <div class="actions">
       <button class="btn-edit" onclick="editServer(${server.id})">Edit</button>
-      <button class="btn-danger" onclick="deleteServer(${server.id})">Delete</button>
+      ${role === 'owner' && html`<button class="btn-danger" onclick="deleteServer(${server.id})">Delete</button>`}
     </div>
   `;
   
+  if (server.tags && server.tags.length) {
+    div.querySelector('.meta').appendChild(createTagList(server.tags));
+  }
+  if (server.moderation_reason) {
+    const reason = document.createElement('p');
+    reason.className = 'moderation-reason';
+    reason.textContent = `${MODERATION_LABELS[server.moderation_status]}: ${server.moderation_reason}`;
+    div.querySelector('.meta').appendChild(reason);
+  }
+  if (!server.verified && role !== 'editor') {
+    div.insertBefore(createVerificationPanel(server), div.querySelector('.actions'));
+  }
+  div.insertBefore(createTeamPanel(server), div.querySelector('.actions'));
+  div.insertBefore(createEmbedPanel(server), div.querySelector('.actions'));
+  div.insertBefore(createRevisionsPanel(`/api/user/servers/${server.id}`, role === 'owner', loadUserServers), div.querySelector('.actions'));
+  div.insertBefore(createPlayerChart(server.id), div.querySelector('.actions'));
+  
   return div;
 }
 
+const EMBED_THEMES = { dark: 'Dark', light: 'Light', grass: 'Grass' };
+
+// Badge and widget snippets for the owner's website, with a live badge preview
+function createEmbedPanel(server) {
+  const panel = document.createElement('details');
+  panel.className = 'embed-panel';
+  
+  const summary = document.createElement('summary');
+  summary.textContent = 'Embed on your site';
+  panel.appendChild(summary);
+  
+  const themeLabel = document.createElement('label');
+  themeLabel.textContent = 'Theme ';
+  const themeSelect = document.createElement('select');
+  Object.entries(EMBED_THEMES).forEach(([value, label]) => {
+    themeSelect.appendChild(new Option(label, value));
+  });
+  themeLabel.appendChild(themeSelect);
+  
+  const preview = document.createElement('img');
+  preview.className = 'embed-preview';
+  preview.alt = `${server.name} badge`;
+  
+  const snippets = document.createElement('div');
+  snippets.className = 'embed-snippets';
+  
+  const note = document.createElement('p');
+  note.className = 'muted';
+  note.textContent = 'Badges and widgets show "Listing unavailable" until the listing is approved.';
+  
+  const render = () => {
+    const base = `${window.location.origin}/embed/servers/${server.id}`;
+    const pageUrl = `${window.location.origin}/server/${server.slug || server.id}`;
+    const theme = themeSelect.value;
+    const badgeUrl = `${base}/badge.svg?theme=${theme}`;
+    preview.src = badgeUrl;
+    snippets.replaceChildren();
+    [
+      ['Badge (HTML)', `<a href="${pageUrl}"><img src="${badgeUrl}" alt="${server.name.replace(/"/g, '&quot;')}"></a>`],
+      ['Badge (Markdown / BBCode)', `[![${server.name}](${badgeUrl})](${pageUrl})\n[url=${pageUrl}][img]${badgeUrl}[/img][/url]`],
+      ['Widget', `<iframe src="${base}/widget?theme=${theme}" width="360" height="150" frameborder="0" loading="lazy" title="${server.name.replace(/"/g, '&quot;')}"></iframe>`]
+    ].forEach(([label, code]) => {
+      const field = document.createElement('label');
+      field.textContent = label;
+      const textarea = document.createElement('textarea');
+      textarea.readOnly = true;
+      textarea.rows = code.includes('\n') ? 2 : 1;
+      textarea.value = code;
+      textarea.addEventListener('focus', () => textarea.select());
+      field.appendChild(textarea);
+      snippets.appendChild(field);
+    });
+  };
+  themeSelect.addEventListener('change', render);
+  
+  panel.addEventListener('toggle', () => {
+    if (panel.open && !preview.src) render();
+  });
+  
+  panel.append(themeLabel, preview, snippets);
+  if (server.moderation_status && server.moderation_status !== 'approved') panel.appendChild(note);
+  return panel;
+}
+
+const REVISION_ACTION_LABELS = { create: 'Created', edit: 'Edited', rollback: 'Rolled back', import: 'Existing listing' };
+
+// Edit history of a listing with a field diff per revision. `baseUrl` is the
+// user or admin route of the listing; `onRolledBack` runs after a rollback.
+function createRevisionsPanel(baseUrl, canRollback, onRolledBack) {
+  const panel = document.createElement('details');
+  panel.className = 'revisions-panel';
+  
+  const summary = document.createElement('summary');
+  summary.textContent = 'Edit history';
+  panel.appendChild(summary);
+  
+  const body = document.createElement('div');
+  panel.appendChild(body);
+  
+  panel.addEventListener('toggle', () => {
+    if (panel.open) loadRevisions(baseUrl, body, canRollback, onRolledBack);
+  });
+  
+  return panel;
+}
+
+async function loadRevisions(baseUrl, container, canRollback, onRolledBack) {
+  container.textContent = 'Loading history...';
+  try {
+    const res = await fetch(`${baseUrl}/revisions`);
+    const revisions = await res.json();
+    if (!res.ok) {
+      container.textContent = '❌ ' + (revisions.error || 'Error loading history');
+      return;
+    }
+    renderRevisions(baseUrl, container, revisions, canRollback, onRolledBack);
+  } catch (error) {
+    container.textContent = '❌ Network error';
+  }
+}
+
+function formatRevisionValue(value) {
+  if (value === null || value === '') return '(empty)';
+  const text = String(value);
+  return text.length > 80 ? text.slice(0, 80) + '…' : text;
+}
+
+function renderRevisions(baseUrl, container, revisions, canRollback, onRolledBack) {
+  container.replaceChildren();
+  const msg = document.createElement('p');
+  msg.className = 'muted';
+  
+  const list = document.createElement('ol');
+  list.className = 'revision-list';
+  revisions.forEach((revision, index) => {
+    const item = document.createElement('li');
+    
+    const header = document.createElement('div');
+    header.className = 'revision-header';
+    const title = document.createElement('span');
+    const action = revision.action === 'rollback' && revision.rolled_back_to
+      ? `Rolled back to #${revision.rolled_back_to}`
+      : REVISION_ACTION_LABELS[revision.action];
+    title.textContent = `#${revision.revision_number} ${action} by ${revision.username || 'system'} • ${new Date(revision.created_at).toLocaleString()}`;
+    header.appendChild(title);
+    
+    // The newest revision is the current state of the listing
+    if (canRollback && index > 0) {
+      const rollbackBtn = document.createElement('button');
+      rollbackBtn.type = 'button';
+      rollbackBtn.className = 'btn-secondary';
+      rollbackBtn.textContent = 'Restore';
+      rollbackBtn.addEventListener('click', async () => {
+        if (!confirm(`Restore the listing to revision #${revision.revision_number}?`)) return;
+        try {
+          const res = await fetch(`${baseUrl}/revisions/${revision.id}/rollback`, { method: 'POST' });
+          const data = await res.json();
+          if (!res.ok) {
+            msg.textContent = '❌ ' + (data.error || 'Error');
+            return;
+          }
+          await loadRevisions(baseUrl, container, canRollback, onRolledBack);
+          if (onRolledBack) onRolledBack();
+        } catch (error) {
+          msg.textContent = '❌ Network error';
+        }
+      });
+      header.appendChild(rollbackBtn);
+    }
+    item.appendChild(header);
+    
+    const changes = document.createElement('ul');
+    changes.className = 'revision-changes';
+    Object.entries(revision.changes).forEach(([field, { from, to }]) => {
+      const change = document.createElement('li');
+      const label = document.createElement('strong');
+      label.textContent = `${field}: `;
+      const before = document.createElement('del');
+      before.textContent = formatRevisionValue(from);
+      const after = document.createElement('ins');
+      after.textContent = formatRevisionValue(to);
+      change.append(label, before, ' → ', after);
+      changes.appendChild(change);
+    });
+    item.appendChild(changes);
+    
+    list.appendChild(item);
+  });
+  container.append(list, msg);
+}
+
+const MEMBER_ROLE_LABELS = { owner: 'Owner', manager: 'Manager', editor: 'Editor' };
+
+// Roles a member may hand out, mirroring the server-side rules
+const MANAGEABLE_ROLES = { owner: ['manager', 'editor'], manager: ['editor'], editor: [] };
+
+// Listing team: members, invitations and ownership transfer. Loaded when opened.
+function createTeamPanel(server) {
+  const panel = document.createElement('details');
+  panel.className = 'team-panel';
+  
+  const summary = document.createElement('summary');
+  summary.textContent = 'Team';
+  panel.appendChild(summary);
+  
+  const body = document.createElement('div');
+  panel.appendChild(body);
+  
+  panel.addEventListener('toggle', () => {
+    if (panel.open) loadTeam(server, body);
+  });
+  
+  return panel;
+}
+
+async function loadTeam(server, container) {
+  container.textContent = 'Loading team...';
+  try {
+    const res = await fetch(`/api/user/servers/${server.id}/members`);
+    const data = await res.json();
+    if (!res.ok) {
+      container.textContent = '❌ ' + (data.error || 'Error loading team');
+      return;
+    }
+    renderTeam(server, container, data);
+  } catch (error) {
+    container.textContent = '❌ Network error';
+  }
+}
+
+function renderTeam(server, container, { role, members, invitations }) {
+  container.replaceChildren();
+  const manageable = MANAGEABLE_ROLES[role] || [];
+  const msg = document.createElement('p');
+  msg.className = 'muted';
+  
+  const teamRequest = async (url, options, successText) => {
+    try {
+      const res = await fetch(url, options);
+      const data = await res.json();
+      if (!res.ok) {
+        msg.textContent = '❌ ' + (data.error || 'Error');
+        return;
+      }
+      msg.textContent = '✅ ' + (data.message || successText);
+      await loadTeam(server, container);
+      container.appendChild(msg);
+    } catch (error) {
+      msg.textContent = '❌ Network error';
+    }
+  };
+  const jsonOptions = (method, payload) => ({
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  });
+  
+  const list = document.createElement('ul');
+  list.className = 'team-members';
+  members.forEach(member => {
+    const item = document.createElement('li');
+    const name = document.createElement('span');
+    name.textContent = `${member.username} — ${MEMBER_ROLE_LABELS[member.role]}`;
+    item.appendChild(name);
+    
+    const isSelf = member.user_id === currentUser?.id;
+    if (manageable.includes(member.role) && !isSelf) {
+      const roleSelect = document.createElement('select');
+      manageable.forEach(option => {
+        roleSelect.add(new Option(MEMBER_ROLE_LABELS[option], option, false, option === member.role));
+      });
+      roleSelect.addEventListener('change', () => teamRequest(
+        `/api/user/servers/${server.id}/members/${member.user_id}`,
+        jsonOptions('PUT', { role: roleSelect.value }),
+        'Role updated'
+      ));
+      item.appendChild(roleSelect);
+    }
+    
+    if (role === 'owner' && member.role !== 'owner') {
+      const transferBtn = document.createElement('button');
+      transferBtn.type = 'button';
+      transferBtn.className = 'btn-secondary';
+      transferBtn.textContent = 'Make owner';
+      transferBtn.addEventListener('click', async () => {
+        if (!confirm(`Transfer ownership of ${server.name} to ${member.username}? You will stay on as manager.`)) return;
+        await teamRequest(`/api/user/servers/${server.id}/transfer`, jsonOptions('POST', { user_id: member.user_id }), 'Ownership transferred');
+        loadUserServers();
+      });
+      item.appendChild(transferBtn);
+    }
+    
+    if (member.role !== 'owner' && (isSelf || manageable.includes(member.role))) {
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'btn-danger';
+      removeBtn.textContent = isSelf ? 'Leave' : 'Remove';
+      removeBtn.addEventListener('click', async () => {
+        if (!confirm(isSelf ? `Leave ${server.name}?` : `Remove ${member.username} from ${server.name}?`)) return;
+        await teamRequest(`/api/user/servers/${server.id}/members/${member.user_id}`, { method: 'DELETE' }, 'Member removed');
+        if (isSelf) loadUserServers();
+      });
+      item.appendChild(removeBtn);
+    }
+    
+    list.appendChild(item);
+  });
+  container.appendChild(list);
+  
+  if (invitations.length) {
+    const pending = document.createElement('ul');
+    pending.className = 'team-invitations';
+    invitations.forEach(invitation => {
+      const item = document.createElement('li');
+      item.textContent = `${invitation.invitee} — invited as ${MEMBER_ROLE_LABELS[invitation.role]} `;
+      if (manageable.includes(invitation.role)) {
+        const revokeBtn = document.createElement('button');
+        revokeBtn.type = 'button';
+        revokeBtn.className = 'btn-secondary';
+        revokeBtn.textContent = 'Revoke';
+        revokeBtn.addEventListener('click', () => teamRequest(
+          `/api/user/servers/${server.id}/invitations/${invitation.id}`,
+          { method: 'DELETE' },
+          'Invitation revoked'
+        ));
+        item.appendChild(revokeBtn);
+      }
+      pending.appendChild(item);
+    });
+    container.appendChild(pending);
+  }
+  
+  if (manageable.length) {
+    const form = document.createElement('form');
+    form.className = 'team-invite';
+    
+    const userInput = document.createElement('input');
+    userInput.type = 'text';
+    userInput.required = true;
+    userInput.placeholder = 'Username or email';
+    
+    const roleSelect = document.createElement('select');
+    manageable.forEach(option => roleSelect.add(new Option(MEMBER_ROLE_LABELS[option], option)));
+    
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.textContent = 'Invite';
+    
+    form.append(userInput, roleSelect, submit);
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      teamRequest(
+        `/api/user/servers/${server.id}/invitations`,
+        jsonOptions('POST', { user: userInput.value.trim(), role: roleSelect.value }),
+        'Invitation sent'
+      );
+    });
+    container.appendChild(form);
+  }
+  
+  container.appendChild(msg);
+}
+
+// Ownership verification: get a token, put it in the MOTD, then let the backend ping the server
+function createVerificationPanel(server) {
+  const panel = document.createElement('div');
+  panel.className = 'verification-panel';
+  
+  const intro = document.createElement('p');
+  intro.className = 'muted';
+  intro.textContent = 'Verify that you run this server to remove the Unverified badge and unlock paid upgrades.';
+  panel.appendChild(intro);
+  
+  const tokenLine = document.createElement('p');
+  tokenLine.hidden = true;
+  const tokenCode = document.createElement('code');
+  tokenLine.append('Add this to your server MOTD: ', tokenCode);
+  panel.appendChild(tokenLine);
+  
+  const tokenBtn = document.createElement('button');
+  tokenBtn.type = 'button';
+  tokenBtn.textContent = 'Get verification token';
+  
+  const checkBtn = document.createElement('button');
+  checkBtn.type = 'button';
+  checkBtn.textContent = 'Check MOTD now';
+  checkBtn.hidden = true;
+  
+  const msg = document.createElement('p');
+  msg.className = 'muted';
+  
+  tokenBtn.addEventListener('click', async () => {
+    try {
+      const res = await fetch(`/api/user/servers/${server.id}/verification`, { method: 'POST' });
+      const data = await res.json();
+      if (!res.ok) {
+        msg.textContent = '❌ ' + (data.error || 'Could not start verification');
+        return;
+      }
+      if (data.verified) return loadUserServers();
+      
+      tokenCode.textContent = data.token;
+      tokenLine.hidden = false;
+      tokenBtn.hidden = true;
+      checkBtn.hidden = false;
+      msg.textContent = data.instructions;
+    } catch (err) {
+      msg.textContent = '❌ Network error';
+    }
+  });
+  
+  checkBtn.addEventListener('click', async () => {
+    checkBtn.disabled = true;
+    msg.textContent = 'Pinging your server...';
+    try {
+      const res = await fetch(`/api/user/servers/${server.id}/verification/check`, { method: 'POST' });
+      const data = await res.json();
+      if (res.ok && data.verified) {
+        msg.textContent = '✅ Server verified';
+        setTimeout(loadUserServers, 1000);
+      } else {
+        msg.textContent = '❌ ' + (data.error || 'Verification failed') + (data.motd ? ` (current MOTD: "${data.motd}")` : '');
+      }
+    } catch (err) {
+      msg.textContent = '❌ Network error';
+    } finally {
+      checkBtn.disabled = false;
+    }
+  });
+  
+  const actions = document.createElement('div');
+  actions.className = 'verification-actions';
+  actions.append(tokenBtn, checkBtn);
+  panel.append(actions, msg);
+  
+  return panel;
+}
+
+const PLAYER_CHART_RANGES = ['24h', '7d', '30d', '90d'];
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Player-count chart with a range picker
+function createPlayerChart(serverId) {
+  const container = document.createElement('div');
+  container.className = 'player-chart';
+  
+  const header = document.createElement('div');
+  header.className = 'player-chart-header';
+  
+  const title = document.createElement('strong');
+  title.textContent = 'Players';
+  header.appendChild(title);
+  
+  const rangeSelect = document.createElement('select');
+  PLAYER_CHART_RANGES.forEach(range => {
+    const option = document.createElement('option');
+    option.value = range;
+    option.textContent = range;
+    rangeSelect.appendChild(option);
+  });
+  header.appendChild(rangeSelect);
+  
+  const body = document.createElement('div');
+  body.className = 'player-chart-body';
+  
+  container.appendChild(header);
+  container.appendChild(body);
+  
+  const load = async () => {
+    body.textContent = 'Loading...';
+    try {
+      const res = await fetch(`/api/servers/${serverId}/stats/players?range=${rangeSelect.value}`);
+      const data = await res.json();
+      
+      if (res.ok) {
+        renderPlayerChart(body, data.points);
+      } else {
+        body.textContent = data.error || 'Could not load player stats';
+      }
+    } catch (error) {
+      body.textContent = 'Network error';
+    }
+  };
+  
+  rangeSelect.addEventListener('change', load);
+  load();
+  
+  return container;
+}
+
+function renderPlayerChart(container, points) {
+  container.textContent = '';
+  
+  if (!points.length) {
+    container.textContent = 'No player data yet. Counts are collected every few minutes.';
+    return;
+  }
+  
+  const width = 600;
+  const height = 120;
+  const padding = 4;
+  const times = points.map(point => new Date(point.time).getTime());
+  const minTime = Math.min(...times);
+  const timeSpan = Math.max(Math.max(...times) - minTime, 1);
+  const peak = Math.max(0, ...points.map(point => point.max_players || 0));
+  const scale = Math.max(peak, 1);
+  
+  const x = (time) => padding + ((time - minTime) / timeSpan) * (width - padding * 2);
+  const y = (value) => height - padding - (value / scale) * (height - padding * 2);
+  
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  svg.setAttribute('preserveAspectRatio', 'none');
+  svg.setAttribute('role', 'img');
+  
+  // Break the line wherever the listing was offline
+  const addLine = (key, className) => {
+    let segment = [];
+    const flush = () => {
+      if (segment.length) {
+        const line = document.createElementNS(SVG_NS, 'polyline');
+        line.setAttribute('points', segment.join(' '));
+        line.setAttribute('class', className);
+        svg.appendChild(line);
+      }
+      segment = [];
+    };
+    
+    points.forEach((point, i) => {
+      if (point[key] === null) return flush();
+      segment.push(`${x(times[i]).toFixed(1)},${y(point[key]).toFixed(1)}`);
+    });
+    flush();
+  };
+  
+  addLine('max_players', 'max');
+  addLine('avg_players', 'avg');
+  
+  const online = points.filter(point => point.avg_players !== null);
+  const average = online.length
+    ? Math.round(online.reduce((sum, point) => sum + point.avg_players, 0) / online.length * 10) / 10
+    : 0;
+  svg.setAttribute('aria-label', `Player count chart, peak ${peak}, average ${average}`);
+  
+  const summary = document.createElement('p');
+  summary.className = 'muted';
+  summary.textContent = `Peak ${peak} • Average ${average} • ${new Date(minTime).toLocaleString()} – now`;
+  
+  container.appendChild(svg);
+  container.appendChild(summary);
+}
+
 window.editServer = function(serverId) {
   // Find the server data from the current user's servers
   loadServerForEdit(serverId);
@@ -550,10 +1892,20 @@ async function loadServerForEdit(serverId) {
 function populateEditForm(server) {
   document.getElementById('editServerId').value = server.id;
   document.getElementById('editServerName').value = server.name;
+  document.getElementById('editServerSlug').value = server.slug || '';
   document.getElementById('editServerIp').value = server.ip;
+  document.getElementById('editServerEdition').value = server.edition || 'java';
+  document.getElementById('editServerBedrockPort').value = server.bedrock_port || '';
+  document.getElementById('editServerVersionRange').value = server.version_min
+    ? (server.version_min === server.version_max ? server.version_min : `${server.version_min}-${server.version_max}`)
+    : '';
   document.getElementById('editServerWebsite').value = server.website_url || '';
   document.getElementById('editServerBanner').value = server.banner_url || '';
-  document.getElementById('editServerDescription').value = server.description || '';
+  const editDescription = document.getElementById('editServerDescription');
+  editDescription.value = server.description || '';
+  editDescription.dataset.plan = server.plan;
+  updateDescriptionHint(editDescription, document.getElementById('editServerDescriptionHint'), server.plan);
+  renderTagPicker(elements.editServerTagPicker, (server.tags || []).map(tag => tag.slug));
   elements.editServerMsg.textContent = '';
   
   // Set banner URL in the upload component if it exists
@@ -569,10 +1921,15 @@ async function handleEditServer(e) {
   const serverId = document.getElementById('editServerId').value;
   const serverData = {
     name: document.getElementById('editServerName').value,
+    slug: document.getElementById('editServerSlug').value.trim().toLowerCase(),
     ip: document.getElementById('editServerIp').value,
+    edition: document.getElementById('editServerEdition').value,
+    bedrock_port: document.getElementById('editServerBedrockPort').value,
+    version_range: document.getElementById('editServerVersionRange').value,
     website_url: document.getElementById('editServerWebsite').value,
     banner_url: document.getElementById('editServerBanner').value,
-    description: document.getElementById('editServerDescription').value
+    description: document.getElementById('editServerDescription').value,
+    tags: getPickedTags(elements.editServerTagPicker)
   };
   
   try {
@@ -633,7 +1990,7 @@ async function loadDashboardData() {
   console.log('🔍 [FRONTEND] Current view:', currentView);
   
   try {
-    elements.dashboardContent.innerHTML = '<div class="loading-spinner" style="text-align: center; padding: 40px;">🔄 Loading dashboard data...</div>';
+    elements.dashboardContent.innerHTML = html`<div class="loading-spinner" style="text-align: center; padding: 40px;">🔄 Loading dashboard data...</div>`;
     
     console.log('🔍 [FRONTEND] Making fetch request to /api/admin/dashboard');
     const res = await fetch('/api/admin/dashboard', {
@@ -661,19 +2018,19 @@ async function loadDashboardData() {
       renderDashboard(data);
     } else {
       console.error('❌ [FRONTEND] Dashboard API returned error:', res.status, data);
-      elements.dashboardContent.innerHTML = `<div style="text-align: center; padding: 40px; color: #ef4444;">❌ Failed to load dashboard data<br><small>Status: ${res.status} - ${data.error || res.statusText}</small></div>`;
+      elements.dashboardContent.innerHTML = html`<div style="text-align: center; padding: 40px; color: #ef4444;">❌ Failed to load dashboard data<br><small>Status: ${res.status} - ${data.error || res.statusText}</small></div>`;
     }
   } catch (error) {
     console.error('❌ [FRONTEND] Dashboard load error:', error);
     console.error('❌ [FRONTEND] Error stack:', error.stack);
-    elements.dashboardContent.innerHTML = `<div style="text-align: center; padding: 40px; color: #ef4444;">❌ Network error loading dashboard<br><small>${error.message}</small></div>`;
+    elements.dashboardContent.innerHTML = html`<div style="text-align: center; padding: 40px; color: #ef4444;">❌ Network error loading dashboard<br><small>${error.message}</small></div>`;
   }
 }
 
 function renderDashboard(data) {
   const lastUpdate = new Date(data.timestamp).toLocaleString();
   
-  elements.dashboardContent.innerHTML = `
+  elements.dashboardContent.innerHTML = html`
     <div class="dashboard-header">
       <div>
         <h2 class="dashboard-title">📊 System Overview</h2>
@@ -858,7 +2215,7 @@ function renderDashboard(data) {
                              activity.type === 'server_created' ? 'server' : 'security';
             const timeAgo = getTimeAgo(activity.timestamp);
             
-            return `
+            return html`
               <div class="activity-item">
                 <div class="activity-icon ${iconClass}">${icon}</div>
                 <div class="activity-details">
@@ -867,7 +2224,8 @@ function renderDashboard(data) {
                 </div>
               </div>
             `;
-          }).join('') || '<div style="text-align: center; color: #64748b; padding: 20px;">No recent activity</div>'}
+          })}
+          ${data.recentActivity.length ? '' : html`<div style="text-align: center; color: #64748b; padding: 20px;">No recent activity</div>`}
         </div>
       </div>
       
@@ -875,14 +2233,15 @@ function renderDashboard(data) {
       <div class="dashboard-section">
         <h3>🌍 Top Countries</h3>
         <div class="country-list">
-          ${data.topCountries.map((country, index) => `
+          ${data.topCountries.map((country, index) => html`
             <div class="country-item">
               <span class="country-name">${index + 1}. ${country.country}</span>
               <div class="country-stats">
                 ${country.login_count} logins • ${country.unique_users} users
               </div>
             </div>
-          `).join('') || '<div style="text-align: center; color: #64748b; padding: 20px;">No data available</div>'}
+          `)}
+          ${data.topCountries.length ? '' : html`<div style="text-align: center; color: #64748b; padding: 20px;">No data available</div>`}
         </div>
       </div>
     </div>
@@ -924,7 +2283,7 @@ async function loadAdminStats() {
 }
 
 function renderAdminStats(stats) {
-  elements.statsGrid.innerHTML = `
+  elements.statsGrid.innerHTML = html`
     <div class="stat-card">
       <div class="stat-number">${stats.totalUsers || 0}</div>
       <div class="stat-label">Total Users</div>
@@ -975,6 +2334,812 @@ function switchTab(tabName) {
     case 'servers':
       loadAdminServers();
       break;
+    case 'moderation':
+      loadModerationQueue();
+      break;
+    case 'reports':
+      loadReports();
+      break;
+    case 'reviews':
+      loadAdminReviews();
+      break;
+    case 'tags':
+      loadAdminTags();
+      break;
+    case 'duplicates':
+      loadDuplicates();
+      break;
+    case 'trash':
+      loadTrash();
+      break;
+    case 'settings':
+      loadAdminSettings();
+      break;
+  }
+}
+
+async function loadModerationQueue() {
+  try {
+    const res = await fetch(`/api/admin/moderation?status=${elements.moderationStatus.value}`);
+    const servers = await res.json();
+    
+    if (res.ok) {
+      renderModerationQueue(servers);
+    } else {
+      elements.adminMsg.textContent = '❌ ' + (servers.error || 'Error loading moderation queue');
+    }
+  } catch (error) {
+    elements.adminMsg.textContent = '❌ Network error';
+  }
+}
+
+const MODERATION_ACTIONS = [
+  ['approved', 'Approve', ''],
+  ['rejected', 'Reject', 'btn-warning'],
+  ['suspended', 'Suspend', 'btn-danger'],
+  ['pending', 'Back to queue', 'btn-secondary']
+];
+
+function renderModerationQueue(servers) {
+  elements.moderationList.replaceChildren();
+  
+  if (!servers.length) {
+    elements.moderationList.innerHTML = html`<p class="muted">Nothing to review here.</p>`;
+    return;
+  }
+  
+  servers.forEach(server => {
+    const item = document.createElement('div');
+    item.className = 'server-item moderation-item';
+    
+    if (server.banner_url) {
+      const banner = document.createElement('img');
+      banner.className = 'moderation-banner';
+      banner.src = server.banner_url;
+      banner.alt = `Banner of ${server.name}`;
+      item.appendChild(banner);
+    }
+    
+    const title = document.createElement('h4');
+    title.textContent = server.name;
+    if (!server.verified) title.appendChild(createUnverifiedBadge());
+    item.appendChild(title);
+    
+    const info = document.createElement('div');
+    info.className = 'info';
+    [
+      ['IP', server.ip],
+      ['Resolves to', server.resolved_host ? formatResolvedTarget(server) : null],
+      ['Owner', server.owner_username ? `${server.owner_username} (${server.owner_email})` : 'None'],
+      ['Website', server.website_url || '—'],
+      ['Submitted', new Date(server.created_at).toLocaleString()],
+      ['Reason', server.moderation_reason]
+    ].forEach(([label, value]) => {
+      if (!value) return;
+      const p = document.createElement('p');
+      const strong = document.createElement('strong');
+      strong.textContent = `${label}: `;
+      p.append(strong, value);
+      info.appendChild(p);
+    });
+    const description = document.createElement('div');
+    description.className = 'moderation-description listing-description';
+    description.innerHTML = trustedHtml(server.description_html);
+    info.appendChild(description);
+    if (server.tags.length) info.appendChild(createTagList(server.tags));
+    if (server.duplicates.length) info.appendChild(createDuplicateList(server.duplicates));
+    item.appendChild(info);
+    
+    const notes = document.createElement('details');
+    notes.className = 'moderation-notes';
+    const notesSummary = document.createElement('summary');
+    notesSummary.textContent = `Notes & history (${server.note_count})`;
+    notes.appendChild(notesSummary);
+    const notesList = document.createElement('ul');
+    notes.appendChild(notesList);
+    notes.addEventListener('toggle', () => {
+      if (notes.open) loadModerationNotes(server.id, notesList);
+    });
+    item.appendChild(notes);
+    item.appendChild(createRevisionsPanel(`/api/admin/servers/${server.id}`, true, loadModerationQueue));
+    
+    const noteInput = document.createElement('textarea');
+    noteInput.rows = 2;
+    noteInput.placeholder = 'Reviewer note (internal) or reason for rejecting/suspending (shown to the owner)';
+    item.appendChild(noteInput);
+    
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+    MODERATION_ACTIONS.forEach(([status, label, className]) => {
+      if (status === server.moderation_status) return;
+      const btn = document.createElement('button');
+      btn.className = className;
+      btn.textContent = label;
+      btn.addEventListener('click', () => moderateServer(server.id, status, noteInput.value.trim()));
+      actions.appendChild(btn);
+    });
+    item.appendChild(actions);
+    
+    elements.moderationList.appendChild(item);
+  });
+}
+
+async function loadModerationNotes(serverId, list) {
+  list.replaceChildren();
+  try {
+    const res = await fetch(`/api/admin/servers/${serverId}/moderation-notes`);
+    const notes = await res.json();
+    if (!res.ok) return;
+    
+    notes.forEach(note => {
+      const li = document.createElement('li');
+      const change = note.status_to ? `${note.status_from || 'new'} → ${note.status_to}` : 'note';
+      li.textContent = `${new Date(note.created_at).toLocaleString()} • ${note.author || 'system'} • ${change}${note.note ? `: ${note.note}` : ''}`;
+      list.appendChild(li);
+    });
+  } catch (error) {
+    console.error('Failed to load moderation notes:', error);
+  }
+}
+
+// The text box doubles as the reason shown to the owner when rejecting or suspending
+async function moderateServer(serverId, status, text) {
+  const publicReason = status === 'rejected' || status === 'suspended';
+  if (publicReason && !text) {
+    elements.adminMsg.textContent = '❌ Please enter a reason before rejecting or suspending';
+    return;
+  }
+  
+  try {
+    const res = await fetch(`/api/admin/servers/${serverId}/moderation`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(publicReason ? { status, reason: text } : { status, note: text })
+    });
+    const data = await res.json();
+    
+    if (res.ok) {
+      elements.adminMsg.textContent = '✅ ' + data.message;
+      await loadModerationQueue();
+    } else {
+      elements.adminMsg.textContent = '❌ ' + (data.error || 'Error updating listing');
+    }
+  } catch (error) {
+    elements.adminMsg.textContent = '❌ Network error';
+  }
+}
+
+const REPORT_CATEGORY_LABELS = {
+  scam: 'Scam or fraud',
+  offline: 'Offline for a long time',
+  inappropriate_content: 'Inappropriate content',
+  rule_violation: 'Breaks the listing rules',
+  wrong_information: 'Wrong information',
+  other: 'Something else'
+};
+
+const REPORT_STATUS_LABELS = {
+  open: 'Open',
+  investigating: 'Investigating',
+  resolved: 'Resolved',
+  dismissed: 'Dismissed'
+};
+
+async function loadReports() {
+  try {
+    const [res, usersRes] = await Promise.all([
+      fetch(`/api/admin/reports?status=${elements.reportStatus.value}`),
+      fetch('/api/admin/users')
+    ]);
+    const reports = await res.json();
+    const users = await usersRes.json();
+    
+    if (res.ok && usersRes.ok) {
+      renderReports(reports, users.filter(user => user.role === 'admin'));
+    } else {
+      elements.adminMsg.textContent = '❌ ' + (reports.error || users.error || 'Error loading reports');
+    }
+  } catch (error) {
+    elements.adminMsg.textContent = '❌ Network error';
+  }
+}
+
+function renderReports(reports, admins) {
+  elements.reportsList.replaceChildren();
+  
+  if (!reports.length) {
+    elements.reportsList.innerHTML = html`<p class="muted">No reports here.</p>`;
+    return;
+  }
+  
+  reports.forEach(report => {
+    const item = document.createElement('div');
+    item.className = `server-item report-item ${report.status}`;
+    const listingGone = !report.server_ip;
+    
+    const title = document.createElement('h4');
+    if (listingGone) {
+      title.textContent = `${report.server_name} (deleted)`;
+    } else {
+      const link = document.createElement('a');
+      link.href = `/server/${report.server_slug || report.server_id}`;
+      link.target = '_blank';
+      link.textContent = report.server_name;
+      title.appendChild(link);
+    }
+    const statusBadge = document.createElement('span');
+    statusBadge.className = `badge report-status ${report.status}`;
+    statusBadge.textContent = REPORT_STATUS_LABELS[report.status];
+    title.append(' ', statusBadge);
+    item.appendChild(title);
+    
+    const info = document.createElement('div');
+    info.className = 'info';
+    [
+      ['Reason', REPORT_CATEGORY_LABELS[report.category]],
+      ['Reported', `${new Date(report.created_at).toLocaleString()} by ${report.reporter_username || 'a guest'}`],
+      ['Listing', listingGone ? null : `${report.server_ip} • ${report.server_plan === 'paid' ? 'Featured' : 'Free'} • ${MODERATION_LABELS[report.server_moderation_status]}`],
+      ['Active reports on this listing', report.active_server_reports > 1 ? String(report.active_server_reports) : null],
+      ['Action taken', report.action_taken && report.action_taken !== 'none' ? report.action_taken.replace(/_/g, ' ') : null],
+      ['Closed', report.resolved_at ? `${new Date(report.resolved_at).toLocaleString()} by ${report.resolved_by_username || 'unknown'}` : null]
+    ].forEach(([label, value]) => {
+      if (!value) return;
+      const p = document.createElement('p');
+      const strong = document.createElement('strong');
+      strong.textContent = `${label}: `;
+      p.append(strong, value);
+      info.appendChild(p);
+    });
+    if (report.details) {
+      const details = document.createElement('p');
+      details.className = 'report-details';
+      details.textContent = report.details;
+      info.appendChild(details);
+    }
+    item.appendChild(info);
+    
+    const assignee = document.createElement('select');
+    assignee.replaceChildren(new Option('Unassigned', ''));
+    admins.forEach(admin => {
+      const option = document.createElement('option');
+      option.value = admin.id;
+      option.textContent = admin.username;
+      assignee.appendChild(option);
+    });
+    assignee.value = report.assignee_id ? String(report.assignee_id) : '';
+    assignee.addEventListener('change', () => {
+      updateReport(report.id, {
+        assignee_id: assignee.value ? parseInt(assignee.value, 10) : null,
+        ...(report.status === 'open' && assignee.value ? { status: 'investigating' } : {})
+      });
+    });
+    item.appendChild(assignee);
+    
+    const resolution = document.createElement('textarea');
+    resolution.rows = 2;
+    resolution.placeholder = 'Resolution (internal)';
+    resolution.value = report.resolution || '';
+    item.appendChild(resolution);
+    
+    const related = document.createElement('label');
+    related.className = 'checkbox';
+    const relatedInput = document.createElement('input');
+    relatedInput.type = 'checkbox';
+    relatedInput.checked = true;
+    related.append(relatedInput, ' Also close other active reports on this listing');
+    if (report.active_server_reports > 1) item.appendChild(related);
+    
+    const close = (status, actionTaken) => updateReport(report.id, {
+      status,
+      resolution: resolution.value.trim(),
+      action_taken: actionTaken,
+      resolve_related: report.active_server_reports > 1 && relatedInput.checked
+    });
+    
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+    const addAction = (label, className, handler) => {
+      const btn = document.createElement('button');
+      btn.className = className;
+      btn.textContent = label;
+      btn.addEventListener('click', handler);
+      actions.appendChild(btn);
+    };
+    
+    if (report.status === 'open') {
+      addAction('Investigate', 'btn-secondary', () => updateReport(report.id, { status: 'investigating' }));
+    }
+    if (report.status === 'open' || report.status === 'investigating') {
+      addAction('Resolve', '', () => close('resolved', 'none'));
+      addAction('Dismiss', 'btn-secondary', () => close('dismissed', 'none'));
+      if (!listingGone) {
+        if (report.server_plan === 'paid') {
+          addAction('Make Free & resolve', 'btn-warning', () => resolveReportWithAction(report, 'plan_downgraded', close));
+        }
+        if (report.server_moderation_status !== 'suspended') {
+          addAction('Suspend & resolve', 'btn-warning', () => resolveReportWithAction(report, 'listing_suspended', close, resolution.value.trim()));
+        }
+        addAction('Delete listing & resolve', 'btn-danger', () => resolveReportWithAction(report, 'listing_deleted', close));
+      }
+    } else {
+      addAction('Reopen', 'btn-secondary', () => updateReport(report.id, { status: 'open' }));
+    }
+    item.appendChild(actions);
+    
+    elements.reportsList.appendChild(item);
+  });
+}
+
+async function updateReport(reportId, changes) {
+  try {
+    const res = await fetch(`/api/admin/reports/${reportId}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(changes)
+    });
+    const data = await res.json();
+    
+    if (res.ok) {
+      elements.adminMsg.textContent = '✅ ' + data.message;
+      await loadReports();
+    } else {
+      elements.adminMsg.textContent = '❌ ' + (data.error || 'Error updating report');
+    }
+  } catch (error) {
+    elements.adminMsg.textContent = '❌ Network error';
+  }
+}
+
+// Act on the reported listing through the regular admin routes, then close
+// the report recording what was done
+async function resolveReportWithAction(report, action, close, reason = '') {
+  let request;
+  if (action === 'listing_deleted') {
+    if (!confirm(`Delete "${report.server_name}"? It stays in the trash until purged.`)) return;
+    request = fetch(`/api/admin/servers/${report.server_id}`, { method: 'DELETE' });
+  } else if (action === 'plan_downgraded') {
+    request = fetch(`/api/admin/servers/${report.server_id}/plan`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ plan: 'free' })
+    });
+  } else {
+    if (!reason) {
+      elements.adminMsg.textContent = '❌ Please enter a resolution, it is shown to the owner as the suspension reason';
+      return;
+    }
+    request = fetch(`/api/admin/servers/${report.server_id}/moderation`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ status: 'suspended', reason, note: `Report #${report.id}` })
+    });
+  }
+  
+  try {
+    const res = await request;
+    const data = await res.json();
+    if (!res.ok) {
+      elements.adminMsg.textContent = '❌ ' + (data.error || 'Error updating listing');
+      return;
+    }
+  } catch (error) {
+    elements.adminMsg.textContent = '❌ Network error';
+    return;
+  }
+  
+  await close('resolved', action);
+}
+
+async function loadAdminReviews() {
+  const hidden = elements.reviewVisibility.value;
+  try {
+    const res = await fetch(`/api/admin/reviews${hidden ? `?hidden=${hidden}` : ''}`);
+    const reviews = await res.json();
+    
+    if (res.ok) {
+      renderAdminReviews(reviews);
+    } else {
+      elements.adminMsg.textContent = '❌ ' + (reviews.error || 'Error loading reviews');
+    }
+  } catch (error) {
+    elements.adminMsg.textContent = '❌ Network error';
+  }
+}
+
+function renderAdminReviews(reviews) {
+  elements.adminReviewsList.replaceChildren();
+  
+  if (!reviews.length) {
+    elements.adminReviewsList.innerHTML = html`<p class="muted">No reviews here.</p>`;
+    return;
+  }
+  
+  reviews.forEach(review => {
+    const item = document.createElement('div');
+    item.className = `server-item review-item${review.hidden ? ' hidden-review' : ''}`;
+    
+    const title = document.createElement('h4');
+    const link = document.createElement('a');
+    link.href = `/server/${review.server_slug || review.server_id}`;
+    link.target = '_blank';
+    link.textContent = review.server_name;
+    const stars = document.createElement('span');
+    stars.className = 'stars';
+    stars.textContent = '★'.repeat(review.rating) + '☆'.repeat(5 - review.rating);
+    title.append(link, ' ', stars, ` by ${review.username}`);
+    if (review.hidden) {
+      const badge = document.createElement('span');
+      badge.className = 'badge moderation suspended';
+      badge.textContent = 'Hidden';
+      title.append(' ', badge);
+    }
+    item.appendChild(title);
+    
+    const body = document.createElement('p');
+    body.className = 'review-body';
+    body.textContent = review.body;
+    item.appendChild(body);
+    
+    const info = document.createElement('p');
+    info.className = 'muted';
+    info.textContent = [
+      new Date(review.updated_at).toLocaleString(),
+      review.reply ? `Reply by ${review.reply_username || 'team'}: ${review.reply}` : null,
+      review.hidden && review.hidden_reason ? `Hidden: ${review.hidden_reason}` : null
+    ].filter(Boolean).join(' • ');
+    item.appendChild(info);
+    
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+    const btn = document.createElement('button');
+    btn.className = review.hidden ? 'btn-secondary' : 'btn-danger';
+    btn.textContent = review.hidden ? 'Show' : 'Hide';
+    btn.addEventListener('click', () => setReviewHidden(review.id, !review.hidden));
+    actions.appendChild(btn);
+    item.appendChild(actions);
+    
+    elements.adminReviewsList.appendChild(item);
+  });
+}
+
+async function setReviewHidden(reviewId, hidden) {
+  let reason = '';
+  if (hidden) {
+    reason = prompt('Reason for hiding this review (shown to its author):', '');
+    if (reason === null) return;
+  }
+  
+  try {
+    const res = await fetch(`/api/admin/reviews/${reviewId}/visibility`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ hidden, reason })
+    });
+    const data = await res.json();
+    
+    if (res.ok) {
+      elements.adminMsg.textContent = '✅ ' + data.message;
+      await loadAdminReviews();
+    } else {
+      elements.adminMsg.textContent = '❌ ' + (data.error || 'Error updating review');
+    }
+  } catch (error) {
+    elements.adminMsg.textContent = '❌ Network error';
+  }
+}
+
+async function loadAdminTags() {
+  try {
+    const res = await fetch('/api/admin/tags');
+    const tags = await res.json();
+    
+    if (res.ok) {
+      renderAdminTags(tags);
+    } else {
+      elements.adminMsg.textContent = '❌ Error loading tags';
+    }
+  } catch (error) {
+    elements.adminMsg.textContent = '❌ Network error';
+  }
+}
+
+function renderAdminTags(tags) {
+  elements.adminTagsList.replaceChildren();
+  
+  tags.forEach(tag => {
+    const tagEl = document.createElement('div');
+    tagEl.className = 'tag-item';
+    
+    const info = document.createElement('span');
+    info.textContent = `${tag.name} (${tag.slug}) • ${tag.category} • ${tag.server_count} listing${tag.server_count === 1 ? '' : 's'}`;
+    
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn-danger';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.onclick = () => deleteTag(tag.id);
+    
+    tagEl.appendChild(info);
+    tagEl.appendChild(deleteBtn);
+    elements.adminTagsList.appendChild(tagEl);
+  });
+}
+
+async function handleTagCreate(e) {
+  e.preventDefault();
+  const body = Object.fromEntries(new FormData(elements.tagForm).entries());
+  
+  try {
+    const res = await fetch('/api/admin/tags', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await res.json();
+    
+    if (res.ok) {
+      elements.adminMsg.textContent = '✅ ' + data.message;
+      elements.tagForm.reset();
+      await loadAdminTags();
+      await loadTags();
+    } else {
+      elements.adminMsg.textContent = '❌ ' + (data.error || 'Error creating tag');
+    }
+  } catch (error) {
+    elements.adminMsg.textContent = '❌ Network error';
+  }
+}
+
+async function deleteTag(tagId) {
+  if (!confirm('Delete this tag? It will be removed from every listing.')) return;
+  
+  try {
+    const res = await fetch(`/api/admin/tags/${tagId}`, { method: 'DELETE' });
+    const data = await res.json();
+    
+    if (res.ok) {
+      elements.adminMsg.textContent = '✅ ' + data.message;
+      await loadAdminTags();
+      await loadTags();
+      await fetchServers();
+    } else {
+      elements.adminMsg.textContent = '❌ ' + (data.error || 'Error deleting tag');
+    }
+  } catch (error) {
+    elements.adminMsg.textContent = '❌ Network error';
+  }
+}
+
+// Possible duplicates of a listing under review
+function createDuplicateList(duplicates) {
+  const box = document.createElement('div');
+  box.className = 'duplicate-warning';
+  const heading = document.createElement('strong');
+  heading.textContent = '⚠️ Possible duplicate of:';
+  box.appendChild(heading);
+  
+  const list = document.createElement('ul');
+  duplicates.forEach(duplicate => {
+    const li = document.createElement('li');
+    const link = document.createElement('a');
+    link.href = `/server/${duplicate.slug || duplicate.id}`;
+    link.target = '_blank';
+    link.textContent = duplicate.name;
+    li.append(link, ` (${duplicate.ip}) • ${duplicate.owner_username || 'no owner'} • ${MODERATION_LABELS[duplicate.moderation_status]} • ${duplicate.reasons.map(reason => DUPLICATE_REASON_LABELS[reason]).join(', ')}`);
+    list.appendChild(li);
+  });
+  box.appendChild(list);
+  return box;
+}
+
+// Clusters of listings that look like the same server, with a merge action
+async function loadDuplicates() {
+  try {
+    const res = await fetch('/api/admin/duplicates');
+    const clusters = await res.json();
+    
+    if (res.ok) {
+      renderDuplicates(clusters);
+    } else {
+      elements.adminMsg.textContent = '❌ ' + (clusters.error || 'Error loading duplicates');
+    }
+  } catch (error) {
+    elements.adminMsg.textContent = '❌ Network error';
+  }
+}
+
+function renderDuplicates(clusters) {
+  elements.duplicatesList.replaceChildren();
+  
+  if (!clusters.length) {
+    elements.duplicatesList.innerHTML = html`<p class="muted">No suspected duplicates.</p>`;
+    return;
+  }
+  
+  clusters.forEach((cluster, index) => {
+    const item = document.createElement('div');
+    item.className = 'server-item duplicate-cluster';
+    
+    const title = document.createElement('h4');
+    title.textContent = `${cluster.servers.length} listings • ${cluster.reasons.map(reason => DUPLICATE_REASON_LABELS[reason]).join(', ')}`;
+    item.appendChild(title);
+    
+    // The most voted listing is kept by default
+    const keep = cluster.servers.reduce((best, server) => (server.votes > best.votes ? server : best), cluster.servers[0]);
+    cluster.servers.forEach(server => {
+      const label = document.createElement('label');
+      label.className = 'duplicate-choice';
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = `duplicateTarget${index}`;
+      radio.value = server.id;
+      radio.checked = server.id === keep.id;
+      label.append(radio, ` ${server.name} (${server.ip}) • ${server.votes} votes • ${server.owner_username || 'no owner'} • ${MODERATION_LABELS[server.moderation_status]} • created ${new Date(server.created_at).toLocaleDateString()}`);
+      item.appendChild(label);
+    });
+    
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+    const btn = document.createElement('button');
+    btn.className = 'btn-warning';
+    btn.textContent = 'Merge into selected';
+    btn.addEventListener('click', () => {
+      const targetId = parseInt(item.querySelector('input[type="radio"]:checked').value, 10);
+      mergeDuplicates(targetId, cluster.servers.map(server => server.id).filter(id => id !== targetId));
+    });
+    actions.appendChild(btn);
+    item.appendChild(actions);
+    
+    elements.duplicatesList.appendChild(item);
+  });
+}
+
+async function mergeDuplicates(targetId, sourceIds) {
+  if (!confirm(`Merge ${sourceIds.length} listing${sourceIds.length === 1 ? '' : 's'} into the selected one? They will be moved to the trash.`)) return;
+  
+  try {
+    const res = await fetch('/api/admin/duplicates/merge', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ target_id: targetId, source_ids: sourceIds })
+    });
+    const data = await res.json();
+    elements.adminMsg.textContent = res.ok ? '✅ ' + data.message : '❌ ' + (data.error || 'Error merging listings');
+    await loadDuplicates();
+  } catch (error) {
+    elements.adminMsg.textContent = '❌ Network error';
+  }
+}
+
+// Deleted listings and accounts, restorable until the purge job removes them
+async function loadTrash() {
+  try {
+    const res = await fetch('/api/admin/trash');
+    const trash = await res.json();
+    
+    if (res.ok) {
+      renderTrash(trash);
+    } else {
+      elements.adminMsg.textContent = '❌ ' + (trash.error || 'Error loading trash');
+    }
+  } catch (error) {
+    elements.adminMsg.textContent = '❌ Network error';
+  }
+}
+
+function renderTrash({ retention_days: retentionDays, servers, users }) {
+  elements.trashInfo.textContent = `Deleted items are purged permanently after ${retentionDays} days.`;
+  
+  const renderList = (container, items, kind, describe) => {
+    container.replaceChildren();
+    if (!items.length) {
+      container.innerHTML = html`<p class="muted">No ${kind} in the trash.</p>`;
+      return;
+    }
+    
+    items.forEach(item => {
+      const row = document.createElement('div');
+      row.className = 'server-item trash-item';
+      
+      const title = document.createElement('h4');
+      title.textContent = describe(item);
+      row.appendChild(title);
+      
+      const info = document.createElement('p');
+      info.className = 'muted';
+      info.textContent = `Deleted ${new Date(item.deleted_at).toLocaleString()}` +
+        `${item.deleted_by_username ? ` by ${item.deleted_by_username}` : ''}` +
+        ` • purged ${new Date(item.purge_at).toLocaleString()}`;
+      row.appendChild(info);
+      
+      const actions = document.createElement('div');
+      actions.className = 'actions';
+      const btn = document.createElement('button');
+      btn.className = 'btn-secondary';
+      btn.textContent = 'Restore';
+      btn.addEventListener('click', () => restoreFromTrash(kind, item.id));
+      actions.appendChild(btn);
+      row.appendChild(actions);
+      
+      container.appendChild(row);
+    });
+  };
+  
+  renderList(elements.trashServersList, servers, 'servers', server =>
+    `${server.name} (${server.ip}) • ${server.votes} votes • owner ${server.owner_username || 'none'}`);
+  renderList(elements.trashUsersList, users, 'users', user => `${user.username} <${user.email}> [${user.role}]`);
+}
+
+async function restoreFromTrash(kind, id) {
+  try {
+    const res = await fetch(`/api/admin/trash/${kind}/${id}/restore`, { method: 'POST' });
+    const data = await res.json();
+    elements.adminMsg.textContent = res.ok ? '✅ ' + data.message : '❌ ' + (data.error || 'Error restoring');
+    await loadTrash();
+  } catch (error) {
+    elements.adminMsg.textContent = '❌ Network error';
+  }
+}
+
+async function purgeTrash() {
+  if (!confirm('Permanently delete everything that has been in the trash longer than the retention window?')) return;
+  
+  try {
+    const res = await fetch('/api/admin/trash/purge', { method: 'POST' });
+    const data = await res.json();
+    elements.adminMsg.textContent = res.ok ? '✅ ' + data.message : '❌ ' + (data.error || 'Error purging trash');
+    await loadTrash();
+  } catch (error) {
+    elements.adminMsg.textContent = '❌ Network error';
+  }
+}
+
+async function loadAdminSettings() {
+  try {
+    const res = await fetch('/api/admin/settings');
+    const settings = await res.json();
+    
+    if (!res.ok) {
+      elements.adminMsg.textContent = '❌ Error loading settings';
+      return;
+    }
+    
+    Array.from(elements.settingsForm.elements).forEach(field => {
+      if (!field.name || !(field.name in settings)) return;
+      if (field.type === 'checkbox') {
+        field.checked = settings[field.name] === 'true';
+      } else {
+        field.value = settings[field.name];
+      }
+    });
+  } catch (error) {
+    elements.adminMsg.textContent = '❌ Network error';
+  }
+}
+
+async function handleSettingsSubmit(e) {
+  e.preventDefault();
+  
+  const settings = {};
+  Array.from(elements.settingsForm.elements).forEach(field => {
+    if (!field.name) return;
+    settings[field.name] = field.type === 'checkbox' ? String(field.checked) : field.value;
+  });
+  
+  try {
+    const res = await fetch('/api/admin/settings', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(settings)
+    });
+    const data = await res.json();
+    
+    if (res.ok) {
+      elements.adminMsg.textContent = '✅ ' + data.message;
+    } else {
+      elements.adminMsg.textContent = '❌ ' + (data.error || 'Error saving settings');
+    }
+  } catch (error) {
+    elements.adminMsg.textContent = '❌ Network error';
   }
 }
 
@@ -994,12 +3159,12 @@ async function loadAdminUsers() {
 }
 
 function renderAdminUsers(users) {
-  elements.usersList.innerHTML = '';
+  elements.usersList.replaceChildren();
   
   users.forEach(user => {
     const userEl = document.createElement('div');
     userEl.className = 'user-item';
-    userEl.innerHTML = `
+    userEl.innerHTML = html`
       <div class="header">
         <h4>${user.username} <span class="badge ${user.role === 'admin' ? 'paid' : ''}">${user.role}</span></h4>
       </div>
@@ -1035,17 +3200,20 @@ async function loadAdminServers() {
 }
 
 function renderAdminServers(servers) {
-  elements.adminServersList.innerHTML = '';
+  elements.adminServersList.replaceChildren();
   
   servers.forEach(server => {
     const serverEl = document.createElement('div');
     serverEl.className = 'server-item';
-    serverEl.innerHTML = `
+    serverEl.innerHTML = html`
       <div class="header">
-        <h4>${server.name} <span class="badge ${server.plan === 'paid' ? 'paid' : ''}">${server.plan === 'paid' ? 'Featured' : 'Free'}</span></h4>
+        <h4>${server.name} <span class="badge ${server.plan === 'paid' ? 'paid' : ''}">${server.plan === 'paid' ? 'Featured' : 'Free'}</span>${Boolean(server.offline_flagged) && html` <span class="badge offline-flag">Offline</span>`}${server.moderation_status !== 'approved' && html` <span class="badge moderation ${server.moderation_status}">${MODERATION_LABELS[server.moderation_status]}</span>`}${server.open_reports > 0 && html` <span class="badge reported">${server.open_reports} report${server.open_reports === 1 ? '' : 's'}</span>`}</h4>
       </div>
       <div class="info">
         <p><strong>IP:</strong> ${server.ip}</p>
+        ${server.version_range && html`<p><strong>Versions:</strong> ${server.version_range}</p>`}
+        ${versionMismatchWarning(server)}
+        ${server.offline_since && html`<p><strong>Offline since:</strong> ${new Date(server.offline_since).toLocaleString()}</p>`}
         <p><strong>Owner:</strong> ${server.owner_username || 'None'}</p>
         <p><strong>Votes:</strong> ${server.votes}</p>
         <p><strong>Created:</strong> ${new Date(server.created_at).toLocaleDateString()}</p>
@@ -0,0 +1,15 @@
+// format.js - Text helpers shared by the browser (app.js) and the pages the server renders
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// "DE" -> 🇩🇪 (a pair of regional indicator symbols)
+export function countryFlag(country) {
+  return String(country).toUpperCase().replace(/[A-Z]/g, letter => String.fromCodePoint(0x1F1E6 + letter.charCodeAt(0) - 65));
+}
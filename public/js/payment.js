@@ -185,15 +185,20 @@ class PaymentSystem {
 
   async loadUserServers() {
     try {
-      const response = await fetch('/api/servers');
-      const data = await response.json();
+      const response = await fetch('/api/user/servers');
+      const servers = await response.json();
       
       const select = document.getElementById('modal-server-select');
-      if (select && data.servers) {
-        select.innerHTML = '<option value="">Choose a server...</option>' +
-          data.servers.map(server => 
-            `<option value="${server.id}">${server.name}</option>`
-          ).join('');
+      if (select && Array.isArray(servers)) {
+        // Only owners can pay for a listing, and only verified listings can be upgraded
+        const options = servers
+          .filter(server => server.member_role === 'owner')
+          .map(server => {
+            const option = new Option(`${server.name}${server.verified ? '' : ' (unverified)'}`, server.id);
+            option.disabled = !server.verified;
+            return option;
+          });
+        select.replaceChildren(new Option('Choose a server...', ''), ...options);
       }
     } catch (error) {
       console.error('Failed to load servers:', error);
@@ -424,7 +429,7 @@ class PaymentSystem {
           <span class="subscription-status status-${sub.status}">${sub.status}</span>
         </div>
         <div class="subscription-details">
-          <p><strong>Server:</strong> ${sub.server_name}</p>
+          <p><strong>Server:</strong> ${this.escapeHtml(sub.server_name)}</p>
           <p><strong>Amount:</strong> ${sub.formattedAmount}</p>
           <p><strong>Expires:</strong> ${new Date(sub.expires_at).toLocaleDateString()}</p>
           <p><strong>Status:</strong> ${sub.isExpired ? 'Expired' : 'Active'}</p>
@@ -484,6 +489,13 @@ class PaymentSystem {
     }
   }
 
+  // Listing names are chosen by their team, so never insert them as markup
+  escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value ?? '';
+    return div.innerHTML;
+  }
+
   showError(message) {
     this.showMessage(message, 'error');
   }
@@ -0,0 +1,195 @@
+// Vote button, reviews and report form on server-rendered listing pages (/server/:id)
+import { handleCaptchaResponse } from '/captcha.js';
+
+const page = document.querySelector('.server-page');
+const voteBtn = document.getElementById('voteBtn');
+const voteCount = document.getElementById('voteCount');
+const voteMsg = document.getElementById('voteMsg');
+const reportForm = document.getElementById('reportForm');
+const reportMsg = document.getElementById('reportMsg');
+const reviewFormSlot = document.getElementById('reviewFormSlot');
+const reviewList = document.getElementById('reviewList');
+
+if (page && voteBtn) {
+  voteBtn.addEventListener('click', async () => {
+    voteBtn.disabled = true;
+    
+    try {
+      const res = await fetch(`/api/servers/${page.dataset.serverId}/vote`, { method: 'POST' });
+      const data = await res.json();
+      
+      if (res.ok) {
+        voteCount.textContent = data.votes;
+        voteMsg.textContent = '✅ Thanks for voting!';
+      } else {
+        voteMsg.textContent = '❌ ' + (data.error || 'Vote failed');
+      }
+    } catch (error) {
+      voteMsg.textContent = '❌ Network error';
+    } finally {
+      voteBtn.disabled = false;
+    }
+  });
+}
+
+if (page && reportForm) {
+  reportForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const submitBtn = reportForm.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    
+    try {
+      const res = await fetch(`/api/servers/${page.dataset.serverId}/report`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(Object.fromEntries(new FormData(reportForm).entries()))
+      });
+      const data = await res.json();
+      
+      if (res.ok) {
+        reportForm.reset();
+        reportMsg.textContent = '✅ ' + data.message;
+      } else {
+        reportMsg.textContent = '❌ ' + (data.error || 'Could not send report');
+      }
+    } catch (error) {
+      reportMsg.textContent = '❌ Network error';
+    } finally {
+      submitBtn.disabled = false;
+    }
+  });
+}
+
+// The review list is rendered by the server; this adds the review form for
+// signed in players and reply boxes for the listing's team
+async function setupReviews() {
+  let data;
+  try {
+    const res = await fetch(`/api/servers/${page.dataset.serverId}/reviews`);
+    if (!res.ok) return;
+    data = await res.json();
+  } catch (error) {
+    return;
+  }
+  
+  if (!data.signed_in) {
+    reviewFormSlot.innerHTML = '<p class="muted"><a href="/">Log in</a> to review this server.</p>';
+  } else if (!data.is_member) {
+    renderReviewForm(data.my_review);
+  }
+  
+  if (data.can_reply) {
+    reviewList.querySelectorAll('.review').forEach(item => {
+      const review = data.reviews.find(r => String(r.id) === item.dataset.reviewId);
+      if (review) item.appendChild(createReplyForm(review));
+    });
+  }
+}
+
+function renderReviewForm(myReview) {
+  const form = document.createElement('form');
+  form.className = 'review-form';
+  form.innerHTML = `
+    <label>
+      Your rating
+      <select name="rating" required>
+        <option value="5">★★★★★ Excellent</option>
+        <option value="4">★★★★☆ Good</option>
+        <option value="3">★★★☆☆ Okay</option>
+        <option value="2">★★☆☆☆ Poor</option>
+        <option value="1">★☆☆☆☆ Terrible</option>
+      </select>
+    </label>
+    <label>
+      Your review
+      <textarea name="body" rows="3" maxlength="2000" required placeholder="What did you like or dislike about this server?"></textarea>
+    </label>
+    <div class="actions">
+      <button type="submit">${myReview ? 'Update Review' : 'Post Review'}</button>
+    </div>
+    <p class="muted review-msg"></p>
+  `;
+  const msg = form.querySelector('.review-msg');
+  
+  if (myReview) {
+    form.elements.rating.value = String(myReview.rating);
+    form.elements.body.value = myReview.body;
+    if (myReview.hidden) {
+      msg.textContent = 'Your review was hidden by a moderator' + (myReview.hidden_reason ? `: ${myReview.hidden_reason}` : '');
+    }
+    
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'btn-danger';
+    deleteBtn.textContent = 'Delete Review';
+    deleteBtn.addEventListener('click', async () => {
+      if (!confirm('Delete your review?')) return;
+      const res = await fetch(`/api/servers/${page.dataset.serverId}/reviews/mine`, { method: 'DELETE' });
+      if (res.ok) window.location.reload();
+    });
+    form.querySelector('.actions').appendChild(deleteBtn);
+  }
+  
+  const submitReview = async () => {
+    try {
+      const res = await fetch(`/api/servers/${page.dataset.serverId}/reviews`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ rating: parseInt(form.elements.rating.value, 10), body: form.elements.body.value.trim() })
+      });
+      const result = await res.json();
+      
+      if (res.ok) {
+        window.location.reload();
+      } else if (!handleCaptchaResponse(result, submitReview)) {
+        msg.textContent = '❌ ' + (result.error || 'Could not save review');
+      }
+    } catch (error) {
+      msg.textContent = '❌ Network error';
+    }
+  };
+  
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    submitReview();
+  });
+  reviewFormSlot.appendChild(form);
+}
+
+function createReplyForm(review) {
+  const details = document.createElement('details');
+  details.className = 'review-reply-form';
+  details.innerHTML = `
+    <summary>${review.reply ? 'Edit reply' : 'Reply'}</summary>
+    <textarea rows="2" maxlength="1000" placeholder="Public reply from the server team (leave empty to remove)"></textarea>
+    <button type="button">Save Reply</button>
+    <span class="muted"></span>
+  `;
+  const textarea = details.querySelector('textarea');
+  const msg = details.querySelector('span');
+  textarea.value = review.reply || '';
+  
+  details.querySelector('button').addEventListener('click', async () => {
+    try {
+      const res = await fetch(`/api/user/servers/${page.dataset.serverId}/reviews/${review.id}/reply`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ reply: textarea.value.trim() })
+      });
+      const result = await res.json();
+      
+      if (res.ok) {
+        window.location.reload();
+      } else {
+        msg.textContent = '❌ ' + (result.error || 'Could not save reply');
+      }
+    } catch (error) {
+      msg.textContent = '❌ Network error';
+    }
+  });
+  return details;
+}
+
+if (page && reviewFormSlot) {
+  setupReviews();
+}
@@ -0,0 +1,151 @@
+// reports.js - Abuse reports on listings filed by players, and their triage by admins
+import crypto from 'crypto';
+import { run, get, all } from './database.js';
+
+export const REPORT_CATEGORIES = ['scam', 'offline', 'inappropriate_content', 'rule_violation', 'wrong_information', 'other'];
+export const REPORT_STATUSES = ['open', 'investigating', 'resolved', 'dismissed'];
+
+// What an admin did about a report, besides writing a resolution
+export const REPORT_ACTIONS = ['none', 'listing_deleted', 'plan_downgraded', 'listing_suspended'];
+
+export const MAX_REPORT_DETAILS_LENGTH = 1000;
+
+// Reports that still need attention; a reporter may only have one of these per listing
+const ACTIVE_STATUSES = ['open', 'investigating'];
+
+export function initializeReportTables(db) {
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      // The listing name is copied so reports stay readable after the
+      // listing is deleted. Reporter IPs are only kept hashed.
+      db.run(`CREATE TABLE IF NOT EXISTS server_reports (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        server_id INTEGER,
+        server_name TEXT NOT NULL,
+        category TEXT CHECK(category IN ('scam','offline','inappropriate_content','rule_violation','wrong_information','other')) NOT NULL,
+        details TEXT,
+        reporter_user_id INTEGER,
+        reporter_ip_hash TEXT NOT NULL,
+        status TEXT CHECK(status IN ('open','investigating','resolved','dismissed')) NOT NULL DEFAULT 'open',
+        assignee_id INTEGER,
+        resolution TEXT,
+        action_taken TEXT CHECK(action_taken IN ('none','listing_deleted','plan_downgraded','listing_suspended')),
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        resolved_at DATETIME,
+        resolved_by INTEGER,
+        FOREIGN KEY(server_id) REFERENCES servers(id) ON DELETE SET NULL,
+        FOREIGN KEY(reporter_user_id) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY(assignee_id) REFERENCES users(id) ON DELETE SET NULL
+      )`);
+
+      db.run(`CREATE INDEX IF NOT EXISTS idx_server_reports_server ON server_reports(server_id, status)`);
+
+      db.run(`CREATE INDEX IF NOT EXISTS idx_server_reports_status ON server_reports(status, created_at)`, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  });
+}
+
+export function hashReporterIp(ip) {
+  return crypto.createHash('sha256').update(`report|${ip || ''}`).digest('hex');
+}
+
+// File a report against a listing. A reporter (matched by account or by IP)
+// can't report the same listing again while their report is still active.
+// Resolves with { report } or { error, status }.
+export async function createReport(db, { server, category, details, reporterUserId = null, ip }) {
+  if (!REPORT_CATEGORIES.includes(category)) {
+    return { error: `category must be one of: ${REPORT_CATEGORIES.join(', ')}`, status: 400 };
+  }
+
+  const text = String(details || '').trim();
+  if (text.length > MAX_REPORT_DETAILS_LENGTH) {
+    return { error: `Details must be at most ${MAX_REPORT_DETAILS_LENGTH} characters`, status: 400 };
+  }
+  if (category === 'other' && !text) {
+    return { error: 'Please describe the problem', status: 400 };
+  }
+
+  const ipHash = hashReporterIp(ip);
+  const existing = await get(
+    db,
+    `SELECT id FROM server_reports
+     WHERE server_id = ? AND status IN (${ACTIVE_STATUSES.map(() => '?').join(', ')})
+       AND (reporter_ip_hash = ? OR (reporter_user_id IS NOT NULL AND reporter_user_id = ?))`,
+    [server.id, ...ACTIVE_STATUSES, ipHash, reporterUserId]
+  );
+  if (existing) return { error: 'You already reported this server, our team is looking into it', status: 409 };
+
+  const result = await run(
+    db,
+    `INSERT INTO server_reports (server_id, server_name, category, details, reporter_user_id, reporter_ip_hash)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [server.id, server.name, category, text || null, reporterUserId, ipHash]
+  );
+  const report = await get(db, 'SELECT id, server_id, category, status, created_at FROM server_reports WHERE id = ?', [result.lastID]);
+  return { report };
+}
+
+// Reports for the triage view. `status` is one of REPORT_STATUSES, or
+// 'active' for open and investigating reports. Active reports are sorted
+// oldest first, closed ones newest first.
+export function getReports(db, status = 'active') {
+  const statuses = status === 'active' ? ACTIVE_STATUSES : [status];
+  return all(
+    db,
+    `SELECT r.id, r.server_id, COALESCE(s.name, r.server_name) as server_name, s.slug as server_slug,
+            s.ip as server_ip, s.plan as server_plan, s.moderation_status as server_moderation_status,
+            r.category, r.details, r.status, r.assignee_id, assignee.username as assignee_username,
+            r.resolution, r.action_taken, r.created_at, r.updated_at, r.resolved_at,
+            reporter.username as reporter_username, resolver.username as resolved_by_username,
+            (SELECT COUNT(*) FROM server_reports other
+             WHERE other.server_id = r.server_id AND other.status IN ('open','investigating')) as active_server_reports
+     FROM server_reports r
+     LEFT JOIN servers s ON s.id = r.server_id
+     LEFT JOIN users assignee ON assignee.id = r.assignee_id
+     LEFT JOIN users reporter ON reporter.id = r.reporter_user_id
+     LEFT JOIN users resolver ON resolver.id = r.resolved_by
+     WHERE r.status IN (${statuses.map(() => '?').join(', ')})
+     ORDER BY ${status === 'active' ? 'r.created_at, r.id' : 'r.updated_at DESC, r.id DESC'}`,
+    statuses
+  );
+}
+
+export function getReport(db, reportId) {
+  return get(db, 'SELECT * FROM server_reports WHERE id = ?', [reportId]);
+}
+
+// Update the triage fields of a report. Moving it to resolved or dismissed
+// records who closed it; with `includeRelated` the other active reports on
+// the same listing are closed the same way.
+export async function updateReport(db, report, { status, assigneeId, resolution, actionTaken, userId, includeRelated = false }) {
+  const closing = status === 'resolved' || status === 'dismissed';
+  const fields = {
+    status,
+    assignee_id: assigneeId,
+    resolution,
+    action_taken: actionTaken
+  };
+  const sets = Object.keys(fields).filter(key => fields[key] !== undefined);
+  const params = sets.map(key => fields[key]);
+
+  let sql = `UPDATE server_reports SET ${sets.map(key => `${key} = ?`).join(', ')}${sets.length ? ', ' : ''}updated_at = CURRENT_TIMESTAMP`;
+  if (status !== undefined) {
+    sql += closing ? ', resolved_at = CURRENT_TIMESTAMP, resolved_by = ?' : ', resolved_at = NULL, resolved_by = NULL';
+    if (closing) params.push(userId);
+  }
+
+  if (includeRelated && closing && report.server_id) {
+    sql += ` WHERE id = ? OR (server_id = ? AND status IN (${ACTIVE_STATUSES.map(() => '?').join(', ')}))`;
+    params.push(report.id, report.server_id, ...ACTIVE_STATUSES);
+  } else {
+    sql += ' WHERE id = ?';
+    params.push(report.id);
+  }
+
+  const result = await run(db, sql, params);
+  return result.changes;
+}
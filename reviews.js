@@ -0,0 +1,167 @@
+// reviews.js - Player reviews with 1-5 star ratings, owner replies and admin hiding
+import { run, get, all } from './database.js';
+
+export const MIN_RATING = 1;
+export const MAX_RATING = 5;
+export const MAX_REVIEW_LENGTH = 2000;
+export const MAX_REPLY_LENGTH = 1000;
+
+const REVIEW_FIELDS_SQL = `r.id, r.server_id, r.user_id, u.username, r.rating, r.body, r.created_at, r.updated_at,
+  r.reply, replier.username as reply_username, r.replied_at`;
+
+// Expects the servers.rating_* columns to exist (see serverColumnMigrations in server.js)
+export function initializeReviewTables(db) {
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      // One review per user and listing; editing replaces rating and text
+      db.run(`CREATE TABLE IF NOT EXISTS server_reviews (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        server_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        rating INTEGER CHECK(rating BETWEEN 1 AND 5) NOT NULL,
+        body TEXT NOT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        reply TEXT,
+        reply_by INTEGER,
+        replied_at DATETIME,
+        hidden BOOLEAN NOT NULL DEFAULT 0,
+        hidden_reason TEXT,
+        hidden_by INTEGER,
+        hidden_at DATETIME,
+        UNIQUE(server_id, user_id),
+        FOREIGN KEY(server_id) REFERENCES servers(id) ON DELETE CASCADE,
+        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY(reply_by) REFERENCES users(id) ON DELETE SET NULL
+      )`);
+
+      db.run(`CREATE INDEX IF NOT EXISTS idx_server_reviews_server ON server_reviews(server_id, hidden)`, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  });
+}
+
+// Returns an error message, or null when rating and text are acceptable
+export function validateReview(rating, body) {
+  if (!Number.isInteger(rating) || rating < MIN_RATING || rating > MAX_RATING) {
+    return `rating must be a whole number from ${MIN_RATING} to ${MAX_RATING}`;
+  }
+  if (!body) return 'Review text is required';
+  if (body.length > MAX_REVIEW_LENGTH) return `Review text must be at most ${MAX_REVIEW_LENGTH} characters`;
+  return null;
+}
+
+// Recompute the cached average and count of a listing from its visible reviews
+export function refreshServerRating(db, serverId) {
+  return run(
+    db,
+    `UPDATE servers SET
+       rating_avg = (SELECT ROUND(AVG(rating), 2) FROM server_reviews WHERE server_id = ? AND hidden = 0),
+       rating_count = (SELECT COUNT(*) FROM server_reviews WHERE server_id = ? AND hidden = 0)
+     WHERE id = ?`,
+    [serverId, serverId, serverId]
+  );
+}
+
+// Create the user's review of a listing, or update it when they already
+// wrote one. Resolves with { review, created }.
+export async function saveReview(db, { serverId, userId, rating, body }) {
+  const existing = await get(db, 'SELECT id FROM server_reviews WHERE server_id = ? AND user_id = ?', [serverId, userId]);
+  if (existing) {
+    await run(
+      db,
+      'UPDATE server_reviews SET rating = ?, body = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [rating, body, existing.id]
+    );
+  } else {
+    await run(
+      db,
+      'INSERT INTO server_reviews (server_id, user_id, rating, body) VALUES (?, ?, ?, ?)',
+      [serverId, userId, rating, body]
+    );
+  }
+  await refreshServerRating(db, serverId);
+
+  const review = await getUserReview(db, serverId, userId);
+  return { review, created: !existing };
+}
+
+export async function deleteReview(db, serverId, userId) {
+  const result = await run(db, 'DELETE FROM server_reviews WHERE server_id = ? AND user_id = ?', [serverId, userId]);
+  if (result.changes) await refreshServerRating(db, serverId);
+  return result.changes > 0;
+}
+
+// Visible reviews of a listing, newest first
+export function getServerReviews(db, serverId) {
+  return all(
+    db,
+    `SELECT ${REVIEW_FIELDS_SQL}
+     FROM server_reviews r
+     JOIN users u ON u.id = r.user_id
+     LEFT JOIN users replier ON replier.id = r.reply_by
+     WHERE r.server_id = ? AND r.hidden = 0
+     ORDER BY r.created_at DESC, r.id DESC`,
+    [serverId]
+  );
+}
+
+// The user's own review of a listing, hidden or not
+export function getUserReview(db, serverId, userId) {
+  return get(
+    db,
+    `SELECT ${REVIEW_FIELDS_SQL}, r.hidden, r.hidden_reason
+     FROM server_reviews r
+     JOIN users u ON u.id = r.user_id
+     LEFT JOIN users replier ON replier.id = r.reply_by
+     WHERE r.server_id = ? AND r.user_id = ?`,
+    [serverId, userId]
+  );
+}
+
+// Set or clear (empty `reply`) the listing team's public reply to a review
+export async function setReviewReply(db, { serverId, reviewId, reply, userId }) {
+  const result = await run(
+    db,
+    `UPDATE server_reviews SET reply = ?, reply_by = ?, replied_at = ${reply ? 'CURRENT_TIMESTAMP' : 'NULL'}
+     WHERE id = ? AND server_id = ?`,
+    [reply || null, reply ? userId : null, reviewId, serverId]
+  );
+  return result.changes > 0;
+}
+
+// Hide a review from the listing (or show it again). Hidden reviews don't
+// count towards the rating.
+export async function setReviewHidden(db, { reviewId, hidden, reason = null, adminId }) {
+  const review = await get(db, 'SELECT id, server_id FROM server_reviews WHERE id = ?', [reviewId]);
+  if (!review) return null;
+
+  await run(
+    db,
+    `UPDATE server_reviews SET hidden = ?, hidden_reason = ?, hidden_by = ?, hidden_at = ${hidden ? 'CURRENT_TIMESTAMP' : 'NULL'}
+     WHERE id = ?`,
+    hidden ? [1, reason, adminId, reviewId] : [0, null, null, reviewId]
+  );
+  await refreshServerRating(db, review.server_id);
+  return review;
+}
+
+// Reviews across all listings for the admin view, newest first
+export function getAdminReviews(db, { hidden = null, limit = 100 } = {}) {
+  const where = hidden === null ? '' : 'WHERE r.hidden = ?';
+  return all(
+    db,
+    `SELECT ${REVIEW_FIELDS_SQL}, r.hidden, r.hidden_reason, r.hidden_at,
+            s.name as server_name, s.slug as server_slug
+     FROM server_reviews r
+     JOIN users u ON u.id = r.user_id
+     JOIN servers s ON s.id = r.server_id
+     LEFT JOIN users replier ON replier.id = r.reply_by
+     ${where}
+     ORDER BY r.updated_at DESC, r.id DESC
+     LIMIT ?`,
+    hidden === null ? [limit] : [hidden ? 1 : 0, limit]
+  );
+}
@@ -0,0 +1,101 @@
+// revisions.js - Revision history of listing edits (who, when, field diff) and rolling back to a revision
+import { run, get, all } from './database.js';
+
+// Listing fields tracked in revisions; a rollback restores all of them
+export const REVISION_FIELDS = [
+  'name', 'ip', 'edition', 'bedrock_port', 'description', 'website_url', 'banner_url', 'version_min', 'version_max'
+];
+
+export const REVISION_ACTIONS = ['create', 'edit', 'rollback', 'import'];
+
+function parseRevision(row) {
+  if (!row) return row;
+  const { changes, snapshot, ...revision } = row;
+  return { ...revision, changes: JSON.parse(changes), snapshot: JSON.parse(snapshot) };
+}
+
+export async function initializeRevisionTables(db) {
+  // Each revision stores the listing as it was after the change (snapshot)
+  // and what changed compared to the revision before it (changes)
+  await run(db, `CREATE TABLE IF NOT EXISTS server_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    server_id INTEGER NOT NULL,
+    revision_number INTEGER NOT NULL,
+    user_id INTEGER,
+    action TEXT CHECK(action IN ('create','edit','rollback','import')) NOT NULL,
+    changes TEXT NOT NULL,
+    snapshot TEXT NOT NULL,
+    rolled_back_to INTEGER,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(server_id, revision_number),
+    FOREIGN KEY(server_id) REFERENCES servers(id) ON DELETE CASCADE,
+    FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE SET NULL
+  )`);
+
+  // Listings from before revisions existed start with their current state
+  const rows = await all(
+    db,
+    `SELECT id, ${REVISION_FIELDS.join(', ')} FROM servers
+     WHERE id NOT IN (SELECT server_id FROM server_revisions)`
+  );
+  for (const row of rows) {
+    await recordRevision(db, { serverId: row.id, userId: null, action: 'import', before: null, after: row });
+  }
+}
+
+// The tracked fields of a listing, with empty strings and missing values as null
+export function snapshotOf(server) {
+  return Object.fromEntries(REVISION_FIELDS.map(field => {
+    const value = server[field];
+    return [field, value === undefined || value === '' ? null : value];
+  }));
+}
+
+// { field: { from, to } } for every tracked field that differs
+export function diffSnapshots(before, after) {
+  const from = before ? snapshotOf(before) : {};
+  const to = snapshotOf(after);
+  const changes = {};
+  REVISION_FIELDS.forEach(field => {
+    const previous = from[field] ?? null;
+    if (previous !== to[field]) changes[field] = { from: previous, to: to[field] };
+  });
+  return changes;
+}
+
+// Store a revision for a listing going from `before` (null for a new
+// listing) to `after`. Edits that didn't change a tracked field are not
+// recorded. Resolves with the new revision's id, or null.
+export async function recordRevision(db, { serverId, userId, action, before, after, rolledBackTo = null }) {
+  const changes = diffSnapshots(before, after);
+  if (before && Object.keys(changes).length === 0) return null;
+
+  const result = await run(
+    db,
+    `INSERT INTO server_revisions (server_id, revision_number, user_id, action, changes, snapshot, rolled_back_to)
+     VALUES (?, (SELECT COALESCE(MAX(revision_number), 0) + 1 FROM server_revisions WHERE server_id = ?), ?, ?, ?, ?, ?)`,
+    [serverId, serverId, userId, action, JSON.stringify(changes), JSON.stringify(snapshotOf(after)), rolledBackTo]
+  );
+  return result.lastID;
+}
+
+// Revisions of a listing, newest first
+export async function getRevisions(db, serverId) {
+  const rows = await all(
+    db,
+    `SELECT r.id, r.revision_number, r.action, r.changes, r.snapshot, r.created_at,
+            r.user_id, u.username, target.revision_number as rolled_back_to
+     FROM server_revisions r
+     LEFT JOIN users u ON u.id = r.user_id
+     LEFT JOIN server_revisions target ON target.id = r.rolled_back_to
+     WHERE r.server_id = ?
+     ORDER BY r.revision_number DESC`,
+    [serverId]
+  );
+  return rows.map(parseRevision);
+}
+
+export async function getRevision(db, serverId, revisionId) {
+  const row = await get(db, 'SELECT * FROM server_revisions WHERE id = ? AND server_id = ?', [revisionId, serverId]);
+  return parseRevision(row);
+}
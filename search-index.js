@@ -0,0 +1,149 @@
+// search-index.js - FTS5 full-text index over listings (name, ip, description text) with typo-tolerant queries
+import { all } from './database.js';
+import { escapeHtml } from './public/format.js';
+
+// Column weights for bm25(): a hit in the name counts most, the description least
+export const SEARCH_RANK_SQL = `bm25(servers_fts, 10.0, 5.0, 1.0)`;
+
+// Highlighted matches are wrapped in these control characters by SQLite and
+// turned into <mark> tags after the text has been HTML-escaped
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+export const NAME_HIGHLIGHT_SQL = `highlight(servers_fts, 0, char(2), char(3))`;
+export const DESCRIPTION_SNIPPET_SQL = `snippet(servers_fts, 2, char(2), char(3), '…', 16)`;
+
+const MAX_QUERY_TERMS = 8;
+const MAX_SUGGESTIONS_PER_TERM = 3;
+
+export function initializeSearchIndex(db) {
+  return new Promise((resolve, reject) => {
+    db.get(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'servers_fts'`, (err, existing) => {
+      if (err) return reject(err);
+      // Indexes from before descriptions were indexed as plain text are replaced
+      const outdated = Boolean(existing) && !existing.sql.includes('description_text');
+
+      db.serialize(() => {
+        if (outdated) {
+          db.run(`DROP TRIGGER IF EXISTS servers_fts_insert`);
+          db.run(`DROP TRIGGER IF EXISTS servers_fts_delete`);
+          db.run(`DROP TRIGGER IF EXISTS servers_fts_update`);
+          db.run(`DROP TABLE IF EXISTS servers_fts_vocab`);
+          db.run(`DROP TABLE servers_fts`);
+        }
+
+        // External content table: the text lives in `servers`, the index is kept
+        // in sync by triggers. Descriptions are indexed as plain text (see
+        // descriptions.js), so Markdown and § codes neither match nor show up
+        // in snippets.
+        db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS servers_fts USING fts5(
+          name, ip, description_text,
+          content='servers', content_rowid='id',
+          tokenize='unicode61 remove_diacritics 2'
+        )`);
+
+        // Indexed terms, used to find spelling alternatives
+        db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS servers_fts_vocab USING fts5vocab(servers_fts, 'row')`);
+
+        db.run(`CREATE TRIGGER IF NOT EXISTS servers_fts_insert AFTER INSERT ON servers BEGIN
+          INSERT INTO servers_fts(rowid, name, ip, description_text) VALUES (new.id, new.name, new.ip, new.description_text);
+        END`);
+
+        db.run(`CREATE TRIGGER IF NOT EXISTS servers_fts_delete AFTER DELETE ON servers BEGIN
+          INSERT INTO servers_fts(servers_fts, rowid, name, ip, description_text) VALUES ('delete', old.id, old.name, old.ip, old.description_text);
+        END`);
+
+        db.run(`CREATE TRIGGER IF NOT EXISTS servers_fts_update AFTER UPDATE OF name, ip, description_text ON servers BEGIN
+          INSERT INTO servers_fts(servers_fts, rowid, name, ip, description_text) VALUES ('delete', old.id, old.name, old.ip, old.description_text);
+          INSERT INTO servers_fts(rowid, name, ip, description_text) VALUES (new.id, new.name, new.ip, new.description_text);
+        END`);
+
+        // Index listings created before the search index (or this version of it) existed
+        const rebuild = existing && !outdated ? 'SELECT 1' : `INSERT INTO servers_fts(servers_fts) VALUES ('rebuild')`;
+        db.run(rebuild, (runErr) => {
+          if (runErr) reject(runErr);
+          else resolve();
+        });
+      });
+    });
+  });
+}
+
+// Split a search box query into lowercase terms the way the unicode61
+// tokenizer does (letters and digits, diacritics removed)
+export function tokenizeSearch(q) {
+  const normalized = String(q || '').normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+  return (normalized.match(/[\p{L}\p{N}]+/gu) || []).slice(0, MAX_QUERY_TERMS);
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Indexed terms close to `term`, for a term that matches nothing as typed.
+// A candidate also counts when its beginning is close, so "skybl" finds "skyblock".
+async function findSpellingAlternatives(db, term) {
+  if (term.length < 3) return [];
+
+  const maxDistance = term.length <= 4 ? 1 : 2;
+  const rows = await all(
+    db,
+    'SELECT term FROM servers_fts_vocab WHERE length(term) >= ? AND substr(term, 1, 1) IN (?, ?)',
+    [term.length - maxDistance, term[0], term[1]]
+  );
+
+  return rows
+    .map(({ term: candidate }) => ({
+      candidate,
+      distance: Math.min(
+        editDistance(term, candidate),
+        editDistance(term, candidate.slice(0, term.length))
+      )
+    }))
+    .filter(({ distance }) => distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance || a.candidate.length - b.candidate.length)
+    .slice(0, MAX_SUGGESTIONS_PER_TERM)
+    .map(({ candidate }) => candidate);
+}
+
+// Build an FTS5 MATCH expression for a search box query: every term must
+// match as a word prefix; terms that match nothing also accept close spellings
+// from the index. Resolves with null when the query has no searchable terms.
+export async function buildSearchQuery(db, q) {
+  const terms = tokenizeSearch(q);
+  if (terms.length === 0) return null;
+
+  const parts = await Promise.all(terms.map(async (term) => {
+    const prefixMatch = await all(
+      db,
+      'SELECT term FROM servers_fts_vocab WHERE term >= ? AND term < ? LIMIT 1',
+      [term, `${term}\uffff`]
+    );
+    if (prefixMatch.length) return `"${term}"*`;
+
+    const alternatives = await findSpellingAlternatives(db, term);
+    if (alternatives.length === 0) return `"${term}"*`;
+    return `("${term}"* OR ${alternatives.map(alt => `"${alt}"*`).join(' OR ')})`;
+  }));
+
+  return parts.join(' AND ');
+}
+
+// Turn highlight()/snippet() output into HTML-safe text with <mark> around matches
+export function renderHighlight(text) {
+  if (text === null || text === undefined) return '';
+  return escapeHtml(String(text))
+    .replaceAll(MARK_START, '<mark>')
+    .replaceAll(MARK_END, '</mark>');
+}
@@ -0,0 +1,274 @@
+// server-listing.js - Public server list query (full-text search, edition/tag/version/location filters, sorting, tag and country facets, keyset pagination)
+import { buildTagCondition, getTagsForServers } from './tags.js';
+import { addVersionInfo } from './minecraft-versions.js';
+import {
+  buildSearchQuery,
+  tokenizeSearch,
+  renderHighlight,
+  SEARCH_RANK_SQL,
+  NAME_HIGHLIGHT_SQL,
+  DESCRIPTION_SNIPPET_SQL
+} from './search-index.js';
+import { get, all } from './database.js';
+
+// SQL expressions for how long a listing has been offline. A listing that was
+// never seen online counts as offline since it was created. Both expect the
+// listing as `s` and its server_status row as `st`.
+export const OFFLINE_SINCE_SQL = `CASE WHEN st.online = 0 THEN COALESCE(st.last_online, s.created_at) END`;
+export const OFFLINE_FLAGGED_SQL = `(st.online = 0 AND COALESCE(st.last_online, s.created_at) <= datetime('now', ?))`;
+
+// When a listing was last edited (see revisions.js), or created if never edited
+export const UPDATED_AT_SQL = `COALESCE((SELECT MAX(r.created_at) FROM server_revisions r WHERE r.server_id = s.id), s.created_at)`;
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+const PAID_FIRST = { sql: `CASE WHEN s.plan='paid' THEN 0 ELSE 1 END`, type: 'number', value: row => (row.plan === 'paid' ? 0 : 1) };
+const VOTES = { sql: 's.votes', desc: true, type: 'number', value: row => row.votes };
+const CREATED = { sql: 's.created_at', desc: true, type: 'string', value: row => row.created_at };
+// Unrated listings sort below every rated one; among equal averages more reviews win
+const RATING = { sql: 'COALESCE(s.rating_avg, 0)', desc: true, type: 'number', value: row => row.rating_avg ?? 0 };
+const RATING_COUNT = { sql: 's.rating_count', desc: true, type: 'number', value: row => row.rating_count };
+// bm25() is lower for better matches; only available in full-text queries
+const RELEVANCE = { sql: SEARCH_RANK_SQL, type: 'number', value: row => row.search_rank };
+// Unique tie-breaker so every listing has exactly one position in the order
+const ID = { sql: 's.id', desc: true, type: 'number', value: row => row.id };
+
+// Sort keys per sort option, most significant first
+export const LISTING_SORTS = {
+  rank: [PAID_FIRST, VOTES, CREATED, ID],
+  new: [PAID_FIRST, CREATED, ID],
+  votes: [PAID_FIRST, VOTES, ID],
+  rating: [PAID_FIRST, RATING, RATING_COUNT, VOTES, ID],
+  relevance: [PAID_FIRST, RELEVANCE, ID]
+};
+
+// Searches are ordered by relevance unless newest, most voted or best rated
+// was asked for explicitly; without search terms there is nothing to rank by
+export function resolveSort(sort, q) {
+  if (sort === 'new' || sort === 'votes' || sort === 'rating') return sort;
+  return tokenizeSearch(q).length ? 'relevance' : 'rank';
+}
+
+// Cursors are opaque to clients: base64url JSON of the sort option and the
+// sort key values of the last listing on the previous page
+function encodeCursor(sort, row) {
+  const values = LISTING_SORTS[sort].map(key => key.value(row));
+  return Buffer.from(JSON.stringify({ sort, values })).toString('base64url');
+}
+
+// Returns the sort key values stored in `cursor`, or null when the cursor is
+// malformed, holds values of the wrong type or was issued for a different sort
+export function decodeCursor(cursor, sort) {
+  try {
+    const data = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!data || data.sort !== sort || !Array.isArray(data.values)) return null;
+    const keys = LISTING_SORTS[sort];
+    if (data.values.length !== keys.length) return null;
+    const valid = data.values.every((value, i) => (
+      keys[i].type === 'number' ? Number.isFinite(value) : typeof value === 'string'
+    ));
+    return valid ? data.values : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Keyset condition: rows that come strictly after `values` in the sort order,
+// i.e. (k1 after v1) OR (k1 = v1 AND k2 after v2) OR ...
+function buildCursorCondition(keys, values) {
+  const branches = [];
+  const params = [];
+
+  keys.forEach((key, i) => {
+    const parts = keys.slice(0, i).map(prev => `${prev.sql} = ?`);
+    parts.push(`${key.sql} ${key.desc ? '<' : '>'} ?`);
+    branches.push(`(${parts.join(' AND ')})`);
+    params.push(...values.slice(0, i + 1));
+  });
+
+  return { sql: `(${branches.join(' OR ')})`, params };
+}
+
+function orderByClause(keys) {
+  return keys.map(key => `${key.sql}${key.desc ? ' DESC' : ''}`).join(', ');
+}
+
+const FROM_SQL = `
+  FROM servers s
+  LEFT JOIN users u ON s.owner_id = u.id
+  LEFT JOIN server_status st ON st.server_id = s.id
+`;
+const SEARCH_JOIN_SQL = `JOIN servers_fts ON servers_fts.rowid = s.id`;
+
+// Build the FROM and WHERE clauses shared by the list, count and facet
+// queries. `match` is an FTS5 expression from buildSearchQuery().
+function buildFilters(options, match) {
+  const { edition = '', tags = [], tagMode = 'or', version = null, countries = [], continents = [], hideOfflineSince = null, favoriteOf = null } = options;
+  // Only listings that passed review and aren't in the trash are public (see moderation.js, trash.js)
+  const conditions = [`s.moderation_status = 'approved'`, `s.deleted_at IS NULL`];
+  const params = [];
+
+  // Hide listings that have been offline since before this datetime modifier
+  if (hideOfflineSince) {
+    conditions.push(`NOT COALESCE(${OFFLINE_FLAGGED_SQL}, 0)`);
+    params.push(hideOfflineSince);
+  }
+
+  // Only the listings a user favorited (see favorites.js)
+  if (favoriteOf) {
+    conditions.push(`s.id IN (SELECT server_id FROM user_favorites WHERE user_id = ?)`);
+    params.push(favoriteOf);
+  }
+
+  if (match) {
+    conditions.push(`servers_fts MATCH ?`);
+    params.push(match);
+  }
+
+  // Cross-play listings show up under both editions
+  if (edition === 'java' || edition === 'bedrock') {
+    conditions.push(`s.edition IN (?, 'both')`);
+    params.push(edition);
+  } else if (edition === 'both') {
+    conditions.push(`s.edition = 'both'`);
+  }
+
+  // Listings whose supported range includes a version key from versionKey();
+  // listings without a range don't match
+  if (version !== null) {
+    conditions.push(`s.version_min_key <= ? AND s.version_max_key >= ?`);
+    params.push(version, version);
+  }
+
+  // Listings located in one of these countries or continents (see server-location.js)
+  if (countries.length) {
+    conditions.push(`s.country IN (${countries.map(() => '?').join(', ')})`);
+    params.push(...countries);
+  }
+  if (continents.length) {
+    conditions.push(`s.continent IN (${continents.map(() => '?').join(', ')})`);
+    params.push(...continents);
+  }
+
+  if (tags.length) {
+    const tagCondition = buildTagCondition(tags, tagMode);
+    conditions.push(tagCondition.sql);
+    params.push(...tagCondition.params);
+  }
+
+  return {
+    from: match ? `${FROM_SQL} ${SEARCH_JOIN_SQL}` : FROM_SQL,
+    where: `WHERE ${conditions.join(' AND ')}`,
+    params
+  };
+}
+
+// List one page of listings for the public directory. Resolves with
+// { servers, total, next_cursor, facets: { tags: [{ slug, name, category, count }], countries: [{ country, count }] } }.
+// `total` and the facet counts cover every listing matching the filters;
+// `options.sort` should come from resolveSort() and `options.cursor` holds the
+// values from decodeCursor() for pages after the first. Search results carry
+// `highlight: { name, description }` as HTML with matches wrapped in <mark>.
+export async function listServers(db, options = {}) {
+  const match = options.q ? await buildSearchQuery(db, options.q) : null;
+  let sort = LISTING_SORTS[options.sort] ? options.sort : 'rank';
+  if (sort === 'relevance' && !match) sort = 'rank';
+  const keys = LISTING_SORTS[sort];
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const { from, where, params } = buildFilters(options, match);
+
+  let pageWhere = where;
+  const pageParams = [...params];
+  if (options.cursor) {
+    const cursorCondition = buildCursorCondition(keys, options.cursor);
+    pageWhere = `${where} AND ${cursorCondition.sql}`;
+    pageParams.push(...cursorCondition.params);
+  }
+
+  const sql = `SELECT s.id, s.slug, s.name, s.ip, s.edition, s.bedrock_port, s.description, s.description_html, s.website_url, s.banner_url, s.plan, s.votes, s.verified, s.verified_at, s.rating_avg, s.rating_count, s.created_at, u.username as owner_username,
+                      s.version_min, s.version_max, s.version_min_key, s.version_max_key, s.country, s.region, s.continent,
+                      st.online, st.players_online, st.players_max, st.version_name, st.protocol, st.motd, st.last_checked as status_checked_at, st.source as status_source,
+                      CASE WHEN up.samples > 0 THEN ROUND(100.0 * up.online_samples / up.samples, 2) END as uptime_24h,
+                      ${UPDATED_AT_SQL} as updated_at
+                      ${match ? `, ${SEARCH_RANK_SQL} as search_rank, ${NAME_HIGHLIGHT_SQL} as name_highlight, ${DESCRIPTION_SNIPPET_SQL} as description_snippet` : ''}
+               ${from}
+               LEFT JOIN (
+                 SELECT server_id, COUNT(*) as samples, SUM(online) as online_samples
+                 FROM server_status_samples
+                 WHERE checked_at >= datetime('now', '-24 hours')
+                 GROUP BY server_id
+               ) up ON up.server_id = s.id
+               ${pageWhere}
+               ORDER BY ${orderByClause(keys)}
+               LIMIT ?`;
+
+  const facetSql = `
+    SELECT t.slug, t.name, t.category, COUNT(*) as count
+    FROM server_tags x
+    JOIN tags t ON t.id = x.tag_id
+    WHERE x.server_id IN (SELECT s.id ${from} ${where})
+    GROUP BY t.id
+    ORDER BY count DESC, t.name
+  `;
+  const countryFacetSql = `
+    SELECT s.country, COUNT(*) as count
+    ${from} ${where} AND s.country IS NOT NULL
+    GROUP BY s.country
+    ORDER BY count DESC, s.country
+  `;
+
+  // Fetch one extra row to find out whether there is a next page
+  const [rows, totalRow, tagFacets, countryFacets] = await Promise.all([
+    all(db, sql, [...pageParams, limit + 1]),
+    get(db, `SELECT COUNT(*) as total ${from} ${where}`, params),
+    all(db, facetSql, params),
+    all(db, countryFacetSql, params)
+  ]);
+  const servers = rows.slice(0, limit);
+  const nextCursor = rows.length > limit ? encodeCursor(sort, servers[servers.length - 1]) : null;
+
+  const tagsByServer = await getTagsForServers(db, servers.map(server => server.id));
+  servers.forEach(server => {
+    server.tags = tagsByServer[server.id] || [];
+    addVersionInfo(server);
+
+    if (match) {
+      server.highlight = {
+        name: renderHighlight(server.name_highlight),
+        description: renderHighlight(server.description_snippet)
+      };
+      delete server.search_rank;
+      delete server.name_highlight;
+      delete server.description_snippet;
+    }
+  });
+
+  return { servers, total: totalRow.total, next_cursor: nextCursor, facets: { tags: tagFacets, countries: countryFacets } };
+}
+
+// A single public listing with owner, live status, 24h uptime, tags and its
+// position in the default (featured first, then votes) ranking. Resolves with
+// null when the listing doesn't exist, isn't approved or is in the trash.
+export async function getListing(db, serverId) {
+  const sql = `SELECT s.id, s.slug, s.name, s.ip, s.edition, s.bedrock_port, s.description, s.description_html, s.website_url, s.banner_url, s.plan, s.votes, s.verified, s.verified_at, s.rating_avg, s.rating_count, s.created_at, u.username as owner_username,
+                      s.version_min, s.version_max, s.version_min_key, s.version_max_key, s.country, s.region, s.continent,
+                      st.online, st.players_online, st.players_max, st.version_name, st.protocol, st.motd, st.last_checked as status_checked_at, st.source as status_source,
+                      (SELECT ROUND(100.0 * SUM(online) / COUNT(*), 2) FROM server_status_samples
+                       WHERE server_id = s.id AND checked_at >= datetime('now', '-24 hours')) as uptime_24h,
+                      ranked.rank_position
+               ${FROM_SQL}
+               JOIN (
+                 SELECT s.id, ROW_NUMBER() OVER (ORDER BY ${orderByClause(LISTING_SORTS.rank)}) as rank_position
+                 FROM servers s
+                 WHERE s.moderation_status = 'approved' AND s.deleted_at IS NULL
+               ) ranked ON ranked.id = s.id
+               WHERE s.id = ?`;
+
+  const server = await get(db, sql, [serverId]);
+  if (!server) return null;
+
+  const tagsByServer = await getTagsForServers(db, [server.id]);
+  server.tags = tagsByServer[server.id] || [];
+  return addVersionInfo(server);
+}
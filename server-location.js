@@ -0,0 +1,120 @@
+// server-location.js - Geolocation of listings (country, region, continent of the game server's IP)
+import geoip from 'geoip-lite';
+import { resolveServerAddress } from './address-resolver.js';
+import { logError } from './logger.js';
+import { run, all } from './database.js';
+
+export const CONTINENTS = {
+  AF: 'Africa',
+  AN: 'Antarctica',
+  AS: 'Asia',
+  EU: 'Europe',
+  NA: 'North America',
+  OC: 'Oceania',
+  SA: 'South America'
+};
+
+// ISO 3166-1 alpha-2 country codes per continent. geoip-lite only reports the
+// country, so the continent is looked up here.
+const CONTINENT_COUNTRIES = {
+  AF: 'DZ AO BJ BW BF BI CV CM CF TD KM CG CD CI DJ EG GQ ER SZ ET GA GM GH GN GW KE LS LR LY MG MW ML MR MU YT MA MZ NA NE NG RE RW SH ST SN SC SL SO ZA SS SD TZ TG TN UG EH ZM ZW',
+  AN: 'AQ BV GS HM TF',
+  AS: 'AF AM AZ BH BD BT BN KH CN CY GE HK IN ID IR IQ IL JP JO KZ KW KG LA LB MO MY MV MN MM NP KP OM PK PS PH QA SA SG KR LK SY TW TJ TH TL TR TM AE UZ VN YE IO CC CX',
+  EU: 'AX AL AD AT BY BE BA BG HR CZ DK EE FO FI FR DE GI GR GG HU IS IE IM IT JE XK LV LI LT LU MT MD MC ME NL MK NO PL PT RO RU SM RS SK SI ES SJ SE CH UA GB VA',
+  NA: 'AI AG AW BS BB BZ BM BQ VG CA KY CR CU CW DM DO SV GL GD GP GT HT HN JM MQ MX MS NI PA PR BL KN LC MF PM VC SX TT TC US VI UM',
+  OC: 'AS AU CK FJ PF GU KI MH FM NR NC NZ NU NF MP PW PG PN WS SB TK TO TV VU WF',
+  SA: 'AR BO BR CL CO EC FK GF GY PY PE SR UY VE'
+};
+
+const CONTINENT_BY_COUNTRY = {};
+Object.entries(CONTINENT_COUNTRIES).forEach(([continent, countries]) => {
+  countries.split(' ').forEach(country => { CONTINENT_BY_COUNTRY[country] = continent; });
+});
+
+export function continentOf(country) {
+  return CONTINENT_BY_COUNTRY[String(country || '').toUpperCase()] || null;
+}
+
+// Parse a `country` or `continent` query value ("DE", "de,at") into upper-case
+// codes. Returns { codes } or { error } when a code isn't known.
+export function parseCountryFilter(value) {
+  const codes = String(value || '').split(',').map(code => code.trim().toUpperCase()).filter(Boolean);
+  const unknown = codes.find(code => !CONTINENT_BY_COUNTRY[code]);
+  if (unknown) return { error: `Unknown country code: ${unknown}` };
+  return { codes: [...new Set(codes)] };
+}
+
+export function parseContinentFilter(value) {
+  const codes = String(value || '').split(',').map(code => code.trim().toUpperCase()).filter(Boolean);
+  const unknown = codes.find(code => !CONTINENTS[code]);
+  if (unknown) return { error: `continent must be one of ${Object.keys(CONTINENTS).join(', ')}` };
+  return { codes: [...new Set(codes)] };
+}
+
+// Resolve and geolocate a listing address ("play.example.com:25566") for
+// `options.edition` (see resolveServerAddress()). Resolves with
+// { target: { host, port, ip }, country, region, continent }; the target is
+// null when the address doesn't resolve and the location when the IP isn't
+// in the GeoIP database (private ranges).
+export async function lookupServerLocation(address, options = {}) {
+  const unknown = { target: null, country: null, region: null, continent: null };
+  let resolved;
+  try {
+    resolved = await resolveServerAddress(address, options);
+  } catch (error) {
+    return unknown;
+  }
+  if (resolved.error) return unknown;
+
+  const geo = geoip.lookup(resolved.target.ip);
+  if (!geo || !geo.country) return { ...unknown, target: resolved.target };
+  return {
+    target: resolved.target,
+    country: geo.country,
+    region: geo.region || null,
+    continent: continentOf(geo.country)
+  };
+}
+
+// Resolve and geolocate a listing, storing the resolved target next to the
+// listed address. The row is only updated while it still has `address`, so a
+// slow lookup can't overwrite the location of a newer address. Resolves with
+// the location.
+export async function locateServer(db, serverId, address, options = {}) {
+  const location = await lookupServerLocation(address, options);
+  const target = location.target || {};
+  await run(
+    db,
+    `UPDATE servers SET resolved_host = ?, resolved_port = ?, resolved_ip = ?, country = ?, region = ?, continent = ?, located_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND ip = ?`,
+    [target.host ?? null, target.port ?? null, target.ip ?? null, location.country, location.region, location.continent, serverId, address]
+  );
+  return location;
+}
+
+// Locate a listing in the background after it was created or its address
+// changed; failures are logged and leave the old location in place
+export function locateServerLater(db, serverId, address, options = {}) {
+  locateServer(db, serverId, address, options).catch((error) => {
+    logError('Failed to geolocate server', error, { serverId });
+  });
+}
+
+// Locate listings that have never been located, one at a time (listings from
+// before geolocation existed, and ones located before the resolved target was
+// stored). Resolves with the number of listings looked up.
+export async function locateUnlocatedServers(db, options = {}) {
+  const servers = await all(
+    db,
+    `SELECT id, ip, edition FROM servers
+     WHERE (located_at IS NULL OR (resolved_ip IS NOT NULL AND resolved_host IS NULL)) AND deleted_at IS NULL`
+  );
+  for (const server of servers) {
+    try {
+      await locateServer(db, server.id, server.ip, { ...options, edition: server.edition });
+    } catch (error) {
+      logError('Failed to geolocate server', error, { serverId: server.id });
+    }
+  }
+  return servers.length;
+}
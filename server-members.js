@@ -0,0 +1,239 @@
+// server-members.js - Listing team: members with roles (owner, manager, editor), invitations and ownership transfer
+import { run, get, all, runInTransaction } from './database.js';
+
+export const MEMBER_ROLES = ['owner', 'manager', 'editor'];
+export const INVITATION_TTL_DAYS = 14;
+
+// What each role may do on a listing
+const ROLE_PERMISSIONS = {
+  owner: ['view', 'edit', 'verify', 'manage_members', 'reply_reviews', 'rollback', 'transfer', 'delete'],
+  manager: ['view', 'edit', 'verify', 'manage_members', 'reply_reviews'],
+  editor: ['view', 'edit']
+};
+
+// Roles each role may invite, change or remove. The owner role only changes
+// hands through a transfer.
+const MANAGEABLE_ROLES = {
+  owner: ['manager', 'editor'],
+  manager: ['editor'],
+  editor: []
+};
+
+export function initializeMemberTables(db) {
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      db.run(`CREATE TABLE IF NOT EXISTS server_members (
+        server_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        role TEXT CHECK(role IN ('owner','manager','editor')) NOT NULL,
+        added_by INTEGER,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY(server_id, user_id),
+        FOREIGN KEY(server_id) REFERENCES servers(id) ON DELETE CASCADE,
+        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+      )`);
+
+      db.run(`CREATE INDEX IF NOT EXISTS idx_server_members_user ON server_members(user_id)`);
+
+      // An invitation targets a registered user. invitee_email is left from
+      // invitations to addresses without an account, which are no longer made.
+      db.run(`CREATE TABLE IF NOT EXISTS server_invitations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        server_id INTEGER NOT NULL,
+        role TEXT CHECK(role IN ('manager','editor')) NOT NULL,
+        invitee_user_id INTEGER,
+        invitee_email TEXT,
+        invited_by INTEGER NOT NULL,
+        status TEXT CHECK(status IN ('pending','accepted','declined','revoked')) NOT NULL DEFAULT 'pending',
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        responded_at DATETIME,
+        FOREIGN KEY(server_id) REFERENCES servers(id) ON DELETE CASCADE,
+        FOREIGN KEY(invitee_user_id) REFERENCES users(id) ON DELETE CASCADE
+      )`);
+
+      db.run(`CREATE INDEX IF NOT EXISTS idx_server_invitations_server ON server_invitations(server_id, status)`);
+
+      // Email addresses are not verified at sign-up, so a pending invitation
+      // to an address would go to whoever registers it first
+      db.run(`UPDATE server_invitations SET status = 'revoked', responded_at = CURRENT_TIMESTAMP
+              WHERE status = 'pending' AND invitee_user_id IS NULL`);
+
+      // Every existing listing owner becomes the owner member of their listing
+      db.run(`INSERT OR IGNORE INTO server_members (server_id, user_id, role)
+              SELECT id, owner_id, 'owner' FROM servers WHERE owner_id IS NOT NULL`, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  });
+}
+
+export function hasPermission(role, permission) {
+  return Boolean(role && ROLE_PERMISSIONS[role] && ROLE_PERMISSIONS[role].includes(permission));
+}
+
+export function canManageRole(actorRole, targetRole) {
+  return Boolean(MANAGEABLE_ROLES[actorRole] && MANAGEABLE_ROLES[actorRole].includes(targetRole));
+}
+
+// The listing together with the user's role on it. Resolves with
+// { server, role } or null when the user isn't a member.
+export async function getServerAccess(db, serverId, userId) {
+  const row = await get(
+    db,
+    `SELECT s.*, m.role as member_role FROM servers s
+     JOIN server_members m ON m.server_id = s.id AND m.user_id = ?
+     WHERE s.id = ? AND s.deleted_at IS NULL`,
+    [userId, serverId]
+  );
+  if (!row) return null;
+
+  const { member_role: role, ...server } = row;
+  return { server, role };
+}
+
+export function addMember(db, serverId, userId, role, addedBy = null) {
+  return run(
+    db,
+    `INSERT INTO server_members (server_id, user_id, role, added_by) VALUES (?, ?, ?, ?)
+     ON CONFLICT(server_id, user_id) DO UPDATE SET role = excluded.role`,
+    [serverId, userId, role, addedBy]
+  );
+}
+
+export function getMembers(db, serverId) {
+  return all(
+    db,
+    `SELECT m.user_id, u.username, m.role, m.created_at
+     FROM server_members m
+     JOIN users u ON u.id = m.user_id
+     WHERE m.server_id = ?
+     ORDER BY CASE m.role WHEN 'owner' THEN 0 WHEN 'manager' THEN 1 ELSE 2 END, u.username`,
+    [serverId]
+  );
+}
+
+export function getMember(db, serverId, userId) {
+  return get(db, 'SELECT * FROM server_members WHERE server_id = ? AND user_id = ?', [serverId, userId]);
+}
+
+export function updateMemberRole(db, serverId, userId, role) {
+  return run(db, 'UPDATE server_members SET role = ? WHERE server_id = ? AND user_id = ?', [role, serverId, userId]);
+}
+
+export function removeMember(db, serverId, userId) {
+  return run(db, 'DELETE FROM server_members WHERE server_id = ? AND user_id = ?', [serverId, userId]);
+}
+
+// Invite `identifier` (the username or email address of an account) to a
+// listing. Resolves with { invitation } or { error, status }.
+export async function createInvitation(db, { serverId, identifier, role, invitedBy }) {
+  const value = String(identifier || '').trim();
+  if (!value) return { error: 'Username or email is required', status: 400 };
+
+  const isEmail = value.includes('@');
+  const user = await get(
+    db,
+    isEmail
+      ? 'SELECT id, email FROM users WHERE lower(email) = lower(?) AND deleted_at IS NULL'
+      : 'SELECT id, email FROM users WHERE username = ? AND deleted_at IS NULL',
+    [value]
+  );
+  if (!user) return { error: isEmail ? 'No user with that email' : 'No user with that username', status: 404 };
+
+  if (user.id === invitedBy) return { error: 'You are already on this listing', status: 400 };
+  if (await getMember(db, serverId, user.id)) return { error: 'This user is already a member', status: 409 };
+
+  const pending = await get(
+    db,
+    `SELECT id FROM server_invitations
+     WHERE server_id = ? AND status = 'pending' AND expires_at > CURRENT_TIMESTAMP AND invitee_user_id = ?`,
+    [serverId, user.id]
+  );
+  if (pending) return { error: 'This user already has a pending invitation', status: 409 };
+
+  const result = await run(
+    db,
+    `INSERT INTO server_invitations (server_id, role, invitee_user_id, invited_by, expires_at)
+     VALUES (?, ?, ?, ?, datetime('now', ?))`,
+    [serverId, role, user.id, invitedBy, `+${INVITATION_TTL_DAYS} days`]
+  );
+  const invitation = await get(db, 'SELECT * FROM server_invitations WHERE id = ?', [result.lastID]);
+  return { invitation };
+}
+
+export function getServerInvitations(db, serverId) {
+  return all(
+    db,
+    `SELECT i.id, i.role, i.invitee_user_id, u.username as invitee,
+            i.created_at, i.expires_at, inviter.username as invited_by
+     FROM server_invitations i
+     JOIN users u ON u.id = i.invitee_user_id
+     LEFT JOIN users inviter ON inviter.id = i.invited_by
+     WHERE i.server_id = ? AND i.status = 'pending' AND i.expires_at > CURRENT_TIMESTAMP
+     ORDER BY i.created_at DESC`,
+    [serverId]
+  );
+}
+
+// Pending invitations addressed to a user
+export function getInvitationsForUser(db, user) {
+  return all(
+    db,
+    `SELECT i.id, i.server_id, s.name as server_name, s.slug as server_slug, i.role,
+            inviter.username as invited_by, i.created_at, i.expires_at
+     FROM server_invitations i
+     JOIN servers s ON s.id = i.server_id
+     LEFT JOIN users inviter ON inviter.id = i.invited_by
+     WHERE i.status = 'pending' AND i.expires_at > CURRENT_TIMESTAMP AND s.deleted_at IS NULL
+       AND i.invitee_user_id = ?
+     ORDER BY i.created_at DESC`,
+    [user.id]
+  );
+}
+
+// Accept or decline an invitation addressed to `user`. Resolves with
+// { invitation } or { error, status }.
+export async function respondToInvitation(db, invitationId, user, accept) {
+  const invitation = await get(
+    db,
+    `SELECT * FROM server_invitations
+     WHERE id = ? AND status = 'pending' AND expires_at > CURRENT_TIMESTAMP AND invitee_user_id = ?`,
+    [invitationId, user.id]
+  );
+  if (!invitation) return { error: 'Invitation not found or expired', status: 404 };
+
+  const statements = [[
+    `UPDATE server_invitations SET status = ?, responded_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [accept ? 'accepted' : 'declined', invitation.id]
+  ]];
+  if (accept) {
+    // OR IGNORE: never change the role of someone who joined in the meantime
+    statements.push([
+      'INSERT OR IGNORE INTO server_members (server_id, user_id, role, added_by) VALUES (?, ?, ?, ?)',
+      [invitation.server_id, user.id, invitation.role, invitation.invited_by]
+    ]);
+  }
+
+  await runInTransaction(db, statements);
+  return { invitation };
+}
+
+export function revokeInvitation(db, serverId, invitationId) {
+  return run(
+    db,
+    `UPDATE server_invitations SET status = 'revoked', responded_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND server_id = ? AND status = 'pending'`,
+    [invitationId, serverId]
+  );
+}
+
+// Hand the listing to another member. The previous owner stays on as manager.
+export function transferOwnership(db, serverId, fromUserId, toUserId) {
+  return runInTransaction(db, [
+    [`UPDATE server_members SET role = 'manager' WHERE server_id = ? AND user_id = ?`, [serverId, fromUserId]],
+    [`UPDATE server_members SET role = 'owner' WHERE server_id = ? AND user_id = ?`, [serverId, toUserId]],
+    ['UPDATE servers SET owner_id = ? WHERE id = ?', [toUserId, serverId]]
+  ]);
+}
@@ -0,0 +1,290 @@
+// server-pages.js - Server-rendered, shareable listing pages (/server/:slug) with title and OpenGraph meta
+import { escapeHtml, countryFlag } from './public/format.js';
+import { descriptionToText } from './descriptions.js';
+
+export const DEFAULT_SITE_TITLE = 'Alliance Server Promoter';
+const META_DESCRIPTION_LENGTH = 200;
+
+const EDITION_LABELS = {
+  java: 'Java',
+  bedrock: 'Bedrock',
+  both: 'Java + Bedrock'
+};
+
+// Same wording as the report dialog on the main page
+const REPORT_CATEGORY_LABELS = {
+  scam: 'Scam or fraud',
+  offline: 'Offline for a long time',
+  inappropriate_content: 'Inappropriate content',
+  rule_violation: 'Breaks the listing rules',
+  wrong_information: 'Wrong information',
+  other: 'Something else'
+};
+
+// "/server/12" and "/server/12-skyblock-legends" both refer to listing 12
+// unless the ref is a slug (slugs are looked up first)
+export function parseServerRef(ref) {
+  const match = String(ref || '').match(/^(\d+)(?:-.*)?$/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+export function serverPagePath(server) {
+  return `/server/${server.slug || server.id}`;
+}
+
+// Hosts the site answers on when PUBLIC_URL isn't set: ALLOWED_HOSTS
+// (comma-separated host[:port]) and the local development addresses
+function allowedHosts() {
+  const port = process.env.PORT || 3000;
+  return [...String(process.env.ALLOWED_HOSTS || '').split(','), `localhost:${port}`, `127.0.0.1:${port}`]
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Absolute site URL for links in meta tags, feeds and sitemaps. These responses
+// may be kept by shared caches, so the Host header is only used when it is an
+// allowed host; anything else gets the first allowed host instead of a URL
+// the request made up.
+export function getBaseUrl(req) {
+  if (process.env.PUBLIC_URL) return process.env.PUBLIC_URL.replace(/\/+$/, '');
+  const hosts = allowedHosts();
+  const host = String(req.get('host') || '').toLowerCase();
+  return `${req.protocol}://${hosts.includes(host) ? host : hosts[0]}`;
+}
+
+// Resolve `url` against the site and only keep http(s) links
+function absoluteUrl(url, baseUrl) {
+  if (!url) return null;
+  try {
+    const resolved = new URL(url, `${baseUrl}/`);
+    return ['http:', 'https:'].includes(resolved.protocol) ? resolved.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function summarize(text, length = META_DESCRIPTION_LENGTH) {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  return flat.length > length ? `${flat.slice(0, length - 1).trimEnd()}…` : flat;
+}
+
+function locationText(server) {
+  let name = server.country;
+  try {
+    name = new Intl.DisplayNames(['en'], { type: 'region' }).of(server.country);
+  } catch (error) {
+    // Unknown to Intl; show the code
+  }
+  return `${countryFlag(server.country)} ${name}${server.region ? ` (${server.region})` : ''}`;
+}
+
+function statusText(server) {
+  if (!server.status_checked_at) return { className: 'unknown', text: '⚪ Status unknown' };
+  if (!server.online) return { className: 'offline', text: '🔴 Offline' };
+
+  const players = `${server.players_online ?? 0}/${server.players_max ?? 0} players`;
+  const version = server.version_name ? ` • ${server.version_name}` : '';
+  return { className: 'online', text: `🟢 Online • ${players}${version}` };
+}
+
+// "★★★★☆" for a 1-5 rating
+export function renderStars(rating) {
+  const full = Math.round(rating || 0);
+  return '★'.repeat(full) + '☆'.repeat(5 - full);
+}
+
+function ratingText(server) {
+  if (!server.rating_count) return 'No reviews yet';
+  return `${renderStars(server.rating_avg)} ${Number(server.rating_avg).toFixed(1)} (${server.rating_count} review${server.rating_count === 1 ? '' : 's'})`;
+}
+
+function renderReview(review) {
+  const edited = review.updated_at !== review.created_at ? ' (edited)' : '';
+  const reply = review.reply
+    ? `
+          <div class="review-reply"><strong>Reply from ${escapeHtml(review.reply_username || 'the server team')}:</strong> ${escapeHtml(review.reply)}</div>`
+    : '';
+  return `
+        <li class="review" data-review-id="${review.id}">
+          <p class="review-header"><span class="stars" title="${review.rating} out of 5">${renderStars(review.rating)}</span> <strong>${escapeHtml(review.username)}</strong> <span class="muted">${escapeHtml(review.created_at)}${edited}</span></p>
+          <p class="review-body">${escapeHtml(review.body)}</p>${reply}
+        </li>`;
+}
+
+// Meta tags get the description without markup or formatting codes
+function descriptionText(server) {
+  return server.description_html ? descriptionToText(server.description_html) : server.description;
+}
+
+function describe(server) {
+  if (server.description) return summarize(descriptionText(server));
+
+  const status = server.online ? `${server.players_online ?? 0} players online` : null;
+  return [
+    `${EDITION_LABELS[server.edition] || EDITION_LABELS.java} Minecraft server`,
+    `IP: ${server.ip}`,
+    server.version_range ? `Versions ${server.version_range}` : null,
+    `${server.votes} votes`,
+    status
+  ].filter(Boolean).join(' • ');
+}
+
+// JSON for a <script> element: "</script>" and "<!--" in listing text can't end it early
+function scriptJson(data) {
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+// schema.org GameServer for search engines, with votes as an interaction
+// count (votes aren't ratings, so no aggregateRating)
+function structuredData(server, { pageUrl, description, image }) {
+  const data = {
+    '@context': 'https://schema.org',
+    '@type': 'GameServer',
+    name: server.name,
+    url: pageUrl,
+    description,
+    identifier: server.ip,
+    game: {
+      '@type': 'VideoGame',
+      name: server.edition === 'bedrock' ? 'Minecraft: Bedrock Edition' : 'Minecraft: Java Edition'
+    },
+    interactionStatistic: {
+      '@type': 'InteractionCounter',
+      interactionType: 'https://schema.org/VoteAction',
+      userInteractionCount: server.votes
+    }
+  };
+  if (image) data.image = image;
+  if (server.status_checked_at) {
+    data.serverStatus = server.online ? 'https://schema.org/Online' : 'https://schema.org/OfflineTemporarily';
+    if (server.online) data.playersOnline = server.players_online ?? 0;
+  }
+  return data;
+}
+
+function renderLayout({ title, head = '', body }) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>${escapeHtml(title)}</title>
+  <link rel="stylesheet" href="/styles.css" />
+${head}
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+export function renderServerPage({ server, reviews = [], siteTitle = DEFAULT_SITE_TITLE, baseUrl }) {
+  const title = `${server.name} - ${siteTitle}`;
+  const description = describe(server);
+  const pageUrl = `${baseUrl}${serverPagePath(server)}`;
+  const image = absoluteUrl(server.banner_url, baseUrl);
+  const websiteUrl = absoluteUrl(server.website_url, baseUrl);
+  const status = statusText(server);
+  const edition = EDITION_LABELS[server.edition] || EDITION_LABELS.java;
+  const bedrockPort = server.edition !== 'java' && server.bedrock_port ? ` (Bedrock port ${server.bedrock_port})` : '';
+
+  const meta = [
+    ['name', 'description', description],
+    ['property', 'og:type', 'website'],
+    ['property', 'og:site_name', siteTitle],
+    ['property', 'og:title', server.name],
+    ['property', 'og:description', description],
+    ['property', 'og:url', pageUrl],
+    image && ['property', 'og:image', image],
+    ['name', 'twitter:card', image ? 'summary_large_image' : 'summary'],
+    ['name', 'twitter:title', server.name],
+    ['name', 'twitter:description', description],
+    ['name', 'theme-color', server.plan === 'paid' ? '#fde047' : '#22c55e']
+  ].filter(Boolean);
+
+  const head = [
+    `  <link rel="canonical" href="${escapeHtml(pageUrl)}" />`,
+    ...meta.map(([attr, key, value]) => `  <meta ${attr}="${key}" content="${escapeHtml(value)}" />`),
+    `  <script type="application/ld+json">${scriptJson(structuredData(server, { pageUrl, description, image }))}</script>`
+  ].join('\n');
+
+  const tags = server.tags.length
+    ? `<p class="tag-list">${server.tags.map(tag => `<span class="tag ${escapeHtml(tag.category)}">${escapeHtml(tag.name)}</span>`).join('')}</p>`
+    : '';
+
+  const website = websiteUrl
+    ? `<a href="${escapeHtml(websiteUrl)}" target="_blank" rel="noopener noreferrer">Website</a>`
+    : '';
+
+  const body = `  <header class="container">
+    <p><a href="/" class="back-link">← All servers</a></p>
+  </header>
+  <main class="container">
+    <article class="card server-page" data-server-id="${server.id}">
+      ${image ? `<img class="server-page-banner" src="${escapeHtml(image)}" alt="${escapeHtml(server.name)}" />` : ''}
+      <h1>${escapeHtml(server.name)}
+        <span class="badge ${server.plan === 'paid' ? 'paid' : ''}">${server.plan === 'paid' ? 'Featured' : 'Free'}</span>
+        <span class="badge edition ${escapeHtml(server.edition || 'java')}">${edition}</span>
+        ${server.verified ? '' : '<span class="badge unverified" title="The owner has not proven they run this server yet">Unverified</span>'}
+      </h1>
+      <p class="server-page-meta">
+        <strong>IP:</strong> <code>${escapeHtml(server.ip)}</code>${escapeHtml(bedrockPort)}
+        ${server.country ? `&nbsp; • &nbsp; <strong>Location:</strong> ${escapeHtml(locationText(server))}` : ''}
+        ${server.version_range ? `&nbsp; • &nbsp; <strong>Versions:</strong> ${escapeHtml(server.version_range)}` : ''}
+        &nbsp; • &nbsp; <strong>Rank:</strong> #${server.rank_position}
+        &nbsp; • &nbsp; <strong>Votes:</strong> <span class="count" id="voteCount">${server.votes}</span>
+        &nbsp; • &nbsp; <span class="rating">${escapeHtml(ratingText(server))}</span>
+        ${server.owner_username ? `&nbsp; • &nbsp; <strong>Owner:</strong> ${escapeHtml(server.owner_username)}` : ''}
+      </p>
+      <p class="server-status ${status.className}">${escapeHtml(status.text)}${server.uptime_24h !== null ? ` • ${server.uptime_24h}% uptime (24h)` : ''}</p>
+      ${tags}
+      <div class="server-page-description listing-description">${server.description_html ?? escapeHtml(server.description || '')}</div>
+      <p class="muted">${website}</p>
+      <button class="vote" id="voteBtn">Vote</button>
+      <p class="muted" id="voteMsg"></p>
+      <section class="reviews">
+        <h2>Reviews</h2>
+        <div id="reviewFormSlot"></div>
+        <ul class="review-list" id="reviewList">${reviews.map(renderReview).join('')}
+        </ul>
+        ${reviews.length ? '' : '<p class="muted">Be the first to review this server.</p>'}
+      </section>
+      <details class="report-form">
+        <summary>Report this listing</summary>
+        <form id="reportForm">
+          <label>
+            Reason
+            <select name="category" required>
+${Object.entries(REPORT_CATEGORY_LABELS).map(([value, label]) => `              <option value="${value}">${label}</option>`).join('\n')}
+            </select>
+          </label>
+          <label>
+            Details
+            <textarea name="details" rows="3" maxlength="1000" placeholder="What's wrong with this listing?"></textarea>
+          </label>
+          <button type="submit" class="btn-danger">Send Report</button>
+          <p class="muted" id="reportMsg"></p>
+        </form>
+      </details>
+    </article>
+  </main>
+  <script type="module" src="/server-page.js"></script>`;
+
+  return renderLayout({ title, head, body });
+}
+
+export function renderNotFoundPage({ siteTitle = DEFAULT_SITE_TITLE } = {}) {
+  const body = `  <main class="container">
+    <section class="card">
+      <h2>Server not found</h2>
+      <p class="muted">This listing doesn't exist or was removed.</p>
+      <p><a href="/" class="back-link">← All servers</a></p>
+    </section>
+  </main>`;
+
+  return renderLayout({
+    title: `Server not found - ${siteTitle}`,
+    head: '  <meta name="robots" content="noindex" />',
+    body
+  });
+}
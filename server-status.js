@@ -0,0 +1,246 @@
+// server-status.js - Minecraft server status checks (Java Server List Ping, Bedrock RakNet ping)
+import net from 'net';
+import dgram from 'dgram';
+import crypto from 'crypto';
+
+export const DEFAULT_JAVA_PORT = 25565;
+export const DEFAULT_BEDROCK_PORT = 19132;
+const DEFAULT_TIMEOUT = 5000;
+
+// Protocol version sent in the handshake. By convention -1 is used when the
+// client only wants to find out which version the server runs.
+const HANDSHAKE_PROTOCOL_VERSION = -1;
+
+// --- VarInt / packet helpers ---
+
+function encodeVarInt(value) {
+  const bytes = [];
+  let v = value >>> 0;
+  do {
+    let byte = v & 0x7f;
+    v >>>= 7;
+    if (v !== 0) byte |= 0x80;
+    bytes.push(byte);
+  } while (v !== 0);
+  return Buffer.from(bytes);
+}
+
+// Returns { value, size } or null when the buffer doesn't hold a full VarInt yet
+function decodeVarInt(buffer, offset = 0) {
+  let value = 0;
+  let size = 0;
+  let byte;
+  do {
+    if (offset + size >= buffer.length) return null;
+    byte = buffer[offset + size];
+    value |= (byte & 0x7f) << (7 * size);
+    size++;
+    if (size > 5) throw new Error('VarInt is too big');
+  } while (byte & 0x80);
+  return { value, size };
+}
+
+function encodeString(str) {
+  const data = Buffer.from(str, 'utf8');
+  return Buffer.concat([encodeVarInt(data.length), data]);
+}
+
+function createPacket(packetId, payload = Buffer.alloc(0)) {
+  const body = Buffer.concat([encodeVarInt(packetId), payload]);
+  return Buffer.concat([encodeVarInt(body.length), body]);
+}
+
+function createHandshakePacket(host, port) {
+  const portBuffer = Buffer.alloc(2);
+  portBuffer.writeUInt16BE(port);
+  return createPacket(0x00, Buffer.concat([
+    encodeVarInt(HANDSHAKE_PROTOCOL_VERSION),
+    encodeString(host),
+    portBuffer,
+    encodeVarInt(1) // next state: status
+  ]));
+}
+
+// Flatten a chat component (string, { text, extra }, or array) into plain text
+export function chatToText(component) {
+  if (component == null) return '';
+  if (typeof component === 'string') return component;
+  if (Array.isArray(component)) return component.map(chatToText).join('');
+
+  let text = component.text || component.translate || '';
+  if (Array.isArray(component.extra)) {
+    text += component.extra.map(chatToText).join('');
+  }
+  return text;
+}
+
+// Remove legacy § formatting codes from a MOTD
+export function stripFormatting(text) {
+  return String(text || '').replace(/§[0-9a-fk-or]/gi, '');
+}
+
+// Query a Java Edition server with the Server List Ping handshake.
+// Resolves with { online, playersOnline, playersMax, versionName, protocol, motd, latency }
+// and rejects on connection errors, timeouts or malformed responses.
+// `options.connectTo` ({ host, port }, e.g. an SRV target) is where to
+// connect when that differs from the address named in the handshake.
+export function pingJavaServer(host, port = DEFAULT_JAVA_PORT, options = {}) {
+  const timeout = options.timeout || DEFAULT_TIMEOUT;
+  const connectTo = options.connectTo || { host, port };
+
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host: connectTo.host, port: connectTo.port });
+    let buffer = Buffer.alloc(0);
+    let status = null;
+    let pingSentAt = 0;
+    let settled = false;
+
+    const finish = (err, result) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      if (err) reject(err);
+      else resolve(result);
+    };
+
+    const buildResult = (latency) => ({
+      online: true,
+      playersOnline: status.players?.online ?? 0,
+      playersMax: status.players?.max ?? 0,
+      versionName: status.version?.name || null,
+      protocol: Number.isInteger(status.version?.protocol) ? status.version.protocol : null,
+      motd: stripFormatting(chatToText(status.description)).trim(),
+      latency
+    });
+
+    socket.setTimeout(timeout, () => finish(new Error(`Status ping timed out after ${timeout}ms`)));
+    socket.on('error', (err) => finish(err));
+    socket.on('close', () => {
+      // Some servers close the connection instead of answering the ping packet
+      if (status) finish(null, buildResult(null));
+      else finish(new Error('Connection closed before status response'));
+    });
+
+    socket.on('connect', () => {
+      socket.write(createHandshakePacket(host, port));
+      socket.write(createPacket(0x00)); // status request
+    });
+
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+
+      try {
+        while (true) {
+          const length = decodeVarInt(buffer);
+          if (!length || buffer.length < length.size + length.value) return;
+
+          const packet = buffer.subarray(length.size, length.size + length.value);
+          buffer = buffer.subarray(length.size + length.value);
+
+          const packetId = decodeVarInt(packet);
+          if (!packetId) throw new Error('Malformed packet');
+
+          if (packetId.value === 0x00 && !status) {
+            const strLength = decodeVarInt(packet, packetId.size);
+            if (!strLength) throw new Error('Malformed status response');
+            const start = packetId.size + strLength.size;
+            const json = packet.subarray(start, start + strLength.value).toString('utf8');
+            status = JSON.parse(json);
+
+            // Follow up with a ping packet to measure latency
+            const payload = Buffer.alloc(8);
+            payload.writeBigInt64BE(BigInt(Date.now()));
+            pingSentAt = Date.now();
+            socket.write(createPacket(0x01, payload));
+          } else if (packetId.value === 0x01 && status) {
+            return finish(null, buildResult(Date.now() - pingSentAt));
+          }
+        }
+      } catch (err) {
+        finish(new Error(`Invalid status response: ${err.message}`));
+      }
+    });
+  });
+}
+
+// --- Bedrock Edition (RakNet unconnected ping) ---
+
+const RAKNET_MAGIC = Buffer.from('00ffff00fefefefefdfdfdfd12345678', 'hex');
+const UNCONNECTED_PING = 0x01;
+const UNCONNECTED_PONG = 0x1c;
+
+function createUnconnectedPing() {
+  const packet = Buffer.alloc(33);
+  packet.writeUInt8(UNCONNECTED_PING, 0);
+  packet.writeBigInt64BE(BigInt(Date.now()), 1);
+  RAKNET_MAGIC.copy(packet, 9);
+  crypto.randomBytes(8).copy(packet, 25); // client GUID
+  return packet;
+}
+
+// Pong payload: MCPE;MOTD;protocol;version;players;max players;server id;sub MOTD;gamemode;...
+export function parseBedrockPong(packet) {
+  if (packet.length < 35 || packet[0] !== UNCONNECTED_PONG) {
+    throw new Error('Not an unconnected pong packet');
+  }
+  if (!packet.subarray(17, 33).equals(RAKNET_MAGIC)) {
+    throw new Error('Invalid RakNet magic');
+  }
+
+  const length = packet.readUInt16BE(33);
+  const fields = packet.subarray(35, 35 + length).toString('utf8').split(';');
+  if (fields[0] !== 'MCPE' && fields[0] !== 'MCEE') {
+    throw new Error(`Unknown server edition: ${fields[0]}`);
+  }
+
+  const motd = [fields[1], fields[7]].filter(Boolean).map(stripFormatting).join('\n');
+  const protocol = parseInt(fields[2], 10);
+
+  return {
+    online: true,
+    playersOnline: parseInt(fields[4], 10) || 0,
+    playersMax: parseInt(fields[5], 10) || 0,
+    versionName: fields[3] || null,
+    protocol: Number.isNaN(protocol) ? null : protocol,
+    motd: motd.trim(),
+    gamemode: fields[8] || null
+  };
+}
+
+// Query a Bedrock Edition server with a RakNet unconnected ping over UDP.
+// Resolves with the same shape as pingJavaServer.
+export function pingBedrockServer(host, port = DEFAULT_BEDROCK_PORT, options = {}) {
+  const timeout = options.timeout || DEFAULT_TIMEOUT;
+
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4');
+    let sentAt = 0;
+    let settled = false;
+
+    const finish = (err, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      socket.close();
+      if (err) reject(err);
+      else resolve(result);
+    };
+
+    const timer = setTimeout(() => finish(new Error(`Status ping timed out after ${timeout}ms`)), timeout);
+
+    socket.on('error', (err) => finish(err));
+    socket.on('message', (message) => {
+      try {
+        const result = parseBedrockPong(message);
+        finish(null, { ...result, latency: Date.now() - sentAt });
+      } catch (err) {
+        finish(new Error(`Invalid status response: ${err.message}`));
+      }
+    });
+
+    sentAt = Date.now();
+    socket.send(createUnconnectedPing(), port, host, (err) => {
+      if (err) finish(err);
+    });
+  });
+}
@@ -17,6 +17,125 @@ import multer from 'multer';
 import { logInfo, logError, logWarn, logAccess, logUpload, logSecurity, consoleLog } from './logger.js';
 import AdminShell from './shell.js';
 import SessionManager, { enhanceShellForSessions } from './session-manager.js';
+import { initializeStatusTables, startStatusPoller } from './status-poller.js';
+import { initializeUptimeTables, getUptimeStats, getOutages } from './uptime.js';
+import { getPlayerStats, PLAYER_STATS_RANGES } from './player-stats.js';
+import { listServers, getListing, decodeCursor, resolveSort, OFFLINE_SINCE_SQL, OFFLINE_FLAGGED_SQL } from './server-listing.js';
+import { renderServerPage, renderNotFoundPage, parseServerRef, serverPagePath, getBaseUrl, DEFAULT_SITE_TITLE } from './server-pages.js';
+import { renderAtomFeed, FEED_SIZE } from './feeds.js';
+import { checkDescription, renderDescriptionColumns, renderMissingDescriptions } from './descriptions.js';
+import {
+  SEO_SETTING_DEFAULTS,
+  countSitemapFiles,
+  getSitemapUrls,
+  renderUrlset,
+  renderSitemapIndex,
+  resolveRobotsPolicy,
+  renderRobotsTxt
+} from './sitemap.js';
+import { renderBadge, renderFallbackBadge, renderWidget, renderFallbackWidget, resolveTheme, embedEtag } from './embed.js';
+import { initializeSearchIndex } from './search-index.js';
+import {
+  initializeSlugTables,
+  validateSlug,
+  isSlugAvailable,
+  generateUniqueSlug,
+  changeSlug,
+  resolveSlug
+} from './slugs.js';
+import { getOrCreateVerificationToken, verifyListing, resetVerification } from './listing-verification.js';
+import {
+  initializeMemberTables,
+  hasPermission,
+  canManageRole,
+  getServerAccess,
+  addMember,
+  getMembers,
+  getMember,
+  updateMemberRole,
+  removeMember,
+  createInvitation,
+  getServerInvitations,
+  getInvitationsForUser,
+  respondToInvitation,
+  revokeInvitation,
+  transferOwnership
+} from './server-members.js';
+import {
+  initializeModerationTables,
+  MODERATION_STATUSES,
+  changedModeratedFields,
+  setModerationStatus,
+  addModerationNote,
+  getModerationNotes,
+  getModerationQueue
+} from './moderation.js';
+import {
+  initializeReportTables,
+  REPORT_STATUSES,
+  REPORT_ACTIONS,
+  MAX_REPORT_DETAILS_LENGTH,
+  createReport,
+  getReports,
+  getReport,
+  updateReport
+} from './reports.js';
+import {
+  initializeReviewTables,
+  MAX_REPLY_LENGTH,
+  validateReview,
+  saveReview,
+  deleteReview,
+  getServerReviews,
+  getUserReview,
+  setReviewReply,
+  setReviewHidden,
+  getAdminReviews
+} from './reviews.js';
+import {
+  initializeFavoriteTables,
+  addFavorite,
+  removeFavorite,
+  getFavoriteIds,
+  notifyServerOffline,
+  notifyServerAddressChanged
+} from './favorites.js';
+import {
+  initializeNotificationTables,
+  getNotifications,
+  countUnreadNotifications,
+  markNotificationsRead
+} from './notifications.js';
+import { initializeRevisionTables, recordRevision, getRevisions, getRevision, diffSnapshots, snapshotOf } from './revisions.js';
+import { parseVersionRange, versionKey, addVersionInfo } from './minecraft-versions.js';
+import {
+  locateServerLater,
+  locateUnlocatedServers,
+  parseCountryFilter,
+  parseContinentFilter
+} from './server-location.js';
+import { resolveServerAddress, setResolver, createStubResolver } from './address-resolver.js';
+import {
+  DUPLICATE_SETTING_DEFAULTS,
+  resolveDuplicatePolicy,
+  findDuplicates,
+  findDuplicatesFor,
+  isAddressMatch,
+  getDuplicateClusters,
+  mergeServers
+} from './duplicates.js';
+import { trashServer, restoreServer, trashUser, restoreUser, getTrash, purgeTrash, startTrashPurge } from './trash.js';
+import {
+  initializeTagTables,
+  parseTagList,
+  resolveTagSlugs,
+  setServerTags,
+  getTagsForServers,
+  getAllTags,
+  slugifyTag,
+  TAG_CATEGORIES
+} from './tags.js';
+import { getSetting, getSettings, isEnabled } from './site-settings.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -24,6 +143,12 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Answer DNS lookups for listing addresses from a JSON map instead of the
+// network, for local development and tests (format in address-resolver.js)
+if (process.env.DNS_STUB_FILE) {
+  setResolver(createStubResolver(JSON.parse(fs.readFileSync(process.env.DNS_STUB_FILE, 'utf8'))));
+}
+
 // Initialize SQLite session store
 const SQLiteStoreSession = SQLiteStore(session);
 
@@ -70,6 +195,30 @@ const voteLimiter = rateLimit({
   legacyHeaders: false
 });
 
+// Ownership checks ping the listed server, keep them rare
+const verificationLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 5, // limit each IP to 5 verification checks per minute
+  message: {
+    error: 'Too many verification attempts, please wait a minute.',
+    retryAfter: 60
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Abuse reports, on top of the per-listing dedupe in reports.js
+const reportLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // limit each IP to 5 reports per windowMs
+  message: {
+    error: 'Too many reports, please try again later.',
+    retryAfter: 15 * 60
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 // Progressive delay for repeated requests
 const speedLimiter = slowDown({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -170,6 +319,10 @@ sqlite3.verbose();
 const dbFile = path.join(__dirname, 'data.sqlite3');
 const db = new sqlite3.Database(dbFile);
 
+// Resolve once the column migrations of the servers and users tables have run
+let serverColumnsReady;
+let userColumnsReady;
+
 // init tables
 db.serialize(() => {
   // Users table
@@ -180,29 +333,121 @@ db.serialize(() => {
     password_hash TEXT NOT NULL,
     role TEXT CHECK(role IN ('user','admin')) NOT NULL DEFAULT 'user',
     created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
-    last_login DATETIME
+    last_login DATETIME,
+    deleted_at DATETIME,
+    deleted_by INTEGER
   )`);
 
+  // Add columns introduced after the initial users schema
+  const userColumnMigrations = [
+    // Set while the account is in the trash (see trash.js)
+    ['deleted_at', `DATETIME`],
+    ['deleted_by', `INTEGER`]
+  ];
+  userColumnsReady = new Promise((resolve) => {
+    db.all(`PRAGMA table_info(users)`, (err, columns) => {
+      if (err) return resolve();
+      const missing = userColumnMigrations.filter(([name]) => !columns.some(col => col.name === name));
+      db.serialize(() => {
+        missing.forEach(([name, definition]) => {
+          db.run(`ALTER TABLE users ADD COLUMN ${name} ${definition}`);
+        });
+        db.run('SELECT 1', () => resolve());
+      });
+    });
+  });
+
   // Update servers table to include owner_id
   db.run(`CREATE TABLE IF NOT EXISTS servers (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     name TEXT NOT NULL,
     ip TEXT NOT NULL,
     description TEXT,
+    description_html TEXT,
+    description_text TEXT,
     website_url TEXT,
     banner_url TEXT,
     plan TEXT CHECK(plan IN ('free','paid')) NOT NULL DEFAULT 'free',
     votes INTEGER NOT NULL DEFAULT 0,
     owner_id INTEGER,
+    edition TEXT CHECK(edition IN ('java','bedrock','both')) NOT NULL DEFAULT 'java',
+    bedrock_port INTEGER,
+    slug TEXT,
+    verified BOOLEAN NOT NULL DEFAULT 0,
+    verified_at DATETIME,
+    verification_token TEXT,
+    moderation_status TEXT CHECK(moderation_status IN ('pending','approved','rejected','suspended')) NOT NULL DEFAULT 'approved',
+    moderation_reason TEXT,
+    moderated_at DATETIME,
+    moderated_by INTEGER,
+    rating_avg REAL,
+    rating_count INTEGER NOT NULL DEFAULT 0,
+    version_min TEXT,
+    version_max TEXT,
+    version_min_key INTEGER,
+    version_max_key INTEGER,
+    resolved_host TEXT,
+    resolved_port INTEGER,
+    resolved_ip TEXT,
+    country TEXT,
+    region TEXT,
+    continent TEXT,
+    located_at DATETIME,
+    deleted_at DATETIME,
+    deleted_by INTEGER,
     created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY(owner_id) REFERENCES users(id) ON DELETE SET NULL
   )`);
 
-  // Check if owner_id column exists in servers table, add if not
-  db.all(`PRAGMA table_info(servers)`, (err, columns) => {
-    if (!err && !columns.some(col => col.name === 'owner_id')) {
-      db.run(`ALTER TABLE servers ADD COLUMN owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL`);
-    }
+  // Add columns introduced after the initial servers schema
+  const serverColumnMigrations = [
+    ['owner_id', `INTEGER REFERENCES users(id) ON DELETE SET NULL`],
+    ['edition', `TEXT CHECK(edition IN ('java','bedrock','both')) NOT NULL DEFAULT 'java'`],
+    ['bedrock_port', `INTEGER`],
+    ['slug', `TEXT`],
+    ['verified', `BOOLEAN NOT NULL DEFAULT 0`],
+    ['verified_at', `DATETIME`],
+    ['verification_token', `TEXT`],
+    // Listings from before moderation existed count as approved
+    ['moderation_status', `TEXT CHECK(moderation_status IN ('pending','approved','rejected','suspended')) NOT NULL DEFAULT 'approved'`],
+    ['moderation_reason', `TEXT`],
+    ['moderated_at', `DATETIME`],
+    ['moderated_by', `INTEGER`],
+    // Cached from server_reviews by reviews.js
+    ['rating_avg', `REAL`],
+    ['rating_count', `INTEGER NOT NULL DEFAULT 0`],
+    // Supported version range as entered, plus sortable keys for filtering (see minecraft-versions.js)
+    ['version_min', `TEXT`],
+    ['version_max', `TEXT`],
+    ['version_min_key', `INTEGER`],
+    ['version_max_key', `INTEGER`],
+    // Where the address resolved to (SRV target host and port, IP) and where that
+    // is, looked up when the address changes (see address-resolver.js, server-location.js)
+    ['resolved_host', `TEXT`],
+    ['resolved_port', `INTEGER`],
+    ['resolved_ip', `TEXT`],
+    ['country', `TEXT`],
+    ['region', `TEXT`],
+    ['continent', `TEXT`],
+    ['located_at', `DATETIME`],
+    // The Markdown description rendered to sanitized HTML and to plain text (see descriptions.js)
+    ['description_html', `TEXT`],
+    ['description_text', `TEXT`],
+    // Set while the listing is in the trash (see trash.js)
+    ['deleted_at', `DATETIME`],
+    ['deleted_by', `INTEGER`]
+  ];
+  serverColumnsReady = new Promise((resolve) => {
+    db.all(`PRAGMA table_info(servers)`, (err, columns) => {
+      if (err) return resolve();
+      const missing = serverColumnMigrations.filter(([name]) => !columns.some(col => col.name === name));
+      db.serialize(() => {
+        missing.forEach(([name, definition]) => {
+          db.run(`ALTER TABLE servers ADD COLUMN ${name} ${definition}`);
+        });
+        db.run('SELECT 1', () => resolve());
+      });
+    });
   });
 
   db.run(`CREATE TABLE IF NOT EXISTS votes (
@@ -307,6 +552,62 @@ db.serialize(() => {
   )`);
 });
 
+// Live status and uptime history tables for the background poller
+initializeStatusTables(db).catch((err) => {
+  logError('Failed to initialize server status table', err);
+});
+initializeUptimeTables(db).catch((err) => {
+  logError('Failed to initialize uptime tables', err);
+});
+initializeTagTables(db).catch((err) => {
+  logError('Failed to initialize tag tables', err);
+});
+// The index covers servers.description_text, which older databases only get from the migration above
+serverColumnsReady.then(() => initializeSearchIndex(db)).catch((err) => {
+  logError('Failed to initialize search index', err);
+});
+// Slugs need the servers.slug column, which older databases only get from the migration above
+serverColumnsReady.then(() => initializeSlugTables(db)).catch((err) => {
+  logError('Failed to initialize listing slugs', err);
+});
+serverColumnsReady.then(() => initializeMemberTables(db)).catch((err) => {
+  logError('Failed to initialize listing member tables', err);
+});
+serverColumnsReady.then(() => initializeModerationTables(db)).catch((err) => {
+  logError('Failed to initialize moderation tables', err);
+});
+initializeReportTables(db).catch((err) => {
+  logError('Failed to initialize report tables', err);
+});
+serverColumnsReady.then(() => initializeReviewTables(db)).catch((err) => {
+  logError('Failed to initialize review tables', err);
+});
+initializeFavoriteTables(db).catch((err) => {
+  logError('Failed to initialize favorite tables', err);
+});
+initializeNotificationTables(db).catch((err) => {
+  logError('Failed to initialize notification tables', err);
+});
+serverColumnsReady.then(() => initializeRevisionTables(db)).catch((err) => {
+  logError('Failed to initialize revision tables', err);
+});
+
+// Site setting defaults for offline listing handling
+const OFFLINE_SETTING_DEFAULTS = {
+  offline_flag_hours: '24',       // flag listings offline for at least this long
+  hide_offline_listings: 'false'  // hide flagged listings from the public list
+};
+
+// Site setting defaults for listing review
+const MODERATION_SETTING_DEFAULTS = {
+  requeue_on_edit: 'false'  // send approved listings back to review when key fields change
+};
+
+function offlineFlagModifier(settings) {
+  const hours = parseFloat(settings.offline_flag_hours);
+  return `-${Number.isFinite(hours) && hours > 0 ? hours : 24} hours`;
+}
+
 // helper to hash ip+ua lightly (not cryptographically secure but good enough for demo)
 function simpleHash(str) {
   let h = 0;
@@ -317,6 +618,18 @@ function simpleHash(str) {
   return String(h);
 }
 
+// Accounts moved to the trash lose their sessions: the session ends on its
+// next request that needs a login
+function requireActiveUser(req, res, next) {
+  db.get('SELECT id FROM users WHERE id = ? AND deleted_at IS NULL', [req.session.userId], (err, user) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    if (user) return next();
+    
+    console.log('❌ [AUTH] User is in the trash or no longer exists - ending session');
+    req.session.destroy(() => res.status(401).json({ error: 'Authentication required' }));
+  });
+}
+
 // Authentication middleware
 function requireAuth(req, res, next) {
   console.log('🔐 [AUTH] requireAuth middleware called');
@@ -332,15 +645,17 @@ function requireAuth(req, res, next) {
     return res.status(401).json({ error: 'Authentication required' });
   }
   
-  // Set user info for downstream middleware
-  req.user = {
-    id: req.session.userId,
-    username: req.session.username,
-    role: req.session.userRole
-  };
-  
-  console.log('✅ [AUTH] Authentication successful, user:', req.user);
-  next();
+  requireActiveUser(req, res, () => {
+    // Set user info for downstream middleware
+    req.user = {
+      id: req.session.userId,
+      username: req.session.username,
+      role: req.session.userRole
+    };
+    
+    console.log('✅ [AUTH] Authentication successful, user:', req.user);
+    next();
+  });
 }
 
 function requireAdmin(req, res, next) {
@@ -361,15 +676,40 @@ function requireAdmin(req, res, next) {
     return res.status(403).json({ error: 'Admin access required' });
   }
   
-  // Set user info for downstream middleware
-  req.user = {
-    id: req.session.userId,
-    username: req.session.username,
-    role: req.session.userRole
+  requireActiveUser(req, res, () => {
+    // Set user info for downstream middleware
+    req.user = {
+      id: req.session.userId,
+      username: req.session.username,
+      role: req.session.userRole
+    };
+    
+    console.log('✅ [ADMIN] Admin authentication successful, user:', req.user);
+    next();
+  });
+}
+
+// Load the listing in :id for a member whose role allows `permission`
+// (see server-members.js). Sets req.server and req.memberRole.
+function requireServerPermission(permission) {
+  return async (req, res, next) => {
+    const serverId = parseInt(req.params.id, 10);
+    if (Number.isNaN(serverId)) return res.status(400).json({ error: 'Invalid server id' });
+    
+    try {
+      const access = await getServerAccess(db, serverId, req.session.userId);
+      if (!access) return res.status(404).json({ error: 'Server not found or access denied' });
+      if (!hasPermission(access.role, permission)) {
+        return res.status(403).json({ error: `Your role on this listing (${access.role}) does not allow this` });
+      }
+      
+      req.server = access.server;
+      req.memberRole = access.role;
+      next();
+    } catch (error) {
+      res.status(500).json({ error: 'Database error' });
+    }
   };
-  
-  console.log('✅ [ADMIN] Admin authentication successful, user:', req.user);
-  next();
 }
 
 // Bot detection and security functions
@@ -543,10 +883,39 @@ function botDetectionMiddleware(req, res, next) {
   });
 }
 
+// Whether `ip` solved a CAPTCHA whose challenge hasn't expired yet
+function hasSolvedCaptcha(ip) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT id FROM captcha_challenges WHERE ip_address = ? AND solved = 1 AND expires_at > datetime("now")',
+      [ip],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(Boolean(row));
+      }
+    );
+  });
+}
+
+// Goes after botDetectionMiddleware: requests it found suspicious need a
+// recently solved CAPTCHA (see public/captcha.js) instead of passing through
+function requireCaptchaIfSuspicious(req, res, next) {
+  if (!req.suspiciousActivity) return next();
+  
+  hasSolvedCaptcha(req.ip).then(solved => {
+    if (solved) return next();
+    res.status(429).json({
+      error: 'Please complete CAPTCHA verification.',
+      code: 'CAPTCHA_REQUIRED',
+      botScore: req.botScore
+    });
+  }).catch(() => res.status(500).json({ error: 'Database error' }));
+}
+
 // Helper to get current user
 function getCurrentUser(req, res, next) {
   if (req.session.userId) {
-    db.get('SELECT id, username, email, role FROM users WHERE id = ?', [req.session.userId], (err, user) => {
+    db.get('SELECT id, username, email, role FROM users WHERE id = ? AND deleted_at IS NULL', [req.session.userId], (err, user) => {
       if (!err && user) {
         req.user = user;
       }
@@ -850,7 +1219,8 @@ app.post('/api/auth/login', authLimiter, botDetectionMiddleware, (req, res) => {
     return res.status(400).json({ error: 'Username and password are required' });
   }
 
-  db.get('SELECT * FROM users WHERE username = ? OR email = ?', [username, username], async (err, user) => {
+  // Accounts in the trash can't log in
+  db.get('SELECT * FROM users WHERE (username = ? OR email = ?) AND deleted_at IS NULL', [username, username], async (err, user) => {
     if (err) return res.status(500).json({ error: 'Database error' });
     if (!user) {
       // Track failed login attempt if user exists by username/email
@@ -1045,7 +1415,7 @@ app.delete('/api/upload/banner/:filename', requireAuth, (req, res) => {
 
 // Get all users (admin only)
 app.get('/api/admin/users', requireAdmin, (req, res) => {
-  db.all('SELECT id, username, email, role, created_at, last_login FROM users ORDER BY created_at DESC', (err, users) => {
+  db.all('SELECT id, username, email, role, created_at, last_login FROM users WHERE deleted_at IS NULL ORDER BY created_at DESC', (err, users) => {
     if (err) return res.status(500).json({ error: 'Database error' });
     res.json(users);
   });
@@ -1064,7 +1434,7 @@ app.put('/api/admin/users/:id/role', requireAdmin, (req, res) => {
     return res.status(400).json({ error: 'Cannot change your own role' });
   }
 
-  db.run('UPDATE users SET role = ? WHERE id = ?', [role, userId], function(err) {
+  db.run('UPDATE users SET role = ? WHERE id = ? AND deleted_at IS NULL', [role, userId], function(err) {
     if (err) return res.status(500).json({ error: 'Database error' });
     if (this.changes === 0) return res.status(404).json({ error: 'User not found' });
     
@@ -1083,39 +1453,129 @@ app.delete('/api/admin/users/:id', requireAdmin, (req, res) => {
     return res.status(400).json({ error: 'Cannot delete your own account' });
   }
 
-  db.run('DELETE FROM users WHERE id = ?', [userId], function(err) {
-    if (err) return res.status(500).json({ error: 'Database error' });
-    if (this.changes === 0) return res.status(404).json({ error: 'User not found' });
+  trashUser(db, userId, req.session.userId).then((trashed) => {
+    if (!trashed) return res.status(404).json({ error: 'User not found' });
     
-    res.json({ message: 'User deleted successfully' });
-  });
+    logSecurity('User moved to trash', 'info', { userId, adminId: req.session.userId });
+    res.json({ message: 'User moved to trash' });
+  }).catch(() => res.status(500).json({ error: 'Database error' }));
 });
 
 // Get all servers with owner info (admin only)
-app.get('/api/admin/servers', requireAdmin, (req, res) => {
+app.get('/api/admin/servers', requireAdmin, async (req, res) => {
+  let settings;
+  try {
+    settings = await getSettings(db, OFFLINE_SETTING_DEFAULTS);
+  } catch (error) {
+    return res.status(500).json({ error: 'Database error' });
+  }
+  
   const sql = `
-    SELECT s.*, u.username as owner_username, u.email as owner_email
+    SELECT s.*, u.username as owner_username, u.email as owner_email,
+           st.online, st.last_checked as status_checked_at, st.version_name, st.protocol, st.source as status_source,
+           ${OFFLINE_SINCE_SQL} as offline_since,
+           COALESCE(${OFFLINE_FLAGGED_SQL}, 0) as offline_flagged,
+           (SELECT COUNT(*) FROM server_reports r
+            WHERE r.server_id = s.id AND r.status IN ('open','investigating')) as open_reports
     FROM servers s
     LEFT JOIN users u ON s.owner_id = u.id
+    LEFT JOIN server_status st ON st.server_id = s.id
+    WHERE s.deleted_at IS NULL
     ORDER BY s.created_at DESC
   `;
   
-  db.all(sql, (err, servers) => {
+  db.all(sql, [offlineFlagModifier(settings)], (err, servers) => {
     if (err) return res.status(500).json({ error: 'Database error' });
-    res.json(servers);
+    res.json(servers.map(addVersionInfo));
   });
 });
 
-// Delete any server (admin only)
+// Delete any server (admin only); it goes to the trash and can be restored until purged
 app.delete('/api/admin/servers/:id', requireAdmin, (req, res) => {
   const serverId = parseInt(req.params.id, 10);
   
-  db.run('DELETE FROM servers WHERE id = ?', [serverId], function(err) {
-    if (err) return res.status(500).json({ error: 'Database error' });
-    if (this.changes === 0) return res.status(404).json({ error: 'Server not found' });
+  trashServer(db, serverId, req.session.userId).then((trashed) => {
+    if (!trashed) return res.status(404).json({ error: 'Server not found' });
     
-    res.json({ message: 'Server deleted successfully' });
-  });
+    res.json({ message: 'Server moved to trash' });
+  }).catch(() => res.status(500).json({ error: 'Database error' }));
+});
+
+// Trashed listings and user accounts with the time each will be purged
+app.get('/api/admin/trash', requireAdmin, async (req, res) => {
+  try {
+    res.json(await getTrash(db));
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Bring a listing back from the trash with its votes, reviews and team
+app.post('/api/admin/trash/servers/:id/restore', requireAdmin, async (req, res) => {
+  const serverId = parseInt(req.params.id, 10);
+  
+  try {
+    const restored = await restoreServer(db, serverId);
+    if (!restored) return res.status(404).json({ error: 'Server not found in trash' });
+    
+    logInfo('Listing restored from trash', { serverId, adminId: req.session.userId });
+    res.json({ message: 'Server restored' });
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.post('/api/admin/trash/users/:id/restore', requireAdmin, async (req, res) => {
+  const userId = parseInt(req.params.id, 10);
+  
+  try {
+    const restored = await restoreUser(db, userId);
+    if (!restored) return res.status(404).json({ error: 'User not found in trash' });
+    
+    logSecurity('User restored from trash', 'info', { userId, adminId: req.session.userId });
+    res.json({ message: 'User restored' });
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Purge everything past the retention window now instead of waiting for the hourly job
+app.post('/api/admin/trash/purge', requireAdmin, async (req, res) => {
+  try {
+    const purged = await purgeTrash(db);
+    res.json({ message: `Purged ${purged.servers} servers and ${purged.users} users`, ...purged });
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Groups of listings that look like the same server (same host, same resolved address or similar name)
+app.get('/api/admin/duplicates', requireAdmin, async (req, res) => {
+  try {
+    res.json(await getDuplicateClusters(db));
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Merge duplicate listings into one: votes and favorites move to `target_id`,
+// the listings in `source_ids` go to the trash
+app.post('/api/admin/duplicates/merge', requireAdmin, async (req, res) => {
+  const targetId = parseInt(req.body.target_id, 10);
+  const sourceIds = Array.isArray(req.body.source_ids) ? req.body.source_ids : [];
+  if (!targetId || sourceIds.some(id => !parseInt(id, 10))) {
+    return res.status(400).json({ error: 'target_id and source_ids are required' });
+  }
+  
+  try {
+    const result = await mergeServers(db, { targetId, sourceIds, adminId: req.session.userId });
+    if (result.error) return res.status(result.error === 'Server not found' ? 404 : 400).json({ error: result.error });
+    
+    logInfo('Duplicate listings merged', { targetId, merged: result.merged, votes: result.votes, adminId: req.session.userId });
+    res.json({ message: `Merged ${result.merged.length} listing${result.merged.length === 1 ? '' : 's'} (${result.votes} votes)`, ...result });
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
 });
 
 // Update server plan (admin only)
@@ -1127,7 +1587,7 @@ app.put('/api/admin/servers/:id/plan', requireAdmin, (req, res) => {
     return res.status(400).json({ error: 'Valid plan (free or paid) is required' });
   }
 
-  db.run('UPDATE servers SET plan = ? WHERE id = ?', [plan, serverId], function(err) {
+  db.run('UPDATE servers SET plan = ? WHERE id = ? AND deleted_at IS NULL', [plan, serverId], function(err) {
     if (err) return res.status(500).json({ error: 'Database error' });
     if (this.changes === 0) return res.status(404).json({ error: 'Server not found' });
     
@@ -1138,90 +1598,352 @@ app.put('/api/admin/servers/:id/plan', requireAdmin, (req, res) => {
   });
 });
 
-// Get site settings (admin only)
-app.get('/api/admin/settings', requireAdmin, (req, res) => {
-  db.all('SELECT * FROM site_settings', (err, settings) => {
-    if (err) return res.status(500).json({ error: 'Database error' });
-    
-    // Convert to object format
-    const settingsObj = {};
-    settings.forEach(setting => {
-      settingsObj[setting.key] = setting.value;
+// Moderation queue: listings in a review status (default pending), oldest first
+app.get('/api/admin/moderation', requireAdmin, async (req, res) => {
+  const status = req.query.status || 'pending';
+  if (!MODERATION_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${MODERATION_STATUSES.join(', ')}` });
+  }
+  
+  try {
+    const servers = await getModerationQueue(db, status);
+    const [tagsByServer, duplicatesByServer] = await Promise.all([
+      getTagsForServers(db, servers.map(server => server.id)),
+      findDuplicatesFor(db, servers)
+    ]);
+    res.json(servers.map(server => ({
+      ...server,
+      tags: tagsByServer[server.id] || [],
+      duplicates: duplicatesByServer[server.id]
+    })));
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Approve, reject, suspend or requeue a listing. `reason` is shown to the
+// listing's team, `note` is only visible to admins.
+app.put('/api/admin/servers/:id/moderation', requireAdmin, async (req, res) => {
+  const serverId = parseInt(req.params.id, 10);
+  const { status, note = '', reason = '' } = req.body;
+  
+  if (!MODERATION_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${MODERATION_STATUSES.join(', ')}` });
+  }
+  if ((status === 'rejected' || status === 'suspended') && !String(reason).trim()) {
+    return res.status(400).json({ error: 'A reason is required to reject or suspend a listing' });
+  }
+  
+  try {
+    const change = await setModerationStatus(db, {
+      serverId,
+      status,
+      reviewerId: req.session.userId,
+      note: String(note).trim() || null,
+      reason: String(reason).trim() || null
     });
+    if (!change) return res.status(404).json({ error: 'Server not found' });
     
-    res.json(settingsObj);
-  });
+    logSecurity('Listing moderated', 'info', { serverId, from: change.from, to: change.to, adminId: req.session.userId });
+    res.json({ message: `Listing ${status}`, ...change });
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
 });
 
-// Update site settings (admin only)
-app.put('/api/admin/settings', requireAdmin, (req, res) => {
-  const settings = req.body;
+// Reviewer notes and status history of a listing
+app.get('/api/admin/servers/:id/moderation-notes', requireAdmin, async (req, res) => {
+  try {
+    res.json(await getModerationNotes(db, parseInt(req.params.id, 10)));
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.post('/api/admin/servers/:id/moderation-notes', requireAdmin, async (req, res) => {
+  const note = String(req.body.note || '').trim();
+  if (!note) return res.status(400).json({ error: 'note is required' });
   
-  if (!settings || typeof settings !== 'object') {
-    return res.status(400).json({ error: 'Settings object is required' });
+  try {
+    await addModerationNote(db, parseInt(req.params.id, 10), req.session.userId, note);
+    res.status(201).json({ message: 'Note added' });
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Revision history of any listing
+app.get('/api/admin/servers/:id/revisions', requireAdmin, async (req, res) => {
+  try {
+    res.json(await getRevisions(db, parseInt(req.params.id, 10)));
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
   }
+});
+
+// Roll any listing back to one of its revisions without sending it back to review
+app.post('/api/admin/servers/:id/revisions/:revisionId/rollback', requireAdmin, async (req, res) => {
+  const serverId = parseInt(req.params.id, 10);
   
-  const promises = Object.entries(settings).map(([key, value]) => {
-    return new Promise((resolve, reject) => {
-      db.run(
-        'INSERT OR REPLACE INTO site_settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)',
-        [key, value],
-        function(err) {
-          if (err) reject(err);
-          else resolve();
-        }
-      );
+  try {
+    const server = await new Promise((resolve, reject) => {
+      db.get('SELECT * FROM servers WHERE id = ? AND deleted_at IS NULL', [serverId], (err, row) => (err ? reject(err) : resolve(row)));
     });
-  });
+    if (!server) return res.status(404).json({ error: 'Server not found' });
+    
+    const result = await rollbackListing(server, parseInt(req.params.revisionId, 10), { userId: req.session.userId, requeue: false });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ server: result.server, message: 'Listing rolled back' });
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Abuse reports triage: `status` is a report status, or 'active' (default) for open and investigating
+app.get('/api/admin/reports', requireAdmin, async (req, res) => {
+  const status = req.query.status || 'active';
+  if (status !== 'active' && !REPORT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: active, ${REPORT_STATUSES.join(', ')}` });
+  }
   
-  Promise.all(promises)
-    .then(() => {
-      res.json({ message: 'Settings updated successfully' });
-    })
-    .catch((err) => {
-      res.status(500).json({ error: 'Database error', details: err.message });
-    });
+  try {
+    res.json(await getReports(db, status));
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
 });
 
-// Get user device information (admin only)
-app.get('/api/admin/user-devices/:username', requireAdmin, (req, res) => {
-  const username = req.params.username;
+// Change status, assignee, resolution or recorded action of a report.
+// Actions on the listing itself go through the regular admin server routes
+// (delete, plan, moderation); `action_taken` records which one was used.
+app.put('/api/admin/reports/:id', requireAdmin, async (req, res) => {
+  const reportId = parseInt(req.params.id, 10);
+  const { status, assignee_id: assigneeId, resolution, action_taken: actionTaken, resolve_related: resolveRelated } = req.body;
   
-  const sql = `
-    SELECT 
-      u.username,
-      u.email,
-      u.role,
-      u.created_at as user_created_at,
-      u.last_login,
-      ud.*,
-      COUNT(lh.id) as total_logins,
-      MAX(lh.login_time) as last_login_time,
-      COUNT(CASE WHEN lh.success = 0 THEN 1 END) as failed_logins
-    FROM users u
-    LEFT JOIN user_devices ud ON u.id = ud.user_id
-    LEFT JOIN login_history lh ON ud.id = lh.device_id
-    WHERE u.username = ?
-    GROUP BY ud.id
-    ORDER BY ud.last_seen DESC
-  `;
+  if (status !== undefined && !REPORT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${REPORT_STATUSES.join(', ')}` });
+  }
+  if (actionTaken !== undefined && actionTaken !== null && !REPORT_ACTIONS.includes(actionTaken)) {
+    return res.status(400).json({ error: `action_taken must be one of: ${REPORT_ACTIONS.join(', ')}` });
+  }
+  if (resolution !== undefined && resolution !== null && String(resolution).length > MAX_REPORT_DETAILS_LENGTH) {
+    return res.status(400).json({ error: `resolution must be at most ${MAX_REPORT_DETAILS_LENGTH} characters` });
+  }
   
-  db.all(sql, [username], (err, devices) => {
-    if (err) return res.status(500).json({ error: 'Database error' });
+  try {
+    const report = await getReport(db, reportId);
+    if (!report) return res.status(404).json({ error: 'Report not found' });
     
-    if (!devices.length) {
-      return res.status(404).json({ error: 'User not found or no devices registered' });
+    let assignee = assigneeId;
+    if (assigneeId !== undefined && assigneeId !== null) {
+      assignee = parseInt(assigneeId, 10);
+      const admin = await new Promise((resolve, reject) => {
+        db.get(`SELECT id FROM users WHERE id = ? AND role = 'admin' AND deleted_at IS NULL`, [assignee], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+      if (!admin) return res.status(400).json({ error: 'Reports can only be assigned to admins' });
     }
     
-    // Get login history for this user
-    const historySQL = `
-      SELECT 
-        lh.*,
-        ud.browser_name,
-        ud.os_name,
-        ud.device_type
-      FROM login_history lh
-      JOIN user_devices ud ON lh.device_id = ud.id
+    const changes = await updateReport(db, report, {
+      status,
+      assigneeId: assignee,
+      resolution: resolution === undefined ? undefined : (String(resolution || '').trim() || null),
+      actionTaken,
+      userId: req.session.userId,
+      includeRelated: Boolean(resolveRelated)
+    });
+    
+    logSecurity('Report updated', 'info', { reportId, serverId: report.server_id, status, actionTaken, adminId: req.session.userId });
+    res.json({ message: changes > 1 ? `${changes} reports updated` : 'Report updated', updated: changes });
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Reviews across all listings, newest first; `hidden=true|false` filters by visibility
+app.get('/api/admin/reviews', requireAdmin, async (req, res) => {
+  const hidden = req.query.hidden === 'true' ? true : req.query.hidden === 'false' ? false : null;
+  
+  try {
+    res.json(await getAdminReviews(db, { hidden }));
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Hide a review from its listing (and the rating), or show it again
+app.put('/api/admin/reviews/:id/visibility', requireAdmin, async (req, res) => {
+  const reviewId = parseInt(req.params.id, 10);
+  const hidden = Boolean(req.body.hidden);
+  const reason = String(req.body.reason || '').trim() || null;
+  
+  try {
+    const review = await setReviewHidden(db, { reviewId, hidden, reason, adminId: req.session.userId });
+    if (!review) return res.status(404).json({ error: 'Review not found' });
+    
+    logSecurity(hidden ? 'Review hidden' : 'Review shown', 'info', { reviewId, serverId: review.server_id, adminId: req.session.userId });
+    res.json({ message: hidden ? 'Review hidden' : 'Review visible again' });
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Tag taxonomy management (admin only)
+app.get('/api/admin/tags', requireAdmin, async (req, res) => {
+  try {
+    res.json(await getAllTags(db));
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Validate tag fields, falling back to `current` for fields that aren't sent
+function parseTagFields(body, current = {}) {
+  const name = body.name !== undefined ? String(body.name).trim() : current.name;
+  const slug = slugifyTag(body.slug || (current.slug ?? name));
+  const category = body.category !== undefined ? body.category : (current.category || 'gamemode');
+  
+  if (!name || name.length > 40) return { error: 'Tag name is required (max 40 characters)' };
+  if (!slug) return { error: 'Tag slug must contain letters or numbers' };
+  if (!TAG_CATEGORIES.includes(category)) {
+    return { error: `Category must be one of: ${TAG_CATEGORIES.join(', ')}` };
+  }
+  return { name, slug, category };
+}
+
+app.post('/api/admin/tags', requireAdmin, (req, res) => {
+  const fields = parseTagFields(req.body);
+  if (fields.error) return res.status(400).json({ error: fields.error });
+  
+  db.run('INSERT INTO tags (slug, name, category) VALUES (?, ?, ?)', [fields.slug, fields.name, fields.category], function(err) {
+    if (err && err.code === 'SQLITE_CONSTRAINT') return res.status(409).json({ error: 'A tag with this slug already exists' });
+    if (err) return res.status(500).json({ error: 'Database error' });
+    
+    db.get('SELECT * FROM tags WHERE id = ?', [this.lastID], (err2, tag) => {
+      if (err2) return res.status(500).json({ error: 'Database error' });
+      res.status(201).json({ tag, message: 'Tag created successfully' });
+    });
+  });
+});
+
+app.put('/api/admin/tags/:id', requireAdmin, (req, res) => {
+  const tagId = parseInt(req.params.id, 10);
+  
+  db.get('SELECT * FROM tags WHERE id = ?', [tagId], (err, current) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    if (!current) return res.status(404).json({ error: 'Tag not found' });
+    
+    const fields = parseTagFields(req.body, current);
+    if (fields.error) return res.status(400).json({ error: fields.error });
+    
+    db.run('UPDATE tags SET slug = ?, name = ?, category = ? WHERE id = ?', [fields.slug, fields.name, fields.category, tagId], (err2) => {
+      if (err2 && err2.code === 'SQLITE_CONSTRAINT') return res.status(409).json({ error: 'A tag with this slug already exists' });
+      if (err2) return res.status(500).json({ error: 'Database error' });
+      res.json({ tag: { ...current, ...fields }, message: 'Tag updated successfully' });
+    });
+  });
+});
+
+app.delete('/api/admin/tags/:id', requireAdmin, (req, res) => {
+  const tagId = parseInt(req.params.id, 10);
+  
+  db.run('DELETE FROM tags WHERE id = ?', [tagId], function(err) {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    if (this.changes === 0) return res.status(404).json({ error: 'Tag not found' });
+    
+    db.run('DELETE FROM server_tags WHERE tag_id = ?', [tagId], (err2) => {
+      if (err2) return res.status(500).json({ error: 'Database error' });
+      res.json({ message: 'Tag deleted successfully' });
+    });
+  });
+});
+
+// Get site settings (admin only)
+app.get('/api/admin/settings', requireAdmin, (req, res) => {
+  db.all('SELECT * FROM site_settings', (err, settings) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    
+    // Convert to object format
+    const settingsObj = {};
+    settings.forEach(setting => {
+      settingsObj[setting.key] = setting.value;
+    });
+    
+    res.json(settingsObj);
+  });
+});
+
+// Update site settings (admin only)
+app.put('/api/admin/settings', requireAdmin, (req, res) => {
+  const settings = req.body;
+  
+  if (!settings || typeof settings !== 'object') {
+    return res.status(400).json({ error: 'Settings object is required' });
+  }
+  
+  const promises = Object.entries(settings).map(([key, value]) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'INSERT OR REPLACE INTO site_settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)',
+        [key, value],
+        function(err) {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+  });
+  
+  Promise.all(promises)
+    .then(() => {
+      res.json({ message: 'Settings updated successfully' });
+    })
+    .catch((err) => {
+      res.status(500).json({ error: 'Database error', details: err.message });
+    });
+});
+
+// Get user device information (admin only)
+app.get('/api/admin/user-devices/:username', requireAdmin, (req, res) => {
+  const username = req.params.username;
+  
+  const sql = `
+    SELECT 
+      u.username,
+      u.email,
+      u.role,
+      u.created_at as user_created_at,
+      u.last_login,
+      ud.*,
+      COUNT(lh.id) as total_logins,
+      MAX(lh.login_time) as last_login_time,
+      COUNT(CASE WHEN lh.success = 0 THEN 1 END) as failed_logins
+    FROM users u
+    LEFT JOIN user_devices ud ON u.id = ud.user_id
+    LEFT JOIN login_history lh ON ud.id = lh.device_id
+    WHERE u.username = ?
+    GROUP BY ud.id
+    ORDER BY ud.last_seen DESC
+  `;
+  
+  db.all(sql, [username], (err, devices) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    
+    if (!devices.length) {
+      return res.status(404).json({ error: 'User not found or no devices registered' });
+    }
+    
+    // Get login history for this user
+    const historySQL = `
+      SELECT 
+        lh.*,
+        ud.browser_name,
+        ud.os_name,
+        ud.device_type
+      FROM login_history lh
+      JOIN user_devices ud ON lh.device_id = ud.id
       JOIN users u ON lh.user_id = u.id
       WHERE u.username = ?
       ORDER BY lh.login_time DESC
@@ -1293,6 +2015,7 @@ app.get('/api/admin/dashboard', requireAdmin, (req, res) => {
           COUNT(CASE WHEN last_login > datetime('now', '-24 hours') THEN 1 END) as active_24h,
           COUNT(CASE WHEN last_login > datetime('now', '-7 days') THEN 1 END) as active_week
         FROM users
+        WHERE deleted_at IS NULL
       `;
       db.get(sql, (err, result) => {
         if (err) reject(err);
@@ -1311,6 +2034,7 @@ app.get('/api/admin/dashboard', requireAdmin, (req, res) => {
           SUM(votes) as total_votes,
           AVG(votes) as avg_votes
         FROM servers
+        WHERE deleted_at IS NULL
       `;
       db.get(sql, (err, result) => {
         if (err) reject(err);
@@ -1445,14 +2169,14 @@ app.get('/api/admin/dashboard', requireAdmin, (req, res) => {
           username as detail,
           created_at as timestamp
         FROM users
-        WHERE created_at > datetime('now', '-7 days')
+        WHERE created_at > datetime('now', '-7 days') AND deleted_at IS NULL
         UNION ALL
         SELECT 
           'server_created' as type,
           name as detail,
           created_at as timestamp
         FROM servers
-        WHERE created_at > datetime('now', '-7 days')
+        WHERE created_at > datetime('now', '-7 days') AND deleted_at IS NULL
         ORDER BY timestamp DESC
         LIMIT 15
       `;
@@ -1546,12 +2270,12 @@ app.get('/api/admin/dashboard', requireAdmin, (req, res) => {
 // Get admin dashboard stats
 app.get('/api/admin/stats', requireAdmin, (req, res) => {
   const queries = {
-    totalUsers: 'SELECT COUNT(*) as count FROM users',
-    totalServers: 'SELECT COUNT(*) as count FROM servers',
+    totalUsers: 'SELECT COUNT(*) as count FROM users WHERE deleted_at IS NULL',
+    totalServers: 'SELECT COUNT(*) as count FROM servers WHERE deleted_at IS NULL',
     totalVotes: 'SELECT COUNT(*) as count FROM votes',
-    paidServers: 'SELECT COUNT(*) as count FROM servers WHERE plan = "paid"',
-    recentUsers: 'SELECT COUNT(*) as count FROM users WHERE created_at >= datetime("now", "-7 days")',
-    recentServers: 'SELECT COUNT(*) as count FROM servers WHERE created_at >= datetime("now", "-7 days")'
+    paidServers: 'SELECT COUNT(*) as count FROM servers WHERE plan = "paid" AND deleted_at IS NULL',
+    recentUsers: 'SELECT COUNT(*) as count FROM users WHERE created_at >= datetime("now", "-7 days") AND deleted_at IS NULL',
+    recentServers: 'SELECT COUNT(*) as count FROM servers WHERE created_at >= datetime("now", "-7 days") AND deleted_at IS NULL'
   };
   
   const stats = {};
@@ -1578,136 +2302,961 @@ app.get('/api/admin/stats', requireAdmin, (req, res) => {
 
 // --- Server API routes ---
 
-// list servers (paid first), with simple search and sort
-app.get('/api/servers', (req, res) => {
-  const { q = '', sort = 'rank' } = req.query;
-  const params = [];
-  let where = '';
-  if (q) {
-    where = `WHERE s.name LIKE ? OR s.ip LIKE ? OR s.description LIKE ?`;
-    params.push(`%${q}%`, `%${q}%`, `%${q}%`);
-  }
-
-  let orderBy = `CASE WHEN s.plan='paid' THEN 0 ELSE 1 END, s.votes DESC, s.created_at DESC`;
-  if (sort === 'new') orderBy = `CASE WHEN s.plan='paid' THEN 0 ELSE 1 END, s.created_at DESC`;
-  if (sort === 'votes') orderBy = `CASE WHEN s.plan='paid' THEN 0 ELSE 1 END, s.votes DESC`;
-
-  const sql = `SELECT s.id, s.name, s.ip, s.description, s.website_url, s.banner_url, s.plan, s.votes, s.created_at, u.username as owner_username
-               FROM servers s
-               LEFT JOIN users u ON s.owner_id = u.id
-               ${where}
-               ORDER BY ${orderBy}`;
-  db.all(sql, params, (err, rows) => {
-    if (err) return res.status(500).json({ error: 'DB error', details: err.message });
-    res.json(rows);
-  });
-});
+const EDITIONS = ['java', 'bedrock', 'both'];
 
-// create server listing (requires authentication)
-app.post('/api/servers', botDetectionMiddleware, requireAuth, (req, res) => {
-  const { name, ip, description = '', website_url = '', banner_url = '', plan = 'free' } = req.body;
-  if (!name || !ip) return res.status(400).json({ error: 'name and ip are required' });
+// Validate edition/bedrock_port from a create or update request body, falling
+// back to the current values for fields the body leaves out.
+// Returns { error } or { edition, bedrockPort }.
+function parseEditionFields(body, current = {}) {
+  const edition = body.edition || current.edition || 'java';
+  if (!EDITIONS.includes(edition)) {
+    return { error: 'edition must be one of: java, bedrock, both' };
+  }
+
+  let bedrockPort = body.bedrock_port === undefined ? (current.bedrock_port ?? null) : null;
+  if (body.bedrock_port !== undefined && body.bedrock_port !== null && body.bedrock_port !== '') {
+    bedrockPort = parseInt(body.bedrock_port, 10);
+    if (Number.isNaN(bedrockPort) || bedrockPort < 1 || bedrockPort > 65535) {
+      return { error: 'bedrock_port must be a port number between 1 and 65535' };
+    }
+  }
+  if (edition === 'java') bedrockPort = null;
+
+  return { edition, bedrockPort };
+}
+
+// Resolve a listing address the way players' clients would (SRV records,
+// then A/AAAA). Resolves with { resolved } or { error, status } for invalid
+// or unresolvable addresses and failed lookups.
+async function checkServerAddress(ip, edition) {
+  try {
+    const resolved = await resolveServerAddress(ip, { edition });
+    if (resolved.error) return { error: resolved.error, status: 400 };
+    return { resolved };
+  } catch (error) {
+    return { error: `Could not look up ${ip} right now (${error.code || 'DNS error'}), please try again`, status: 503 };
+  }
+}
+
+// Supported version range from `version_range` ("1.8-1.21.x", empty to
+// clear). Edits without it keep the listing's current range.
+function parseVersionFields(body, current = {}) {
+  if (body.version_range === undefined) {
+    return {
+      min: current.version_min ?? null,
+      max: current.version_max ?? null,
+      minKey: current.version_min_key ?? null,
+      maxKey: current.version_max_key ?? null
+    };
+  }
+  return parseVersionRange(body.version_range);
+}
+
+// Check a slug picked by the owner for listing `serverId` (null for a new
+// listing). Resolves with { slug } or { error, status }.
+async function checkRequestedSlug(value, serverId = null) {
+  const slug = String(value).trim().toLowerCase();
+  const error = validateSlug(slug);
+  if (error) return { error, status: 400 };
+  if (!(await isSlugAvailable(db, slug, serverId))) {
+    return { error: 'This slug is already taken', status: 409 };
+  }
+  return { slug };
+}
+
+// Directory filters shared by the server list and the feeds (edition, tags,
+// version, country, continent). Returns { filters } for listServers() or { error }.
+function parseListingFilters(query) {
+  const { edition = '', tags = '', tag_mode = 'or', version = '', country = '', continent = '' } = query;
   
-  // Only admins can create paid listings
-  const p = (plan === 'paid' && req.session.userRole === 'admin') ? 'paid' : 'free';
+  // Only listings whose supported range includes this version, e.g. 1.20.4
+  let versionFilter = null;
+  if (version) {
+    versionFilter = versionKey(String(version).replace(/\.x$/i, ''));
+    if (versionFilter === null) return { error: 'version must look like 1.20.4' };
+  }
+  
+  // Where the game server is: ISO country codes (country=DE,AT) and continent codes (continent=EU)
+  const countryFilter = parseCountryFilter(country);
+  if (countryFilter.error) return { error: countryFilter.error };
+  const continentFilter = parseContinentFilter(continent);
+  if (continentFilter.error) return { error: continentFilter.error };
+  
+  return {
+    filters: {
+      edition,
+      tags: parseTagList(tags),
+      tagMode: tag_mode === 'and' ? 'and' : 'or',
+      version: versionFilter,
+      countries: countryFilter.codes,
+      continents: continentFilter.codes
+    }
+  };
+}
 
-  const sql = `INSERT INTO servers (name, ip, description, website_url, banner_url, plan, owner_id)
-               VALUES (?, ?, ?, ?, ?, ?, ?)`;
-  db.run(sql, [name, ip, description, website_url, banner_url, p, req.session.userId], function(err) {
-    if (err) return res.status(500).json({ error: 'DB error', details: err.message });
-    db.get(`SELECT s.*, u.username as owner_username FROM servers s LEFT JOIN users u ON s.owner_id = u.id WHERE s.id = ?`, [this.lastID], (err2, row) => {
-      if (err2) return res.status(500).json({ error: 'DB error', details: err2.message });
-      res.status(201).json(row);
-    });
-  });
-});
+// Optionally hide listings that have been offline for too long
+async function getHideOfflineSince() {
+  const settings = await getSettings(db, OFFLINE_SETTING_DEFAULTS);
+  return isEnabled(settings.hide_offline_listings) ? offlineFlagModifier(settings) : null;
+}
 
-// Get user's own servers
-app.get('/api/user/servers', requireAuth, (req, res) => {
-  const sql = `SELECT * FROM servers WHERE owner_id = ? ORDER BY created_at DESC`;
-  db.all(sql, [req.session.userId], (err, servers) => {
-    if (err) return res.status(500).json({ error: 'Database error' });
-    res.json(servers);
-  });
+// list servers (paid first), with full-text search, edition/version/location/tag filters, sort, facets and cursor pagination
+app.get('/api/servers', async (req, res) => {
+  const { q = '', limit, cursor } = req.query;
+  const sort = resolveSort(req.query.sort, q);
+  
+  const { filters, error } = parseListingFilters(req.query);
+  if (error) return res.status(400).json({ error });
+  
+  let cursorValues = null;
+  if (cursor) {
+    cursorValues = decodeCursor(cursor, sort);
+    if (!cursorValues) return res.status(400).json({ error: 'Invalid cursor' });
+  }
+  
+  try {
+    const result = await listServers(db, {
+      ...filters,
+      q,
+      sort,
+      limit,
+      cursor: cursorValues,
+      hideOfflineSince: await getHideOfflineSince()
+    });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: 'DB error', details: error.message });
+  }
 });
 
-// Get single server by ID (user's own only)
-app.get('/api/user/servers/:id', requireAuth, (req, res) => {
+// Public listing details: full description, owner, votes, rank position, tags and links
+app.get('/api/servers/:id', async (req, res) => {
   const serverId = parseInt(req.params.id, 10);
+  if (Number.isNaN(serverId)) return res.status(400).json({ error: 'Invalid server id' });
   
-  db.get('SELECT * FROM servers WHERE id = ? AND owner_id = ?', [serverId, req.session.userId], (err, server) => {
-    if (err) return res.status(500).json({ error: 'Database error' });
-    if (!server) return res.status(404).json({ error: 'Server not found or access denied' });
+  try {
+    const server = await getListing(db, serverId);
+    if (!server) return res.status(404).json({ error: 'Server not found' });
     
-    res.json(server);
-  });
+    res.json({
+      ...server,
+      links: {
+        page: serverPagePath(server),
+        website: server.website_url || null
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'DB error', details: error.message });
+  }
 });
 
-// Update user's own server
-app.put('/api/user/servers/:id', requireAuth, (req, res) => {
-  const serverId = parseInt(req.params.id, 10);
-  const { name, ip, description, website_url, banner_url } = req.body;
-  
-  if (!name || !ip) {
-    return res.status(400).json({ error: 'Name and IP are required' });
+// Tag taxonomy with listing counts
+app.get('/api/tags', async (req, res) => {
+  try {
+    res.json(await getAllTags(db));
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
   }
+});
 
-  // First check if user owns this server
-  db.get('SELECT * FROM servers WHERE id = ? AND owner_id = ?', [serverId, req.session.userId], (err, server) => {
-    if (err) return res.status(500).json({ error: 'Database error' });
-    if (!server) return res.status(404).json({ error: 'Server not found or access denied' });
+// Uptime percentages and outage timeline for a listing
+app.get('/api/servers/:id/uptime', async (req, res) => {
+  const serverId = parseInt(req.params.id, 10);
+  if (Number.isNaN(serverId)) return res.status(400).json({ error: 'Invalid server id' });
+  
+  try {
+    const server = await new Promise((resolve, reject) => {
+      db.get(
+        `SELECT s.id, st.online, st.last_checked, ${OFFLINE_SINCE_SQL} as offline_since
+         FROM servers s LEFT JOIN server_status st ON st.server_id = s.id
+         WHERE s.id = ? AND s.deleted_at IS NULL`,
+        [serverId],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        }
+      );
+    });
+    if (!server) return res.status(404).json({ error: 'Server not found' });
     
-    const sql = `UPDATE servers SET name = ?, ip = ?, description = ?, website_url = ?, banner_url = ? WHERE id = ?`;
-    db.run(sql, [name, ip, description || '', website_url || '', banner_url || '', serverId], function(err2) {
-      if (err2) return res.status(500).json({ error: 'Database error' });
-      
-      db.get('SELECT * FROM servers WHERE id = ?', [serverId], (err3, updatedServer) => {
-        if (err3) return res.status(500).json({ error: 'Database error' });
-        res.json({ server: updatedServer, message: 'Server updated successfully' });
-      });
+    const [uptime, outages] = await Promise.all([
+      getUptimeStats(db, serverId),
+      getOutages(db, serverId)
+    ]);
+    
+    res.json({
+      server_id: serverId,
+      online: server.online === null ? null : !!server.online,
+      last_checked: server.last_checked,
+      offline_since: server.offline_since,
+      uptime,
+      outages
     });
-  });
+  } catch (error) {
+    res.status(500).json({ error: 'DB error', details: error.message });
+  }
 });
 
-// Delete user's own server
-app.delete('/api/user/servers/:id', requireAuth, (req, res) => {
+// Player-count time series for a listing
+app.get('/api/servers/:id/stats/players', (req, res) => {
   const serverId = parseInt(req.params.id, 10);
+  const range = req.query.range || '24h';
+  if (Number.isNaN(serverId)) return res.status(400).json({ error: 'Invalid server id' });
+  if (!PLAYER_STATS_RANGES[range]) {
+    return res.status(400).json({ error: `Invalid range. Use one of: ${Object.keys(PLAYER_STATS_RANGES).join(', ')}` });
+  }
   
-  db.run('DELETE FROM servers WHERE id = ? AND owner_id = ?', [serverId, req.session.userId], function(err) {
+  db.get('SELECT id FROM servers WHERE id = ? AND deleted_at IS NULL', [serverId], async (err, server) => {
     if (err) return res.status(500).json({ error: 'Database error' });
-    if (this.changes === 0) return res.status(404).json({ error: 'Server not found or access denied' });
+    if (!server) return res.status(404).json({ error: 'Server not found' });
     
-    res.json({ message: 'Server deleted successfully' });
+    try {
+      const stats = await getPlayerStats(db, serverId, range);
+      res.json({ server_id: serverId, ...stats });
+    } catch (error) {
+      res.status(500).json({ error: 'DB error', details: error.message });
+    }
   });
 });
 
-// vote for a server (limit 1 per day per ip/ua)
-app.post('/api/servers/:id/vote', voteLimiter, botDetectionMiddleware, (req, res) => {
-  const serverId = parseInt(req.params.id, 10);
-  if (Number.isNaN(serverId)) return res.status(400).json({ error: 'Invalid server id' });
+// create server listing (requires authentication)
+app.post('/api/servers', botDetectionMiddleware, requireAuth, (req, res) => {
+  const { name, ip, website_url = '', banner_url = '', plan = 'free' } = req.body;
+  if (!name || !ip) return res.status(400).json({ error: 'name and ip are required' });
+  
+  const editionFields = parseEditionFields(req.body);
+  if (editionFields.error) return res.status(400).json({ error: editionFields.error });
+  
+  const versionFields = parseVersionFields(req.body);
+  if (versionFields.error) return res.status(400).json({ error: versionFields.error });
+  
+  // Only admins can create paid listings
+  const p = (plan === 'paid' && req.session.userRole === 'admin') ? 'paid' : 'free';
+  
+  const descriptionResult = checkDescription(req.body.description, p);
+  if (descriptionResult.error) return res.status(400).json({ error: descriptionResult.error });
+  const { description } = descriptionResult;
 
-  const voterFingerprint = simpleHash((req.ip || '') + '|' + (req.get('user-agent') || ''));
-  const insertVote = `INSERT OR IGNORE INTO votes (server_id, voter_hash, voted_date) VALUES (?, ?, strftime('%Y-%m-%d', CURRENT_TIMESTAMP))`;
-  db.run(insertVote, [serverId, voterFingerprint], function(err) {
-    if (err) return res.status(500).json({ error: 'DB error', details: err.message });
-    if (this.changes === 0) {
-      return res.status(429).json({ error: 'You can only vote once per day for this server from this device.' });
+  resolveTagSlugs(db, parseTagList(req.body.tags)).then(async ({ tagIds, error }) => {
+    if (error) return res.status(400).json({ error });
+    
+    // Owners may pick a slug up front, otherwise it's derived from the name
+    const slugResult = req.body.slug
+      ? await checkRequestedSlug(req.body.slug)
+      : { slug: await generateUniqueSlug(db, name) };
+    if (slugResult.error) return res.status(slugResult.status).json({ error: slugResult.error });
+    
+    const addressResult = await checkServerAddress(ip, editionFields.edition);
+    if (addressResult.error) return res.status(addressResult.status).json({ error: addressResult.error });
+    const { target } = addressResult.resolved;
+    
+    // Warn about listings that look like this one, or refuse ones at the same
+    // address when duplicate_policy is block (admins can still create them)
+    const duplicatePolicy = resolveDuplicatePolicy(await getSettings(db, DUPLICATE_SETTING_DEFAULTS));
+    let duplicates = [];
+    if (duplicatePolicy !== 'off') {
+      const matches = await findDuplicates(db, { name, ip, resolved_ip: target.ip, resolved_port: target.port });
+      duplicates = matches.map(({ id, slug, name: duplicateName, ip: duplicateIp, reasons }) => ({ id, slug, name: duplicateName, ip: duplicateIp, reasons }));
+      if (duplicatePolicy === 'block' && req.session.userRole !== 'admin' && matches.some(isAddressMatch)) {
+        return res.status(409).json({ error: 'This server is already listed', duplicates });
+      }
     }
-    // increment votes
-    db.run(`UPDATE servers SET votes = votes + 1 WHERE id = ?`, [serverId], function(err2) {
-      if (err2) return res.status(500).json({ error: 'DB error', details: err2.message });
-      db.get(`SELECT id, votes FROM servers WHERE id = ?`, [serverId], (err3, row) => {
-        if (err3) return res.status(500).json({ error: 'DB error', details: err3.message });
-        res.json({ success: true, server_id: serverId, votes: row?.votes ?? null });
+    
+    // New listings wait for review unless an admin creates them
+    const moderationStatus = req.session.userRole === 'admin' ? 'approved' : 'pending';
+    
+    const rendered = renderDescriptionColumns(description);
+    const sql = `INSERT INTO servers (name, ip, edition, bedrock_port, description, description_html, description_text, website_url, banner_url, plan, owner_id, slug, moderation_status,
+                                      version_min, version_max, version_min_key, version_max_key)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+    db.run(sql, [name, ip, editionFields.edition, editionFields.bedrockPort, description, rendered.html, rendered.text, website_url, banner_url, p, req.session.userId, slugResult.slug, moderationStatus,
+                 versionFields.min, versionFields.max, versionFields.minKey, versionFields.maxKey], async function(err) {
+      // The slug is the only unique column; another listing took it since the check
+      if (err && err.code === 'SQLITE_CONSTRAINT') return res.status(409).json({ error: 'This slug is already taken' });
+      if (err) return res.status(500).json({ error: 'DB error', details: err.message });
+      const serverId = this.lastID;
+      
+      try {
+        await addMember(db, serverId, req.session.userId, 'owner');
+        await setServerTags(db, serverId, tagIds);
+        await recordRevision(db, {
+          serverId,
+          userId: req.session.userId,
+          action: 'create',
+          before: null,
+          after: {
+            name,
+            ip,
+            edition: editionFields.edition,
+            bedrock_port: editionFields.bedrockPort,
+            description,
+            website_url,
+            banner_url,
+            version_min: versionFields.min,
+            version_max: versionFields.max
+          }
+        });
+      } catch (tagErr) {
+        return res.status(500).json({ error: 'DB error', details: tagErr.message });
+      }
+      locateServerLater(db, serverId, ip, { edition: editionFields.edition });
+      
+      db.get(`SELECT s.*, u.username as owner_username FROM servers s LEFT JOIN users u ON s.owner_id = u.id WHERE s.id = ?`, [serverId], async (err2, row) => {
+        if (err2) return res.status(500).json({ error: 'DB error', details: err2.message });
+        const tagsByServer = await getTagsForServers(db, [serverId]).catch(() => ({}));
+        res.status(201).json({ ...row, tags: tagsByServer[serverId] || [], duplicates });
       });
     });
+  }).catch((error) => {
+    res.status(500).json({ error: 'DB error', details: error.message });
   });
 });
 
-// health
-app.get('/api/health', (_req, res) => res.json({ ok: true }));
-
-// Add request timing and logging middleware
+// Get the servers the user is a member of, with their role on each
+app.get('/api/user/servers', requireAuth, (req, res) => {
+  const sql = `SELECT s.*, m.role as member_role, st.version_name, st.protocol, st.source as status_source FROM servers s
+               JOIN server_members m ON m.server_id = s.id
+               LEFT JOIN server_status st ON st.server_id = s.id
+               WHERE m.user_id = ? AND s.deleted_at IS NULL
+               ORDER BY s.created_at DESC`;
+  db.all(sql, [req.session.userId], async (err, servers) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    
+    try {
+      const tagsByServer = await getTagsForServers(db, servers.map(server => server.id));
+      res.json(servers.map(server => addVersionInfo({ ...server, tags: tagsByServer[server.id] || [] })));
+    } catch (error) {
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+});
+
+// Get single server by ID (members only)
+app.get('/api/user/servers/:id', requireAuth, requireServerPermission('view'), async (req, res) => {
+  try {
+    const tagsByServer = await getTagsForServers(db, [req.server.id]);
+    res.json({ ...req.server, member_role: req.memberRole, tags: tagsByServer[req.server.id] || [] });
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Send an edited listing back to review: rejected listings are resubmitted by
+// any edit, approved ones when a key field changed and requeue_on_edit is on.
+// Suspended listings stay suspended until an admin lifts it.
+async function requeueAfterEdit(server, changes, userId) {
+  const changed = changedModeratedFields(server, changes);
+  if (changed.length === 0) return;
+  
+  if (server.moderation_status === 'approved') {
+    const settings = await getSettings(db, MODERATION_SETTING_DEFAULTS);
+    if (!isEnabled(settings.requeue_on_edit)) return;
+  } else if (server.moderation_status !== 'rejected') {
+    return;
+  }
+  
+  await setModerationStatus(db, {
+    serverId: server.id,
+    status: 'pending',
+    authorId: userId,
+    note: `Edited: ${changed.join(', ')}`
+  });
+}
+
+// Bookkeeping after a listing's fields were written: store the revision,
+// reset verification when the address changed, send the listing back to
+// review where needed (not for admin rollbacks) and tell the players who
+// favorited it about a new IP.
+async function afterListingEdit(server, fields, { userId, action, rolledBackTo = null, requeue = true }) {
+  await recordRevision(db, { serverId: server.id, userId, action, before: server, after: fields, rolledBackTo });
+  // A verified listing pointed at another address has to be verified again
+  if (fields.ip !== server.ip || fields.edition !== server.edition || fields.bedrock_port !== server.bedrock_port) {
+    await resetVerification(db, server.id);
+  }
+  if (requeue) await requeueAfterEdit(server, fields, userId);
+  if (fields.ip !== server.ip) {
+    await notifyServerAddressChanged(db, { id: server.id, name: fields.name, ip: fields.ip }, server.ip);
+  }
+  // Java and Bedrock clients resolve an address differently (SRV records)
+  if (fields.ip !== server.ip || fields.edition !== server.edition) {
+    locateServerLater(db, server.id, fields.ip, { edition: fields.edition });
+  }
+}
+
+// Update a server (any member role may edit)
+app.put('/api/user/servers/:id', requireAuth, requireServerPermission('edit'), async (req, res) => {
+  const server = req.server;
+  const serverId = server.id;
+  const { name, ip, website_url, banner_url } = req.body;
+  
+  if (!name || !ip) {
+    return res.status(400).json({ error: 'Name and IP are required' });
+  }
+  
+  // The limit depends on the listing's plan
+  const descriptionResult = checkDescription(req.body.description, server.plan);
+  if (descriptionResult.error) return res.status(400).json({ error: descriptionResult.error });
+  const { description } = descriptionResult;
+  
+  const editionFields = parseEditionFields(req.body, server);
+  if (editionFields.error) return res.status(400).json({ error: editionFields.error });
+  
+  const versionFields = parseVersionFields(req.body, server);
+  if (versionFields.error) return res.status(400).json({ error: versionFields.error });
+  
+  // A new address has to resolve like a new listing's
+  if (ip !== server.ip || editionFields.edition !== server.edition) {
+    const addressResult = await checkServerAddress(ip, editionFields.edition);
+    if (addressResult.error) return res.status(addressResult.status).json({ error: addressResult.error });
+  }
+  
+  // Tags are left alone unless the request includes them
+  let tagIds = null;
+  if (req.body.tags !== undefined) {
+    try {
+      const resolved = await resolveTagSlugs(db, parseTagList(req.body.tags));
+      if (resolved.error) return res.status(400).json({ error: resolved.error });
+      tagIds = resolved.tagIds;
+    } catch (error) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+  }
+  
+  // Renaming the slug keeps the old one as a redirect to the listing
+  let newSlug = null;
+  if (req.body.slug !== undefined && req.body.slug !== server.slug) {
+    try {
+      const slugResult = await checkRequestedSlug(req.body.slug, serverId);
+      if (slugResult.error) return res.status(slugResult.status).json({ error: slugResult.error });
+      if (slugResult.slug !== server.slug) newSlug = slugResult.slug;
+    } catch (error) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+  }
+  
+  // Changed before the other fields, so losing the slug to another listing
+  // in the meantime leaves the listing untouched
+  if (newSlug) {
+    try {
+      await changeSlug(db, serverId, newSlug);
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT') return res.status(409).json({ error: 'This slug is already taken' });
+      return res.status(500).json({ error: 'Database error' });
+    }
+  }
+  
+  const rendered = renderDescriptionColumns(description);
+  const sql = `UPDATE servers SET name = ?, ip = ?, edition = ?, bedrock_port = ?, description = ?, description_html = ?, description_text = ?, website_url = ?, banner_url = ?,
+                 version_min = ?, version_max = ?, version_min_key = ?, version_max_key = ? WHERE id = ?`;
+  db.run(sql, [name, ip, editionFields.edition, editionFields.bedrockPort, description, rendered.html, rendered.text, website_url || '', banner_url || '',
+               versionFields.min, versionFields.max, versionFields.minKey, versionFields.maxKey, serverId], async function(err2) {
+    if (err2) return res.status(500).json({ error: 'Database error' });
+    
+    try {
+      if (tagIds) await setServerTags(db, serverId, tagIds);
+      await afterListingEdit(server, {
+        name,
+        ip,
+        edition: editionFields.edition,
+        bedrock_port: editionFields.bedrockPort,
+        description,
+        website_url: website_url || '',
+        banner_url: banner_url || '',
+        version_min: versionFields.min,
+        version_max: versionFields.max
+      }, { userId: req.session.userId, action: 'edit' });
+    } catch (error) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+    
+    db.get('SELECT * FROM servers WHERE id = ?', [serverId], async (err3, updatedServer) => {
+      if (err3) return res.status(500).json({ error: 'Database error' });
+      const tagsByServer = await getTagsForServers(db, [serverId]).catch(() => ({}));
+      res.json({ server: { ...updatedServer, tags: tagsByServer[serverId] || [] }, message: 'Server updated successfully' });
+    });
+  });
+});
+
+// Restore a listing's fields to what they were at one of its revisions. The
+// rollback itself is stored as a new revision. Resolves with { server } or
+// { error, status }.
+async function rollbackListing(server, revisionId, { userId, requeue }) {
+  const revision = await getRevision(db, server.id, revisionId);
+  if (!revision) return { error: 'Revision not found', status: 404 };
+  
+  // Fields tracked only since after the revision was made keep their current value
+  const snapshot = { ...snapshotOf(server), ...revision.snapshot };
+  if (Object.keys(diffSnapshots(server, snapshot)).length === 0) {
+    return { error: 'The listing already matches this revision', status: 400 };
+  }
+  
+  const fields = {
+    ...snapshot,
+    description: snapshot.description || '',
+    website_url: snapshot.website_url || '',
+    banner_url: snapshot.banner_url || ''
+  };
+  const versionFields = parseVersionRange(fields.version_min ? `${fields.version_min}-${fields.version_max}` : '');
+  const rendered = renderDescriptionColumns(fields.description);
+  await new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE servers SET name = ?, ip = ?, edition = ?, bedrock_port = ?, description = ?, description_html = ?, description_text = ?, website_url = ?, banner_url = ?,
+         version_min = ?, version_max = ?, version_min_key = ?, version_max_key = ? WHERE id = ?`,
+      [fields.name, fields.ip, fields.edition, fields.bedrock_port, fields.description, rendered.html, rendered.text, fields.website_url, fields.banner_url,
+       fields.version_min, fields.version_max, versionFields.minKey ?? null, versionFields.maxKey ?? null, server.id],
+      (err) => (err ? reject(err) : resolve())
+    );
+  });
+  await afterListingEdit(server, fields, { userId, action: 'rollback', rolledBackTo: revision.id, requeue });
+  
+  const updated = await new Promise((resolve, reject) => {
+    db.get('SELECT * FROM servers WHERE id = ?', [server.id], (err, row) => (err ? reject(err) : resolve(row)));
+  });
+  logInfo('Listing rolled back', { serverId: server.id, revision: revision.revision_number, userId });
+  return { server: updated };
+}
+
+// Revision history of a listing, newest first (any member)
+app.get('/api/user/servers/:id/revisions', requireAuth, requireServerPermission('view'), async (req, res) => {
+  try {
+    res.json(await getRevisions(db, req.server.id));
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Roll a listing back to one of its revisions (owner only). Goes through
+// review again like a regular edit would.
+app.post('/api/user/servers/:id/revisions/:revisionId/rollback', requireAuth, requireServerPermission('rollback'), async (req, res) => {
+  try {
+    const result = await rollbackListing(req.server, parseInt(req.params.revisionId, 10), { userId: req.session.userId, requeue: true });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ server: result.server, message: 'Listing rolled back' });
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Start ownership verification: returns the token to put in the server's MOTD
+app.post('/api/user/servers/:id/verification', requireAuth, requireServerPermission('verify'), async (req, res) => {
+  const server = req.server;
+  if (server.verified) return res.json({ verified: true, verified_at: server.verified_at });
+  
+  try {
+    const token = await getOrCreateVerificationToken(db, server);
+    res.json({
+      verified: false,
+      token,
+      instructions: 'Add the token anywhere in your server MOTD, then run the check. You can remove it once the listing is verified.'
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Ping the server and mark the listing verified when the token shows up in its MOTD
+app.post('/api/user/servers/:id/verification/check', verificationLimiter, requireAuth, requireServerPermission('verify'), async (req, res) => {
+  const server = req.server;
+  if (server.verified) return res.json({ verified: true, verified_at: server.verified_at });
+  
+  try {
+    const result = await verifyListing(db, server);
+    if (!result.verified) return res.status(422).json(result);
+    
+    logInfo('Server listing verified', { serverId: server.id, userId: req.session.userId });
+    db.get('SELECT verified, verified_at FROM servers WHERE id = ?', [server.id], (err, row) => {
+      if (err) return res.status(500).json({ error: 'Database error' });
+      res.json({ verified: true, verified_at: row.verified_at });
+    });
+  } catch (error) {
+    logError('Failed to verify server listing', error, { serverId: server.id });
+    res.status(500).json({ error: 'Verification failed' });
+  }
+});
+
+// Listing team: members and pending invitations
+app.get('/api/user/servers/:id/members', requireAuth, requireServerPermission('view'), async (req, res) => {
+  try {
+    const [members, invitations] = await Promise.all([
+      getMembers(db, req.server.id),
+      hasPermission(req.memberRole, 'manage_members') ? getServerInvitations(db, req.server.id) : []
+    ]);
+    res.json({ role: req.memberRole, members, invitations });
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Invite a user by username or email address
+app.post('/api/user/servers/:id/invitations', requireAuth, requireServerPermission('manage_members'), async (req, res) => {
+  const { user, role = 'editor' } = req.body;
+  if (!canManageRole(req.memberRole, role)) {
+    return res.status(403).json({ error: `As ${req.memberRole} you can't invite a ${role}` });
+  }
+  
+  try {
+    const result = await createInvitation(db, {
+      serverId: req.server.id,
+      identifier: user,
+      role,
+      invitedBy: req.session.userId
+    });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    
+    logInfo('Listing invitation created', { serverId: req.server.id, invitationId: result.invitation.id, role });
+    res.status(201).json({ invitation: result.invitation, message: 'Invitation sent' });
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.delete('/api/user/servers/:id/invitations/:invitationId', requireAuth, requireServerPermission('manage_members'), async (req, res) => {
+  try {
+    const result = await revokeInvitation(db, req.server.id, parseInt(req.params.invitationId, 10));
+    if (result.changes === 0) return res.status(404).json({ error: 'Invitation not found' });
+    res.json({ message: 'Invitation revoked' });
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Change a member's role (never to or from owner, see /transfer)
+app.put('/api/user/servers/:id/members/:userId', requireAuth, requireServerPermission('manage_members'), async (req, res) => {
+  const userId = parseInt(req.params.userId, 10);
+  const { role } = req.body;
+  
+  try {
+    const member = await getMember(db, req.server.id, userId);
+    if (!member) return res.status(404).json({ error: 'Member not found' });
+    if (!canManageRole(req.memberRole, member.role) || !canManageRole(req.memberRole, role)) {
+      return res.status(403).json({ error: 'You are not allowed to make this change' });
+    }
+    
+    await updateMemberRole(db, req.server.id, userId, role);
+    res.json({ message: 'Role updated' });
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Remove a member; any member except the owner may also leave on their own
+app.delete('/api/user/servers/:id/members/:userId', requireAuth, requireServerPermission('view'), async (req, res) => {
+  const userId = parseInt(req.params.userId, 10);
+  const leaving = userId === req.session.userId;
+  
+  try {
+    const member = await getMember(db, req.server.id, userId);
+    if (!member) return res.status(404).json({ error: 'Member not found' });
+    if (member.role === 'owner') {
+      return res.status(400).json({ error: 'The owner has to transfer ownership before leaving' });
+    }
+    if (!leaving && !canManageRole(req.memberRole, member.role)) {
+      return res.status(403).json({ error: 'You are not allowed to remove this member' });
+    }
+    
+    await removeMember(db, req.server.id, userId);
+    res.json({ message: leaving ? 'You left the listing' : 'Member removed' });
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Hand the listing to another member; the previous owner stays on as manager
+app.post('/api/user/servers/:id/transfer', requireAuth, requireServerPermission('transfer'), async (req, res) => {
+  const userId = parseInt(req.body.user_id, 10);
+  if (Number.isNaN(userId)) return res.status(400).json({ error: 'user_id is required' });
+  if (userId === req.session.userId) return res.status(400).json({ error: 'You already own this listing' });
+  
+  try {
+    const member = await getMember(db, req.server.id, userId);
+    if (!member) return res.status(400).json({ error: 'Ownership can only be transferred to a member of the listing' });
+    
+    await transferOwnership(db, req.server.id, req.session.userId, userId);
+    logSecurity('Listing ownership transferred', 'info', {
+      serverId: req.server.id,
+      fromUserId: req.session.userId,
+      toUserId: userId
+    });
+    res.json({ message: 'Ownership transferred' });
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Public reply of the listing team to a review; an empty reply removes it
+app.put('/api/user/servers/:id/reviews/:reviewId/reply', requireAuth, requireServerPermission('reply_reviews'), async (req, res) => {
+  const reply = String(req.body.reply || '').trim();
+  if (reply.length > MAX_REPLY_LENGTH) {
+    return res.status(400).json({ error: `Reply must be at most ${MAX_REPLY_LENGTH} characters` });
+  }
+  
+  try {
+    const updated = await setReviewReply(db, {
+      serverId: req.server.id,
+      reviewId: parseInt(req.params.reviewId, 10),
+      reply,
+      userId: req.session.userId
+    });
+    if (!updated) return res.status(404).json({ error: 'Review not found' });
+    res.json({ message: reply ? 'Reply posted' : 'Reply removed' });
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Delete a server (owner only); it goes to the trash, where admins can restore it until purged
+app.delete('/api/user/servers/:id', requireAuth, requireServerPermission('delete'), (req, res) => {
+  trashServer(db, req.server.id, req.session.userId).then((trashed) => {
+    if (!trashed) return res.status(404).json({ error: 'Server not found or access denied' });
+    
+    res.json({ message: 'Server deleted successfully' });
+  }).catch(() => res.status(500).json({ error: 'Database error' }));
+});
+
+// Favorited listings of the logged in user in directory order (`sort` as in
+// GET /api/servers), plus the `ids` of all favorites for marking them elsewhere
+app.get('/api/user/favorites', requireAuth, async (req, res) => {
+  const { limit, cursor } = req.query;
+  const sort = resolveSort(req.query.sort, '');
+  
+  let cursorValues = null;
+  if (cursor) {
+    cursorValues = decodeCursor(cursor, sort);
+    if (!cursorValues) return res.status(400).json({ error: 'Invalid cursor' });
+  }
+  
+  try {
+    const [result, ids] = await Promise.all([
+      listServers(db, { sort, limit, cursor: cursorValues, favoriteOf: req.session.userId }),
+      getFavoriteIds(db, req.session.userId)
+    ]);
+    res.json({ ...result, ids });
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.post('/api/user/favorites/:serverId', requireAuth, (req, res) => {
+  const serverId = parseInt(req.params.serverId, 10);
+  if (Number.isNaN(serverId)) return res.status(400).json({ error: 'Invalid server id' });
+  
+  db.get(`SELECT id FROM servers WHERE id = ? AND moderation_status = 'approved' AND deleted_at IS NULL`, [serverId], async (err, server) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    if (!server) return res.status(404).json({ error: 'Server not found' });
+    
+    try {
+      const added = await addFavorite(db, req.session.userId, serverId);
+      res.status(added ? 201 : 200).json({ message: added ? 'Added to favorites' : 'Already in favorites', favorited: true });
+    } catch (error) {
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+});
+
+app.delete('/api/user/favorites/:serverId', requireAuth, async (req, res) => {
+  const serverId = parseInt(req.params.serverId, 10);
+  if (Number.isNaN(serverId)) return res.status(400).json({ error: 'Invalid server id' });
+  
+  try {
+    const removed = await removeFavorite(db, req.session.userId, serverId);
+    if (!removed) return res.status(404).json({ error: 'Server is not in your favorites' });
+    res.json({ message: 'Removed from favorites', favorited: false });
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Notifications of the logged in user, newest first (`unread=true` for unread only)
+app.get('/api/user/notifications', requireAuth, async (req, res) => {
+  try {
+    const [notifications, unread] = await Promise.all([
+      getNotifications(db, req.session.userId, { unreadOnly: req.query.unread === 'true' }),
+      countUnreadNotifications(db, req.session.userId)
+    ]);
+    res.json({ notifications, unread });
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Mark notifications as read: the given `ids`, or all of them
+app.post('/api/user/notifications/read', requireAuth, async (req, res) => {
+  const ids = Array.isArray(req.body.ids) ? req.body.ids.map(id => parseInt(id, 10)).filter(id => !Number.isNaN(id)) : [];
+  
+  try {
+    const updated = await markNotificationsRead(db, req.session.userId, ids);
+    res.json({ message: 'Notifications marked as read', updated });
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Invitations addressed to the logged in user
+app.get('/api/user/invitations', requireAuth, getCurrentUser, async (req, res) => {
+  try {
+    res.json(await getInvitationsForUser(db, req.user));
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.post('/api/user/invitations/:id/:action(accept|decline)', requireAuth, getCurrentUser, async (req, res) => {
+  const accept = req.params.action === 'accept';
+  
+  try {
+    const result = await respondToInvitation(db, parseInt(req.params.id, 10), req.user, accept);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ message: accept ? 'Invitation accepted' : 'Invitation declined', server_id: result.invitation.server_id });
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Approved listing for the review routes, or null
+function getReviewableServer(serverId) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT id, name, rating_avg, rating_count FROM servers WHERE id = ? AND moderation_status = 'approved' AND deleted_at IS NULL`,
+      [serverId],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      }
+    );
+  });
+}
+
+// Visible reviews of a listing with its rating, plus the caller's own review when logged in
+app.get('/api/servers/:id/reviews', async (req, res) => {
+  const serverId = parseInt(req.params.id, 10);
+  if (Number.isNaN(serverId)) return res.status(400).json({ error: 'Invalid server id' });
+  
+  try {
+    const server = await getReviewableServer(serverId);
+    if (!server) return res.status(404).json({ error: 'Server not found' });
+    
+    const [reviews, myReview, member] = await Promise.all([
+      getServerReviews(db, serverId),
+      req.session.userId ? getUserReview(db, serverId, req.session.userId) : null,
+      req.session.userId ? getMember(db, serverId, req.session.userId) : null
+    ]);
+    res.json({
+      rating_avg: server.rating_avg,
+      rating_count: server.rating_count,
+      reviews,
+      my_review: myReview || null,
+      signed_in: Boolean(req.session.userId),
+      // Members can't review their own listing; owners and managers may reply
+      is_member: Boolean(member),
+      can_reply: Boolean(member && hasPermission(member.role, 'reply_reviews'))
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'DB error', details: error.message });
+  }
+});
+
+// Write or update your review of a listing (one per user)
+app.post('/api/servers/:id/reviews', botDetectionMiddleware, requireCaptchaIfSuspicious, requireAuth, async (req, res) => {
+  const serverId = parseInt(req.params.id, 10);
+  if (Number.isNaN(serverId)) return res.status(400).json({ error: 'Invalid server id' });
+  
+  const rating = Number(req.body.rating);
+  const body = String(req.body.body || '').trim();
+  const error = validateReview(rating, body);
+  if (error) return res.status(400).json({ error });
+  
+  try {
+    const server = await getReviewableServer(serverId);
+    if (!server) return res.status(404).json({ error: 'Server not found' });
+    if (await getMember(db, serverId, req.session.userId)) {
+      return res.status(403).json({ error: "You can't review a listing you're a member of" });
+    }
+    
+    const { review, created } = await saveReview(db, { serverId, userId: req.session.userId, rating, body });
+    res.status(created ? 201 : 200).json({ message: created ? 'Review posted' : 'Review updated', review });
+  } catch (error) {
+    res.status(500).json({ error: 'DB error', details: error.message });
+  }
+});
+
+app.delete('/api/servers/:id/reviews/mine', requireAuth, async (req, res) => {
+  const serverId = parseInt(req.params.id, 10);
+  if (Number.isNaN(serverId)) return res.status(400).json({ error: 'Invalid server id' });
+  
+  try {
+    const deleted = await deleteReview(db, serverId, req.session.userId);
+    if (!deleted) return res.status(404).json({ error: 'Review not found' });
+    res.json({ message: 'Review deleted' });
+  } catch (error) {
+    res.status(500).json({ error: 'DB error', details: error.message });
+  }
+});
+
+// vote for a server (limit 1 per day per ip/ua)
+app.post('/api/servers/:id/vote', voteLimiter, botDetectionMiddleware, (req, res) => {
+  const serverId = parseInt(req.params.id, 10);
+  if (Number.isNaN(serverId)) return res.status(400).json({ error: 'Invalid server id' });
+
+  const voterFingerprint = simpleHash((req.ip || '') + '|' + (req.get('user-agent') || ''));
+  const insertVote = `INSERT OR IGNORE INTO votes (server_id, voter_hash, voted_date) VALUES (?, ?, strftime('%Y-%m-%d', CURRENT_TIMESTAMP))`;
+  // Listings in the trash keep their votes but can't collect new ones
+  db.get('SELECT id FROM servers WHERE id = ? AND deleted_at IS NULL', [serverId], (err0, server) => {
+    if (err0) return res.status(500).json({ error: 'DB error', details: err0.message });
+    if (!server) return res.status(404).json({ error: 'Server not found' });
+    
+    db.run(insertVote, [serverId, voterFingerprint], function(err) {
+      if (err) return res.status(500).json({ error: 'DB error', details: err.message });
+      if (this.changes === 0) {
+        return res.status(429).json({ error: 'You can only vote once per day for this server from this device.' });
+      }
+      // increment votes
+      db.run(`UPDATE servers SET votes = votes + 1 WHERE id = ?`, [serverId], function(err2) {
+        if (err2) return res.status(500).json({ error: 'DB error', details: err2.message });
+        db.get(`SELECT id, votes FROM servers WHERE id = ?`, [serverId], (err3, row) => {
+          if (err3) return res.status(500).json({ error: 'DB error', details: err3.message });
+          res.json({ success: true, server_id: serverId, votes: row?.votes ?? null });
+        });
+      });
+    });
+  });
+});
+
+// report a listing (scam, offline, rule violation, ...); one active report per listing per ip/user
+app.post('/api/servers/:id/report', reportLimiter, botDetectionMiddleware, async (req, res) => {
+  const serverId = parseInt(req.params.id, 10);
+  if (Number.isNaN(serverId)) return res.status(400).json({ error: 'Invalid server id' });
+  
+  const { category, details } = req.body;
+  
+  try {
+    const server = await new Promise((resolve, reject) => {
+      db.get(`SELECT id, name FROM servers WHERE id = ? AND moderation_status = 'approved' AND deleted_at IS NULL`, [serverId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+    if (!server) return res.status(404).json({ error: 'Server not found' });
+    
+    const result = await createReport(db, {
+      server,
+      category,
+      details,
+      reporterUserId: req.session.userId || null,
+      ip: req.ip
+    });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    
+    logSecurity('Listing reported', 'info', { serverId, reportId: result.report.id, category, ip: req.ip });
+    res.status(201).json({ message: 'Thanks, your report was sent to our moderators', report: result.report });
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// health
+app.get('/api/health', (_req, res) => res.json({ ok: true }));
+
+// Add request timing and logging middleware
 app.use((req, res, next) => {
   const startTime = Date.now();
   
@@ -1741,6 +3290,190 @@ app.use((req, res, next) => {
   next();
 });
 
+// Atom feeds of the directory for bots and community sites. They take the
+// same filters as GET /api/servers and hold the first FEED_SIZE listings.
+async function sendFeed(req, res, { sort, title, subtitle, filters: extraFilters = {} }) {
+  const { filters, error } = parseListingFilters(req.query);
+  if (error) return res.status(400).type('text/plain').send(error);
+  
+  try {
+    const [siteTitle, hideOfflineSince] = await Promise.all([
+      getSetting(db, 'siteTitle', DEFAULT_SITE_TITLE),
+      getHideOfflineSince()
+    ]);
+    const { servers } = await listServers(db, { ...filters, ...extraFilters, sort, limit: FEED_SIZE, hideOfflineSince });
+    
+    res.set({
+      'Content-Type': 'application/atom+xml; charset=utf-8',
+      'Cache-Control': 'public, max-age=300'
+    });
+    res.send(renderAtomFeed({
+      title: `${siteTitle} - ${title}`,
+      subtitle,
+      selfPath: req.originalUrl,
+      servers,
+      baseUrl: getBaseUrl(req)
+    }));
+  } catch (error) {
+    logError('Failed to render feed', error, { path: req.path });
+    res.status(500).type('text/plain').send('Internal server error');
+  }
+}
+
+app.get('/feeds/new.atom', (req, res) => {
+  sendFeed(req, res, { sort: 'new', title: 'New servers', subtitle: 'Newly listed Minecraft servers' });
+});
+
+app.get('/feeds/top.atom', (req, res) => {
+  sendFeed(req, res, { sort: 'votes', title: 'Top servers', subtitle: 'The most voted Minecraft servers' });
+});
+
+// Newest listings with one tag, e.g. /feeds/tags/survival.atom
+app.get('/feeds/tags/:slug.atom', async (req, res) => {
+  try {
+    const tag = (await getAllTags(db)).find(candidate => candidate.slug === req.params.slug);
+    if (!tag) return res.status(404).type('text/plain').send('Unknown tag');
+    
+    sendFeed(req, res, {
+      sort: 'new',
+      title: `${tag.name} servers`,
+      subtitle: `Newly listed Minecraft servers tagged ${tag.name}`,
+      filters: { tags: [tag.slug], tagMode: 'or' }
+    });
+  } catch (error) {
+    logError('Failed to render feed', error, { path: req.path });
+    res.status(500).type('text/plain').send('Internal server error');
+  }
+});
+
+// Sitemap of the home page and every public listing page. Up to
+// SITEMAP_CONFIG.urlsPerFile URLs it is a single file, beyond that an index
+// of /sitemaps/servers-N.xml files.
+app.get('/sitemap.xml', async (req, res) => {
+  try {
+    const fileCount = await countSitemapFiles(db);
+    const baseUrl = getBaseUrl(req);
+    const body = fileCount > 1
+      ? renderSitemapIndex(fileCount, baseUrl)
+      : renderUrlset(await getSitemapUrls(db, 1), baseUrl);
+    
+    res.set({ 'Content-Type': 'application/xml; charset=utf-8', 'Cache-Control': 'public, max-age=3600' });
+    res.send(body);
+  } catch (error) {
+    logError('Failed to render sitemap', error);
+    res.status(500).type('text/plain').send('Internal server error');
+  }
+});
+
+app.get('/sitemaps/servers-:page.xml', async (req, res) => {
+  const page = parseInt(req.params.page, 10);
+  
+  try {
+    const fileCount = await countSitemapFiles(db);
+    if (!/^\d+$/.test(req.params.page) || page < 1 || page > fileCount) {
+      return res.status(404).type('text/plain').send('Not found');
+    }
+    
+    res.set({ 'Content-Type': 'application/xml; charset=utf-8', 'Cache-Control': 'public, max-age=3600' });
+    res.send(renderUrlset(await getSitemapUrls(db, page), getBaseUrl(req)));
+  } catch (error) {
+    logError('Failed to render sitemap', error, { page: req.params.page });
+    res.status(500).type('text/plain').send('Internal server error');
+  }
+});
+
+// Generated from the robots_policy site setting
+app.get('/robots.txt', async (req, res) => {
+  try {
+    const policy = resolveRobotsPolicy(await getSettings(db, SEO_SETTING_DEFAULTS));
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.type('text/plain').send(renderRobotsTxt(policy, getBaseUrl(req)));
+  } catch (error) {
+    logError('Failed to render robots.txt', error);
+    res.status(500).type('text/plain').send('Internal server error');
+  }
+});
+
+// Embeds may be shown on any site: allow cross-origin use and framing (helmet
+// forbids both by default) and cache them for a few minutes with an ETag.
+// Listings that were deleted or aren't public get a neutral fallback.
+function sendEmbed(req, res, { type, body, found, frame = false }) {
+  res.status(found ? 200 : 404);
+  res.set({
+    'Content-Type': type,
+    'Cache-Control': 'public, max-age=300',
+    'ETag': embedEtag(body),
+    'Cross-Origin-Resource-Policy': 'cross-origin',
+    'Content-Security-Policy': `default-src 'none'; style-src 'unsafe-inline'${frame ? `; frame-ancestors *; base-uri 'none'` : ''}`
+  });
+  if (frame) res.removeHeader('X-Frame-Options');
+  if (req.fresh) return res.status(304).end();
+  res.send(body);
+}
+
+// Listing named by its slug, a former slug, its numeric id or "12-name", or
+// null when there is no such public listing
+async function findListingByRef(ref) {
+  const slugMatch = await resolveSlug(db, String(ref).toLowerCase());
+  const serverId = slugMatch ? slugMatch.serverId : parseServerRef(ref);
+  return serverId ? getListing(db, serverId) : null;
+}
+
+// Embeds accept the same references as listing pages, without redirecting
+// former slugs: they live on other sites, which keep the URL they were given
+async function loadEmbedListing(req) {
+  const [server, siteTitle] = await Promise.all([
+    findListingByRef(req.params.ref),
+    getSetting(db, 'siteTitle', DEFAULT_SITE_TITLE)
+  ]);
+  return { server, siteTitle, theme: resolveTheme(req.query.theme) };
+}
+
+// SVG badge ("Rank #4 · 1,203 votes · Online 87/200") for websites and forum signatures
+app.get('/embed/servers/:ref/badge.svg', async (req, res) => {
+  try {
+    const { server, siteTitle, theme } = await loadEmbedListing(req);
+    const body = server ? renderBadge(server, theme) : renderFallbackBadge(theme, siteTitle);
+    sendEmbed(req, res, { type: 'image/svg+xml; charset=utf-8', body, found: Boolean(server) });
+  } catch (error) {
+    logError('Failed to render badge', error, { ref: req.params.ref });
+    res.status(500).send('Internal server error');
+  }
+});
+
+// HTML widget for an <iframe>
+app.get('/embed/servers/:ref/widget', async (req, res) => {
+  try {
+    const { server, siteTitle, theme } = await loadEmbedListing(req);
+    const options = { theme, siteTitle, baseUrl: getBaseUrl(req) };
+    const body = server ? renderWidget(server, options) : renderFallbackWidget(options);
+    sendEmbed(req, res, { type: 'text/html; charset=utf-8', body, found: Boolean(server), frame: true });
+  } catch (error) {
+    logError('Failed to render widget', error, { ref: req.params.ref });
+    res.status(500).send('Internal server error');
+  }
+});
+
+// Shareable, server-rendered listing page with title and OpenGraph meta for link previews.
+// Numeric ids and former slugs permanently redirect to the current slug.
+app.get('/server/:ref', async (req, res) => {
+  try {
+    const siteTitle = await getSetting(db, 'siteTitle', DEFAULT_SITE_TITLE);
+    const server = await findListingByRef(req.params.ref);
+    
+    if (!server) return res.status(404).send(renderNotFoundPage({ siteTitle }));
+    if (server.slug && req.params.ref !== server.slug) {
+      return res.redirect(301, serverPagePath(server));
+    }
+    
+    const reviews = await getServerReviews(db, server.id);
+    res.send(renderServerPage({ server, reviews, siteTitle, baseUrl: getBaseUrl(req) }));
+  } catch (error) {
+    logError('Failed to render server page', error, { ref: req.params.ref });
+    res.status(500).send('Internal server error');
+  }
+});
+
 // fallback to index.html for root
 app.get('*', (req, res, next) => {
   if (req.path.startsWith('/api/')) return next();
@@ -1750,6 +3483,8 @@ app.get('*', (req, res, next) => {
 // Global references for shell and session management
 let adminShell;
 let sessionManager;
+let statusPoller;
+let trashPurge;
 
 app.listen(PORT, async () => {
   logInfo('Alliance Server Promoter started', {
@@ -1785,6 +3520,34 @@ app.listen(PORT, async () => {
   consoleLog('💫 Drag & drop banner uploads enabled');
   consoleLog('📡 Session management enabled (detach/attach)');
   
+  // Start polling listings for live status once the columns it reads exist
+  serverColumnsReady.then(() => {
+    statusPoller = startStatusPoller(db, {
+      // Players who favorited a listing hear about it going offline
+      onStatusChange: (server, result) => (result.online ? null : notifyServerOffline(db, server))
+    });
+    consoleLog('🛰️ Server status poller started');
+  });
+  
+  // Purge listings and accounts that outlived the trash retention window
+  Promise.all([serverColumnsReady, userColumnsReady]).then(() => {
+    trashPurge = startTrashPurge(db);
+  });
+  
+  // Render descriptions of listings from before they were Markdown
+  serverColumnsReady.then(() => renderMissingDescriptions(db)).then((count) => {
+    if (count) logInfo('Rendered existing listing descriptions', { count });
+  }).catch((err) => {
+    logError('Failed to render existing listing descriptions', err);
+  });
+  
+  // Geolocate listings from before locations were looked up
+  serverColumnsReady.then(() => locateUnlocatedServers(db)).then((count) => {
+    if (count) logInfo('Geolocated existing listings', { count });
+  }).catch((err) => {
+    logError('Failed to geolocate existing listings', err);
+  });
+  
   try {
     // Start session server
     await sessionManager.start();
@@ -1807,6 +3570,12 @@ process.on('SIGTERM', () => {
   if (sessionManager) {
     sessionManager.stop();
   }
+  if (statusPoller) {
+    statusPoller.stop();
+  }
+  if (trashPurge) {
+    trashPurge.stop();
+  }
   process.exit(0);
 });
 
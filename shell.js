@@ -4,10 +4,16 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import sqlite3 from 'sqlite3';
+import { trashServer, restoreServer, trashUser, restoreUser, getTrash } from './trash.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// SQLite timestamps ('YYYY-MM-DD HH:MM:SS') are UTC without a zone designator
+function fromSqliteTime(value) {
+  return new Date(`${String(value).replace(' ', 'T')}Z`);
+}
+
 export class AdminShell {
   constructor(db) {
     this.db = db;
@@ -22,6 +28,7 @@ export class AdminShell {
       info: this.showServerInfo.bind(this),
       users: this.manageUsers.bind(this),
       servers: this.manageServers.bind(this),
+      trash: this.showTrash.bind(this),
       logs: this.manageLogs.bind(this),
       stats: this.showStats.bind(this),
       security: this.manageSecurity.bind(this),
@@ -102,8 +109,9 @@ export class AdminShell {
     const commands = [
       ['help', 'Show this help message'],
       ['info', 'Show server information and status'],
-      ['users [list|delete|promote] [username]', 'Manage users'],
-      ['servers [list|delete] [id]', 'Manage servers'],
+      ['users [list|delete|restore|promote] [username]', 'Manage users (delete moves to trash)'],
+      ['servers [list|delete|restore] [id]', 'Manage servers (delete moves to trash)'],
+      ['trash', 'List deleted servers and users'],
       ['logs [access|error|security|uploads] [lines]', 'View log files'],
       ['stats', 'Show database statistics'],
       ['security [events|blacklist|bots]', 'Security information'],
@@ -173,6 +181,13 @@ export class AdminShell {
         }
         return this.deleteUser(username);
         
+      case 'restore':
+        if (!username) {
+          console.log(chalk.red('❌ Please provide a username to restore'));
+          return;
+        }
+        return this.restoreUser(username);
+        
       case 'promote':
         if (!username) {
           console.log(chalk.red('❌ Please provide a username to promote'));
@@ -189,13 +204,13 @@ export class AdminShell {
         
       default:
         console.log(chalk.red(`❌ Unknown users action: ${action}`));
-        console.log(chalk.gray('Available actions: list, delete, promote, demote'));
+        console.log(chalk.gray('Available actions: list, delete, restore, promote, demote'));
     }
   }
   
   async listUsers() {
     return new Promise((resolve, reject) => {
-      this.db.all('SELECT id, username, email, role, created_at, last_login FROM users ORDER BY created_at DESC', (err, users) => {
+      this.db.all('SELECT id, username, email, role, created_at, last_login FROM users WHERE deleted_at IS NULL ORDER BY created_at DESC', (err, users) => {
         if (err) {
           console.log(chalk.red('❌ Database error:', err.message));
           reject(err);
@@ -227,9 +242,10 @@ export class AdminShell {
     });
   }
   
+  // Moves the account to the trash, like the admin panel does
   async deleteUser(username) {
     return new Promise((resolve, reject) => {
-      this.db.get('SELECT id, username, role FROM users WHERE username = ?', [username], (err, user) => {
+      this.db.get('SELECT id, username, role FROM users WHERE username = ? AND deleted_at IS NULL', [username], (err, user) => {
         if (err) {
           console.log(chalk.red('❌ Database error:', err.message));
           reject(err);
@@ -242,15 +258,39 @@ export class AdminShell {
           return;
         }
         
-        this.db.run('DELETE FROM users WHERE id = ?', [user.id], function(err) {
-          if (err) {
-            console.log(chalk.red('❌ Error deleting user:', err.message));
-            reject(err);
-            return;
-          }
-          
-          console.log(chalk.green(`✅ Deleted user: ${user.username} [${user.role}]`));
+        trashUser(this.db, user.id, null).then(() => {
+          console.log(chalk.green(`✅ Moved user to trash: ${user.username} [${user.role}]`));
+          console.log(chalk.gray(`   Undo with: users restore ${user.username}`));
+          resolve();
+        }).catch((err) => {
+          console.log(chalk.red('❌ Error deleting user:', err.message));
+          reject(err);
+        });
+      });
+    });
+  }
+  
+  async restoreUser(username) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT id FROM users WHERE username = ? AND deleted_at IS NOT NULL', [username], (err, user) => {
+        if (err) {
+          console.log(chalk.red('❌ Database error:', err.message));
+          reject(err);
+          return;
+        }
+        
+        if (!user) {
+          console.log(chalk.red(`❌ User not found in trash: ${username}`));
+          resolve();
+          return;
+        }
+        
+        restoreUser(this.db, user.id).then(() => {
+          console.log(chalk.green(`✅ Restored user: ${username}`));
           resolve();
+        }).catch((err) => {
+          console.log(chalk.red('❌ Error restoring user:', err.message));
+          reject(err);
         });
       });
     });
@@ -258,7 +298,8 @@ export class AdminShell {
   
   async promoteUser(username) {
     return new Promise((resolve, reject) => {
-      this.db.run('UPDATE users SET role = ? WHERE username = ?', ['admin', username], function(err) {
+      // Trashed accounts have to be restored before they can become admins
+      this.db.run('UPDATE users SET role = ? WHERE username = ? AND deleted_at IS NULL', ['admin', username], function(err) {
         if (err) {
           console.log(chalk.red('❌ Error promoting user:', err.message));
           reject(err);
@@ -266,7 +307,7 @@ export class AdminShell {
         }
         
         if (this.changes === 0) {
-          console.log(chalk.red(`❌ User not found: ${username}`));
+          console.log(chalk.red(`❌ User not found or in the trash: ${username}`));
         } else {
           console.log(chalk.green(`✅ Promoted ${username} to admin`));
         }
@@ -309,9 +350,16 @@ export class AdminShell {
         }
         return this.deleteServer(parseInt(id));
         
+      case 'restore':
+        if (!id) {
+          console.log(chalk.red('❌ Please provide a server ID to restore'));
+          return;
+        }
+        return this.restoreServer(parseInt(id));
+        
       default:
         console.log(chalk.red(`❌ Unknown servers action: ${action}`));
-        console.log(chalk.gray('Available actions: list, delete'));
+        console.log(chalk.gray('Available actions: list, delete, restore'));
     }
   }
   
@@ -321,6 +369,7 @@ export class AdminShell {
         SELECT s.*, u.username as owner_username 
         FROM servers s 
         LEFT JOIN users u ON s.owner_id = u.id 
+        WHERE s.deleted_at IS NULL
         ORDER BY s.created_at DESC
       `;
       
@@ -359,49 +408,58 @@ export class AdminShell {
     });
   }
   
+  // Moves the listing to the trash, like the admin panel does. Its banner is
+  // kept until the listing is purged.
   async deleteServer(id) {
-    return new Promise((resolve, reject) => {
-      this.db.get('SELECT id, name, banner_url FROM servers WHERE id = ?', [id], (err, server) => {
-        if (err) {
-          console.log(chalk.red('❌ Database error:', err.message));
-          reject(err);
-          return;
-        }
-        
-        if (!server) {
-          console.log(chalk.red(`❌ Server not found: ID ${id}`));
-          resolve();
-          return;
-        }
-        
-        // Delete banner file if it exists
-        if (server.banner_url) {
-          const uploadsDir = path.join(__dirname, 'public', 'uploads');
-          const filename = path.basename(server.banner_url);
-          const filePath = path.join(uploadsDir, filename);
-          
-          try {
-            if (fs.existsSync(filePath)) {
-              fs.unlinkSync(filePath);
-              console.log(chalk.green(`✅ Removed banner file: ${filename}`));
-            }
-          } catch (fileErr) {
-            console.log(chalk.yellow(`⚠️  Could not delete banner: ${filename}`));
-          }
-        }
-        
-        this.db.run('DELETE FROM servers WHERE id = ?', [id], function(err) {
-          if (err) {
-            console.log(chalk.red('❌ Error deleting server:', err.message));
-            reject(err);
-            return;
-          }
-          
-          console.log(chalk.green(`✅ Deleted server: ${server.name} (ID: ${server.id})`));
-          resolve();
-        });
+    try {
+      if (await trashServer(this.db, id, null)) {
+        console.log(chalk.green(`✅ Moved server to trash: ID ${id}`));
+        console.log(chalk.gray(`   Undo with: servers restore ${id}`));
+      } else {
+        console.log(chalk.red(`❌ Server not found: ID ${id}`));
+      }
+    } catch (err) {
+      console.log(chalk.red('❌ Error deleting server:', err.message));
+    }
+  }
+  
+  async restoreServer(id) {
+    try {
+      if (await restoreServer(this.db, id)) {
+        console.log(chalk.green(`✅ Restored server: ID ${id}`));
+      } else {
+        console.log(chalk.red(`❌ Server not found in trash: ID ${id}`));
+      }
+    } catch (err) {
+      console.log(chalk.red('❌ Error restoring server:', err.message));
+    }
+  }
+  
+  async showTrash() {
+    try {
+      const { retention_days: retentionDays, servers, users } = await getTrash(this.db);
+      
+      console.log(chalk.bold(`\n🗑️  Trash (purged after ${retentionDays} days):`));
+      console.log(chalk.gray('━'.repeat(80)));
+      
+      if (!servers.length && !users.length) {
+        console.log(chalk.gray('Trash is empty'));
+        return;
+      }
+      
+      servers.forEach(server => {
+        console.log(`${chalk.yellow(`#${server.id}`)} ${chalk.bold(server.name)} ${chalk.gray(`[server, ${server.votes} votes]`)}`);
+        console.log(`    Deleted: ${fromSqliteTime(server.deleted_at).toLocaleString()} by ${server.deleted_by_username || 'shell'}`);
+        console.log(`    Purged: ${fromSqliteTime(server.purge_at).toLocaleString()}`);
       });
-    });
+      users.forEach(user => {
+        console.log(`${chalk.yellow(`#${user.id}`)} ${chalk.bold(user.username)} ${chalk.gray(`[user, ${user.email}]`)}`);
+        console.log(`    Deleted: ${fromSqliteTime(user.deleted_at).toLocaleString()} by ${user.deleted_by_username || 'shell'}`);
+        console.log(`    Purged: ${fromSqliteTime(user.purge_at).toLocaleString()}`);
+      });
+    } catch (err) {
+      console.log(chalk.red('❌ Database error:', err.message));
+    }
   }
   
   async manageLogs(args) {
@@ -469,9 +527,10 @@ export class AdminShell {
   
   async showStats() {
     const queries = {
-      users: 'SELECT COUNT(*) as count FROM users',
-      admins: 'SELECT COUNT(*) as count FROM users WHERE role = "admin"',
-      servers: 'SELECT COUNT(*) as count FROM servers',
+      users: 'SELECT COUNT(*) as count FROM users WHERE deleted_at IS NULL',
+      admins: 'SELECT COUNT(*) as count FROM users WHERE role = "admin" AND deleted_at IS NULL',
+      servers: 'SELECT COUNT(*) as count FROM servers WHERE deleted_at IS NULL',
+      trashed: 'SELECT (SELECT COUNT(*) FROM servers WHERE deleted_at IS NOT NULL) + (SELECT COUNT(*) FROM users WHERE deleted_at IS NOT NULL) as count',
       votes: 'SELECT COUNT(*) as count FROM votes',
       uploads: 'SELECT COUNT(*) as count FROM sqlite_master WHERE type="table" AND name="user_devices"'
     };
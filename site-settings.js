@@ -0,0 +1,26 @@
+// site-settings.js - Read helpers for the admin-managed site_settings table
+import { get, all } from './database.js';
+
+// Get a single setting value, or `fallback` when it isn't set
+export async function getSetting(db, key, fallback = null) {
+  const row = await get(db, 'SELECT value FROM site_settings WHERE key = ?', [key]);
+  return row && row.value !== null && row.value !== '' ? row.value : fallback;
+}
+
+// Get several settings at once. `defaults` maps each key to its fallback value.
+export async function getSettings(db, defaults) {
+  const keys = Object.keys(defaults);
+  const placeholders = keys.map(() => '?').join(',');
+  const rows = await all(db, `SELECT key, value FROM site_settings WHERE key IN (${placeholders})`, keys);
+
+  const settings = { ...defaults };
+  rows.forEach(row => {
+    if (row.value !== null && row.value !== '') settings[row.key] = row.value;
+  });
+  return settings;
+}
+
+// Settings are stored as text; treat 'true', '1', 'yes' and 'on' as enabled
+export function isEnabled(value) {
+  return ['true', '1', 'yes', 'on'].includes(String(value).toLowerCase());
+}
@@ -0,0 +1,89 @@
+// sitemap.js - XML sitemaps of the public listing pages and robots.txt for search engines
+import { escapeXml, toAtomDate } from './feeds.js';
+import { UPDATED_AT_SQL } from './server-listing.js';
+import { get, all } from './database.js';
+
+// The sitemap protocol allows 50,000 URLs per file; larger sites get a
+// sitemap index pointing at numbered files
+export const SITEMAP_CONFIG = {
+  urlsPerFile: Math.min(parseInt(process.env.SITEMAP_URLS_PER_FILE, 10) || 50000, 50000)
+};
+
+export const ROBOTS_POLICIES = ['allow', 'disallow'];
+
+// Site setting defaults for search engines
+export const SEO_SETTING_DEFAULTS = {
+  robots_policy: 'allow'  // allow (crawl listing pages, advertise the sitemap) or disallow (ask crawlers to stay away)
+};
+
+// Parts of the site crawlers have no use for
+const DISALLOWED_PATHS = ['/api/', '/embed/', '/payment.html'];
+
+// Same visibility as the listing pages: approved and not in the trash
+const PUBLIC_LISTINGS_SQL = `FROM servers s WHERE s.moderation_status = 'approved' AND s.deleted_at IS NULL`;
+
+// The sitemap lists the home page followed by every public listing. Resolves
+// with the number of sitemap files that takes (1 means no index is needed).
+export async function countSitemapFiles(db) {
+  const { total } = await get(db, `SELECT COUNT(*) as total ${PUBLIC_LISTINGS_SQL}`);
+  return Math.max(Math.ceil((total + 1) / SITEMAP_CONFIG.urlsPerFile), 1);
+}
+
+// URLs in sitemap file `page` (1-based): [{ path, lastmod }]. The home page
+// comes first, so it takes one listing's place in the first file.
+export async function getSitemapUrls(db, page) {
+  const start = (page - 1) * SITEMAP_CONFIG.urlsPerFile;
+  const includeHome = start === 0;
+  const rows = await all(
+    db,
+    `SELECT s.id, s.slug, ${UPDATED_AT_SQL} as updated_at ${PUBLIC_LISTINGS_SQL} ORDER BY s.id LIMIT ? OFFSET ?`,
+    [SITEMAP_CONFIG.urlsPerFile - (includeHome ? 1 : 0), Math.max(start - 1, 0)]
+  );
+
+  const urls = rows.map(row => ({ path: `/server/${row.slug || row.id}`, lastmod: row.updated_at }));
+  return includeHome ? [{ path: '/', lastmod: null }, ...urls] : urls;
+}
+
+export function renderUrlset(urls, baseUrl) {
+  const entries = urls.map(url => `  <url>
+    <loc>${escapeXml(`${baseUrl}${url.path}`)}</loc>${url.lastmod ? `
+    <lastmod>${toAtomDate(url.lastmod)}</lastmod>` : ''}
+  </url>`);
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.join('\n')}
+</urlset>
+`;
+}
+
+// Index of the numbered sitemap files (/sitemaps/servers-1.xml, ...)
+export function renderSitemapIndex(fileCount, baseUrl) {
+  const entries = Array.from({ length: fileCount }, (_, i) => `  <sitemap>
+    <loc>${escapeXml(`${baseUrl}/sitemaps/servers-${i + 1}.xml`)}</loc>
+  </sitemap>`);
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.join('\n')}
+</sitemapindex>
+`;
+}
+
+// What the robots_policy setting asks for, falling back to allow
+export function resolveRobotsPolicy(settings) {
+  return ROBOTS_POLICIES.includes(settings.robots_policy) ? settings.robots_policy : SEO_SETTING_DEFAULTS.robots_policy;
+}
+
+export function renderRobotsTxt(policy, baseUrl) {
+  if (policy === 'disallow') {
+    return 'User-agent: *\nDisallow: /\n';
+  }
+  return [
+    'User-agent: *',
+    ...DISALLOWED_PATHS.map(path => `Disallow: ${path}`),
+    '',
+    `Sitemap: ${baseUrl}/sitemap.xml`,
+    ''
+  ].join('\n');
+}
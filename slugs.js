@@ -0,0 +1,118 @@
+// slugs.js - Vanity URL slugs for listings (/server/:slug), with history so renamed slugs keep redirecting
+import { run, get, all, runInTransaction } from './database.js';
+
+export const MAX_SLUG_LENGTH = 60;
+
+// Slugs that would clash with site routes or could be mistaken for them
+export const RESERVED_SLUGS = new Set([
+  'admin', 'api', 'auth', 'dashboard', 'edit', 'embed', 'feeds', 'help', 'login', 'logout',
+  'me', 'new', 'profile', 'register', 'robots', 'search', 'server', 'servers', 'settings',
+  'sitemap', 'static', 'tags', 'top', 'uploads', 'user', 'users'
+]);
+
+// Expects the servers.slug column to exist (see serverColumnMigrations in server.js)
+export async function initializeSlugTables(db) {
+  await run(db, `CREATE UNIQUE INDEX IF NOT EXISTS idx_servers_slug ON servers(slug)`);
+
+  // Former slugs of a listing; each one keeps pointing at the listing it belonged to
+  await run(db, `CREATE TABLE IF NOT EXISTS server_slug_history (
+    slug TEXT PRIMARY KEY,
+    server_id INTEGER NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(server_id) REFERENCES servers(id) ON DELETE CASCADE
+  )`);
+
+  // Give listings created before slugs existed one, oldest first
+  const rows = await all(db, 'SELECT id, name FROM servers WHERE slug IS NULL ORDER BY id');
+  for (const row of rows) {
+    const slug = await generateUniqueSlug(db, row.name, row.id);
+    await run(db, 'UPDATE servers SET slug = ? WHERE id = ?', [slug, row.id]);
+  }
+}
+
+// "Skyblock Légends!" -> "skyblock-legends"
+export function slugify(value) {
+  return String(value || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/, '');
+}
+
+// Returns an error message, or null when `slug` is acceptable
+export function validateSlug(slug) {
+  if (typeof slug !== 'string' || !/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(slug)) {
+    return 'Slug may only contain lowercase letters, numbers and single dashes';
+  }
+  if (slug.length < 3 || slug.length > MAX_SLUG_LENGTH) {
+    return `Slug must be 3-${MAX_SLUG_LENGTH} characters long`;
+  }
+  if (/^\d+$/.test(slug)) return 'Slug cannot be only numbers';
+  // "12-foo" reads as listing 12 (see parseServerRef in server-pages.js)
+  if (/^\d+-/.test(slug)) return 'Slug cannot start with a number followed by a dash';
+  if (RESERVED_SLUGS.has(slug)) return 'This slug is reserved';
+  return null;
+}
+
+// Whether `slug` is free for listing `serverId` (null for a new listing).
+// A listing may take back one of its own former slugs.
+export async function isSlugAvailable(db, slug, serverId = null) {
+  const current = await get(db, 'SELECT id FROM servers WHERE slug = ?', [slug]);
+  if (current && current.id !== serverId) return false;
+
+  const former = await get(db, 'SELECT server_id FROM server_slug_history WHERE slug = ?', [slug]);
+  return !former || former.server_id === serverId;
+}
+
+// Slug derived from `name`, with a numeric suffix when it is taken
+export async function generateUniqueSlug(db, name, serverId = null) {
+  let base = slugify(name);
+  if (/^\d+-/.test(base)) base = `server-${base}`;
+  base = base.slice(0, MAX_SLUG_LENGTH - 4).replace(/-+$/, '');
+  if (validateSlug(base)) base = base ? `${base}-server` : 'server';
+  if (validateSlug(base)) base = 'minecraft-server';
+
+  let candidate = base;
+  for (let suffix = 2; !(await isSlugAvailable(db, candidate, serverId)); suffix++) {
+    candidate = `${base}-${suffix}`;
+  }
+  return candidate;
+}
+
+// Change the slug of a listing, keeping the old one as a redirect. Rejects
+// with a SQLITE_CONSTRAINT error, changing nothing, when another listing took
+// the slug since it was checked with isSlugAvailable().
+export async function changeSlug(db, serverId, newSlug) {
+  const server = await get(db, 'SELECT slug FROM servers WHERE id = ?', [serverId]);
+  if (!server || server.slug === newSlug) return;
+
+  const statements = [];
+  if (server.slug) {
+    statements.push(['INSERT OR REPLACE INTO server_slug_history (slug, server_id) VALUES (?, ?)', [server.slug, serverId]]);
+  }
+  statements.push(
+    ['DELETE FROM server_slug_history WHERE slug = ?', [newSlug]],
+    ['UPDATE servers SET slug = ? WHERE id = ?', [newSlug, serverId]]
+  );
+  await runInTransaction(db, statements);
+}
+
+// Look up a slug. Resolves with { serverId, slug, current } where `slug` is
+// the listing's current slug and `current` tells whether `slug` was it, or
+// null when the slug was never used.
+export async function resolveSlug(db, slug) {
+  const server = await get(db, 'SELECT id, slug FROM servers WHERE slug = ?', [slug]);
+  if (server) return { serverId: server.id, slug: server.slug, current: true };
+
+  const former = await get(
+    db,
+    `SELECT s.id, s.slug FROM server_slug_history h
+     JOIN servers s ON s.id = h.server_id
+     WHERE h.slug = ?`,
+    [slug]
+  );
+  return former ? { serverId: former.id, slug: former.slug, current: false } : null;
+}
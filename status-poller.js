@@ -0,0 +1,214 @@
+// status-poller.js - Background polling of listing status (online state, players, version, MOTD)
+import { pingJavaServer, pingBedrockServer, DEFAULT_BEDROCK_PORT } from './server-status.js';
+import { parseServerAddress, resolveServerAddress } from './address-resolver.js';
+import { recordStatusSample, rollupStatusSamples } from './uptime.js';
+import { run, get, all } from './database.js';
+import { logInfo, logError } from './logger.js';
+
+export const STATUS_CONFIG = {
+  interval: parseInt(process.env.STATUS_POLL_INTERVAL_MS, 10) || 5 * 60 * 1000, // 5 minutes
+  timeout: parseInt(process.env.STATUS_POLL_TIMEOUT_MS, 10) || 5000,
+  concurrency: parseInt(process.env.STATUS_POLL_CONCURRENCY, 10) || 5
+};
+
+// Latest known status for every listing
+export async function initializeStatusTables(db) {
+  await run(db, `CREATE TABLE IF NOT EXISTS server_status (
+    server_id INTEGER PRIMARY KEY,
+    online BOOLEAN NOT NULL DEFAULT 0,
+    players_online INTEGER,
+    players_max INTEGER,
+    version_name TEXT,
+    protocol INTEGER,
+    motd TEXT,
+    latency_ms INTEGER,
+    error TEXT,
+    source TEXT, -- 'java' or 'bedrock': which ping produced the status
+    last_checked DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_online DATETIME,
+    FOREIGN KEY(server_id) REFERENCES servers(id) ON DELETE CASCADE
+  )`);
+
+  const columns = await all(db, `PRAGMA table_info(server_status)`);
+  if (!columns.some(col => col.name === 'source')) {
+    await run(db, `ALTER TABLE server_status ADD COLUMN source TEXT`);
+  }
+}
+
+async function saveStatus(db, serverId, result) {
+  const sql = `
+    INSERT INTO server_status
+      (server_id, online, players_online, players_max, version_name, protocol, motd, latency_ms, error, source, last_checked, last_online)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CASE WHEN ? THEN CURRENT_TIMESTAMP ELSE NULL END)
+    ON CONFLICT(server_id) DO UPDATE SET
+      online = excluded.online,
+      players_online = excluded.players_online,
+      players_max = excluded.players_max,
+      version_name = COALESCE(excluded.version_name, server_status.version_name),
+      protocol = COALESCE(excluded.protocol, server_status.protocol),
+      motd = COALESCE(excluded.motd, server_status.motd),
+      latency_ms = excluded.latency_ms,
+      error = excluded.error,
+      source = excluded.source,
+      last_checked = excluded.last_checked,
+      last_online = COALESCE(excluded.last_online, server_status.last_online)
+  `;
+
+  await run(db, sql, [
+    serverId,
+    result.online ? 1 : 0,
+    result.playersOnline ?? null,
+    result.playersMax ?? null,
+    result.versionName ?? null,
+    result.protocol ?? null,
+    result.motd ?? null,
+    result.latency ?? null,
+    result.error ?? null,
+    result.source ?? null,
+    result.online ? 1 : 0
+  ]);
+}
+
+async function getPreviousOnline(db, serverId) {
+  const row = await get(db, 'SELECT online FROM server_status WHERE server_id = ?', [serverId]);
+  return row ? Boolean(row.online) : null;
+}
+
+async function runPing(ping, source, host, port, pingOptions) {
+  try {
+    return { ...(await ping(host, port, pingOptions)), source };
+  } catch (error) {
+    return { online: false, error: error.message, source };
+  }
+}
+
+// Java clients follow SRV records, so the ping connects to the resolved
+// target while the handshake names the address as listed
+async function runJavaPing(ping, server, timeout, resolveAddress) {
+  let resolved;
+  try {
+    resolved = await resolveAddress(server.ip, { edition: 'java' });
+  } catch (error) {
+    return { online: false, error: `DNS lookup failed: ${error.code || error.message}`, source: 'java' };
+  }
+  if (resolved.error) return { online: false, error: resolved.error, source: 'java' };
+
+  const { ip, port } = resolved.target;
+  return runPing(ping, 'java', resolved.host, resolved.port, { timeout, connectTo: { host: ip, port } });
+}
+
+// Bedrock clients don't use SRV records; the host is resolved (and checked
+// to be public) before pinging its IP
+async function runBedrockPing(ping, host, port, timeout, resolveAddress) {
+  let resolved;
+  try {
+    resolved = await resolveAddress(host, { edition: 'bedrock' });
+  } catch (error) {
+    return { online: false, error: `DNS lookup failed: ${error.code || error.message}`, source: 'bedrock' };
+  }
+  if (resolved.error) return { online: false, error: resolved.error, source: 'bedrock' };
+
+  return runPing(ping, 'bedrock', resolved.target.ip, port, { timeout });
+}
+
+// Check a listing according to its edition. Listings for both editions are
+// pinged over both protocols; the Java result wins when both answer.
+// Addresses that resolve to loopback or private networks are never pinged.
+// `options.resolveAddress` can replace resolveServerAddress().
+export async function checkServerStatus(server, options = {}) {
+  const pingJava = options.pingJava || pingJavaServer;
+  const pingBedrock = options.pingBedrock || pingBedrockServer;
+  const resolveAddress = options.resolveAddress || resolveServerAddress;
+  const timeout = options.timeout || STATUS_CONFIG.timeout;
+  const edition = server.edition || 'java';
+
+  if (edition === 'bedrock') {
+    const { host, port } = parseServerAddress(server.ip, DEFAULT_BEDROCK_PORT);
+    return runBedrockPing(pingBedrock, host, server.bedrock_port || port, timeout, resolveAddress);
+  }
+
+  if (edition === 'java') {
+    return runJavaPing(pingJava, server, timeout, resolveAddress);
+  }
+
+  const { host } = parseServerAddress(server.ip);
+  const [java, bedrock] = await Promise.all([
+    runJavaPing(pingJava, server, timeout, resolveAddress),
+    runBedrockPing(pingBedrock, host, server.bedrock_port || DEFAULT_BEDROCK_PORT, timeout, resolveAddress)
+  ]);
+  if (java.online || !bedrock.online) return java;
+  return bedrock;
+}
+
+// Ping a single listing, store the result and add it to the uptime history.
+// `options.pingJava` and `options.pingBedrock` can replace the network checks,
+// e.g. to point the poller at a local fake responder. `options.onStatusChange`
+// is called with (server, result) when a listing that was online before goes
+// offline or the other way round; failures there don't fail the poll.
+export async function pollServer(db, server, options = {}) {
+  const previousOnline = options.onStatusChange ? await getPreviousOnline(db, server.id) : null;
+  const result = await checkServerStatus(server, options);
+  await saveStatus(db, server.id, result);
+  await recordStatusSample(db, server.id, result);
+
+  if (previousOnline !== null && previousOnline !== Boolean(result.online)) {
+    try {
+      await options.onStatusChange(server, result);
+    } catch (error) {
+      logError('Status change handler failed', error, { serverId: server.id });
+    }
+  }
+  return result;
+}
+
+// Ping every listing that isn't in the trash, a few at a time
+export async function pollAllServers(db, options = {}) {
+  const concurrency = options.concurrency || STATUS_CONFIG.concurrency;
+
+  const servers = await all(db, 'SELECT id, name, ip, edition, bedrock_port FROM servers WHERE deleted_at IS NULL');
+
+  let online = 0;
+  let index = 0;
+  const worker = async () => {
+    while (index < servers.length) {
+      const server = servers[index++];
+      try {
+        const result = await pollServer(db, server, options);
+        if (result.online) online++;
+      } catch (error) {
+        logError('Failed to store server status', error, { serverId: server.id });
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, servers.length) }, worker));
+  return { checked: servers.length, online };
+}
+
+// Poll immediately and then on every interval. Returns a handle with stop().
+export function startStatusPoller(db, options = {}) {
+  const interval = options.interval || STATUS_CONFIG.interval;
+  let running = false;
+
+  const run = async () => {
+    // Skip a tick if the previous round is still going
+    if (running) return;
+    running = true;
+    try {
+      const summary = await pollAllServers(db, options);
+      await rollupStatusSamples(db);
+      logInfo('Server status poll completed', summary);
+    } catch (error) {
+      logError('Server status poll failed', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, interval);
+
+  return {
+    stop: () => clearInterval(timer)
+  };
+}
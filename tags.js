@@ -0,0 +1,144 @@
+// tags.js - Admin-managed tag taxonomy (gamemodes, features, ...) and the server <-> tag link
+import { run, get, all, runInTransaction } from './database.js';
+
+export const TAG_CATEGORIES = ['gamemode', 'feature', 'style'];
+export const MAX_TAGS_PER_SERVER = 8;
+
+// Seeded on first start; admins can rename, recategorize or delete them
+const DEFAULT_TAGS = [
+  ['survival', 'Survival', 'gamemode'],
+  ['creative', 'Creative', 'gamemode'],
+  ['factions', 'Factions', 'gamemode'],
+  ['skyblock', 'Skyblock', 'gamemode'],
+  ['prison', 'Prison', 'gamemode'],
+  ['minigames', 'Minigames', 'gamemode'],
+  ['pvp', 'PvP', 'gamemode'],
+  ['smp', 'SMP', 'gamemode'],
+  ['anarchy', 'Anarchy', 'gamemode'],
+  ['economy', 'Economy', 'feature'],
+  ['towny', 'Towny', 'feature'],
+  ['roleplay', 'Roleplay', 'style'],
+  ['modded', 'Modded', 'style'],
+  ['vanilla', 'Vanilla', 'style']
+];
+
+export async function initializeTagTables(db) {
+  await run(db, `CREATE TABLE IF NOT EXISTS tags (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    slug TEXT UNIQUE NOT NULL,
+    name TEXT NOT NULL,
+    category TEXT NOT NULL DEFAULT 'gamemode',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  await run(db, `CREATE TABLE IF NOT EXISTS server_tags (
+    server_id INTEGER NOT NULL,
+    tag_id INTEGER NOT NULL,
+    PRIMARY KEY(server_id, tag_id),
+    FOREIGN KEY(server_id) REFERENCES servers(id) ON DELETE CASCADE,
+    FOREIGN KEY(tag_id) REFERENCES tags(id) ON DELETE CASCADE
+  )`);
+
+  await run(db, `CREATE INDEX IF NOT EXISTS idx_server_tags_tag ON server_tags(tag_id)`);
+
+  // Only seed an empty taxonomy so deleted defaults stay deleted
+  const { count } = await get(db, 'SELECT COUNT(*) as count FROM tags');
+  if (count > 0) return;
+
+  await runInTransaction(db, DEFAULT_TAGS.map(tag => ['INSERT OR IGNORE INTO tags (slug, name, category) VALUES (?, ?, ?)', tag]));
+}
+
+// "Sky Block!" -> "sky-block"
+export function slugifyTag(value) {
+  return String(value || '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40);
+}
+
+// Accept tags as an array or a comma separated string; returns unique slugs
+export function parseTagList(value) {
+  if (value === undefined || value === null) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(list.map(slugifyTag).filter(Boolean))];
+}
+
+// Look up tag ids for the given slugs. Resolves with { tagIds } or { error }
+// when a slug is unknown or too many tags were picked.
+export async function resolveTagSlugs(db, slugs) {
+  if (slugs.length === 0) return { tagIds: [] };
+  if (slugs.length > MAX_TAGS_PER_SERVER) {
+    return { error: `You can pick at most ${MAX_TAGS_PER_SERVER} tags` };
+  }
+
+  const placeholders = slugs.map(() => '?').join(',');
+  const rows = await all(db, `SELECT id, slug FROM tags WHERE slug IN (${placeholders})`, slugs);
+
+  const found = new Set(rows.map(row => row.slug));
+  const unknown = slugs.filter(slug => !found.has(slug));
+  if (unknown.length) return { error: `Unknown tags: ${unknown.join(', ')}` };
+
+  return { tagIds: rows.map(row => row.id) };
+}
+
+// Replace the tags of a listing
+export function setServerTags(db, serverId, tagIds) {
+  return runInTransaction(db, [
+    ['DELETE FROM server_tags WHERE server_id = ?', [serverId]],
+    ...tagIds.map(tagId => ['INSERT OR IGNORE INTO server_tags (server_id, tag_id) VALUES (?, ?)', [serverId, tagId]])
+  ]);
+}
+
+// Tags for a set of listings: { [serverId]: [{ slug, name, category }] }
+export async function getTagsForServers(db, serverIds) {
+  if (serverIds.length === 0) return {};
+
+  const placeholders = serverIds.map(() => '?').join(',');
+  const sql = `
+    SELECT x.server_id, t.slug, t.name, t.category
+    FROM server_tags x
+    JOIN tags t ON t.id = x.tag_id
+    WHERE x.server_id IN (${placeholders})
+    ORDER BY t.name
+  `;
+
+  const rows = await all(db, sql, serverIds);
+  const byServer = {};
+  rows.forEach(({ server_id, ...tag }) => {
+    (byServer[server_id] = byServer[server_id] || []).push(tag);
+  });
+  return byServer;
+}
+
+// WHERE condition matching listings with all (mode 'and') or any (mode 'or')
+// of the given tag slugs. `serverColumn` is the listing id column of the outer query.
+export function buildTagCondition(slugs, mode = 'or', serverColumn = 's.id') {
+  const placeholders = slugs.map(() => '?').join(',');
+  const having = mode === 'and' ? `HAVING COUNT(DISTINCT tf.id) = ${slugs.length}` : '';
+
+  return {
+    sql: `${serverColumn} IN (
+      SELECT xf.server_id FROM server_tags xf
+      JOIN tags tf ON tf.id = xf.tag_id
+      WHERE tf.slug IN (${placeholders})
+      GROUP BY xf.server_id ${having}
+    )`,
+    params: slugs
+  };
+}
+
+// Every tag with the number of public (approved, not deleted) listings using it
+export function getAllTags(db) {
+  const sql = `
+    SELECT t.id, t.slug, t.name, t.category, t.created_at, COUNT(s.id) as server_count
+    FROM tags t
+    LEFT JOIN server_tags x ON x.tag_id = t.id
+    LEFT JOIN servers s ON s.id = x.server_id AND s.moderation_status = 'approved' AND s.deleted_at IS NULL
+    GROUP BY t.id
+    ORDER BY t.category, t.name
+  `;
+
+  return all(db, sql);
+}
@@ -0,0 +1,189 @@
+// Listing address resolution against a stub DNS map
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createStubResolver,
+  setResolver,
+  clearResolverCache,
+  resolveServerAddress,
+  validateServerAddress,
+  isPublicIp,
+  RESOLVER_CONFIG
+} from '../address-resolver.js';
+
+const RECORDS = {
+  '_minecraft._tcp.srv.example.net': {
+    SRV: [
+      { name: 'backup.example.net', port: 25571, priority: 10, weight: 5 },
+      { name: 'mc1.example.net.', port: 25570, priority: 0, weight: 1 },
+      { name: 'mc2.example.net', port: 25572, priority: 0, weight: 5 }
+    ]
+  },
+  'srv.example.net': { A: ['203.0.113.1'] },
+  'mc1.example.net': { A: ['203.0.113.11'] },
+  'mc2.example.net': { A: ['203.0.113.12'] },
+  'play.example.net': { A: ['203.0.113.5'], AAAA: ['2001:db8::5'] },
+  'v6.example.net': { AAAA: ['2001:db8::6'] },
+  '_minecraft._tcp.broken.example.net': { SRV: [{ name: 'gone.example.net', port: 25565, priority: 0, weight: 0 }] },
+  'internal.example.net': { A: ['10.0.0.8'] },
+  '_minecraft._tcp.sneaky.example.net': { SRV: [{ name: 'internal.example.net', port: 25565, priority: 0, weight: 0 }] },
+  'local6.example.net': { AAAA: ['fd12:3456::1'] }
+};
+
+// The stub, counting the lookups that reach it
+function createCountingResolver(records) {
+  const stub = createStubResolver(records);
+  const lookups = [];
+  const counted = (type, fn) => (name) => {
+    lookups.push(`${type} ${name}`);
+    return fn(name);
+  };
+  return {
+    lookups,
+    resolveSrv: counted('SRV', stub.resolveSrv),
+    resolve4: counted('A', stub.resolve4),
+    resolve6: counted('AAAA', stub.resolve6)
+  };
+}
+
+let resolver;
+let now;
+
+beforeEach(() => {
+  resolver = createCountingResolver(RECORDS);
+  setResolver(resolver);
+  now = Date.now();
+  mock.method(Date, 'now', () => now);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  clearResolverCache();
+});
+
+test('follows the SRV record with the lowest priority and highest weight, then its A record', async () => {
+  const result = await resolveServerAddress('srv.example.net');
+
+  assert.deepEqual(result, {
+    host: 'srv.example.net',
+    port: 25565,
+    srv: true,
+    target: { host: 'mc2.example.net', port: 25572, ip: '203.0.113.12' }
+  });
+  assert.deepEqual(resolver.lookups, ['SRV _minecraft._tcp.srv.example.net', 'A mc2.example.net']);
+});
+
+test('falls back to A, then AAAA records when there is no SRV record', async () => {
+  const v4 = await resolveServerAddress('play.example.net');
+  assert.deepEqual(v4.target, { host: 'play.example.net', port: 25565, ip: '203.0.113.5' });
+  assert.equal(v4.srv, false);
+
+  const v6 = await resolveServerAddress('v6.example.net');
+  assert.deepEqual(v6.target, { host: 'v6.example.net', port: 25565, ip: '2001:db8::6' });
+
+  assert.deepEqual(resolver.lookups, [
+    'SRV _minecraft._tcp.play.example.net', 'A play.example.net',
+    'SRV _minecraft._tcp.v6.example.net', 'A v6.example.net', 'AAAA v6.example.net'
+  ]);
+});
+
+test('skips SRV records for addresses with a port, IP addresses and Bedrock listings', async () => {
+  const withPort = await resolveServerAddress('srv.example.net:25580');
+  assert.deepEqual(withPort.target, { host: 'srv.example.net', port: 25580, ip: '203.0.113.1' });
+
+  const ip = await resolveServerAddress('198.51.100.7');
+  assert.deepEqual(ip.target, { host: '198.51.100.7', port: 25565, ip: '198.51.100.7' });
+
+  const bedrock = await resolveServerAddress('srv.example.net', { edition: 'bedrock' });
+  assert.deepEqual(bedrock.target, { host: 'srv.example.net', port: 19132, ip: '203.0.113.1' });
+
+  assert.deepEqual(resolver.lookups, ['A srv.example.net', 'A srv.example.net']);
+});
+
+test('caches results until the cache TTL runs out', async () => {
+  await resolveServerAddress('play.example.net');
+  now += RESOLVER_CONFIG.cacheTtl - 1;
+  await resolveServerAddress('Play.Example.net');
+  assert.equal(resolver.lookups.length, 2);
+
+  now += 2;
+  await resolveServerAddress('play.example.net');
+  assert.equal(resolver.lookups.length, 4);
+});
+
+test('caches failures for the shorter failure TTL', async () => {
+  assert.ok(RESOLVER_CONFIG.failureTtl < RESOLVER_CONFIG.cacheTtl);
+
+  await resolveServerAddress('nowhere.example.net');
+  const firstLookups = resolver.lookups.length;
+  now += RESOLVER_CONFIG.failureTtl - 1;
+  await resolveServerAddress('nowhere.example.net');
+  assert.equal(resolver.lookups.length, firstLookups);
+
+  now += 2;
+  await resolveServerAddress('nowhere.example.net');
+  assert.equal(resolver.lookups.length, firstLookups * 2);
+});
+
+test('explains addresses that are invalid or do not resolve', async () => {
+  assert.deepEqual(await resolveServerAddress(''), { error: 'Server address is required' });
+  assert.deepEqual(await resolveServerAddress('play.example.net:70000'), { error: 'Server port must be a number between 1 and 65535' });
+  assert.deepEqual(await resolveServerAddress('play.example.net:'), { error: 'Server port must be a number between 1 and 65535' });
+  assert.deepEqual(await resolveServerAddress('-bad-.example.net'), { error: '"-bad-.example.net" is not a valid host name or IP address' });
+  assert.deepEqual(await resolveServerAddress('localhost'), { error: '"localhost" is not a valid host name or IP address' });
+  assert.deepEqual(await resolveServerAddress('nowhere.example.net'), { error: 'nowhere.example.net has no SRV, A or AAAA records' });
+  assert.deepEqual(await resolveServerAddress('broken.example.net'), {
+    error: 'gone.example.net (the SRV target of broken.example.net) has no A or AAAA records'
+  });
+
+  // Invalid addresses never reach DNS
+  assert.ok(resolver.lookups.every(lookup => /nowhere|broken|gone/.test(lookup)));
+});
+
+test('refuses loopback, private, link-local and unique-local addresses', async () => {
+  for (const ip of ['127.0.0.1', '10.1.2.3', '172.16.5.4', '192.168.0.10', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fe80::1', 'fd00::2', '::ffff:127.0.0.1', '::ffff:a00:1']) {
+    assert.equal(isPublicIp(ip), false, ip);
+  }
+  for (const ip of ['203.0.113.5', '8.8.8.8', '172.32.0.1', '2001:db8::5', '::ffff:8.8.8.8']) {
+    assert.equal(isPublicIp(ip), true, ip);
+  }
+
+  assert.deepEqual(validateServerAddress('127.0.0.1:25565'), { error: '127.0.0.1 is a loopback, private or otherwise non-public address' });
+  assert.deepEqual(validateServerAddress('[::1]:25565'), { error: '::1 is a loopback, private or otherwise non-public address' });
+  assert.deepEqual(await resolveServerAddress('internal.example.net'), {
+    error: 'internal.example.net resolves to 10.0.0.8, a loopback, private or otherwise non-public address'
+  });
+  assert.deepEqual(await resolveServerAddress('sneaky.example.net'), {
+    error: 'internal.example.net resolves to 10.0.0.8, a loopback, private or otherwise non-public address'
+  });
+  assert.deepEqual(await resolveServerAddress('local6.example.net', { edition: 'bedrock' }), {
+    error: 'local6.example.net resolves to fd12:3456::1, a loopback, private or otherwise non-public address'
+  });
+});
+
+test('accepts private addresses when they are allowed for local development', async () => {
+  RESOLVER_CONFIG.allowPrivateAddresses = true;
+  try {
+    const result = await resolveServerAddress('internal.example.net');
+    assert.deepEqual(result.target, { host: 'internal.example.net', port: 25565, ip: '10.0.0.8' });
+    assert.equal(validateServerAddress('127.0.0.1').host, '127.0.0.1');
+  } finally {
+    RESOLVER_CONFIG.allowPrivateAddresses = false;
+  }
+});
+
+test('rejects on DNS errors other than missing records, without caching them', async () => {
+  let calls = 0;
+  setResolver({
+    resolveSrv: async () => {
+      calls++;
+      throw Object.assign(new Error('queryTimeout'), { code: 'ETIMEOUT' });
+    },
+    resolve4: async () => ['203.0.113.9'],
+    resolve6: async () => []
+  });
+
+  await assert.rejects(resolveServerAddress('slow.example.net'), { code: 'ETIMEOUT' });
+  await assert.rejects(resolveServerAddress('slow.example.net'), { code: 'ETIMEOUT' });
+  assert.equal(calls, 2);
+});
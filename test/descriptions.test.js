@@ -0,0 +1,75 @@
+// Descriptions: the Markdown and § code renderer, what it refuses to emit, and the plan limits
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { run, all } from '../database.js';
+import {
+  DESCRIPTION_LIMITS,
+  descriptionLimit,
+  checkDescription,
+  renderDescription,
+  descriptionToText,
+  renderMissingDescriptions
+} from '../descriptions.js';
+
+test('renders headings, lists, paragraphs and inline Markdown', () => {
+  assert.equal(renderDescription('# Welcome\nLine one\nline **two**\n\n- *a*\n- b\n  more\n1. first'), [
+    '<h3>Welcome</h3>',
+    '<p>Line one<br>line <strong>two</strong></p>',
+    '<ul><li><em>a</em></li><li>b more</li></ul>',
+    '<ol><li>first</li></ol>'
+  ].join('\n'));
+  assert.equal(renderDescription('### Small ###'), '<h5>Small</h5>');
+  assert.equal(renderDescription(null), '');
+});
+
+test('turns § codes into spans that a color resets and §r clears', () => {
+  assert.equal(renderDescription('§lBold §cred §nboth§r plain'),
+    '<p><span class="mc-l">Bold </span><span class="mc-c">red </span><span class="mc-c mc-n">both</span> plain</p>');
+  // Formatting ends with the block it was used in
+  assert.equal(renderDescription('§aGreen\n\nplain'), '<p><span class="mc-a">Green</span></p>\n<p>plain</p>');
+});
+
+test('escapes HTML and links only to http(s) addresses', () => {
+  assert.equal(renderDescription('<script>alert("x")</script> & co'), '<p>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; co</p>');
+  assert.equal(renderDescription('[site](https://example.net/a?b=1&c=2)'),
+    '<p><a href="https://example.net/a?b=1&amp;c=2" target="_blank" rel="nofollow ugc noopener noreferrer">site</a></p>');
+  assert.equal(renderDescription('[x](javascript:alert(1))'), '<p>[x](javascript:alert(1))</p>');
+  assert.equal(renderDescription('[x](/relative)'), '<p>[x](/relative)</p>');
+  assert.equal(renderDescription('[x]("onmouseover=alert(1))'), '<p>[x](&quot;onmouseover=alert(1))</p>');
+  assert.equal(renderDescription('a\u0000b\u001Fc'), '<p>abc</p>');
+});
+
+test('reduces rendered descriptions to plain text', () => {
+  assert.equal(descriptionToText(renderDescription('# Title\n§6Gold & <tags>\n\n- one\n- two')), 'Title Gold & <tags> one two');
+  assert.equal(descriptionToText(null), '');
+});
+
+test('limits descriptions by plan', () => {
+  assert.equal(descriptionLimit('paid'), DESCRIPTION_LIMITS.paid);
+  assert.equal(descriptionLimit('bogus'), DESCRIPTION_LIMITS.free);
+
+  assert.deepEqual(checkDescription(undefined, 'free'), { description: '' });
+  assert.deepEqual(checkDescription(42, 'free'), { error: 'Description must be text' });
+  assert.deepEqual(checkDescription('x'.repeat(1000), 'free'), { description: 'x'.repeat(1000) });
+  assert.deepEqual(checkDescription('x'.repeat(1001), 'free'), {
+    error: 'Descriptions on the Free plan can be at most 1000 characters (this one has 1001)'
+  });
+  assert.deepEqual(checkDescription('x'.repeat(2500), 'paid'), { description: 'x'.repeat(2500) });
+  assert.match(checkDescription('x'.repeat(2501), 'paid').error, /Featured plan can be at most 2500/);
+});
+
+test('renders the stored HTML and text of listings that lack them', async () => {
+  const db = new sqlite3.Database(':memory:');
+  await run(db, 'CREATE TABLE servers (id INTEGER PRIMARY KEY, description TEXT, description_html TEXT, description_text TEXT)');
+  await run(db, "INSERT INTO servers VALUES (1, '**Hi**', NULL, NULL), (2, 'Done', '<p>Done</p>', 'Done'), (3, NULL, '', NULL)");
+
+  assert.equal(await renderMissingDescriptions(db), 2);
+  assert.equal(await renderMissingDescriptions(db), 0);
+  assert.deepEqual((await all(db, 'SELECT * FROM servers ORDER BY id')).map(row => ({ ...row })), [
+    { id: 1, description: '**Hi**', description_html: '<p><strong>Hi</strong></p>', description_text: 'Hi' },
+    { id: 2, description: 'Done', description_html: '<p>Done</p>', description_text: 'Done' },
+    { id: 3, description: null, description_html: '', description_text: '' }
+  ]);
+  await new Promise(resolve => db.close(resolve));
+});
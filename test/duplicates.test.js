@@ -0,0 +1,129 @@
+// Duplicate listings: address and name keys, matching, clusters and merging
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { run, get, all } from '../database.js';
+import {
+  normalizeHost,
+  addressKey,
+  normalizeName,
+  nameSimilarity,
+  isAddressMatch,
+  findDuplicates,
+  findDuplicatesFor,
+  getDuplicateClusters,
+  mergeServers,
+  resolveDuplicatePolicy
+} from '../duplicates.js';
+
+let db;
+
+const ids = matches => matches.map(match => match.id);
+
+before(async () => {
+  db = new sqlite3.Database(':memory:');
+  await run(db, 'CREATE TABLE users (id INTEGER PRIMARY KEY, username TEXT)');
+  await run(db, `CREATE TABLE servers (
+    id INTEGER PRIMARY KEY, slug TEXT, name TEXT, ip TEXT, resolved_ip TEXT, resolved_port INTEGER, votes INTEGER DEFAULT 0,
+    plan TEXT DEFAULT 'free', moderation_status TEXT DEFAULT 'approved', created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    owner_id INTEGER, deleted_at DATETIME, deleted_by INTEGER)`);
+  await run(db, `CREATE TABLE votes (
+    id INTEGER PRIMARY KEY, server_id INTEGER NOT NULL, voter_hash TEXT NOT NULL,
+    voted_date TEXT NOT NULL DEFAULT (strftime('%Y-%m-%d', CURRENT_TIMESTAMP)), UNIQUE(server_id, voter_hash, voted_date))`);
+  await run(db, `CREATE TABLE user_favorites (
+    user_id INTEGER NOT NULL, server_id INTEGER NOT NULL, created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY(user_id, server_id))`);
+  await run(db, 'CREATE TABLE server_moderation_notes (id INTEGER PRIMARY KEY, server_id INTEGER, author_id INTEGER, note TEXT)');
+
+  await run(db, "INSERT INTO users (id, username) VALUES (1, 'admin'), (2, 'owner')");
+  await run(db, `INSERT INTO servers (id, name, ip, resolved_ip, resolved_port, votes, owner_id, deleted_at) VALUES
+    (1, 'Skyblock Legends', 'play.sky.net', '203.0.113.5', 25565, 10, 2, NULL),
+    (2, 'SkyBlock Legends MC', 'sky.net:25565', NULL, NULL, 3, NULL, NULL),
+    (3, 'Other Craft', 'other.net', '203.0.113.5', 25565, 0, NULL, NULL),
+    (4, 'Unrelated', 'x.org', '198.51.100.7', 25565, 0, NULL, NULL),
+    (5, 'Skyblock Legends', 'sky.net', NULL, NULL, 0, NULL, CURRENT_TIMESTAMP),
+    (6, 'Skyblock Legendz', 'y.org', NULL, NULL, 2, NULL, NULL)`);
+});
+
+after(async () => {
+  await new Promise(resolve => db.close(resolve));
+});
+
+test('reduces addresses and names to comparison keys', () => {
+  assert.equal(normalizeHost('Play.Example.com.:25565'), 'example.com:25565');
+  assert.equal(normalizeHost('example.com'), 'example.com:25565');
+  assert.equal(normalizeHost('play.example:19132'), 'play.example:19132');
+  assert.equal(normalizeHost('203.0.113.5'), '203.0.113.5:25565');
+  assert.equal(normalizeHost(''), null);
+
+  assert.equal(addressKey('203.0.113.5', 25565), '203.0.113.5:25565');
+  assert.equal(addressKey('2001:db8::1', 19132), '[2001:db8::1]:19132');
+  assert.equal(addressKey(null, 25565), null);
+
+  assert.equal(normalizeName('The Skyblock Network™'), 'theskyblock');
+  assert.equal(normalizeName('Crème Server!'), 'creme');
+  assert.equal(normalizeName('Minecraft Server'), 'minecraftserver');
+});
+
+test('scores name similarity by edit distance', () => {
+  assert.equal(nameSimilarity('skyblock', 'skyblock'), 1);
+  assert.ok(nameSimilarity('skyblocklegends', 'skyblocklegendz') > 0.9);
+  assert.equal(nameSimilarity('abc', 'abcdefgh'), 0);
+  assert.equal(nameSimilarity('', 'abc'), 0);
+});
+
+test('finds listings with the same host, resolved address or a similar name', async () => {
+  const matches = await findDuplicates(db, { id: 1, name: 'Skyblock Legends', ip: 'play.sky.net', resolved_ip: '203.0.113.5', resolved_port: 25565 });
+  assert.deepEqual(matches.map(match => [match.id, match.reasons]), [
+    [2, ['hostname', 'name']],
+    [3, ['address']],
+    [6, ['name']]
+  ]);
+  assert.deepEqual(matches.map(isAddressMatch), [true, true, false]);
+  assert.equal(matches[0].resolved_ip, undefined);
+
+  // New listings aren't compared with trashed ones
+  assert.deepEqual(ids(await findDuplicates(db, { name: 'Brand New', ip: 'www.sky.net' })), [1, 2]);
+
+  const byListing = await findDuplicatesFor(db, [{ id: 4, name: 'Unrelated', ip: 'x.org' }, { id: 3, name: 'Other Craft', ip: 'other.net' }]);
+  assert.deepEqual(byListing[4], []);
+  assert.deepEqual(ids(byListing[3]), []);
+});
+
+test('groups listings that match directly or through each other', async () => {
+  const clusters = await getDuplicateClusters(db);
+  assert.equal(clusters.length, 1);
+  assert.deepEqual(ids(clusters[0].servers), [1, 2, 3, 6]);
+  assert.deepEqual([...clusters[0].reasons].sort(), ['address', 'hostname', 'name']);
+  assert.equal(clusters[0].servers[0].owner_username, 'owner');
+});
+
+test('falls back to warning for unknown duplicate policies', () => {
+  assert.equal(resolveDuplicatePolicy({ duplicate_policy: 'block' }), 'block');
+  assert.equal(resolveDuplicatePolicy({ duplicate_policy: 'bogus' }), 'warn');
+  assert.equal(resolveDuplicatePolicy({}), 'warn');
+});
+
+test('merges votes and favorites into one listing and trashes the rest', async () => {
+  await run(db, "INSERT INTO votes (server_id, voter_hash) VALUES (1, 'a'), (2, 'a'), (6, 'b')");
+  await run(db, 'INSERT INTO user_favorites (user_id, server_id) VALUES (1, 1), (1, 2), (2, 6)');
+
+  assert.deepEqual(await mergeServers(db, { targetId: 1, sourceIds: [1], adminId: 1 }), { error: 'Pick at least one other listing to merge' });
+  assert.deepEqual(await mergeServers(db, { targetId: 1, sourceIds: ['2', 5], adminId: 1 }), { error: 'Server not found' });
+
+  assert.deepEqual(await mergeServers(db, { targetId: 1, sourceIds: ['2', 6, 6], adminId: 1 }), { merged: [2, 6], votes: 5 });
+
+  const servers = await all(db, 'SELECT id, votes, deleted_at IS NOT NULL AS trashed, deleted_by FROM servers WHERE id IN (1, 2, 6) ORDER BY id');
+  assert.deepEqual(servers.map(row => ({ ...row })), [
+    { id: 1, votes: 15, trashed: 0, deleted_by: null },
+    { id: 2, votes: 0, trashed: 1, deleted_by: 1 },
+    { id: 6, votes: 0, trashed: 1, deleted_by: 1 }
+  ]);
+  // A device that voted for both on the same day keeps one vote on the target
+  assert.deepEqual((await all(db, 'SELECT server_id, voter_hash FROM votes ORDER BY id')).map(row => [row.server_id, row.voter_hash]),
+    [[1, 'a'], [2, 'a'], [1, 'b']]);
+  assert.deepEqual((await all(db, 'SELECT user_id FROM user_favorites WHERE server_id = 1 ORDER BY user_id')).map(row => row.user_id), [1, 2]);
+  assert.equal((await get(db, 'SELECT note FROM server_moderation_notes WHERE server_id = 1')).note, 'Merged duplicate listings #2, #6 (5 votes)');
+
+  assert.deepEqual(await mergeServers(db, { targetId: 1, sourceIds: [2], adminId: 1 }), { error: 'Server not found' });
+});
@@ -0,0 +1,90 @@
+// Full-text search: query building, typo tolerance, ranking and highlight escaping
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { run } from '../database.js';
+import { initializeSearchIndex, tokenizeSearch, buildSearchQuery, renderHighlight } from '../search-index.js';
+import { initializeTagTables } from '../tags.js';
+import { initializeStatusTables } from '../status-poller.js';
+import { initializeUptimeTables } from '../uptime.js';
+import { listServers } from '../server-listing.js';
+
+let db;
+
+before(async () => {
+  db = new sqlite3.Database(':memory:');
+  await run(db, 'CREATE TABLE users (id INTEGER PRIMARY KEY, username TEXT)');
+  await run(db, `CREATE TABLE servers (
+    id INTEGER PRIMARY KEY, slug TEXT, name TEXT, ip TEXT, edition TEXT DEFAULT 'java', bedrock_port INTEGER,
+    description TEXT, description_html TEXT, description_text TEXT, website_url TEXT, banner_url TEXT, plan TEXT DEFAULT 'free',
+    votes INTEGER DEFAULT 0, verified INTEGER DEFAULT 0, verified_at DATETIME, rating_avg REAL, rating_count INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP, owner_id INTEGER, version_min TEXT, version_max TEXT, version_min_key TEXT,
+    version_max_key TEXT, country TEXT, region TEXT, continent TEXT, moderation_status TEXT DEFAULT 'approved', deleted_at DATETIME)`);
+  await run(db, 'CREATE TABLE server_revisions (id INTEGER PRIMARY KEY, server_id INTEGER, created_at DATETIME)');
+  // Listings from before the index existed are indexed when it is created
+  await run(db, `INSERT INTO servers (id, name, ip, description_text, votes) VALUES
+    (1, 'Skyblock Legends', 'sky.example.net', 'Islands in the sky', 1)`);
+  await initializeSearchIndex(db);
+  await initializeTagTables(db);
+  await initializeStatusTables(db);
+  await initializeUptimeTables(db);
+
+  await run(db, `INSERT INTO servers (id, name, ip, description_text, votes) VALUES
+    (2, 'Factions <b>&</b> Raids', 'play.example.net', 'Build a skyblock base, then raid', 50),
+    (3, 'Créative World', 'creative.example.net', 'Plots for everyone', 0)`);
+});
+
+after(async () => {
+  await new Promise(resolve => db.close(resolve));
+});
+
+test('splits queries into words like the index tokenizer', () => {
+  assert.deepEqual(tokenizeSearch('  Sky-Block, Légends!! '), ['sky', 'block', 'legends']);
+  assert.deepEqual(tokenizeSearch('"*" OR ()'), ['or']);
+  assert.deepEqual(tokenizeSearch(null), []);
+  assert.equal(tokenizeSearch('a b c d e f g h i j').length, 8);
+});
+
+test('matches every term as a word prefix, adding close spellings for unknown terms', async () => {
+  assert.equal(await buildSearchQuery(db, '!!'), null);
+  assert.equal(await buildSearchQuery(db, 'sky isl'), '"sky"* AND "isl"*');
+  assert.equal(await buildSearchQuery(db, 'skybolck'), '("skybolck"* OR "skyblock"*)');
+  // Nothing close enough: searched as typed
+  assert.equal(await buildSearchQuery(db, 'zzzzzz'), '"zzzzzz"*');
+});
+
+test('finds listings by name, address and description, ignoring accents', async () => {
+  const ids = async q => (await listServers(db, { q, sort: 'relevance' })).servers.map(server => server.id);
+
+  assert.deepEqual(await ids('creative'), [3]);
+  assert.deepEqual(await ids('play.example'), [2]);
+  assert.deepEqual(await ids('islands'), [1]);
+  assert.deepEqual(await ids('skyblok'), [1, 2]);
+  assert.deepEqual(await ids('nothing like this'), []);
+});
+
+test('ranks name matches above description matches', async () => {
+  const { servers } = await listServers(db, { q: 'skyblock', sort: 'relevance' });
+  // Listing 2 has far more votes but only mentions skyblock in its description
+  assert.deepEqual(servers.map(server => server.id), [1, 2]);
+});
+
+test('keeps the index in sync with edits and deletions', async () => {
+  await run(db, "UPDATE servers SET description_text = 'Now with dragons' WHERE id = 3");
+  assert.deepEqual((await listServers(db, { q: 'dragons' })).servers.map(server => server.id), [3]);
+  assert.deepEqual((await listServers(db, { q: 'plots' })).servers, []);
+
+  await run(db, 'DELETE FROM servers WHERE id = 3');
+  assert.deepEqual((await listServers(db, { q: 'dragons' })).servers, []);
+  await run(db, "INSERT INTO servers_fts(servers_fts) VALUES ('integrity-check')");
+});
+
+test('escapes highlighted text and marks only the matches', async () => {
+  assert.equal(renderHighlight('a \u0002<b>\u0003 & "q"'), 'a <mark>&lt;b&gt;</mark> &amp; &quot;q&quot;');
+  assert.equal(renderHighlight(null), '');
+
+  const [server] = (await listServers(db, { q: 'raid' })).servers;
+  assert.equal(server.highlight.name, 'Factions &lt;b&gt;&amp;&lt;/b&gt; <mark>Raids</mark>');
+  assert.equal(server.highlight.description, 'Build a skyblock base, then <mark>raid</mark>');
+  assert.equal(server.search_rank, undefined);
+});
@@ -0,0 +1,97 @@
+// Public server list: sort orders, keyset cursors and what is public
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { run } from '../database.js';
+import { initializeTagTables } from '../tags.js';
+import { initializeStatusTables } from '../status-poller.js';
+import { initializeUptimeTables } from '../uptime.js';
+import { listServers, decodeCursor, resolveSort, LISTING_SORTS } from '../server-listing.js';
+
+let db;
+
+// Every listing, one page of `limit` at a time, following next_cursor
+async function listAllPages(options, limit = 2) {
+  const pages = [];
+  let cursor = null;
+  do {
+    const page = await listServers(db, { ...options, limit, cursor });
+    pages.push(page.servers.map(server => server.id));
+    cursor = page.next_cursor ? decodeCursor(page.next_cursor, options.sort) : null;
+    if (page.next_cursor) assert.ok(cursor, 'next_cursor decodes for the same sort');
+  } while (cursor);
+  return pages;
+}
+
+before(async () => {
+  db = new sqlite3.Database(':memory:');
+  await run(db, 'CREATE TABLE users (id INTEGER PRIMARY KEY, username TEXT)');
+  await run(db, `CREATE TABLE servers (
+    id INTEGER PRIMARY KEY, slug TEXT, name TEXT, ip TEXT, edition TEXT DEFAULT 'java', bedrock_port INTEGER,
+    description TEXT, description_html TEXT, website_url TEXT, banner_url TEXT, plan TEXT DEFAULT 'free',
+    votes INTEGER DEFAULT 0, verified INTEGER DEFAULT 0, verified_at DATETIME, rating_avg REAL, rating_count INTEGER DEFAULT 0,
+    created_at DATETIME, owner_id INTEGER, version_min TEXT, version_max TEXT, version_min_key TEXT, version_max_key TEXT,
+    country TEXT, region TEXT, continent TEXT, moderation_status TEXT DEFAULT 'approved', deleted_at DATETIME)`);
+  await run(db, 'CREATE TABLE server_revisions (id INTEGER PRIMARY KEY, server_id INTEGER, created_at DATETIME)');
+  await initializeTagTables(db);
+  await initializeStatusTables(db);
+  await initializeUptimeTables(db);
+
+  await run(db, `INSERT INTO servers (id, name, plan, votes, created_at, rating_avg, rating_count, moderation_status, deleted_at) VALUES
+    (1, 'One', 'free', 5, '2026-01-01 00:00:00', 4.5, 2, 'approved', NULL),
+    (2, 'Two', 'paid', 1, '2026-01-02 00:00:00', NULL, 0, 'approved', NULL),
+    (3, 'Three', 'free', 5, '2026-01-01 00:00:00', 4.5, 7, 'approved', NULL),
+    (4, 'Four', 'free', 9, '2026-01-03 00:00:00', 2, 1, 'approved', NULL),
+    (5, 'Five', 'free', 5, '2026-01-05 00:00:00', NULL, 0, 'approved', NULL),
+    (6, 'Pending', 'paid', 3, '2026-01-06 00:00:00', NULL, 0, 'pending', NULL),
+    (7, 'Trashed', 'free', 100, '2026-01-07 00:00:00', NULL, 0, 'approved', '2026-02-01 00:00:00')`);
+});
+
+after(async () => {
+  await new Promise(resolve => db.close(resolve));
+});
+
+test('orders by search relevance only when there are search terms', () => {
+  assert.equal(resolveSort(undefined, ''), 'rank');
+  assert.equal(resolveSort('rank', 'sky block'), 'relevance');
+  assert.equal(resolveSort('new', 'sky block'), 'new');
+  assert.equal(resolveSort('bogus', '  !! '), 'rank');
+});
+
+test('pages through every public listing once, featured listings first', async () => {
+  assert.deepEqual(await listAllPages({ sort: 'rank' }), [[2, 4], [5, 3], [1]]);
+  assert.deepEqual(await listAllPages({ sort: 'new' }), [[2, 5], [4, 3], [1]]);
+  assert.deepEqual(await listAllPages({ sort: 'votes' }, 3), [[2, 4, 5], [3, 1]]);
+  // Unrated listings last; equal averages by review count
+  assert.deepEqual(await listAllPages({ sort: 'rating' }, 1), [[2], [3], [1], [4], [5]]);
+
+  const { total, next_cursor: nextCursor } = await listServers(db, { sort: 'rank', limit: 100 });
+  assert.equal(total, 5);
+  assert.equal(nextCursor, null);
+});
+
+test('accepts cursors only for the sort they were issued for', async () => {
+  const { next_cursor: cursor } = await listServers(db, { sort: 'rank', limit: 1 });
+  assert.deepEqual(decodeCursor(cursor, 'rank'), [0, 1, '2026-01-02 00:00:00', 2]);
+  assert.equal(decodeCursor(cursor, 'new'), null);
+});
+
+test('rejects malformed cursors and values of the wrong type', () => {
+  const encode = data => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+  assert.equal(decodeCursor('not a cursor', 'rank'), null);
+  assert.equal(decodeCursor(Buffer.from('[1,2').toString('base64url'), 'rank'), null);
+  assert.equal(decodeCursor(encode(null), 'rank'), null);
+  assert.equal(decodeCursor(encode({ sort: 'rank', values: 'x' }), 'rank'), null);
+  assert.equal(decodeCursor(encode({ sort: 'rank', values: [0, 1, '2026-01-02 00:00:00'] }), 'rank'), null);
+  assert.equal(decodeCursor(encode({ sort: 'rank', values: [0, '1', '2026-01-02 00:00:00', 2] }), 'rank'), null);
+  assert.equal(decodeCursor(encode({ sort: 'rank', values: [0, 1, 20260102, 2] }), 'rank'), null);
+  assert.equal(decodeCursor(encode({ sort: 'rank', values: [0, 1, '2026-01-02 00:00:00', null] }), 'rank'), null);
+  assert.equal(decodeCursor(encode({ sort: 'nope', values: [] }), 'nope'), null);
+
+  assert.equal(LISTING_SORTS.rank.length, 4);
+  assert.deepEqual(
+    decodeCursor(encode({ sort: 'rank', values: [1, 0, '2026-01-01 00:00:00', 9] }), 'rank'),
+    [1, 0, '2026-01-01 00:00:00', 9]
+  );
+});
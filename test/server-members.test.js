@@ -0,0 +1,109 @@
+// Listing teams: role permissions, invitations and ownership transfer
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { run, get, all } from '../database.js';
+import {
+  initializeMemberTables,
+  hasPermission,
+  canManageRole,
+  getServerAccess,
+  addMember,
+  createInvitation,
+  getInvitationsForUser,
+  respondToInvitation,
+  transferOwnership
+} from '../server-members.js';
+
+let db;
+
+before(async () => {
+  db = new sqlite3.Database(':memory:');
+  await run(db, 'CREATE TABLE users (id INTEGER PRIMARY KEY, username TEXT, email TEXT, deleted_at DATETIME)');
+  await run(db, 'CREATE TABLE servers (id INTEGER PRIMARY KEY, name TEXT, slug TEXT, owner_id INTEGER, deleted_at DATETIME)');
+  await run(db, `INSERT INTO users (id, username, email, deleted_at) VALUES
+    (1, 'owner', 'owner@example.com', NULL), (2, 'alice', 'Alice@Example.com', NULL),
+    (3, 'bob', 'bob@example.com', NULL), (4, 'gone', 'gone@example.com', CURRENT_TIMESTAMP)`);
+  await run(db, "INSERT INTO servers (id, name, slug, owner_id) VALUES (1, 'Craft', 'craft', 1)");
+  // Invitation to an address without an account, from before they were refused
+  await run(db, `CREATE TABLE server_invitations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT, server_id INTEGER NOT NULL, role TEXT NOT NULL,
+    invitee_user_id INTEGER, invitee_email TEXT, invited_by INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending', created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL, responded_at DATETIME)`);
+  await run(db, `INSERT INTO server_invitations (server_id, role, invitee_email, invited_by, expires_at)
+    VALUES (1, 'manager', 'later@example.com', 1, datetime('now', '+1 day'))`);
+  await initializeMemberTables(db);
+});
+
+after(async () => {
+  await new Promise(resolve => db.close(resolve));
+});
+
+test('grants each role only its own permissions and manageable roles', () => {
+  assert.ok(hasPermission('owner', 'transfer'));
+  assert.ok(hasPermission('manager', 'manage_members'));
+  assert.ok(!hasPermission('manager', 'delete'));
+  assert.ok(hasPermission('editor', 'edit'));
+  assert.ok(!hasPermission('editor', 'verify'));
+  assert.ok(!hasPermission(null, 'view'));
+
+  assert.ok(canManageRole('owner', 'manager'));
+  assert.ok(!canManageRole('owner', 'owner'));
+  assert.ok(canManageRole('manager', 'editor'));
+  assert.ok(!canManageRole('manager', 'manager'));
+  assert.ok(!canManageRole('editor', 'editor'));
+});
+
+test('makes listing owners owner members', async () => {
+  assert.equal((await getServerAccess(db, 1, 1)).role, 'owner');
+  assert.equal(await getServerAccess(db, 1, 2), null);
+});
+
+test('revokes pending invitations that only name an email address', async () => {
+  const legacy = await get(db, "SELECT status FROM server_invitations WHERE invitee_email = 'later@example.com'");
+  assert.equal(legacy.status, 'revoked');
+});
+
+test('invites registered users by username or email, and nobody else', async () => {
+  const byEmail = await createInvitation(db, { serverId: 1, identifier: ' alice@example.COM ', role: 'manager', invitedBy: 1 });
+  assert.equal(byEmail.invitation.invitee_user_id, 2);
+  assert.equal(byEmail.invitation.invitee_email, null);
+
+  assert.deepEqual(
+    await createInvitation(db, { serverId: 1, identifier: 'new@example.com', role: 'editor', invitedBy: 1 }),
+    { error: 'No user with that email', status: 404 }
+  );
+  assert.deepEqual(
+    await createInvitation(db, { serverId: 1, identifier: 'nobody', role: 'editor', invitedBy: 1 }),
+    { error: 'No user with that username', status: 404 }
+  );
+  assert.equal((await createInvitation(db, { serverId: 1, identifier: 'gone', role: 'editor', invitedBy: 1 })).status, 404);
+  assert.equal((await createInvitation(db, { serverId: 1, identifier: 'owner', role: 'editor', invitedBy: 1 })).status, 400);
+  assert.equal((await createInvitation(db, { serverId: 1, identifier: 'alice', role: 'editor', invitedBy: 1 })).status, 409);
+});
+
+test('lets only the invited account see and accept an invitation', async () => {
+  const [invitation] = await getInvitationsForUser(db, { id: 2, email: 'alice@example.com' });
+  assert.equal(invitation.server_name, 'Craft');
+  assert.equal(invitation.role, 'manager');
+  assert.deepEqual(await getInvitationsForUser(db, { id: 3, email: 'alice@example.com' }), []);
+
+  assert.equal((await respondToInvitation(db, invitation.id, { id: 3, email: 'alice@example.com' }, true)).status, 404);
+  await respondToInvitation(db, invitation.id, { id: 2, email: 'alice@example.com' }, true);
+  assert.equal((await getServerAccess(db, 1, 2)).role, 'manager');
+  assert.equal((await respondToInvitation(db, invitation.id, { id: 2 }, true)).status, 404);
+});
+
+test('keeps the previous owner on as manager after a transfer', async () => {
+  await addMember(db, 1, 3, 'editor', 1);
+  await transferOwnership(db, 1, 1, 3);
+
+  const members = await all(db, 'SELECT user_id, role FROM server_members WHERE server_id = 1 ORDER BY user_id');
+  assert.deepEqual(members.map(member => ({ ...member })), [
+    { user_id: 1, role: 'manager' },
+    { user_id: 2, role: 'manager' },
+    { user_id: 3, role: 'owner' }
+  ]);
+  assert.equal((await get(db, 'SELECT owner_id FROM servers WHERE id = 1')).owner_id, 3);
+});
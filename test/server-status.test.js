@@ -0,0 +1,89 @@
+// Server status: chat components, § codes and Bedrock RakNet pongs, parsed and against a local UDP responder
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import dgram from 'node:dgram';
+import { chatToText, stripFormatting, parseBedrockPong, pingBedrockServer } from '../server-status.js';
+
+const RAKNET_MAGIC = Buffer.from('00ffff00fefefefefdfdfdfd12345678', 'hex');
+
+// Unconnected pong: id, time, server GUID, magic, then the length-prefixed payload
+function createPong(payload, { id = 0x1c, magic = RAKNET_MAGIC } = {}) {
+  const data = Buffer.from(payload, 'utf8');
+  const packet = Buffer.alloc(35 + data.length);
+  packet.writeUInt8(id, 0);
+  packet.writeBigInt64BE(1n, 1);
+  packet.writeBigInt64BE(42n, 9);
+  magic.copy(packet, 17);
+  packet.writeUInt16BE(data.length, 33);
+  data.copy(packet, 35);
+  return packet;
+}
+
+test('flattens chat components and strips § codes', () => {
+  assert.equal(chatToText({ text: 'A', extra: ['B', { translate: 'C', extra: [{ text: 'D' }] }] }), 'ABCD');
+  assert.equal(chatToText([{ text: 'x' }, 'y']), 'xy');
+  assert.equal(chatToText(null), '');
+  assert.equal(stripFormatting('§aGreen §LBold§r §zkept'), 'Green Bold §zkept');
+  assert.equal(stripFormatting(undefined), '');
+});
+
+test('parses Bedrock pongs', () => {
+  const pong = createPong('MCPE;§aDedicated §lServer;622;1.20.40;3;20;123456789;§7Sub motd;Survival;1;19132;19133;');
+  assert.deepEqual(parseBedrockPong(pong), {
+    online: true,
+    playersOnline: 3,
+    playersMax: 20,
+    versionName: '1.20.40',
+    protocol: 622,
+    motd: 'Dedicated Server\nSub motd',
+    gamemode: 'Survival'
+  });
+
+  // Education Edition, and servers that leave most fields out
+  assert.deepEqual(parseBedrockPong(createPong('MCEE;Class;x;;')), {
+    online: true,
+    playersOnline: 0,
+    playersMax: 0,
+    versionName: null,
+    protocol: null,
+    motd: 'Class',
+    gamemode: null
+  });
+});
+
+test('rejects packets that are not Bedrock pongs', () => {
+  assert.throws(() => parseBedrockPong(Buffer.alloc(10)), /Not an unconnected pong packet/);
+  assert.throws(() => parseBedrockPong(createPong('MCPE;x', { id: 0x1d })), /Not an unconnected pong packet/);
+  assert.throws(() => parseBedrockPong(createPong('MCPE;x', { magic: Buffer.alloc(16) })), /Invalid RakNet magic/);
+  assert.throws(() => parseBedrockPong(createPong('JAVA;x')), /Unknown server edition: JAVA/);
+});
+
+test('pings a Bedrock server over UDP', async () => {
+  const server = dgram.createSocket('udp4');
+  server.on('message', (message, remote) => {
+    if (message[0] === 0x01 && message.subarray(9, 25).equals(RAKNET_MAGIC)) {
+      server.send(createPong('MCPE;Local;622;1.20.40;1;10;1;;Creative;'), remote.port, remote.address);
+    }
+  });
+  await new Promise(resolve => server.bind(0, '127.0.0.1', resolve));
+
+  try {
+    const result = await pingBedrockServer('127.0.0.1', server.address().port, { timeout: 2000 });
+    assert.equal(result.motd, 'Local');
+    assert.equal(result.playersOnline, 1);
+    assert.equal(result.gamemode, 'Creative');
+    assert.equal(typeof result.latency, 'number');
+  } finally {
+    server.close();
+  }
+});
+
+test('times out when nothing answers', async () => {
+  const silent = dgram.createSocket('udp4');
+  await new Promise(resolve => silent.bind(0, '127.0.0.1', resolve));
+  try {
+    await assert.rejects(pingBedrockServer('127.0.0.1', silent.address().port, { timeout: 200 }), /timed out after 200ms/);
+  } finally {
+    silent.close();
+  }
+});
@@ -0,0 +1,88 @@
+// Listing slugs: validation, generation, collisions and former slugs
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { run, get, all } from '../database.js';
+import {
+  initializeSlugTables,
+  slugify,
+  validateSlug,
+  isSlugAvailable,
+  generateUniqueSlug,
+  changeSlug,
+  resolveSlug
+} from '../slugs.js';
+
+let db;
+
+before(async () => {
+  db = new sqlite3.Database(':memory:');
+  await run(db, 'CREATE TABLE servers (id INTEGER PRIMARY KEY, name TEXT, slug TEXT)');
+  await run(db, `INSERT INTO servers (id, name) VALUES
+    (1, 'Skyblock Légends!'), (2, 'Skyblock Legends'), (3, 'Admin'), (4, '24/7 Survival'), (5, '!!!')`);
+  await initializeSlugTables(db);
+});
+
+after(async () => {
+  await new Promise(resolve => db.close(resolve));
+});
+
+test('turns names into slugs', () => {
+  assert.equal(slugify('Skyblock Légends!'), 'skyblock-legends');
+  assert.equal(slugify('  --Hello__World--  '), 'hello-world');
+  assert.equal(slugify('x'.repeat(59) + ' y'), 'x'.repeat(59));
+});
+
+test('accepts only well-formed slugs that are not reserved or read as ids', () => {
+  assert.equal(validateSlug('skyblock-legends'), null);
+  assert.equal(validateSlug('2b2t'), null);
+  assert.equal(validateSlug('craft-24'), null);
+
+  assert.match(validateSlug('Upper'), /lowercase letters/);
+  assert.match(validateSlug('double--dash'), /single dashes/);
+  assert.match(validateSlug('-edge'), /single dashes/);
+  assert.match(validateSlug('ab'), /3-60 characters/);
+  assert.match(validateSlug('a'.repeat(61)), /3-60 characters/);
+  assert.equal(validateSlug('12345'), 'Slug cannot be only numbers');
+  assert.equal(validateSlug('12-foo'), 'Slug cannot start with a number followed by a dash');
+  assert.equal(validateSlug('admin'), 'This slug is reserved');
+  assert.match(validateSlug(null), /lowercase letters/);
+});
+
+test('gives existing listings unique slugs, oldest first', async () => {
+  const rows = await all(db, 'SELECT id, slug FROM servers ORDER BY id');
+  assert.deepEqual(rows.map(row => row.slug), [
+    'skyblock-legends',
+    'skyblock-legends-2',
+    'admin-server',
+    'server-24-7-survival',
+    'minecraft-server'
+  ]);
+});
+
+test('keeps former slugs pointing at their listing', async () => {
+  await changeSlug(db, 1, 'sky-legends');
+
+  assert.deepEqual(await resolveSlug(db, 'sky-legends'), { serverId: 1, slug: 'sky-legends', current: true });
+  assert.deepEqual(await resolveSlug(db, 'skyblock-legends'), { serverId: 1, slug: 'sky-legends', current: false });
+  assert.equal(await resolveSlug(db, 'nothing-here'), null);
+
+  // Only the listing that used a slug may take it back
+  assert.equal(await isSlugAvailable(db, 'skyblock-legends', 2), false);
+  assert.equal(await isSlugAvailable(db, 'skyblock-legends', 1), true);
+  assert.equal(await generateUniqueSlug(db, 'Skyblock Legends'), 'skyblock-legends-3');
+
+  await changeSlug(db, 1, 'skyblock-legends');
+  assert.deepEqual(await resolveSlug(db, 'skyblock-legends'), { serverId: 1, slug: 'skyblock-legends', current: true });
+  assert.deepEqual(await resolveSlug(db, 'sky-legends'), { serverId: 1, slug: 'skyblock-legends', current: false });
+});
+
+test('changes nothing when another listing took the slug in the meantime', async () => {
+  assert.equal(await isSlugAvailable(db, 'fresh-slug', 2), true);
+  await run(db, 'UPDATE servers SET slug = ? WHERE id = 3', ['fresh-slug']);
+
+  await assert.rejects(changeSlug(db, 2, 'fresh-slug'), { code: 'SQLITE_CONSTRAINT' });
+  assert.equal((await get(db, 'SELECT slug FROM servers WHERE id = 2')).slug, 'skyblock-legends-2');
+  assert.equal(await resolveSlug(db, 'skyblock-legends-2').then(found => found.current), true);
+  assert.equal(await get(db, 'SELECT * FROM server_slug_history WHERE server_id = 2'), undefined);
+});
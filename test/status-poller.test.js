@@ -0,0 +1,222 @@
+// Status poller against a local fake Server List Ping responder
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import sqlite3 from 'sqlite3';
+import { initializeStatusTables, pollServer, pollAllServers } from '../status-poller.js';
+import { initializeUptimeTables } from '../uptime.js';
+import { RESOLVER_CONFIG } from '../address-resolver.js';
+
+const STATUS = {
+  version: { name: 'Paper 1.20.4', protocol: 765 },
+  players: { max: 100, online: 7 },
+  description: { text: '§aWelcome to ', extra: [{ text: '§lTest Craft' }] }
+};
+
+function encodeVarInt(value) {
+  const bytes = [];
+  let v = value >>> 0;
+  do {
+    let byte = v & 0x7f;
+    v >>>= 7;
+    if (v !== 0) byte |= 0x80;
+    bytes.push(byte);
+  } while (v !== 0);
+  return Buffer.from(bytes);
+}
+
+function decodeVarInt(buffer, offset = 0) {
+  let value = 0;
+  let size = 0;
+  let byte;
+  do {
+    if (offset + size >= buffer.length) return null;
+    byte = buffer[offset + size];
+    value |= (byte & 0x7f) << (7 * size);
+    size++;
+  } while (byte & 0x80);
+  return { value, size };
+}
+
+function createPacket(packetId, payload) {
+  const body = Buffer.concat([encodeVarInt(packetId), payload]);
+  return Buffer.concat([encodeVarInt(body.length), body]);
+}
+
+// Answers the handshake and status request with `status` and echoes the ping.
+// Responses go out a few bytes at a time, so the client has to put packets
+// back together from several chunks. Handshakes are kept in `handshakes`.
+function startFakeResponder(status) {
+  const handshakes = [];
+  const server = net.createServer((socket) => {
+    let buffer = Buffer.alloc(0);
+    let handshaken = false;
+
+    const writeInChunks = async (data) => {
+      for (let i = 0; i < data.length; i += 3) {
+        if (socket.destroyed) return;
+        socket.write(data.subarray(i, i + 3));
+        await new Promise(resolve => setTimeout(resolve, 1));
+      }
+    };
+
+    socket.on('error', () => {});
+    socket.on('data', async (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      while (true) {
+        const length = decodeVarInt(buffer);
+        if (!length || buffer.length < length.size + length.value) return;
+        const packet = buffer.subarray(length.size, length.size + length.value);
+        buffer = buffer.subarray(length.size + length.value);
+        const packetId = decodeVarInt(packet);
+
+        if (!handshaken) {
+          handshaken = true;
+          // Protocol version, then the address the client connected to
+          const protocol = decodeVarInt(packet, packetId.size);
+          const hostLength = decodeVarInt(packet, packetId.size + protocol.size);
+          const hostStart = packetId.size + protocol.size + hostLength.size;
+          handshakes.push({
+            host: packet.subarray(hostStart, hostStart + hostLength.value).toString('utf8'),
+            port: packet.readUInt16BE(hostStart + hostLength.value)
+          });
+        } else if (packetId.value === 0x00) {
+          const json = Buffer.from(JSON.stringify(status), 'utf8');
+          await writeInChunks(createPacket(0x00, Buffer.concat([encodeVarInt(json.length), json])));
+        } else if (packetId.value === 0x01) {
+          await writeInChunks(createPacket(0x01, packet.subarray(packetId.size)));
+        }
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, port: server.address().port, handshakes }));
+  });
+}
+
+// A port nothing listens on
+function getClosedPort() {
+  return new Promise((resolve) => {
+    const server = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+let db;
+let responder;
+
+before(async () => {
+  // The fake responder listens on loopback
+  RESOLVER_CONFIG.allowPrivateAddresses = true;
+  responder = await startFakeResponder(STATUS);
+  db = new sqlite3.Database(':memory:');
+  await new Promise((resolve, reject) => {
+    db.run(
+      `CREATE TABLE servers (id INTEGER PRIMARY KEY, name TEXT, ip TEXT, edition TEXT, bedrock_port INTEGER, deleted_at DATETIME)`,
+      (err) => (err ? reject(err) : resolve())
+    );
+  });
+  await initializeStatusTables(db);
+  await initializeUptimeTables(db);
+});
+
+after(async () => {
+  RESOLVER_CONFIG.allowPrivateAddresses = false;
+  await new Promise(resolve => responder.server.close(resolve));
+  await new Promise(resolve => db.close(resolve));
+});
+
+test('stores the status a Java server reports', async () => {
+  const server = { id: 1, name: 'Fake', ip: `127.0.0.1:${responder.port}`, edition: 'java' };
+  const result = await pollServer(db, server, { timeout: 2000 });
+
+  assert.equal(result.online, true);
+  assert.deepEqual(responder.handshakes.at(-1), { host: '127.0.0.1', port: responder.port });
+
+  const [status] = await all(db, 'SELECT * FROM server_status WHERE server_id = 1');
+  assert.equal(status.online, 1);
+  assert.equal(status.players_online, 7);
+  assert.equal(status.players_max, 100);
+  assert.equal(status.version_name, 'Paper 1.20.4');
+  assert.equal(status.protocol, 765);
+  assert.equal(status.motd, 'Welcome to Test Craft');
+  assert.equal(status.source, 'java');
+  assert.equal(status.error, null);
+  assert.ok(Number.isInteger(status.latency_ms));
+  assert.ok(status.last_online);
+
+  const samples = await all(db, 'SELECT online, players_online FROM server_status_samples WHERE server_id = 1');
+  assert.deepEqual(samples.map(sample => ({ ...sample })), [{ online: 1, players_online: 7 }]);
+});
+
+test('keeps the last known details when a server goes offline', async () => {
+  const closedPort = await getClosedPort();
+  const changes = [];
+  const server = { id: 1, name: 'Fake', ip: `127.0.0.1:${closedPort}`, edition: 'java' };
+  const result = await pollServer(db, server, {
+    timeout: 2000,
+    onStatusChange: (changed, status) => changes.push([changed.id, status.online])
+  });
+
+  assert.equal(result.online, false);
+  assert.deepEqual(changes, [[1, false]]);
+
+  const [status] = await all(db, 'SELECT * FROM server_status WHERE server_id = 1');
+  assert.equal(status.online, 0);
+  assert.equal(status.players_online, null);
+  assert.equal(status.version_name, 'Paper 1.20.4');
+  assert.equal(status.motd, 'Welcome to Test Craft');
+  assert.ok(status.error);
+  assert.ok(status.last_online);
+});
+
+test('polls every listing that is not in the trash', async () => {
+  const closedPort = await getClosedPort();
+  await new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO servers (id, name, ip, edition, deleted_at) VALUES
+        (10, 'Up', ?, 'java', NULL), (11, 'Down', ?, 'java', NULL), (12, 'Trashed', ?, 'java', CURRENT_TIMESTAMP)`,
+      [`127.0.0.1:${responder.port}`, `127.0.0.1:${closedPort}`, `127.0.0.1:${responder.port}`],
+      (err) => (err ? reject(err) : resolve())
+    );
+  });
+
+  const summary = await pollAllServers(db, { timeout: 2000 });
+  assert.deepEqual(summary, { checked: 2, online: 1 });
+
+  const rows = await all(db, 'SELECT server_id, online FROM server_status WHERE server_id >= 10 ORDER BY server_id');
+  assert.deepEqual(rows.map(row => ({ ...row })), [{ server_id: 10, online: 1 }, { server_id: 11, online: 0 }]);
+});
+
+test('never pings listings on loopback or private addresses', async () => {
+  RESOLVER_CONFIG.allowPrivateAddresses = false;
+  const handshakes = responder.handshakes.length;
+  const pinged = [];
+  const pingBedrock = async (host) => {
+    pinged.push(host);
+    return { online: true };
+  };
+
+  try {
+    const java = await pollServer(db, { id: 20, name: 'Local', ip: `127.0.0.1:${responder.port}`, edition: 'java' }, { timeout: 2000 });
+    assert.equal(java.online, false);
+    assert.match(java.error, /non-public address/);
+    assert.equal(responder.handshakes.length, handshakes);
+
+    const bedrock = await pollServer(db, { id: 21, name: 'Lan', ip: '192.168.1.20', edition: 'bedrock' }, { pingBedrock });
+    assert.equal(bedrock.online, false);
+    assert.match(bedrock.error, /non-public address/);
+    assert.deepEqual(pinged, []);
+  } finally {
+    RESOLVER_CONFIG.allowPrivateAddresses = true;
+  }
+});
@@ -0,0 +1,98 @@
+// Tags: parsing, lookup, listing tags and the any/all filter with facet counts
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { run, all } from '../database.js';
+import {
+  initializeTagTables,
+  slugifyTag,
+  parseTagList,
+  resolveTagSlugs,
+  setServerTags,
+  getTagsForServers,
+  getAllTags,
+  MAX_TAGS_PER_SERVER
+} from '../tags.js';
+import { initializeStatusTables } from '../status-poller.js';
+import { initializeUptimeTables } from '../uptime.js';
+import { listServers } from '../server-listing.js';
+
+let db;
+let survival;
+let pvp;
+
+before(async () => {
+  db = new sqlite3.Database(':memory:');
+  await run(db, 'CREATE TABLE users (id INTEGER PRIMARY KEY, username TEXT)');
+  await run(db, `CREATE TABLE servers (
+    id INTEGER PRIMARY KEY, slug TEXT, name TEXT, ip TEXT, edition TEXT DEFAULT 'java', bedrock_port INTEGER,
+    description TEXT, description_html TEXT, website_url TEXT, banner_url TEXT, plan TEXT DEFAULT 'free',
+    votes INTEGER DEFAULT 0, verified INTEGER DEFAULT 0, verified_at DATETIME, rating_avg REAL, rating_count INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP, owner_id INTEGER, version_min TEXT, version_max TEXT, version_min_key TEXT,
+    version_max_key TEXT, country TEXT, region TEXT, continent TEXT, moderation_status TEXT DEFAULT 'approved', deleted_at DATETIME)`);
+  await run(db, 'CREATE TABLE server_revisions (id INTEGER PRIMARY KEY, server_id INTEGER, created_at DATETIME)');
+  await initializeTagTables(db);
+  await initializeStatusTables(db);
+  await initializeUptimeTables(db);
+
+  await run(db, `INSERT INTO servers (id, name, votes, deleted_at) VALUES
+    (1, 'Survival PvP', 3, NULL), (2, 'Survival only', 2, NULL), (3, 'PvP only', 1, NULL), (4, 'Trashed PvP', 9, CURRENT_TIMESTAMP)`);
+  [survival] = (await resolveTagSlugs(db, ['survival'])).tagIds;
+  [pvp] = (await resolveTagSlugs(db, ['pvp'])).tagIds;
+  await setServerTags(db, 1, [survival, pvp]);
+  await setServerTags(db, 2, [survival]);
+  await setServerTags(db, 3, [pvp]);
+  await setServerTags(db, 4, [pvp]);
+});
+
+after(async () => {
+  await new Promise(resolve => db.close(resolve));
+});
+
+test('seeds the default tags once', async () => {
+  const tags = await getAllTags(db);
+  assert.ok(tags.some(tag => tag.slug === 'skyblock' && tag.category === 'gamemode'));
+
+  await run(db, "DELETE FROM tags WHERE slug = 'vanilla'");
+  await initializeTagTables(db);
+  assert.equal((await all(db, "SELECT id FROM tags WHERE slug = 'vanilla'")).length, 0);
+});
+
+test('parses tag lists into unique slugs', () => {
+  assert.equal(slugifyTag('  Sky Block! '), 'sky-block');
+  assert.deepEqual(parseTagList('Survival, pvp ,,PvP'), ['survival', 'pvp']);
+  assert.deepEqual(parseTagList(['Sky Block', '']), ['sky-block']);
+  assert.deepEqual(parseTagList(undefined), []);
+});
+
+test('refuses unknown tags and too many tags', async () => {
+  assert.deepEqual(await resolveTagSlugs(db, ['survival', 'nope', 'nada']), { error: 'Unknown tags: nope, nada' });
+  const tooMany = Array.from({ length: MAX_TAGS_PER_SERVER + 1 }, (_, i) => `tag-${i}`);
+  assert.deepEqual(await resolveTagSlugs(db, tooMany), { error: `You can pick at most ${MAX_TAGS_PER_SERVER} tags` });
+  assert.deepEqual(await resolveTagSlugs(db, []), { tagIds: [] });
+});
+
+test('replaces the tags of a listing', async () => {
+  await setServerTags(db, 3, [pvp, pvp]);
+  const byServer = await getTagsForServers(db, [1, 3, 99]);
+  assert.deepEqual(byServer[1].map(tag => tag.slug), ['pvp', 'survival']);
+  assert.deepEqual(byServer[3].map(tag => tag.slug), ['pvp']);
+  assert.equal(byServer[99], undefined);
+  assert.deepEqual(await getTagsForServers(db, []), {});
+});
+
+test('filters listings with any or all of the tags and counts tags among the matches', async () => {
+  const any = await listServers(db, { tags: ['survival', 'pvp'], tagMode: 'or' });
+  assert.deepEqual(any.servers.map(server => server.id), [1, 2, 3]);
+  assert.deepEqual(any.facets.tags.map(tag => [tag.slug, tag.count]), [['pvp', 2], ['survival', 2]]);
+
+  const both = await listServers(db, { tags: ['survival', 'pvp'], tagMode: 'and' });
+  assert.deepEqual(both.servers.map(server => server.id), [1]);
+  assert.equal(both.total, 1);
+  assert.deepEqual(both.servers[0].tags.map(tag => tag.slug), ['pvp', 'survival']);
+
+  // Trashed listings don't count towards a tag
+  const counts = Object.fromEntries((await getAllTags(db)).map(tag => [tag.slug, tag.server_count]));
+  assert.equal(counts.pvp, 2);
+  assert.equal(counts.survival, 2);
+});
@@ -0,0 +1,114 @@
+// Trash: soft deletion, restore and purging listings and accounts with the rows that point at them
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { run, get, all } from '../database.js';
+import { trashServer, restoreServer, trashUser, restoreUser, getTrash, purgeTrash } from '../trash.js';
+
+// Just the columns the trash touches
+const TABLES = {
+  users: ['username', 'email', 'role', 'created_at', 'deleted_at', 'deleted_by'],
+  servers: ['name', 'slug', 'ip', 'plan', 'votes', 'created_at', 'owner_id', 'banner_url', 'rating_avg', 'rating_count',
+    'moderated_by', 'deleted_at', 'deleted_by'],
+  site_settings: ['key', 'value'],
+  votes: ['server_id'],
+  server_members: ['server_id', 'user_id', 'role', 'added_by'],
+  server_invitations: ['server_id', 'invitee_user_id', 'invited_by', 'status'],
+  server_tags: ['server_id'],
+  server_status: ['server_id'],
+  server_status_samples: ['server_id'],
+  server_status_hourly: ['server_id'],
+  server_status_daily: ['server_id'],
+  server_reviews: ['server_id', 'user_id', 'rating', 'hidden', 'reply_by', 'hidden_by'],
+  server_revisions: ['server_id', 'user_id'],
+  server_moderation_notes: ['server_id', 'author_id'],
+  server_slug_history: ['server_id', 'slug'],
+  user_favorites: ['server_id', 'user_id'],
+  user_notifications: ['server_id', 'user_id'],
+  server_reports: ['server_id', 'reporter_user_id', 'assignee_id', 'resolved_by'],
+  user_devices: ['user_id'],
+  login_history: ['user_id'],
+  security_events: ['user_id'],
+  ip_blacklist: ['created_by']
+};
+
+let db;
+
+before(async () => {
+  db = new sqlite3.Database(':memory:');
+  for (const [table, columns] of Object.entries(TABLES)) {
+    await run(db, `CREATE TABLE ${table} (id INTEGER PRIMARY KEY, ${columns.join(', ')})`);
+  }
+});
+
+after(async () => {
+  await new Promise(resolve => db.close(resolve));
+});
+
+test('trashes and restores listings and accounts once', async () => {
+  await run(db, "INSERT INTO users (id, username) VALUES (1, 'admin'), (2, 'owner')");
+  await run(db, "INSERT INTO servers (id, name, owner_id) VALUES (1, 'Craft', 2)");
+
+  assert.equal(await trashServer(db, 1, 1), true);
+  assert.equal(await trashServer(db, 1, 1), false);
+  assert.equal(await trashUser(db, 2, 1), true);
+
+  const trash = await getTrash(db);
+  assert.equal(trash.retention_days, 30);
+  assert.deepEqual(trash.servers.map(server => [server.id, server.owner_username, server.deleted_by_username]), [[1, 'owner', 'admin']]);
+  assert.deepEqual(trash.users.map(user => user.username), ['owner']);
+  assert.ok(trash.servers[0].purge_at > trash.servers[0].deleted_at);
+
+  assert.equal(await restoreServer(db, 1), true);
+  assert.equal(await restoreServer(db, 1), false);
+  assert.equal(await restoreUser(db, 2), true);
+  assert.deepEqual(await getTrash(db), { retention_days: 30, servers: [], users: [] });
+});
+
+test('purges only what has been in the trash longer than the retention window', async () => {
+  await run(db, "INSERT INTO site_settings (key, value) VALUES ('trash_retention_days', '7')");
+  await run(db, "INSERT INTO servers (id, name, deleted_at) VALUES (2, 'Recent', datetime('now', '-6 days')), (3, 'Old', datetime('now', '-8 days'))");
+
+  assert.deepEqual(await purgeTrash(db), { servers: 1, users: 0 });
+  assert.deepEqual((await all(db, 'SELECT id FROM servers ORDER BY id')).map(row => row.id), [1, 2]);
+});
+
+test('purges the rows that point at a listing', async () => {
+  await run(db, "INSERT INTO servers (id, name, slug, deleted_at) VALUES (4, 'Gone', 'gone', datetime('now', '-8 days'))");
+  await run(db, 'INSERT INTO votes (server_id) VALUES (4), (1)');
+  await run(db, "INSERT INTO server_slug_history (server_id, slug) VALUES (4, 'old-gone')");
+  await run(db, 'INSERT INTO user_notifications (id, server_id, user_id) VALUES (1, 4, 1)');
+  await run(db, 'INSERT INTO server_reports (id, server_id) VALUES (1, 4)');
+
+  await purgeTrash(db);
+
+  assert.deepEqual((await all(db, 'SELECT server_id FROM votes')).map(row => row.server_id), [1]);
+  assert.deepEqual(await all(db, 'SELECT * FROM server_slug_history'), []);
+  assert.equal((await get(db, 'SELECT server_id FROM user_notifications WHERE id = 1')).server_id, null);
+  assert.equal((await get(db, 'SELECT server_id FROM server_reports WHERE id = 1')).server_id, null);
+});
+
+test('purges an account, detaching what it did as moderator and refreshing ratings', async () => {
+  await run(db, "INSERT INTO users (id, username, deleted_at) VALUES (3, 'mod', datetime('now', '-8 days'))");
+  await run(db, 'UPDATE servers SET moderated_by = 3, rating_avg = 3, rating_count = 2 WHERE id = 1');
+  await run(db, `INSERT INTO server_reviews (server_id, user_id, rating, hidden, hidden_by) VALUES
+    (1, 3, 1, 0, NULL), (1, 1, 5, 0, NULL), (1, 2, 2, 1, 3)`);
+  await run(db, "INSERT INTO server_members (server_id, user_id, role, added_by) VALUES (1, 2, 'editor', 3), (1, 3, 'manager', 1)");
+  await run(db, "INSERT INTO server_invitations (server_id, invitee_user_id, invited_by, status) VALUES (1, 1, 3, 'pending')");
+  await run(db, 'INSERT INTO server_reports (id, server_id, assignee_id, resolved_by) VALUES (2, 1, 3, 3)');
+  await run(db, 'INSERT INTO ip_blacklist (created_by) VALUES (3)');
+
+  assert.deepEqual(await purgeTrash(db), { servers: 0, users: 1 });
+
+  assert.equal(await get(db, 'SELECT id FROM users WHERE id = 3'), undefined);
+  const server = await get(db, 'SELECT moderated_by, rating_avg, rating_count FROM servers WHERE id = 1');
+  assert.deepEqual({ ...server }, { moderated_by: null, rating_avg: 5, rating_count: 1 });
+  assert.deepEqual((await all(db, 'SELECT user_id, hidden_by FROM server_reviews ORDER BY user_id')).map(row => ({ ...row })), [
+    { user_id: 1, hidden_by: null },
+    { user_id: 2, hidden_by: null }
+  ]);
+  assert.deepEqual((await all(db, 'SELECT user_id, added_by FROM server_members')).map(row => ({ ...row })), [{ user_id: 2, added_by: null }]);
+  assert.deepEqual(await all(db, 'SELECT * FROM server_invitations'), []);
+  assert.deepEqual({ ...(await get(db, 'SELECT assignee_id, resolved_by FROM server_reports WHERE id = 2')) }, { assignee_id: null, resolved_by: null });
+  assert.equal((await get(db, 'SELECT created_by FROM ip_blacklist')).created_by, null);
+});
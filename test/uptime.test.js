@@ -0,0 +1,93 @@
+// Uptime: recording probes, hourly and daily rollups, uptime percentages and outages
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { run, get, all } from '../database.js';
+import {
+  initializeUptimeTables,
+  recordStatusSample,
+  rollupStatusSamples,
+  getUptimeStats,
+  getOutages,
+  UPTIME_CONFIG
+} from '../uptime.js';
+
+let db;
+
+// Sample rows as [online, players_online, modifier relative to now]
+async function insertSamples(serverId, samples) {
+  for (const [online, players, modifier] of samples) {
+    await run(db, "INSERT INTO server_status_samples (server_id, online, players_online, checked_at) VALUES (?, ?, ?, datetime('now', ?))",
+      [serverId, online, players, modifier]);
+  }
+}
+
+before(async () => {
+  db = new sqlite3.Database(':memory:');
+  await initializeUptimeTables(db);
+  // Running it again on an existing schema changes nothing
+  await initializeUptimeTables(db);
+});
+
+after(async () => {
+  await new Promise(resolve => db.close(resolve));
+});
+
+test('records player counts only for online probes', async () => {
+  await recordStatusSample(db, 9, { online: true, playersOnline: 4, latency: 31 });
+  await recordStatusSample(db, 9, { online: false, playersOnline: 4 });
+
+  const rows = await all(db, 'SELECT online, latency_ms, players_online FROM server_status_samples WHERE server_id = 9 ORDER BY id');
+  assert.deepEqual(rows.map(row => ({ ...row })), [
+    { online: 1, latency_ms: 31, players_online: 4 },
+    { online: 0, latency_ms: null, players_online: null }
+  ]);
+});
+
+test('rolls old samples up into hours and days without counting them twice', async () => {
+  const hour = (await get(db, `SELECT strftime('%Y-%m-%d %H:00:00', 'now', '-${UPTIME_CONFIG.rawRetentionHours + 2} hours') AS hour`)).hour;
+  for (const [online, players] of [[1, 5], [1, 9], [0, null]]) {
+    await run(db, "INSERT INTO server_status_samples (server_id, online, players_online, checked_at) VALUES (1, ?, ?, datetime(?, '+10 minutes'))",
+      [online, players, hour]);
+  }
+  await insertSamples(1, [[1, 2, '-1 hours']]);
+  await run(db, `INSERT INTO server_status_hourly (server_id, hour, samples, online_samples) VALUES
+    (1, strftime('%Y-%m-%d %H:00:00', 'now', '-${UPTIME_CONFIG.hourlyRetentionDays + 5} days'), 1, 1)`);
+  await run(db, `INSERT INTO server_status_daily (server_id, day, samples, online_samples) VALUES
+    (1, date('now', '-${UPTIME_CONFIG.dailyRetentionDays + 5} days'), 1, 1)`);
+
+  await rollupStatusSamples(db);
+  await rollupStatusSamples(db);
+
+  assert.deepEqual((await all(db, 'SELECT hour, samples, online_samples, players_sum, players_max FROM server_status_hourly')).map(row => ({ ...row })), [
+    { hour, samples: 3, online_samples: 2, players_sum: 14, players_max: 9 }
+  ]);
+  assert.deepEqual((await all(db, 'SELECT day, samples, online_samples, players_sum, players_max FROM server_status_daily')).map(row => ({ ...row })), [
+    { day: hour.slice(0, 10), samples: 3, online_samples: 2, players_sum: 14, players_max: 9 }
+  ]);
+  // Only the recent sample stays raw
+  assert.deepEqual((await all(db, 'SELECT players_online FROM server_status_samples WHERE server_id = 1')).map(row => row.players_online), [2]);
+});
+
+test('computes uptime per window from raw samples and hourly buckets', async () => {
+  await insertSamples(2, [[1, 1, '-4 hours'], [1, 1, '-3 hours'], [0, null, '-2 hours'], [1, 1, '-1 hours'], [0, null, '-30 minutes']]);
+  await run(db, "INSERT INTO server_status_hourly (server_id, hour, samples, online_samples) VALUES (2, strftime('%Y-%m-%d %H:00:00', 'now', '-3 days'), 4, 0)");
+
+  assert.deepEqual(await getUptimeStats(db, 2), { '24h': 60, '7d': 33.33, '30d': 33.33 });
+  assert.deepEqual(await getUptimeStats(db, 404), { '24h': null, '7d': null, '30d': null });
+});
+
+test('lists outages newest first, the latest one still ongoing', async () => {
+  const outages = await getOutages(db, 2);
+  assert.deepEqual(outages.map(outage => [outage.source, outage.ongoing]), [['samples', true], ['samples', false], ['hourly', false]]);
+
+  const [ongoing, recovered, old] = outages;
+  assert.equal(ongoing.ended_at, null);
+  assert.ok(ongoing.duration_minutes >= 29 && ongoing.duration_minutes <= 31);
+  assert.equal(recovered.duration_minutes, 60);
+  assert.match(old.started_at, /:00:00$/);
+  // The hourly outage ends with the first raw sample that was online
+  assert.equal(old.ended_at, (await get(db, 'SELECT MIN(checked_at) AS first FROM server_status_samples WHERE server_id = 2')).first);
+
+  assert.deepEqual(await getOutages(db, 404), []);
+});
@@ -0,0 +1,230 @@
+// trash.js - Soft deletion of listings and user accounts: trash, restore, and purging after the retention window
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getSettings } from './site-settings.js';
+import { logInfo, logError } from './logger.js';
+import { run, all, runInTransaction } from './database.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Site setting defaults for the trash
+export const TRASH_SETTING_DEFAULTS = {
+  trash_retention_days: '30'  // purge trashed listings and accounts after this many days
+};
+
+const PURGE_INTERVAL = 60 * 60 * 1000;
+
+function retentionModifier(settings) {
+  const days = parseFloat(settings.trash_retention_days);
+  return `-${Number.isFinite(days) && days >= 0 ? days : 30} days`;
+}
+
+// Move a listing to the trash. Its votes, reviews, team and history stay
+// untouched until it is purged. Resolves with false when the listing doesn't
+// exist or already is in the trash.
+export async function trashServer(db, serverId, deletedBy) {
+  const result = await run(
+    db,
+    'UPDATE servers SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ? WHERE id = ? AND deleted_at IS NULL',
+    [deletedBy, serverId]
+  );
+  return result.changes > 0;
+}
+
+export async function restoreServer(db, serverId) {
+  const result = await run(
+    db,
+    'UPDATE servers SET deleted_at = NULL, deleted_by = NULL WHERE id = ? AND deleted_at IS NOT NULL',
+    [serverId]
+  );
+  return result.changes > 0;
+}
+
+// Move a user account to the trash; it can't log in until restored and its
+// existing sessions stop working. Its username and email stay taken until the
+// account is purged.
+export async function trashUser(db, userId, deletedBy) {
+  const result = await run(
+    db,
+    'UPDATE users SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ? WHERE id = ? AND deleted_at IS NULL',
+    [deletedBy, userId]
+  );
+  return result.changes > 0;
+}
+
+export async function restoreUser(db, userId) {
+  const result = await run(
+    db,
+    'UPDATE users SET deleted_at = NULL, deleted_by = NULL WHERE id = ? AND deleted_at IS NOT NULL',
+    [userId]
+  );
+  return result.changes > 0;
+}
+
+// Trashed listings and accounts, most recently deleted first, each with the
+// time it will be purged
+export async function getTrash(db) {
+  const settings = await getSettings(db, TRASH_SETTING_DEFAULTS);
+  const purgeAfter = retentionModifier(settings).slice(1);
+
+  const [servers, users] = await Promise.all([
+    all(
+      db,
+      `SELECT s.id, s.name, s.slug, s.ip, s.plan, s.votes, s.created_at, s.deleted_at,
+              datetime(s.deleted_at, ?) as purge_at, owner.username as owner_username, deleter.username as deleted_by_username
+       FROM servers s
+       LEFT JOIN users owner ON owner.id = s.owner_id
+       LEFT JOIN users deleter ON deleter.id = s.deleted_by
+       WHERE s.deleted_at IS NOT NULL
+       ORDER BY s.deleted_at DESC, s.id DESC`,
+      [purgeAfter]
+    ),
+    all(
+      db,
+      `SELECT u.id, u.username, u.email, u.role, u.created_at, u.deleted_at,
+              datetime(u.deleted_at, ?) as purge_at, deleter.username as deleted_by_username
+       FROM users u
+       LEFT JOIN users deleter ON deleter.id = u.deleted_by
+       WHERE u.deleted_at IS NOT NULL
+       ORDER BY u.deleted_at DESC, u.id DESC`,
+      [purgeAfter]
+    )
+  ]);
+
+  return { retention_days: parseFloat(purgeAfter), servers, users };
+}
+
+// Remove an uploaded banner of a purged listing; external banner URLs are left alone
+function removeUploadedBanner(bannerUrl) {
+  if (!bannerUrl || !bannerUrl.startsWith('/uploads/')) return;
+  const filePath = path.join(__dirname, 'public', 'uploads', path.basename(bannerUrl));
+  try {
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+  } catch (error) {
+    logError('Failed to remove banner of purged listing', error);
+  }
+}
+
+// Rows that point at listings and accounts, with what their foreign key's
+// ON DELETE clause asks for. The connection doesn't enable foreign keys, so
+// nothing cascades by itself; purging does it explicitly. Payment records are
+// kept: they are the site's accounting, and their tables only exist once
+// payments are set up.
+const SERVER_REFERENCES = [
+  ['votes', 'server_id', 'delete'],
+  ['server_members', 'server_id', 'delete'],
+  ['server_invitations', 'server_id', 'delete'],
+  ['server_tags', 'server_id', 'delete'],
+  ['server_status', 'server_id', 'delete'],
+  ['server_status_samples', 'server_id', 'delete'],
+  ['server_status_hourly', 'server_id', 'delete'],
+  ['server_status_daily', 'server_id', 'delete'],
+  ['server_reviews', 'server_id', 'delete'],
+  ['server_revisions', 'server_id', 'delete'],
+  ['server_moderation_notes', 'server_id', 'delete'],
+  ['server_slug_history', 'server_id', 'delete'],  // frees the listing's former slugs
+  ['user_favorites', 'server_id', 'delete'],
+  ['user_notifications', 'server_id', 'detach'],
+  ['server_reports', 'server_id', 'detach']
+];
+
+const USER_REFERENCES = [
+  ['server_members', 'user_id', 'delete'],
+  ['server_invitations', 'invitee_user_id', 'delete'],
+  ['server_invitations', 'invited_by', 'delete'],   // NOT NULL, and pending ones can't be accepted any more
+  ['server_reviews', 'user_id', 'delete'],
+  ['user_favorites', 'user_id', 'delete'],
+  ['user_notifications', 'user_id', 'delete'],
+  ['user_devices', 'user_id', 'delete'],
+  ['login_history', 'user_id', 'delete'],
+  ['servers', 'owner_id', 'detach'],
+  ['servers', 'moderated_by', 'detach'],
+  ['servers', 'deleted_by', 'detach'],
+  ['users', 'deleted_by', 'detach'],
+  ['server_members', 'added_by', 'detach'],
+  ['server_reviews', 'hidden_by', 'detach'],
+  ['server_reviews', 'reply_by', 'detach'],
+  ['server_revisions', 'user_id', 'detach'],
+  ['server_moderation_notes', 'author_id', 'detach'],
+  ['server_reports', 'reporter_user_id', 'detach'],
+  ['server_reports', 'assignee_id', 'detach'],
+  ['server_reports', 'resolved_by', 'detach'],
+  ['ip_blacklist', 'created_by', 'detach'],
+  ['security_events', 'user_id', 'detach']
+];
+
+// Statements removing the rows in `table` with these ids and everything that
+// depends on them
+function purgeStatements(table, ids, references) {
+  const placeholders = ids.map(() => '?').join(', ');
+  return [
+    ...references.map(([refTable, column, action]) => [
+      action === 'delete'
+        ? `DELETE FROM ${refTable} WHERE ${column} IN (${placeholders})`
+        : `UPDATE ${refTable} SET ${column} = NULL WHERE ${column} IN (${placeholders})`,
+      ids
+    ]),
+    [`DELETE FROM ${table} WHERE id IN (${placeholders})`, ids]
+  ];
+}
+
+// Permanently delete listings and accounts that have been in the trash for
+// longer than the trash_retention_days setting, in one transaction with the
+// rows that depend on them. Resolves with the counts.
+export async function purgeTrash(db) {
+  const settings = await getSettings(db, TRASH_SETTING_DEFAULTS);
+  const cutoff = retentionModifier(settings);
+
+  const [servers, users] = await Promise.all([
+    all(db, `SELECT id, banner_url FROM servers WHERE deleted_at IS NOT NULL AND deleted_at <= datetime('now', ?)`, [cutoff]),
+    all(db, `SELECT id FROM users WHERE deleted_at IS NOT NULL AND deleted_at <= datetime('now', ?)`, [cutoff])
+  ]);
+
+  const statements = [];
+  if (servers.length) {
+    statements.push(...purgeStatements('servers', servers.map(server => server.id), SERVER_REFERENCES));
+  }
+  if (users.length) {
+    const userIds = users.map(user => user.id);
+    const placeholders = userIds.map(() => '?').join(', ');
+    // Listings the purged accounts reviewed keep their other reviews' rating
+    // (see refreshServerRating in reviews.js)
+    statements.push([
+      `UPDATE servers SET
+         rating_avg = (SELECT ROUND(AVG(rating), 2) FROM server_reviews r
+                       WHERE r.server_id = servers.id AND r.hidden = 0 AND r.user_id NOT IN (${placeholders})),
+         rating_count = (SELECT COUNT(*) FROM server_reviews r
+                         WHERE r.server_id = servers.id AND r.hidden = 0 AND r.user_id NOT IN (${placeholders}))
+       WHERE id IN (SELECT server_id FROM server_reviews WHERE user_id IN (${placeholders}))`,
+      [...userIds, ...userIds, ...userIds]
+    ]);
+    statements.push(...purgeStatements('users', userIds, USER_REFERENCES));
+  }
+
+  if (statements.length) await runInTransaction(db, statements);
+  servers.forEach(server => removeUploadedBanner(server.banner_url));
+
+  return { servers: servers.length, users: users.length };
+}
+
+// Purge the trash now and then every hour. Returns a handle with stop().
+export function startTrashPurge(db, options = {}) {
+  const interval = options.interval || PURGE_INTERVAL;
+
+  const runPurge = async () => {
+    try {
+      const purged = await purgeTrash(db);
+      if (purged.servers || purged.users) logInfo('Trash purged', purged);
+    } catch (error) {
+      logError('Trash purge failed', error);
+    }
+  };
+
+  runPurge();
+  const timer = setInterval(runPurge, interval);
+
+  return {
+    stop: () => clearInterval(timer)
+  };
+}
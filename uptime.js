@@ -0,0 +1,208 @@
+// uptime.js - Status history: raw probe samples, hourly/daily rollups, uptime percentages and outages.
+// The same history backs the player-count charts in player-stats.js.
+import { run, get, all, runInTransaction } from './database.js';
+
+export const UPTIME_CONFIG = {
+  // Raw samples are kept this long before being rolled up into hourly buckets
+  rawRetentionHours: Math.max(parseInt(process.env.UPTIME_RAW_RETENTION_HOURS, 10) || 48, 24),
+  // Hourly buckets are kept this long (must cover the longest uptime window)
+  hourlyRetentionDays: Math.max(parseInt(process.env.UPTIME_HOURLY_RETENTION_DAYS, 10) || 35, 30),
+  // Daily buckets are kept this long
+  dailyRetentionDays: Math.max(parseInt(process.env.UPTIME_DAILY_RETENTION_DAYS, 10) || 400, 90)
+};
+
+// Start of the oldest day that is still fully covered by hourly buckets.
+// Older days are only available from the daily table.
+export const HOURLY_BOUNDARY_SQL = `date('now', '-${UPTIME_CONFIG.hourlyRetentionDays} days')`;
+
+export const UPTIME_WINDOWS = {
+  '24h': '-24 hours',
+  '7d': '-7 days',
+  '30d': '-30 days'
+};
+
+export async function initializeUptimeTables(db) {
+  // One row per probe
+  await run(db, `CREATE TABLE IF NOT EXISTS server_status_samples (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    server_id INTEGER NOT NULL,
+    online BOOLEAN NOT NULL,
+    latency_ms INTEGER,
+    players_online INTEGER, -- NULL when offline
+    checked_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(server_id) REFERENCES servers(id) ON DELETE CASCADE
+  )`);
+
+  await run(db, `CREATE INDEX IF NOT EXISTS idx_status_samples_server_time
+    ON server_status_samples(server_id, checked_at)`);
+
+  // Samples older than the raw retention window, rolled up per hour
+  await run(db, `CREATE TABLE IF NOT EXISTS server_status_hourly (
+    server_id INTEGER NOT NULL,
+    hour DATETIME NOT NULL, -- 'YYYY-MM-DD HH:00:00'
+    samples INTEGER NOT NULL DEFAULT 0,
+    online_samples INTEGER NOT NULL DEFAULT 0,
+    players_sum INTEGER NOT NULL DEFAULT 0, -- over online samples
+    players_max INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY(server_id, hour),
+    FOREIGN KEY(server_id) REFERENCES servers(id) ON DELETE CASCADE
+  )`);
+
+  // Hourly buckets folded into days, kept after the hourly ones are pruned
+  await run(db, `CREATE TABLE IF NOT EXISTS server_status_daily (
+    server_id INTEGER NOT NULL,
+    day DATE NOT NULL, -- 'YYYY-MM-DD'
+    samples INTEGER NOT NULL DEFAULT 0,
+    online_samples INTEGER NOT NULL DEFAULT 0,
+    players_sum INTEGER NOT NULL DEFAULT 0,
+    players_max INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY(server_id, day),
+    FOREIGN KEY(server_id) REFERENCES servers(id) ON DELETE CASCADE
+  )`);
+
+  const migrations = [
+    ['server_status_samples', 'players_online', 'INTEGER'],
+    ['server_status_hourly', 'players_sum', 'INTEGER NOT NULL DEFAULT 0'],
+    ['server_status_hourly', 'players_max', 'INTEGER NOT NULL DEFAULT 0']
+  ];
+
+  for (const [table, column, definition] of migrations) {
+    await addColumnIfMissing(db, table, column, definition);
+  }
+}
+
+async function addColumnIfMissing(db, table, column, definition) {
+  const columns = await all(db, `PRAGMA table_info(${table})`);
+  if (columns.some(col => col.name === column)) return;
+  await run(db, `ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+}
+
+// Store the outcome of one probe
+export async function recordStatusSample(db, serverId, result) {
+  await run(
+    db,
+    'INSERT INTO server_status_samples (server_id, online, latency_ms, players_online) VALUES (?, ?, ?, ?)',
+    [serverId, result.online ? 1 : 0, result.latency ?? null, result.online ? result.playersOnline ?? 0 : null]
+  );
+}
+
+// Fold raw samples older than the retention window into hourly buckets,
+// refresh daily buckets from complete days of hourly data and drop expired rows
+export function rollupStatusSamples(db) {
+  // Cut on an hour boundary so an hour is never split between raw and rolled up rows
+  const cutoff = `strftime('%Y-%m-%d %H:00:00', 'now', '-${UPTIME_CONFIG.rawRetentionHours} hours')`;
+
+  const statements = [
+    `INSERT INTO server_status_hourly (server_id, hour, samples, online_samples, players_sum, players_max)
+     SELECT server_id, strftime('%Y-%m-%d %H:00:00', checked_at), COUNT(*), SUM(online),
+            COALESCE(SUM(players_online), 0), COALESCE(MAX(players_online), 0)
+     FROM server_status_samples
+     WHERE checked_at < ${cutoff}
+     GROUP BY server_id, strftime('%Y-%m-%d %H:00:00', checked_at)
+     ON CONFLICT(server_id, hour) DO UPDATE SET
+       samples = samples + excluded.samples,
+       online_samples = online_samples + excluded.online_samples,
+       players_sum = players_sum + excluded.players_sum,
+       players_max = MAX(players_max, excluded.players_max)`,
+    `DELETE FROM server_status_samples WHERE checked_at < ${cutoff}`,
+    // Recomputed rather than accumulated: hours keep arriving for recent days.
+    // Only days fully covered by hourly buckets are touched.
+    `INSERT INTO server_status_daily (server_id, day, samples, online_samples, players_sum, players_max)
+     SELECT server_id, date(hour), SUM(samples), SUM(online_samples), SUM(players_sum), MAX(players_max)
+     FROM server_status_hourly
+     WHERE hour >= ${HOURLY_BOUNDARY_SQL}
+     GROUP BY server_id, date(hour)
+     ON CONFLICT(server_id, day) DO UPDATE SET
+       samples = excluded.samples,
+       online_samples = excluded.online_samples,
+       players_sum = excluded.players_sum,
+       players_max = excluded.players_max`,
+    `DELETE FROM server_status_hourly WHERE hour < ${HOURLY_BOUNDARY_SQL}`,
+    `DELETE FROM server_status_daily WHERE day < date('now', '-${UPTIME_CONFIG.dailyRetentionDays} days')`
+  ];
+
+  return runInTransaction(db, statements);
+}
+
+// Uptime percentage per window ({ '24h': 99.5, '7d': ..., '30d': ... }),
+// null for windows without any samples
+export async function getUptimeStats(db, serverId) {
+  const queries = Object.entries(UPTIME_WINDOWS).map(async ([label, modifier]) => {
+    const sql = `
+      SELECT SUM(samples) as samples, SUM(online_samples) as online_samples FROM (
+        SELECT COUNT(*) as samples, SUM(online) as online_samples
+        FROM server_status_samples
+        WHERE server_id = ? AND checked_at >= datetime('now', ?)
+        UNION ALL
+        SELECT SUM(samples), SUM(online_samples)
+        FROM server_status_hourly
+        WHERE server_id = ? AND hour >= datetime('now', ?)
+      )
+    `;
+
+    const row = await get(db, sql, [serverId, modifier, serverId, modifier]);
+    const percentage = row && row.samples
+      ? Math.round((row.online_samples / row.samples) * 10000) / 100
+      : null;
+    return [label, percentage];
+  });
+
+  return Object.fromEntries(await Promise.all(queries));
+}
+
+// Outage timeline for the last 30 days, newest first. Recent outages come from
+// raw samples; older ones from hourly buckets with no successful probe.
+export async function getOutages(db, serverId) {
+  const rawSql = `
+    SELECT online, checked_at FROM server_status_samples
+    WHERE server_id = ? AND checked_at >= datetime('now', '-30 days')
+    ORDER BY checked_at ASC
+  `;
+  const hourlySql = `
+    SELECT hour, samples, online_samples FROM server_status_hourly
+    WHERE server_id = ? AND hour >= datetime('now', '-30 days')
+    ORDER BY hour ASC
+  `;
+
+  const [hours, samples] = await Promise.all([all(db, hourlySql, [serverId]), all(db, rawSql, [serverId])]);
+
+  const outages = [];
+  let current = null;
+
+  const close = (endedAt) => {
+    if (!current) return;
+    current.ended_at = endedAt;
+    current.ongoing = endedAt === null;
+    outages.push(current);
+    current = null;
+  };
+
+  hours.forEach(bucket => {
+    if (bucket.online_samples === 0) {
+      if (!current) current = { started_at: bucket.hour, source: 'hourly' };
+    } else {
+      close(bucket.hour);
+    }
+  });
+
+  samples.forEach(sample => {
+    if (!sample.online) {
+      if (!current) current = { started_at: sample.checked_at, source: 'samples' };
+    } else {
+      close(sample.checked_at);
+    }
+  });
+  close(null);
+
+  return outages.reverse().map(outage => ({
+    ...outage,
+    duration_minutes: Math.round(
+      ((outage.ended_at ? toDate(outage.ended_at) : new Date()) - toDate(outage.started_at)) / 60000
+    )
+  }));
+}
+
+// SQLite timestamps are UTC without a zone designator
+function toDate(timestamp) {
+  return new Date(timestamp.replace(' ', 'T') + 'Z');
+}